@@ -1,4 +1,7 @@
-import { useState } from 'react'
+import { useEffect, useState } from 'react'
+
+type TradeField = { name: string; label: string; type: 'number'|'select'|'boolean'|'text'; default?: any; optional?: boolean; options?: string[] }
+type TradeInfo = { trade: string; key: string; label: string; usesRooms: boolean; fields: TradeField[] }
 
 export default function OfferEditor() {
   const [companyName, setCompanyName] = useState('Malerbetrieb Muster GmbH')
@@ -9,6 +12,30 @@ export default function OfferEditor() {
     { name: 'Wohnzimmer', width_m: 4, length_m: 5, height_m: 2.6 }
   ])
   const [offer, setOffer] = useState<any | null>(null)
+  const [trades, setTrades] = useState<TradeInfo[]>([])
+  const [tradeInputs, setTradeInputs] = useState<Record<string, Record<string, any>>>({})
+
+  useEffect(() => {
+    fetch('/api/offers/trades')
+      .then(r => r.json())
+      .then(d => {
+        const items: TradeInfo[] = d.items || []
+        setTrades(items)
+        setTradeInputs(Object.fromEntries(items.map(t => [
+          t.key,
+          Object.fromEntries(t.fields.filter(f => f.default !== undefined).map(f => [f.name, f.default]))
+        ])))
+      })
+      .catch(() => setTrades([]))
+  }, [])
+
+  const tradeInfo = trades.find(t => t.trade === trade)
+  const showRooms = tradeInfo ? tradeInfo.usesRooms : true
+  const updateTradeInput = (f: TradeField, val: string) => {
+    if (!tradeInfo) return
+    const v = f.type === 'number' ? (val === '' && f.optional ? undefined : Number(val)) : val
+    setTradeInputs(ti => ({ ...ti, [tradeInfo.key]: { ...ti[tradeInfo.key], [f.name]: v } }))
+  }
 
   const addRoom = () => setRooms(r => [...r, { name: 'Neuer Raum', width_m: 3, length_m: 3, height_m: 2.5 }])
   const updateRoom = (i: number, key: string, val: number|string) => {
@@ -21,10 +48,12 @@ export default function OfferEditor() {
       trade,
       company: { name: companyName },
       customer: { name: customerName },
-      project: { title: 'Renovierung', rooms },
-      laborRatePerHour: Number(labor),
-      marginPercentage: 15,
-      taxRatePercentage: 19
+      project: {
+        title: 'Renovierung',
+        rooms: showRooms ? rooms : undefined,
+        ...(tradeInfo ? { [tradeInfo.key]: tradeInputs[tradeInfo.key] ?? {} } : {})
+      },
+      laborRatePerHour: Number(labor)
     }
     const res = await fetch('/api/offers/generate', {
       method: 'POST',
@@ -78,6 +107,27 @@ export default function OfferEditor() {
           </label>
         </div>
 
+        {tradeInfo && tradeInfo.fields.length > 0 && (
+          <>
+            <h3 className="mt-6 font-semibold">{tradeInfo.label}: Angaben</h3>
+            <div className="mt-2 grid grid-cols-2 gap-3">
+              {tradeInfo.fields.map(f => (
+                <label key={f.name} className="grid gap-1">
+                  <span className="text-sm">{f.label}</span>
+                  {f.type === 'select' ? (
+                    <select value={tradeInputs[tradeInfo.key]?.[f.name] ?? ''} onChange={e=>updateTradeInput(f, e.target.value)} className="border rounded px-2 py-1">
+                      {(f.options || []).map(o => <option key={o} value={o}>{o}</option>)}
+                    </select>
+                  ) : (
+                    <input type={f.type === 'number' ? 'number' : 'text'} value={tradeInputs[tradeInfo.key]?.[f.name] ?? ''} onChange={e=>updateTradeInput(f, e.target.value)} className="border rounded px-2 py-1"/>
+                  )}
+                </label>
+              ))}
+            </div>
+          </>
+        )}
+
+        {showRooms && (<>
         <h3 className="mt-6 font-semibold">Räume</h3>
         <div className="mt-2 grid gap-3">
           {rooms.map((r, i) => (
@@ -91,6 +141,7 @@ export default function OfferEditor() {
           ))}
           <button onClick={addRoom} className="btn w-max">+ Raum</button>
         </div>
+        </>)}
 
         <div className="mt-6 flex gap-3">
           <button onClick={generate} className="btn">Angebot berechnen</button>
@@ -111,6 +162,7 @@ export default function OfferEditor() {
                   <th className="py-1">Menge</th>
                   <th className="py-1">Einheit</th>
                   <th className="py-1">Preis</th>
+                  <th className="py-1">USt</th>
                   <th className="py-1">Gesamt</th>
                 </tr>
               </thead>
@@ -121,6 +173,7 @@ export default function OfferEditor() {
                     <td className="py-1">{it.quantity}</td>
                     <td className="py-1">{it.unit}</td>
                     <td className="py-1">{it.unitPrice.toFixed(2)} €</td>
+                    <td className="py-1">{it.reverseCharge ? '§13b' : `${it.taxRate} %`}</td>
                     <td className="py-1">{it.total.toFixed(2)} €</td>
                   </tr>
                 ))}
@@ -129,10 +182,16 @@ export default function OfferEditor() {
 
             <div className="mt-4 text-right">
               <div>Zwischensumme: {offer.subtotal.toFixed(2)} €</div>
-              <div>Aufschlag: {offer.margin.toFixed(2)} €</div>
+              <div>Aufschlag ({offer.marginPercentage}%): {offer.margin.toFixed(2)} €</div>
+              {offer.discountAmount ? <div>Rabatt: -{offer.discountAmount.toFixed(2)} €</div> : null}
               <div>Netto: {offer.totalBeforeTax.toFixed(2)} €</div>
-              <div>MwSt: {offer.tax.toFixed(2)} €</div>
+              {offer.taxes.map((t:any, idx:number) => (
+                <div key={idx}>{t.reverseCharge ? 'USt (§ 13b UStG)' : `MwSt ${t.rate}% auf ${t.net.toFixed(2)} €`}: {t.tax.toFixed(2)} €</div>
+              ))}
               <div className="font-semibold">Gesamt: {offer.total.toFixed(2)} €</div>
+              {!offer.reverseCharge && (
+                <div className="text-sm text-gray-500">davon Lohnanteil § 35a EStG: {offer.labourCosts.gross.toFixed(2)} € brutto ({offer.labourCosts.net.toFixed(2)} € netto)</div>
+              )}
             </div>
           </div>
         )}
@@ -1,11 +1,23 @@
-import { useState } from 'react'
+import { useEffect, useState } from 'react'
 
 export default function ProjectDocs() {
   const [files, setFiles] = useState<FileList | null>(null)
   const [uploaded, setUploaded] = useState<any[]>([])
-  const [notes, setNotes] = useState('')
-  const [report, setReport] = useState<string | null>(null)
-  const [projectId, setProjectId] = useState('PRJ-1')
+  const [date, setDate] = useState(new Date().toISOString().slice(0, 10))
+  const [workDone, setWorkDone] = useState('')
+  const [hindrances, setHindrances] = useState('')
+  const [entries, setEntries] = useState<any[]>([])
+  const [projects, setProjects] = useState<{ id: string, title: string }[]>([])
+  const [projectId, setProjectId] = useState('')
+
+  useEffect(() => {
+    fetch('/api/projects?size=100')
+      .then(res => res.json())
+      .then(data => {
+        setProjects(data.items || [])
+        if (data.items?.length) setProjectId(data.items[0].id)
+      })
+  }, [])
 
   const upload = async () => {
     if (!files) return
@@ -13,17 +25,30 @@ export default function ProjectDocs() {
     Array.from(files).forEach(f => fd.append('photos', f))
     const res = await fetch(`/api/projects/${projectId}/photos`, { method: 'POST', body: fd })
     const data = await res.json()
-    setUploaded(data.files || [])
+    setUploaded(data.items || [])
+  }
+
+  const loadDiary = async () => {
+    const res = await fetch(`/api/projects/${projectId}/diary`)
+    const data = await res.json()
+    setEntries(data.items || [])
   }
 
-  const generateReport = async () => {
-    const res = await fetch(`/api/projects/${projectId}/report`, {
+  const saveEntry = async () => {
+    const res = await fetch(`/api/projects/${projectId}/diary`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ notes })
+      body: JSON.stringify({ date, workDone, hindrances: hindrances || undefined, photos: uploaded.map(u => u.url) })
     })
+    if (!res.ok) return
+    setWorkDone(''); setHindrances(''); setUploaded([])
+    loadDiary()
+  }
+
+  const exportPdf = async () => {
+    const res = await fetch(`/api/projects/${projectId}/diary/pdf`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{}' })
     const data = await res.json()
-    setReport(data.report)
+    if (data.path) window.open(data.path, '_blank')
   }
 
   return (
@@ -32,9 +57,12 @@ export default function ProjectDocs() {
         <h2 className="text-lg font-semibold mb-4">Baustellen-Dokumentation</h2>
         <div className="grid gap-3">
           <label className="grid gap-1">
-            <span className="text-sm">Projekt-ID</span>
-            <input value={projectId} onChange={e=>setProjectId(e.target.value)} className="border rounded px-2 py-1"/>
+            <span className="text-sm">Projekt</span>
+            <select value={projectId} onChange={e=>setProjectId(e.target.value)} className="border rounded px-2 py-1">
+              {projects.map(p => <option key={p.id} value={p.id}>{p.title}</option>)}
+            </select>
           </label>
+          <a href="/field.html" className="text-sm underline">Ohne Netz auf der Baustelle? Baustellen-App öffnen</a>
           <label className="grid gap-1">
             <span className="text-sm">Fotos</span>
             <input type="file" multiple accept="image/*" onChange={e=>setFiles(e.target.files)} />
@@ -44,20 +72,31 @@ export default function ProjectDocs() {
 
         <div className="mt-4 grid grid-cols-3 gap-2">
           {uploaded.map((u, i) => (
-            <img key={i} src={u.path} alt="upload" className="w-full h-24 object-cover rounded border" />
+            <img key={i} src={u.thumbUrl} alt={u.caption || u.originalName} className="w-full h-24 object-cover rounded border" />
           ))}
         </div>
       </div>
 
       <div className="card">
-        <h2 className="text-lg font-semibold mb-4">Notizen & Bericht</h2>
-        <textarea value={notes} onChange={e=>setNotes(e.target.value)} className="w-full h-40 border rounded p-2" placeholder="- Material geliefert\n- Untergrund gespachtelt\n- 1. Anstrich erledigt"/>
-        <div className="mt-3">
-          <button onClick={generateReport} className="btn">Bericht erzeugen</button>
+        <h2 className="text-lg font-semibold mb-4">Bautagebuch</h2>
+        <div className="grid gap-3">
+          <input type="date" value={date} onChange={e=>setDate(e.target.value)} className="border rounded px-2 py-1 w-max"/>
+          <textarea value={workDone} onChange={e=>setWorkDone(e.target.value)} className="w-full h-32 border rounded p-2" placeholder="Ausgeführte Arbeiten, z. B. Untergrund gespachtelt, 1. Anstrich"/>
+          <textarea value={hindrances} onChange={e=>setHindrances(e.target.value)} className="w-full h-16 border rounded p-2" placeholder="Behinderungen / Bedenken"/>
+          <div className="flex gap-2">
+            <button onClick={saveEntry} className="btn">Eintrag speichern</button>
+            <button onClick={loadDiary} className="btn">Laden</button>
+            <button onClick={exportPdf} className="btn">PDF</button>
+          </div>
         </div>
-        {report && (
-          <pre className="mt-4 bg-gray-50 p-3 rounded border whitespace-pre-wrap">{report}</pre>
-        )}
+        <ul className="mt-4 grid gap-2">
+          {entries.map(e => (
+            <li key={e.id} className="bg-gray-50 p-3 rounded border">
+              <div className="font-semibold">{e.locked ? '🔒 ' : ''}Nr. {e.number} – {e.date} ({e.totalHours} Std)</div>
+              <div className="whitespace-pre-wrap">{e.workDone}</div>
+            </li>
+          ))}
+        </ul>
       </div>
     </div>
   )
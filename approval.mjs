@@ -0,0 +1,181 @@
+// ==============================
+// Kundenfreigabe
+// Öffentlicher Link je Angebot (gespeichert wird nur der Hash des Tokens). Der Kunde sieht das Angebot
+// nur lesend, wählt Bedarfs- und Wahlpositionen aus und nimmt mit getipptem Namen und gezeichneter
+// Unterschrift an oder lehnt mit Kommentar ab. Die Annahme hält Zeitpunkt, IP und eine SHA-256-Prüfsumme
+// der angenommenen Fassung fest. Routen, Status und Audit liegen in index.mjs.
+// ==============================
+import crypto from "crypto";
+import { z } from "zod";
+
+// ak_ + 256 Bit base64url; hint dient nur zum Wiedererkennen
+export const PORTAL_TOKEN_PREFIX = "ak_";
+export const PORTAL_LINK_DAYS = 30; // Laufzeit ohne Gültigkeitsdatum im Angebot
+export const MAX_SIGNATURE_BYTES = 200 * 1024;
+
+export const hashPortalToken = (token) => crypto.createHash("sha256").update(String(token || "")).digest("hex");
+
+export function generatePortalToken() {
+  const token = `${PORTAL_TOKEN_PREFIX}${crypto.randomBytes(32).toString("base64url")}`;
+  return { token, hash: hashPortalToken(token), hint: token.slice(0, 8) };
+}
+
+// Link gilt bis Ende des Gültigkeitstags des Angebots, sonst PORTAL_LINK_DAYS ab jetzt
+export function portalLinkExpiry(validUntil, now = Date.now()) {
+  const end = /^\d{4}-\d{2}-\d{2}$/.test(validUntil || "") ? Date.parse(`${validUntil}T23:59:59Z`) : NaN;
+  return Number.isFinite(end) && end > now ? end : now + PORTAL_LINK_DAYS * 86400000;
+}
+
+// Auswahl des Kunden: Bedarfspositionen (Positionsnummer) und je Wahlgruppe die gewählte Wahlposition
+export const ChoicesSchema = z.object({
+  optional: z.array(z.string()).max(500).default([]),
+  alternatives: z.record(z.string(), z.string()).default({}),
+});
+
+export const AcceptSchema = z.object({
+  version: z.number().int().positive(), // angezeigte Fassung; weicht sie ab, wurde das Angebot inzwischen geändert
+  name: z.string().trim().min(2, "Bitte den vollständigen Namen eintragen").max(120),
+  signature: z.string()
+    .regex(/^data:image\/png;base64,[A-Za-z0-9+/]+=*$/, "Unterschrift als PNG (data:-URL)")
+    .refine((s) => s.length <= MAX_SIGNATURE_BYTES * 4 / 3 + 32, "Unterschrift zu groß"),
+  choices: ChoicesSchema.default({}),
+});
+
+export const RejectSchema = z.object({
+  version: z.number().int().positive(),
+  comment: z.string().trim().max(2000).default(""),
+});
+
+// Bedarfs- und Wahlpositionen der Kalkulation (extraItems). Vor der Gliederung gespeicherte Angebote haben
+// keine extraItems – dort kommen sie wie bisher nur aus dem GAEB-LV.
+function extrasOf(offer) {
+  if (offer?.extraItems) return offer.extraItems;
+  const input = offer?.input;
+  return (input?.gaeb?.extraItems || []).map((it, i) => ({
+    ...it,
+    pos: it.oz,
+    total: Math.round(it.quantity * it.unitPrice * 100) / 100,
+    ref: `gaeb.extraItems.${i}`,
+    ...(it.altGroup ? { alternativeTo: (input.items || []).filter((b) => b.altGroup === it.altGroup).map((b) => b.oz || b.description) } : {}),
+  }));
+}
+
+// Wählbare Positionen eines Angebots. Wahlpositionen ohne Gruppe bilden je eine eigene Gruppe;
+// gibt es zur Gruppe Grundpositionen im Angebot, ersetzt die gewählte Wahlposition sie.
+export function offerChoices(offer) {
+  const extra = extrasOf(offer);
+  const view = ({ pos, section, description, longText, quantity, unit, unitPrice, total }) =>
+    ({ pos, ...(section ? { section } : {}), description, ...(longText ? { longText } : {}), quantity, unit, unitPrice, total });
+  const groups = new Map();
+  for (const it of extra.filter((x) => x.type === "alternative")) {
+    const key = it.altGroup || it.pos;
+    if (!groups.has(key)) groups.set(key, { group: key, replaces: it.alternativeTo || [], options: [] });
+    groups.get(key).options.push(view(it));
+  }
+  return {
+    optional: extra.filter((x) => x.type === "optional").map(view),
+    alternatives: [...groups.values()],
+  };
+}
+
+// Angebotseingabe mit der Auswahl des Kunden: gewählte Positionen werden normale Positionen (freie an ihrer Stelle,
+// aus dem GAEB-LV am Ende), Grundpositionen der gewählten Wahlgruppen entfallen. Unbekannte Positionen ergeben
+// einen Fehler mit Feldpfaden.
+export function applyChoices(offer, choices) {
+  const { input } = offer;
+  const available = offerChoices(offer);
+  const issues = [];
+  const optional = [...new Set(choices.optional)];
+  optional.forEach((pos, i) => {
+    if (!available.optional.some((o) => o.pos === pos)) issues.push({ path: `choices.optional.${i}`, message: `Bedarfsposition ${pos} gibt es nicht` });
+  });
+  const chosen = new Set(optional);
+  for (const [group, pos] of Object.entries(choices.alternatives)) {
+    const g = available.alternatives.find((a) => a.group === group);
+    if (!g?.options.some((o) => o.pos === pos)) {
+      issues.push({ path: `choices.alternatives.${group}`, message: `Wahlposition ${pos} gibt es nicht` });
+      continue;
+    }
+    chosen.add(pos);
+  }
+  if (issues.length) throw Object.assign(new Error(issues.map((i) => i.message).join("; ")), { issues });
+  if (!chosen.size) return input;
+
+  const picked = extrasOf(offer).filter((x) => chosen.has(x.pos));
+  const replacedGroups = new Set(picked.filter((x) => x.type === "alternative" && x.altGroup).map((x) => x.altGroup));
+  const refs = (prefix) => new Set(picked.filter((x) => x.ref?.startsWith(prefix)).map((x) => Number(x.ref.slice(prefix.length))));
+  const fromItems = refs("items.");
+  const fromGaeb = refs("gaeb.extraItems.");
+  const items = [];
+  (input.items || []).forEach((it, i) => {
+    if (fromItems.has(i)) {
+      const { type, ...rest } = it;
+      items.push(rest);
+    } else if (!(it.altGroup && replacedGroups.has(it.altGroup) && (it.type ?? "normal") === "normal")) {
+      items.push(it);
+    }
+  });
+  const gaebExtra = input.gaeb?.extraItems || [];
+  return {
+    ...input,
+    items: [...items, ...gaebExtra.filter((_, i) => fromGaeb.has(i)).map(({ type, altGroup, altSerNo, ...it }) => it)],
+    ...(input.gaeb ? { gaeb: { ...input.gaeb, extraItems: gaebExtra.filter((_, i) => !fromGaeb.has(i)) } } : {}),
+  };
+}
+
+// Inhalt einer Angebotsfassung, über den die Prüfsumme läuft (ohne Verwaltungsdaten wie Status und Verlauf)
+const HASHED_FIELDS = [
+  "number", "version", "title", "validUntil", "segment", "catalogVersion", "input",
+  "items", "subtotal", "marginPercentage", "margin", "discount", "discountAmount", "totalBeforeTax",
+  "taxRatePercentage", "taxes", "tax", "total", "currency", "skonto",
+];
+
+// JSON mit sortierten Schlüsseln, damit die Prüfsumme nicht von der Feldreihenfolge abhängt
+function canonical(value) {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value).sort().filter((k) => value[k] !== undefined)
+      .map((k) => `${JSON.stringify(k)}:${canonical(value[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+export function offerHash(offer) {
+  const content = Object.fromEntries(HASHED_FIELDS.filter((k) => offer[k] !== undefined).map((k) => [k, offer[k]]));
+  return crypto.createHash("sha256").update(canonical(content)).digest("hex");
+}
+
+// Lesende Sicht für den Kunden: ohne interne Felder (Ersteller, Kostenarten, Revisionen, IP)
+export function portalOffer(offer, company = {}) {
+  const { acceptance, rejection } = offer;
+  return {
+    company,
+    number: offer.number,
+    version: offer.version,
+    title: offer.title,
+    status: offer.status,
+    validUntil: offer.validUntil,
+    customer: offer.input?.customer ?? {},
+    project: { title: offer.input?.project?.title ?? "", description: offer.input?.project?.description },
+    items: (offer.items || []).map(({ kind, ...it }) => it),
+    ...(offer.sections ? { sections: offer.sections } : {}),
+    subtotal: offer.subtotal,
+    marginPercentage: offer.marginPercentage,
+    margin: offer.margin,
+    ...(offer.discount ? { discount: offer.discount, discountAmount: offer.discountAmount } : {}),
+    totalBeforeTax: offer.totalBeforeTax,
+    taxes: offer.taxes,
+    tax: offer.tax,
+    total: offer.total,
+    currency: offer.currency,
+    ...(offer.skonto ? { skonto: offer.skonto } : {}),
+    ...(offer.labourCosts ? { labourCosts: offer.labourCosts } : {}),
+    choices: offerChoices(offer),
+    ...(acceptance ? {
+      acceptance: {
+        name: acceptance.name, ts: acceptance.ts, version: acceptance.version, hash: acceptance.hash, choices: acceptance.choices,
+      },
+    } : {}),
+    ...(rejection && offer.status === "abgelehnt" ? { rejection: { ts: rejection.ts, comment: rejection.comment } } : {}),
+  };
+}
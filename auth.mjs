@@ -0,0 +1,138 @@
+// ==============================
+// Anmeldung: Passwort-Richtlinie, TOTP (RFC 6238), Wiederherstellungscodes und API-Tokens
+// TOTP wie in Authenticator-Apps üblich: SHA-1, 6 Stellen, 30 s; Geheimnis Base32.
+// Wiederherstellungscodes und API-Tokens werden nur als SHA-256 gespeichert.
+// ==============================
+import crypto from "crypto";
+
+// ---------- Passwort-Richtlinie ----------
+export const PASSWORD_MIN_LENGTH = 10;
+
+// Häufigste Passwörter und Standardwerte dieser Installation
+const COMMON = new Set([
+  "admin", "administrator", "passwort", "password", "passwort1", "password1", "passwort123", "password123",
+  "123456", "12345678", "123456789", "1234567890", "qwertz", "qwertzuiop", "qwerty", "qwertyuiop",
+  "hallo123", "geheim", "meisterki", "test123!", "willkommen", "welcome1", "letmein",
+]);
+
+// Liefert die verletzten Regeln als Liste (leer = Passwort ist in Ordnung)
+export function checkPassword(password, { username = "" } = {}) {
+  const pw = String(password || "");
+  const errors = [];
+  if (pw.length < PASSWORD_MIN_LENGTH) errors.push(`mindestens ${PASSWORD_MIN_LENGTH} Zeichen`);
+  const classes = [/[a-zäöüß]/, /[A-ZÄÖÜ]/, /[0-9]/, /[^A-Za-zÄÖÜäöüß0-9]/].filter((re) => re.test(pw)).length;
+  if (classes < 3) errors.push("mindestens drei von: Kleinbuchstaben, Großbuchstaben, Ziffern, Sonderzeichen");
+  const lower = pw.toLowerCase();
+  if (COMMON.has(lower)) errors.push("zu häufig verwendet");
+  const name = String(username || "").toLowerCase();
+  if (name.length >= 3 && lower.includes(name)) errors.push("darf den Benutzernamen nicht enthalten");
+  if (/^(.)\1+$/.test(pw)) errors.push("nicht nur ein Zeichen wiederholen");
+  return errors;
+}
+
+// ---------- Base32 (RFC 4648, ohne Padding) ----------
+const B32 = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+export function base32Encode(buf) {
+  let bits = 0;
+  let value = 0;
+  let out = "";
+  for (const byte of buf) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += B32[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += B32[(value << (5 - bits)) & 31];
+  return out;
+}
+
+export function base32Decode(text) {
+  const clean = String(text || "").toUpperCase().replace(/[\s=-]/g, "");
+  let bits = 0;
+  let value = 0;
+  const out = [];
+  for (const ch of clean) {
+    const idx = B32.indexOf(ch);
+    if (idx < 0) throw new Error(`Ungültiges Base32-Zeichen: ${ch}`);
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      out.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(out);
+}
+
+// ---------- TOTP ----------
+export const TOTP_STEP = 30;
+const DIGITS = 6;
+
+// 160 Bit wie von RFC 4226 empfohlen
+export const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const stepAt = (now) => Math.floor(now / 1000 / TOTP_STEP);
+
+function hotp(secret, counter) {
+  const msg = Buffer.alloc(8);
+  msg.writeBigUInt64BE(BigInt(counter));
+  const mac = crypto.createHmac("sha1", base32Decode(secret)).update(msg).digest();
+  const offset = mac[mac.length - 1] & 15;
+  const bin = mac.readUInt32BE(offset) & 0x7fffffff;
+  return String(bin % 10 ** DIGITS).padStart(DIGITS, "0");
+}
+
+export const totp = (secret, now = Date.now()) => hotp(secret, stepAt(now));
+
+// Prüft den Code mit ±window Zeitschritten Toleranz (Uhrabweichung des Handys).
+// Rückgabe: der getroffene Zeitschritt oder null. Schritte bis einschließlich afterStep
+// gelten als verbraucht, damit ein mitgelesener Code nicht ein zweites Mal funktioniert.
+export function verifyTotp(secret, code, { now = Date.now(), window = 1, afterStep = -1 } = {}) {
+  const c = String(code || "").replace(/\s/g, "");
+  if (!/^\d{6}$/.test(c)) return null;
+  const current = stepAt(now);
+  for (let s = current - window; s <= current + window; s += 1) {
+    if (s <= afterStep) continue;
+    const expected = hotp(secret, s);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(c))) return s;
+  }
+  return null;
+}
+
+// Für die Einrichtung in der Authenticator-App (manuell oder als QR-Code)
+export function otpauthUrl({ secret, account, issuer = "MeisterKI" }) {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=${DIGITS}&period=${TOTP_STEP}`;
+}
+
+// ---------- Wiederherstellungscodes ----------
+const normalizeRecovery = (code) => String(code || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+export const hashRecoveryCode = (code) => crypto.createHash("sha256").update(normalizeRecovery(code)).digest("hex");
+
+// Zehn Codes im Format xxxxx-xxxxx; zurück gehen Klartext (einmal anzeigen) und Hashes (speichern)
+export function generateRecoveryCodes(count = 10) {
+  const codes = Array.from({ length: count }, () => {
+    const raw = base32Encode(crypto.randomBytes(7)).toLowerCase().slice(0, 10);
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+// Index des passenden, noch unbenutzten Codes oder -1
+export function findRecoveryCode(hashes, code) {
+  if (!normalizeRecovery(code)) return -1;
+  return (hashes || []).indexOf(hashRecoveryCode(code));
+}
+
+// ---------- API-Tokens ----------
+// mk_ + 256 Bit base64url; hint (Anfang des Tokens) dient nur zum Wiedererkennen in Listen
+export const API_TOKEN_PREFIX = "mk_";
+export const hashApiToken = (token) => crypto.createHash("sha256").update(String(token || "")).digest("hex");
+
+export function generateApiToken() {
+  const token = `${API_TOKEN_PREFIX}${crypto.randomBytes(32).toString("base64url")}`;
+  return { token, hash: hashApiToken(token), hint: token.slice(0, 8) };
+}
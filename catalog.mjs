@@ -0,0 +1,141 @@
+// ==============================
+// Preiskatalog & Zeitwerte
+// Artikel (SKU, Einheit, EK/VK, Ergiebigkeit), Arbeitszeit-Normen je Tätigkeit,
+// Kundensegmente mit Preisfaktor. Jede Änderung ergibt eine neue Katalogversion;
+// Angebote merken sich die Version, mit der sie kalkuliert wurden.
+// ==============================
+import { z } from "zod";
+
+export const ArticleSchema = z.object({
+  sku: z.string().min(1),
+  name: z.string().min(1),
+  unit: z.string().min(1),
+  purchasePrice: z.number().min(0),
+  salePrice: z.number().min(0),
+  coverage: z.number().positive().optional(), // Ergiebigkeit, z. B. m² je l oder m² je Stk
+  group: z.string().optional(),
+  // Herkunft aus Lieferanten-Preisdateien (Datanorm)
+  supplier: z.string().optional(),
+  supplierSku: z.string().optional(),
+  listPrice: z.number().min(0).optional(),
+  rebateGroup: z.string().optional(),
+});
+
+export const NormSchema = z.object({
+  key: z.string().min(1),
+  label: z.string().min(1),
+  unit: z.string().min(1),
+  minutesPerUnit: z.number().min(0),
+});
+
+export const SegmentSchema = z.object({
+  key: z.string().min(1),
+  label: z.string().min(1),
+  priceFactor: z.number().positive().default(1),
+});
+
+export const CatalogSchema = z.object({
+  defaults: z.object({
+    roomHeight_m: z.number().positive().default(2.6),
+  }).default({}),
+  segments: z.array(SegmentSchema).min(1),
+  articles: z.array(ArticleSchema),
+  norms: z.array(NormSchema),
+}).superRefine((c, ctx) => {
+  for (const [name, list, field] of [["articles", c.articles, "sku"], ["norms", c.norms, "key"], ["segments", c.segments, "key"]]) {
+    const seen = new Set();
+    for (const x of list) {
+      if (seen.has(x[field])) ctx.addIssue({ code: "custom", path: [name], message: `${field} doppelt: ${x[field]}` });
+      seen.add(x[field]);
+    }
+  }
+});
+
+// Startkatalog (entspricht den bisher fest eingebauten Werten)
+export const DEFAULT_CATALOG = {
+  defaults: { roomHeight_m: 2.6 },
+  segments: [
+    { key: "standard", label: "Standard", priceFactor: 1 },
+    { key: "gewerbe", label: "Gewerbe", priceFactor: 0.95 },
+    { key: "oeffentlich", label: "Öffentliche Hand", priceFactor: 0.92 },
+  ],
+  articles: [
+    { sku: "MAL-FARBE", name: "Qualitätsfarbe", unit: "l", purchasePrice: 3.9, salePrice: 6.0, coverage: 8, group: "maler" },
+    { sku: "BOD-BELAG", name: "Bodenbelag", unit: "m²", purchasePrice: 16.5, salePrice: 25.0, group: "boden" },
+    { sku: "BOD-SOCKEL", name: "Sockelleiste", unit: "m", purchasePrice: 3.8, salePrice: 6.0, group: "boden" },
+    { sku: "DACH-ZIEGEL", name: "Dachziegel", unit: "Stk", purchasePrice: 0.75, salePrice: 1.2, coverage: 0.1, group: "dach" },
+    { sku: "DACH-LATTE", name: "Dachlatte 30x50", unit: "m", purchasePrice: 0.7, salePrice: 1.1, group: "dach" },
+    { sku: "ELE-STECKDOSE", name: "Steckdose UP inkl. Dose", unit: "Stk", purchasePrice: 5.2, salePrice: 8.5, group: "elektro" },
+    { sku: "ELE-SCHALTER", name: "Schalter UP inkl. Dose", unit: "Stk", purchasePrice: 5.9, salePrice: 9.5, group: "elektro" },
+    { sku: "ELE-LICHT", name: "Lichtauslass inkl. Klemme", unit: "Stk", purchasePrice: 3.6, salePrice: 6.0, group: "elektro" },
+    { sku: "ELE-LS-B16", name: "LS-Schalter B16", unit: "Stk", purchasePrice: 7.5, salePrice: 12.0, group: "elektro" },
+    { sku: "ELE-NYM-3X15", name: "Leitung NYM-J 3x1,5", unit: "m", purchasePrice: 0.75, salePrice: 1.2, group: "elektro" },
+    { sku: "SAN-WC", name: "WC-Anlage inkl. Vorwandelement", unit: "Stk", purchasePrice: 210, salePrice: 320, group: "sanitaer" },
+    { sku: "SAN-WT", name: "Waschtisch inkl. Armatur", unit: "Stk", purchasePrice: 115, salePrice: 180, group: "sanitaer" },
+    { sku: "SAN-DU", name: "Dusche inkl. Ablauf und Armatur", unit: "Stk", purchasePrice: 290, salePrice: 450, group: "sanitaer" },
+    { sku: "SAN-BW", name: "Badewanne inkl. Wannenträger und Armatur", unit: "Stk", purchasePrice: 340, salePrice: 520, group: "sanitaer" },
+    { sku: "SAN-UR", name: "Urinal inkl. Spülung", unit: "Stk", purchasePrice: 180, salePrice: 280, group: "sanitaer" },
+    { sku: "SAN-SP", name: "Küchenspüle Anschluss inkl. Eckventile", unit: "Stk", purchasePrice: 75, salePrice: 120, group: "sanitaer" },
+    { sku: "SAN-ROHR", name: "Mehrschichtverbundrohr inkl. Fittings", unit: "m", purchasePrice: 5.6, salePrice: 9.0, group: "sanitaer" },
+  ],
+  norms: [
+    { key: "maler.wand", label: "Wände streichen", unit: "m²", minutesPerUnit: 3 },
+    { key: "maler.decke", label: "Decke streichen", unit: "m²", minutesPerUnit: 2.4 },
+    { key: "maler.vorbereitung", label: "Untergrundvorbereitung", unit: "m²", minutesPerUnit: 1 },
+    { key: "boden.verlegen", label: "Bodenbelag verlegen", unit: "m²", minutesPerUnit: 7.5 },
+    { key: "boden.vorbereitung", label: "Untergrund prüfen/vorbereiten", unit: "m²", minutesPerUnit: 2 },
+    { key: "boden.sockel", label: "Sockelleisten montieren", unit: "m", minutesPerUnit: 4 },
+    { key: "dach.eindecken", label: "Eindecken inkl. Lattung", unit: "m²", minutesPerUnit: 24 },
+    { key: "elektro.steckdose", label: "Steckdose setzen", unit: "Stk", minutesPerUnit: 30 },
+    { key: "elektro.schalter", label: "Schalter setzen", unit: "Stk", minutesPerUnit: 24 },
+    { key: "elektro.licht", label: "Lichtauslass", unit: "Stk", minutesPerUnit: 36 },
+    { key: "elektro.stromkreis", label: "Stromkreis inkl. LS-Schalter", unit: "Stk", minutesPerUnit: 60 },
+    { key: "elektro.leitung", label: "Leitung verlegen", unit: "m", minutesPerUnit: 2.4 },
+    { key: "sanitaer.wc", label: "WC montieren", unit: "Stk", minutesPerUnit: 210 },
+    { key: "sanitaer.waschtisch", label: "Waschtisch montieren", unit: "Stk", minutesPerUnit: 150 },
+    { key: "sanitaer.dusche", label: "Dusche montieren", unit: "Stk", minutesPerUnit: 300 },
+    { key: "sanitaer.badewanne", label: "Badewanne montieren", unit: "Stk", minutesPerUnit: 300 },
+    { key: "sanitaer.urinal", label: "Urinal montieren", unit: "Stk", minutesPerUnit: 180 },
+    { key: "sanitaer.spuele", label: "Küchenspüle anschließen", unit: "Stk", minutesPerUnit: 120 },
+    { key: "sanitaer.rohr", label: "Rohrleitung verlegen", unit: "m", minutesPerUnit: 7.5 },
+  ],
+};
+
+// Einheitenkürzel aus Fremdformaten (GAEB, Datanorm) und Buchungen auf die Katalogschreibweise bringen
+const UNITS = {
+  m2: "m²", "m²": "m²", qm: "m²",
+  m3: "m³", "m³": "m³", cbm: "m³",
+  m: "m", lfm: "m", lm: "m", mtr: "m",
+  st: "Stk", stk: "Stk", stck: "Stk", "stück": "Stk",
+  h: "Std", std: "Std", stunde: "Std", stunden: "Std",
+  psch: "psch", pau: "psch", pauschal: "psch",
+  l: "l", ltr: "l", liter: "l", kg: "kg", t: "t",
+};
+
+export function normalizeUnit(unit) {
+  const u = String(unit || "").trim();
+  return UNITS[u.toLowerCase().replace(/\.$/, "")] || u;
+}
+
+// Zugriff auf Preise/Zeitwerte einer Katalogversion für ein Kundensegment
+export function priceContext(catalog = DEFAULT_CATALOG, segmentKey) {
+  const segment = catalog.segments.find((s) => s.key === segmentKey) || catalog.segments[0];
+  const article = (sku) => {
+    const a = catalog.articles.find((x) => x.sku === sku);
+    if (!a) throw new Error(`Artikel ${sku} fehlt im Katalog`);
+    return a;
+  };
+  const norm = (key) => {
+    const n = catalog.norms.find((x) => x.key === key);
+    if (!n) throw new Error(`Zeitwert ${key} fehlt im Katalog`);
+    return n;
+  };
+  return {
+    version: catalog.version ?? null,
+    segment: segment.key,
+    defaults: catalog.defaults,
+    article,
+    price: (sku) => Math.round(article(sku).salePrice * segment.priceFactor * 100) / 100,
+    hours: (key, qty) => (qty * norm(key).minutesPerUnit) / 60,
+  };
+}
@@ -0,0 +1,213 @@
+// ==============================
+// Projektkosten & Nachkalkulation
+// Auf ein Projekt werden Arbeitszeiten (je Mitarbeiter und Tag), Materialentnahmen und
+// Fremdleistungen gebucht. Die Nachkalkulation stellt dem angenommenen Angebot (Stunden aus den
+// "Std"-Positionen, Material je Einheit, z. B. Liter Farbe) die Ist-Werte gegenüber und
+// berechnet Marge und Budgetverbrauch. Beträge sind netto.
+// ==============================
+import { z } from "zod";
+import { normalizeUnit } from "./catalog.mjs";
+import { fromCents, toCents } from "./offerEngine.mjs";
+
+export const BOOKING_KINDS = { zeit: "Arbeitszeit", material: "Material", fremdleistung: "Fremdleistung" };
+
+// Ab diesem Anteil des Budgets wird gewarnt, darüber ist es überschritten
+export const BUDGET_WARN_RATIO = 0.9;
+
+const BookingBase = {
+  date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, "Datum im Format JJJJ-MM-TT"),
+  note: z.string().max(500).optional(),
+};
+
+export const TimeBookingSchema = z.object({
+  kind: z.literal("zeit"),
+  ...BookingBase,
+  employee: z.string().min(1),
+  hours: z.number().positive().max(24),
+  costRate: z.number().min(0).optional(), // interner Stundensatz; leer = aus den Einstellungen
+});
+
+export const MaterialBookingSchema = z.object({
+  kind: z.literal("material"),
+  ...BookingBase,
+  description: z.string().min(1),
+  sku: z.string().optional(),
+  quantity: z.number().positive(),
+  unit: z.string().min(1),
+  unitCost: z.number().min(0).optional(), // Einkaufspreis; leer = aus dem Katalog
+});
+
+export const SubcontractBookingSchema = z.object({
+  kind: z.literal("fremdleistung"),
+  ...BookingBase,
+  vendor: z.string().min(1),
+  description: z.string().optional(),
+  amount: z.number().positive(),
+  invoiceNumber: z.string().optional(),
+});
+
+export const BookingSchema = z.discriminatedUnion("kind", [TimeBookingSchema, MaterialBookingSchema, SubcontractBookingSchema]);
+
+// Interne Sätze gibt nur vor, wer die Kosten sieht; alle anderen buchen auf sich selbst
+// zu den Sätzen aus Einstellungen und Katalog
+export const BOOKING_RATE_FIELDS = ["costRate", "unitCost"];
+
+export function bookingInput(body, { employee, seesCosts }) {
+  if (seesCosts) return { ...body };
+  const input = Object.fromEntries(Object.entries(body || {}).filter(([k]) => !BOOKING_RATE_FIELDS.includes(k)));
+  return { ...input, employee };
+}
+
+// Kosten einer Buchung in Cent; Zeiten ohne Satz werden mit fallbackRate bewertet
+function costCents(b, fallbackRate = 0) {
+  if (b.kind === "zeit") return Math.round(b.hours * toCents(b.costRate ?? fallbackRate));
+  if (b.kind === "material") return Math.round(b.quantity * toCents(b.unitCost ?? 0));
+  return toCents(b.amount);
+}
+
+export const bookingCost = (b, fallbackRate = 0) => fromCents(costCents(b, fallbackRate));
+
+const round2 = (n) => Math.round(n * 100) / 100;
+const de = (n) => round2(n).toLocaleString("de-DE");
+const percent = (part, whole) => (whole ? round2((part / whole) * 100) : null);
+
+// Mehr Stunden je Mitarbeiter und Tag (über alle Projekte) sind ein Konflikt, z. B. von zwei Geräten doppelt gebucht
+export const MAX_DAY_HOURS = 24;
+
+export const dayHours = (bookings, employee, date) =>
+  round2(bookings.filter((b) => b.kind === "zeit" && b.employee === employee && b.date === date).reduce((s, b) => s + b.hours, 0));
+
+function addTo(map, key, quantity, cents) {
+  const e = map.get(key) || { quantity: 0, cents: 0 };
+  e.quantity += quantity;
+  e.cents += cents;
+  map.set(key, e);
+}
+
+// Soll-Werte aus den angenommenen Angeboten eines Projekts (Nachträge werden addiert)
+export function offerEstimate(offers) {
+  const materials = new Map();
+  let hours = 0;
+  let labourCents = 0;
+  let materialCents = 0;
+  let otherCents = 0;
+  let revenueCents = 0;
+  for (const o of offers) {
+    revenueCents += toCents(o.totalBeforeTax);
+    for (const it of o.items || []) {
+      const net = toCents(it.total) - toCents(it.discountAmount);
+      const unit = normalizeUnit(it.unit);
+      if (it.kind === "labour" && unit === "Std") {
+        hours += it.quantity;
+        labourCents += net;
+      } else if (it.kind === "material") {
+        addTo(materials, unit, it.quantity, net);
+        materialCents += net;
+      } else {
+        otherCents += net;
+      }
+    }
+  }
+  return {
+    offers: offers.map((o) => o.number),
+    revenue: fromCents(revenueCents),
+    hours: round2(hours),
+    labour: fromCents(labourCents),
+    material: fromCents(materialCents),
+    other: fromCents(otherCents),
+    total: fromCents(labourCents + materialCents + otherCents),
+    materials: [...materials].map(([unit, e]) => ({ unit, quantity: round2(e.quantity), value: fromCents(e.cents) })),
+  };
+}
+
+// Ist-Werte aus den Buchungen; Zeiten zusätzlich je Mitarbeiter und je Tag
+export function actualCosts(bookings, fallbackRate = 0) {
+  const materials = new Map();
+  const employees = new Map();
+  const days = new Map();
+  const cents = { zeit: 0, material: 0, fremdleistung: 0 };
+  let hours = 0;
+  for (const b of bookings) {
+    const c = costCents(b, fallbackRate);
+    cents[b.kind] += c;
+    if (b.kind === "zeit") {
+      hours += b.hours;
+      addTo(employees, b.employee, b.hours, c);
+      addTo(days, `${b.date}|${b.employee}`, b.hours, c);
+    } else if (b.kind === "material") {
+      addTo(materials, normalizeUnit(b.unit), b.quantity, c);
+    }
+  }
+  return {
+    hours: round2(hours),
+    labour: fromCents(cents.zeit),
+    material: fromCents(cents.material),
+    subcontract: fromCents(cents.fremdleistung),
+    total: fromCents(cents.zeit + cents.material + cents.fremdleistung),
+    materials: [...materials].map(([unit, e]) => ({ unit, quantity: round2(e.quantity), cost: fromCents(e.cents) })),
+    byEmployee: [...employees]
+      .map(([employee, e]) => ({ employee, hours: round2(e.quantity), cost: fromCents(e.cents) }))
+      .sort((a, b) => b.hours - a.hours),
+    byDay: [...days]
+      .map(([key, e]) => {
+        const [date, employee] = key.split("|");
+        return { date, employee, hours: round2(e.quantity) };
+      })
+      .sort((a, b) => a.date.localeCompare(b.date) || a.employee.localeCompare(b.employee)),
+  };
+}
+
+const compare = (planned, actual) => ({
+  planned, actual, diff: round2(actual - planned), percent: percent(actual, planned),
+});
+
+// Soll/Ist-Vergleich mit Marge und Warnungen.
+// budget: Projektbudget, sonst der Nettobetrag der angenommenen Angebote.
+// costRate: interner Stundensatz für Zeiten ohne eigenen Satz; fehlt er, gilt der Satz aus dem Angebot.
+export function postCalculation({ project, offers = [], bookings = [], costRate, warnRatio = BUDGET_WARN_RATIO }) {
+  const planned = offerEstimate(offers);
+  const offerRate = planned.hours ? round2(planned.labour / planned.hours) : 0;
+  const rate = costRate ?? offerRate;
+  const actual = actualCosts(bookings, rate);
+  const budget = project.budget || planned.revenue || 0;
+
+  const units = [...new Set([...planned.materials, ...actual.materials].map((m) => m.unit))];
+  const materials = units.map((unit) => ({
+    unit,
+    ...compare(
+      planned.materials.find((m) => m.unit === unit)?.quantity ?? 0,
+      actual.materials.find((m) => m.unit === unit)?.quantity ?? 0,
+    ),
+  }));
+  const margin = offers.length
+    ? { amount: round2(planned.revenue - actual.total), percent: percent(planned.revenue - actual.total, planned.revenue) }
+    : null;
+
+  const warnings = [];
+  const warn = (code, level, message) => warnings.push({ code, level, message });
+  if (!offers.length) warn("no_offer", "info", "Kein angenommenes Angebot – Soll-Werte fehlen");
+  if (budget && actual.total > budget)
+    warn("budget_exceeded", "error", `Budget um ${de(actual.total - budget)} € überschritten`);
+  else if (budget && actual.total >= budget * warnRatio)
+    warn("budget_warning", "warn", `${de(percent(actual.total, budget))} % des Budgets verbraucht`);
+  if (planned.hours && actual.hours > planned.hours)
+    warn("hours_exceeded", "warn", `${de(actual.hours - planned.hours)} Std mehr als kalkuliert`);
+  for (const m of materials) {
+    if (m.planned && m.actual > m.planned) warn("material_exceeded", "warn", `${de(m.diff)} ${m.unit} mehr Material als kalkuliert`);
+  }
+  if (margin && margin.amount < 0) warn("negative_margin", "error", "Kosten übersteigen den Auftragswert");
+  if (costRate == null && bookings.some((b) => b.kind === "zeit" && b.costRate == null))
+    warn("no_cost_rate", "info", "Kein interner Stundensatz hinterlegt – Zeiten mit dem Satz aus dem Angebot bewertet");
+
+  return {
+    projectId: project.id,
+    budget,
+    budgetUsed: percent(actual.total, budget),
+    planned,
+    actual,
+    hours: compare(planned.hours, actual.hours),
+    materials,
+    margin,
+    warnings,
+  };
+}
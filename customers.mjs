@@ -0,0 +1,492 @@
+// ==============================
+// Kundenstamm (CRM): Schema mit Ansprechpartnern und Anschriften, Dublettenerkennung,
+// Zusammenführen, CSV-/vCard-Import und Verlauf (Projekte, Angebote, Rechnungen, E-Mails).
+// Die flachen Felder (email, street, zip, city …) sind die Hauptdaten des Kunden und zugleich
+// die Rechnungsanschrift, solange keine abweichende Anschrift der Art "rechnung" hinterlegt ist.
+// ==============================
+import crypto from "crypto";
+import { z } from "zod";
+import { withCustomerId } from "./invoices.mjs";
+
+export const CUSTOMER_TYPES = { privat: "Privatkunde", gewerblich: "Geschäftskunde" };
+export const ADDRESS_KINDS = { rechnung: "Rechnungsanschrift", baustelle: "Baustelle / Einsatzort" };
+
+export const ContactSchema = z.object({
+  id: z.string().optional(),
+  name: z.string().min(1),
+  role: z.string().optional(), // z. B. Hausverwaltung, Bauleitung, Buchhaltung
+  email: z.string().optional(),
+  phone: z.string().optional(),
+  primary: z.boolean().optional(),
+});
+
+export const AddressSchema = z.object({
+  id: z.string().optional(),
+  kind: z.enum(Object.keys(ADDRESS_KINDS)),
+  label: z.string().optional(),
+  street: z.string().optional(),
+  zip: z.string().optional(),
+  city: z.string().optional(),
+  countryCode: z.string().length(2).optional(),
+  note: z.string().optional(),
+});
+
+export const CustomerSchema = z.object({
+  name: z.string().min(1),
+  type: z.enum(Object.keys(CUSTOMER_TYPES)).optional(), // leer = aus der USt-IdNr. abgeleitet
+  email: z.string().optional(),
+  phone: z.string().optional(),
+  street: z.string().optional(),
+  zip: z.string().optional(),
+  city: z.string().optional(),
+  countryCode: z.string().length(2).optional(),
+  vatId: z.string().optional(), // USt-IdNr., nötig bei § 13b UStG
+  leitwegId: z.string().optional(), // Käuferreferenz für XRechnung (öffentliche Auftraggeber)
+  note: z.string().optional(),
+  segment: z.string().optional(), // Kundensegment aus dem Preiskatalog
+  contacts: z.array(ContactSchema).optional(),
+  addresses: z.array(AddressSchema).optional(),
+});
+
+export const customerType = (c) => c.type || (c.vatId ? "gewerblich" : "privat");
+
+// Regeln über mehrere Felder; Rückgabe wie zod-Issues mit Feldpfad
+export function customerProblems(c) {
+  const issues = [];
+  if (c.type === "privat" && c.vatId) issues.push({ path: "body.vatId", message: "USt-IdNr. nur bei Geschäftskunden" });
+  if ((c.contacts || []).filter((p) => p.primary).length > 1)
+    issues.push({ path: "body.contacts", message: "Nur ein Hauptansprechpartner möglich" });
+  if ((c.addresses || []).filter((a) => a.kind === "rechnung").length > 1)
+    issues.push({ path: "body.addresses", message: "Nur eine abweichende Rechnungsanschrift möglich" });
+  return issues;
+}
+
+// Ansprechpartner und Anschriften ohne id bekommen eine
+const subId = () => crypto.randomBytes(4).toString("hex");
+export function withSubIds(c) {
+  const out = { ...c };
+  for (const key of ["contacts", "addresses"]) {
+    if (Array.isArray(c[key])) out[key] = c[key].map((x) => (x.id ? x : { id: subId(), ...x }));
+  }
+  return out;
+}
+
+// Abweichende Rechnungsanschrift, sonst die Hauptanschrift
+export function billingAddress(c) {
+  const a = (c.addresses || []).find((x) => x.kind === "rechnung");
+  const src = a || c;
+  return { street: src.street, zip: src.zip, city: src.city, countryCode: src.countryCode || c.countryCode };
+}
+
+// ---------- Dubletten ----------
+const LEGAL_FORMS = new Set([
+  "gmbh", "mbh", "ag", "kg", "ohg", "gbr", "ug", "ek", "ev", "co", "inh", "haftungsbeschraenkt", "firma", "und",
+]);
+
+// Kleinschreibung, Umlaute ausgeschrieben, Rechtsformen weg, Wörter sortiert ("Müller, Anna" = "Anna Mueller")
+export function normalizeName(name) {
+  return String(name || "")
+    .toLowerCase()
+    .replace(/ä/g, "ae").replace(/ö/g, "oe").replace(/ü/g, "ue").replace(/ß/g, "ss")
+    .replace(/\./g, "")
+    .split(/[^a-z0-9]+/)
+    .filter((w) => w && !LEGAL_FORMS.has(w))
+    .sort()
+    .join(" ");
+}
+
+// Nur Ziffern, Ländervorwahl +49/0049 als führende 0
+export function normalizePhone(phone) {
+  const s = String(phone || "").trim();
+  let digits = s.replace(/\D/g, "");
+  if (s.startsWith("+49")) digits = `0${digits.slice(2)}`;
+  else if (digits.startsWith("0049")) digits = `0${digits.slice(4)}`;
+  return digits.length >= 6 ? digits : "";
+}
+
+const normalizeEmail = (e) => String(e || "").trim().toLowerCase();
+const normalizeVat = (v) => String(v || "").replace(/\s/g, "").toUpperCase();
+
+function keysOf(c) {
+  const people = [c, ...(c.contacts || [])];
+  return {
+    name: normalizeName(c.name),
+    emails: new Set(people.map((p) => normalizeEmail(p.email)).filter(Boolean)),
+    phones: new Set(people.map((p) => normalizePhone(p.phone)).filter(Boolean)),
+    vat: normalizeVat(c.vatId),
+    zip: String(c.zip || "").trim(),
+  };
+}
+
+function levenshtein(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i += 1) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+const shares = (a, b) => [...a].some((x) => b.has(x));
+
+// Ab Punktzahl 2 gilt ein Paar als mögliche Dublette: gleiche E-Mail oder USt-IdNr. (3), gleiche Telefonnummer
+// oder gleicher Name (2), ähnlicher Name bei gleicher PLZ (2)
+export const DUPLICATE_THRESHOLD = 2;
+
+function compareKeys(a, b) {
+  const reasons = [];
+  let score = 0;
+  if (shares(a.emails, b.emails)) { score += 3; reasons.push("E-Mail"); }
+  if (a.vat && a.vat === b.vat) { score += 3; reasons.push("USt-IdNr."); }
+  if (shares(a.phones, b.phones)) { score += 2; reasons.push("Telefon"); }
+  if (a.name && a.name === b.name) {
+    score += 2;
+    reasons.push("Name");
+  } else if (a.name.length >= 4 && b.name.length >= 4 && a.zip && a.zip === b.zip) {
+    const similarity = 1 - levenshtein(a.name, b.name) / Math.max(a.name.length, b.name.length);
+    if (similarity >= 0.8) { score += 2; reasons.push("Name ähnlich, gleiche PLZ"); }
+  }
+  return { score, reasons };
+}
+
+// Alle möglichen Dubletten im Bestand als Paare, stärkste zuerst
+export function findDuplicates(customers) {
+  const keyed = customers.map((c) => ({ c, k: keysOf(c) }));
+  const pairs = [];
+  for (let i = 0; i < keyed.length; i += 1) {
+    for (let j = i + 1; j < keyed.length; j += 1) {
+      const { score, reasons } = compareKeys(keyed[i].k, keyed[j].k);
+      if (score >= DUPLICATE_THRESHOLD) pairs.push({ a: keyed[i].c.id, b: keyed[j].c.id, score, reasons });
+    }
+  }
+  return pairs.sort((x, y) => y.score - x.score);
+}
+
+// Mögliche Dubletten eines neuen Datensatzes im Bestand
+export function matchCustomer(candidate, customers) {
+  const k = keysOf(candidate);
+  return customers
+    .map((c) => ({ id: c.id, name: c.name, ...compareKeys(k, keysOf(c)) }))
+    .filter((m) => m.score >= DUPLICATE_THRESHOLD)
+    .sort((x, y) => y.score - x.score);
+}
+
+// ---------- Zusammenführen ----------
+const blank = (v) => v == null || v === "" || (Array.isArray(v) && !v.length);
+const MERGE_OWN = new Set(["id", "createdAt", "contacts", "addresses", "note", "mergedIds", "type"]);
+const addressKey = (a) => [a.street, a.zip, a.city].map((x) => String(x || "").trim().toLowerCase()).join("|");
+
+function uniqueBy(list, key) {
+  const seen = new Set();
+  return list.filter((x) => {
+    const k = key(x);
+    if (k && seen.has(k)) return false;
+    seen.add(k);
+    return true;
+  });
+}
+
+// source geht in target auf: leere Felder des Ziels werden gefüllt, Ansprechpartner und Anschriften vereint.
+// Abweichende Hauptdaten der Quelle bleiben als Ansprechpartner bzw. Anschrift erhalten.
+// mergedIds merkt sich die alten Kundennummern (E-Mails im Verlauf und ältere Verweise darauf).
+export function mergeCustomers(target, source) {
+  const out = { ...target };
+  for (const [key, value] of Object.entries(source)) {
+    if (!MERGE_OWN.has(key) && blank(out[key]) && !blank(value)) out[key] = value;
+  }
+  // Hauptansprechpartner bleibt der des Ziels
+  const contacts = [...(target.contacts || []), ...(source.contacts || []).map((p) => ({ ...p, primary: undefined }))];
+  const email = normalizeEmail(source.email);
+  const known = new Set([out.email, ...contacts.map((p) => p.email)].map(normalizeEmail));
+  if (email && !known.has(email)) {
+    contacts.push({ id: subId(), name: source.name, email: source.email, ...(source.phone ? { phone: source.phone } : {}) });
+  }
+  out.contacts = uniqueBy(contacts, (p) => normalizeEmail(p.email) || `${p.name}|${normalizePhone(p.phone)}`)
+    .map((p) => Object.fromEntries(Object.entries(p).filter(([, v]) => v !== undefined)));
+
+  const addresses = [...(target.addresses || []), ...(source.addresses || [])];
+  const main = addressKey(out);
+  if (addressKey(source) !== "||" && addressKey(source) !== main) {
+    addresses.push({
+      id: subId(), kind: "baustelle", label: `Anschrift aus ${source.name}`,
+      ...Object.fromEntries(["street", "zip", "city", "countryCode"].filter((k) => source[k]).map((k) => [k, source[k]])),
+    });
+  }
+  // Nur eine Rechnungsanschrift: die des Ziels gewinnt, weitere werden zu Einsatzorten
+  let billing = false;
+  out.addresses = uniqueBy(addresses.filter((a) => addressKey(a) !== main), (a) => `${a.kind}|${addressKey(a)}`)
+    .map((a) => {
+      if (a.kind !== "rechnung") return a;
+      if (billing) return { ...a, kind: "baustelle" };
+      billing = true;
+      return a;
+    });
+
+  const notes = [target.note, source.note].filter(Boolean);
+  if (notes.length) out.note = [...new Set(notes)].join("\n");
+  if (target.type === "gewerblich" || source.type === "gewerblich" || (out.vatId && !target.type)) out.type = "gewerblich";
+  out.mergedIds = [...(target.mergedIds || []), source.id, ...(source.mergedIds || [])];
+  out.createdAt = Math.min(target.createdAt ?? Infinity, source.createdAt ?? Infinity);
+  if (!Number.isFinite(out.createdAt)) delete out.createdAt;
+  for (const key of ["contacts", "addresses"]) if (!out[key].length) delete out[key];
+  return out;
+}
+
+// Sammlungen mit Verweis customerId; beim Zusammenführen gehen alle Verweise der Quelle auf das Ziel über
+export const CUSTOMER_REFERENCES = ["projects", "offers", "invoices", "documents"];
+
+// Geänderte Datensätze je Sammlung (lists: { projects: [...], offers: [...], … }) zum Speichern in einer Transaktion
+export function reassignCustomer(lists, sourceId, targetId) {
+  return Object.fromEntries(CUSTOMER_REFERENCES.map((kind) => [kind, (lists[kind] || [])
+    .filter((x) => x.customerId === sourceId)
+    .map((x) => (kind === "invoices" ? withCustomerId(x, targetId) : { ...x, customerId: targetId }))]));
+}
+
+// ---------- Import: CSV ----------
+// Excel speichert CSV oft als Windows-1252; ohne gültiges UTF-8 wird Latin-1 angenommen
+export function decodeText(buf) {
+  if (!Buffer.isBuffer(buf)) return String(buf || "").replace(/^\uFEFF/, "");
+  try {
+    return new TextDecoder("utf-8", { fatal: true }).decode(buf).replace(/^\uFEFF/, "");
+  } catch {
+    return buf.toString("latin1");
+  }
+}
+
+// RFC 4180 mit Semikolon, Komma oder Tab als Trenner (aus der Kopfzeile erkannt)
+export function parseCsv(text) {
+  const src = String(text || "");
+  const head = src.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, "");
+  const delimiter = [";", "\t", ","].reduce((best, d) => (head.split(d).length > head.split(best).length ? d : best), ";");
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < src.length; i += 1) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { field += '"'; i += 1; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"' && field === "") {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== "" || row.length) rows.push([...row, field]);
+  return rows.filter((r) => r.some((f) => f.trim() !== ""));
+}
+
+const headerKey = (h) => String(h || "").toLowerCase()
+  .replace(/ä/g, "ae").replace(/ö/g, "oe").replace(/ü/g, "ue").replace(/ß/g, "ss")
+  .replace(/[^a-z0-9]/g, "");
+
+// Spaltenköpfe (deutsch/englisch, wie im eigenen CSV-Export) → Feld
+const CSV_COLUMNS = {
+  name: ["name", "firma", "firmenname", "kunde", "kundenname"],
+  firstName: ["vorname", "firstname"],
+  lastName: ["nachname", "lastname", "familienname"],
+  type: ["type", "typ", "kundentyp", "kundenart"],
+  email: ["email", "mail", "emailadresse"],
+  phone: ["phone", "telefon", "tel", "telefonnummer", "mobil", "handy"],
+  street: ["street", "strasse", "adresse", "anschrift"],
+  zip: ["zip", "plz", "postleitzahl"],
+  city: ["city", "ort", "stadt", "wohnort"],
+  countryCode: ["countrycode", "land", "country"],
+  vatId: ["vatid", "ustidnr", "ustid", "umsatzsteuerid"],
+  leitwegId: ["leitwegid"],
+  segment: ["segment", "kundensegment"],
+  note: ["note", "notiz", "bemerkung", "kommentar"],
+};
+const COLUMN_OF = Object.fromEntries(Object.entries(CSV_COLUMNS).flatMap(([field, keys]) => keys.map((k) => [k, field])));
+
+const COUNTRIES = { deutschland: "DE", germany: "DE", oesterreich: "AT", austria: "AT", schweiz: "CH", switzerland: "CH" };
+function countryCode(value) {
+  const v = String(value || "").trim();
+  if (/^[A-Za-z]{2}$/.test(v)) return v.toUpperCase();
+  return COUNTRIES[headerKey(v)];
+}
+
+function typeFromText(value) {
+  const v = headerKey(value);
+  if (["privat", "private", "privatkunde", "p"].includes(v)) return "privat";
+  if (["gewerblich", "business", "geschaeftskunde", "firma", "gewerbe", "g"].includes(v)) return "gewerblich";
+  return undefined;
+}
+
+// Leere Werte weglassen, damit das Ergebnis direkt durch CustomerSchema geht
+const compact = (obj) => Object.fromEntries(Object.entries(obj).filter(([, v]) => v !== undefined && v !== ""));
+
+// Datensätze mit Zeilennummer (1 = Kopfzeile) für den Importbericht
+export function customersFromCsv(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return [];
+  const fields = header.map((h) => COLUMN_OF[headerKey(h)]);
+  if (!fields.includes("name") && !fields.includes("lastName")) throw new Error("Spalte Name (oder Nachname) fehlt");
+  return rows.map((cells, i) => {
+    const raw = {};
+    fields.forEach((f, idx) => { if (f && cells[idx] != null) raw[f] = cells[idx].trim(); });
+    const { firstName, lastName, ...rest } = raw;
+    return {
+      row: i + 2,
+      data: compact({
+        ...rest,
+        name: rest.name || [firstName, lastName].filter(Boolean).join(" "),
+        type: typeFromText(rest.type),
+        countryCode: countryCode(rest.countryCode),
+      }),
+    };
+  });
+}
+
+// ---------- Import: vCard (2.1, 3.0, 4.0) ----------
+function unescapeVcard(v) {
+  return v.replace(/\\([nN,;\\])/g, (_, c) => (c === "n" || c === "N" ? "\n" : c));
+}
+const splitStructured = (v) => v.split(/(?<!\\);/).map(unescapeVcard);
+
+function decodeQuotedPrintable(v) {
+  const bytes = [];
+  for (let i = 0; i < v.length; i += 1) {
+    if (v[i] === "=" && /^[0-9A-F]{2}$/i.test(v.slice(i + 1, i + 3))) {
+      bytes.push(parseInt(v.slice(i + 1, i + 3), 16));
+      i += 2;
+    } else {
+      bytes.push(...Buffer.from(v[i]));
+    }
+  }
+  return Buffer.from(bytes).toString("utf8");
+}
+
+export function parseVcards(text) {
+  // Fortsetzungszeilen beginnen mit Leerzeichen/Tab; bei Quoted-Printable (vCard 2.1) endet die Zeile auf "="
+  const lines = String(text || "").replace(/\r\n?/g, "\n").replace(/\n[ \t]/g, "").split("\n");
+  const cards = [];
+  let card = null;
+  for (let i = 0; i < lines.length; i += 1) {
+    let line = lines[i];
+    if (/^[^:]*QUOTED-PRINTABLE/i.test(line)) {
+      while (line.endsWith("=") && i + 1 < lines.length) line = line.slice(0, -1) + lines[(i += 1)];
+    }
+    if (/^BEGIN:VCARD$/i.test(line.trim())) { card = []; continue; }
+    if (/^END:VCARD$/i.test(line.trim())) { if (card) cards.push(card); card = null; continue; }
+    if (!card) continue;
+    const m = line.match(/^(?:[\w-]+\.)?([\w-]+)((?:;[^:]*)?):([\s\S]*)$/);
+    if (!m) continue;
+    const params = m[2].toUpperCase();
+    const value = params.includes("QUOTED-PRINTABLE") ? decodeQuotedPrintable(m[3]) : m[3];
+    card.push({ prop: m[1].toUpperCase(), params, value });
+  }
+  return cards;
+}
+
+// Mit Firma (ORG) → Geschäftskunde mit der Person als Ansprechpartner, sonst Privatkunde
+export function customersFromVcards(text) {
+  return parseVcards(text).map((props, i) => {
+    const first = (prop) => props.find((p) => p.prop === prop);
+    const all = (prop) => props.filter((p) => p.prop === prop);
+    const preferred = (prop) => all(prop).find((p) => /PREF|WORK/.test(p.params)) || first(prop);
+    const n = first("N") ? splitStructured(first("N").value) : [];
+    const person = unescapeVcard(first("FN")?.value || "").trim() || [n[1], n[0]].filter(Boolean).join(" ").trim();
+    const org = first("ORG") ? splitStructured(first("ORG").value)[0].trim() : "";
+    const email = unescapeVcard(preferred("EMAIL")?.value || "").trim();
+    const phone = unescapeVcard(preferred("TEL")?.value || "").replace(/^tel:/i, "").trim();
+    const adr = preferred("ADR") ? splitStructured(preferred("ADR").value) : [];
+    const data = compact({
+      name: org || person,
+      type: org ? "gewerblich" : "privat",
+      email,
+      phone,
+      street: adr[2]?.trim(),
+      city: adr[3]?.trim(),
+      zip: adr[5]?.trim(),
+      countryCode: countryCode(adr[6]),
+      note: unescapeVcard(first("NOTE")?.value || "").trim(),
+    });
+    if (org && person) {
+      data.contacts = [compact({ name: person, role: unescapeVcard(first("TITLE")?.value || "").trim(), email, phone, primary: true })];
+    }
+    return { row: i + 1, data };
+  });
+}
+
+// ---------- Verlauf ----------
+const CUSTOMER_EVENTS = {
+  "customer.create": "Kunde angelegt",
+  "customer.update": "Stammdaten geändert",
+  "customer.merge": "Dublette zusammengeführt",
+  "customer.import": "Per Import angelegt",
+};
+export const TIMELINE_ACTIONS = [...Object.keys(CUSTOMER_EVENTS), "pdf.mail"];
+
+const OFFER_STATUS_TEXT = {
+  entwurf: "erstellt",
+  versendet: "versendet",
+  angenommen: "angenommen",
+  abgelehnt: "abgelehnt",
+  abgelaufen: "abgelaufen",
+};
+
+export function customerEmails(c) {
+  return new Set([c.email, ...(c.contacts || []).map((p) => p.email)].map(normalizeEmail).filter(Boolean));
+}
+
+// Alle Ereignisse zu einem Kunden, neueste zuerst. Die Listen sind bereits auf den Kunden (inkl. mergedIds)
+// und die Rechte des Benutzers gefiltert; audit enthält Kunden-Ereignisse und versendete E-Mails.
+export function customerTimeline({ customer, projects = [], offers = [], invoices = [], audit = [], prices = true }) {
+  const ids = new Set([customer.id, ...(customer.mergedIds || [])]);
+  const emails = customerEmails(customer);
+  const who = (u) => u?.username ?? u ?? null;
+  const events = [];
+
+  for (const p of projects) {
+    events.push({ ts: p.createdAt, type: "project", title: `Projekt „${p.title}“ angelegt`, ref: { kind: "project", id: p.id } });
+  }
+  for (const o of offers) {
+    for (const [i, h] of (o.statusHistory || []).entries()) {
+      // erster Eintrag ist die Anlage, spätere "entwurf" sind Überarbeitungen
+      const text = i > 0 && h.status === "entwurf" ? "überarbeitet" : OFFER_STATUS_TEXT[h.status] || h.status;
+      // Annahme/Ablehnung über den Kundenlink hat keinen Benutzer
+      const via = h.via === "portal" ? " (Kundenlink)" : "";
+      events.push({
+        ts: h.ts, type: "offer", title: `Angebot ${o.number} ${text}${via}`, detail: o.title || undefined,
+        user: h.user ?? h.name ?? null, ref: { kind: "offer", id: o.id },
+        ...(prices && i === 0 && o.total != null ? { amount: o.total } : {}),
+      });
+    }
+  }
+  for (const inv of invoices) {
+    events.push({
+      ts: inv.createdAt, type: "invoice",
+      title: inv.type === "storno" ? `Stornorechnung ${inv.number} zu ${inv.cancelsNumber}` : `Rechnung ${inv.number} erstellt`,
+      user: inv.createdBy ?? null, amount: inv.total, ref: { kind: "invoice", id: inv.id },
+    });
+  }
+  for (const e of audit) {
+    if (CUSTOMER_EVENTS[e.action] && ids.has(e.meta?.id)) {
+      events.push({ ts: e.ts, type: "customer", title: CUSTOMER_EVENTS[e.action], detail: e.meta.sourceName, user: who(e.user) });
+    } else if (e.action === "pdf.mail") {
+      const to = String(e.meta?.to || "").split(/[,;]/).map(normalizeEmail).filter(Boolean);
+      if (ids.has(e.meta?.customerId) || to.some((x) => emails.has(x))) {
+        events.push({ ts: e.ts, type: "mail", title: `E-Mail an ${e.meta.to}`, detail: e.meta.subject || e.meta.name, user: who(e.user) });
+      }
+    }
+  }
+  return events
+    .filter((e) => e.ts != null)
+    .map((e) => Object.fromEntries(Object.entries(e).filter(([, v]) => v !== undefined)))
+    .sort((a, b) => b.ts - a.ts);
+}
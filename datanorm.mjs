@@ -0,0 +1,223 @@
+// ==============================
+// Datanorm: Preisdateien des Großhandels (Version 4 und 5) einlesen
+// A-Sätze (Artikel), B-Sätze (Matchcode/EAN), P-Sätze (Preisänderungen) und R-Sätze
+// (Rabattgruppen). Einkaufspreise werden in den Katalog übernommen; das Ergebnis ist
+// ein Änderungsbericht, gespeichert wird wie jede Katalogänderung als neue Version.
+// ==============================
+import { normalizeUnit } from "./catalog.mjs";
+
+// Datanorm 4 ist DOS-codiert (CP850); obere Hälfte der Zeichentabelle ab 0x80
+const CP850 =
+  "ÇüéâäàåçêëèïîìÄÅÉæÆôöòûùÿÖÜø£Ø×ƒ" +
+  "áíóúñÑªº¿®¬½¼¡«»░▒▓│┤ÁÂÀ©╣║╗╝¢¥┐" +
+  "└┴┬├─┼ãÃ╚╔╩╦╠═╬¤ðÐÊËÈıÍÎÏ┘┌█▄¦Ì▀" +
+  "ÓßÔÒõÕµþÞÚÛÙýÝ¯´\u00AD±‗¾¶§÷¸°¨·¹³²■\u00A0";
+
+// Umlaute liegen in CP850 auf 0x81/0x84/0x8E/0x94/0x99/0x9A/0xE1, in Latin-1 auf 0xC4–0xFC
+function decode(buf) {
+  if (!Buffer.isBuffer(buf)) return String(buf || "");
+  try {
+    return new TextDecoder("utf-8", { fatal: true }).decode(buf);
+  } catch {}
+  let dos = 0;
+  let ansi = 0;
+  for (const b of buf) {
+    if ([0x81, 0x84, 0x8e, 0x94, 0x99, 0x9a, 0xe1].includes(b)) dos += 1;
+    else if ([0xc4, 0xd6, 0xdc, 0xdf, 0xe4, 0xf6, 0xfc].includes(b)) ansi += 1;
+  }
+  if (ansi > dos) return buf.toString("latin1");
+  return Array.from(buf, (b) => (b < 0x80 ? String.fromCharCode(b) : CP850[b - 0x80])).join("");
+}
+
+const PRICE_UNITS = { 0: 1, 1: 10, 2: 100, 3: 1000 };
+const round2 = (n) => Math.round(n * 100) / 100;
+const round4 = (n) => Math.round(n * 10000) / 10000;
+
+// Beträge: ohne Trennzeichen mit zwei impliziten Nachkommastellen, sonst Dezimalzahl
+function amount(raw) {
+  const s = String(raw || "").trim();
+  if (!s) return null;
+  const n = /[.,]/.test(s) ? Number(s.replace(/\./g, "").replace(",", ".")) : Number(s) / 100;
+  return Number.isFinite(n) ? n : null;
+}
+
+// Rabatt: Kennzeichen 1 = Prozent (zwei implizite Nachkommastellen), 2 = Multiplikator (drei implizite)
+function rebate(kz, raw) {
+  const s = String(raw || "").trim();
+  if (!s || !["1", "2"].includes(String(kz).trim())) return null;
+  if (String(kz).trim() === "1") {
+    const pct = /[.,]/.test(s) ? Number(s.replace(",", ".")) : Number(s) / 100;
+    return Number.isFinite(pct) && pct > 0 ? { percent: pct } : null;
+  }
+  const factor = /[.,]/.test(s) ? Number(s.replace(",", ".")) : Number(s) / 1000;
+  return Number.isFinite(factor) && factor > 0 ? { factor } : null;
+}
+
+const applyRebates = (price, list) =>
+  list.reduce((p, r) => (r.factor ? p * r.factor : p * (1 - r.percent / 100)), price);
+
+// V-Satz: Version 5 mit Semikolon (V;050;A;JJJJMMTT;Währung;Infotext),
+// Version 4 spaltenfest (Datum TTMMJJ Sp. 3–8, Infotext Sp. 9–48, Version Sp. 124–125, Währung Sp. 126–128)
+function header(line) {
+  if (line.includes(";")) {
+    const f = line.split(";").map((x) => x.trim());
+    return { version: Number(f[1]?.slice(0, 2)) === 5 ? 5 : 4, date: f[3] || "", currency: f[4] || "EUR", supplier: f[5] || "" };
+  }
+  const d = line.slice(2, 8);
+  return {
+    version: Number(line.slice(123, 125)) === 5 ? 5 : 4,
+    date: /^\d{6}$/.test(d) ? `20${d.slice(4, 6)}${d.slice(2, 4)}${d.slice(0, 2)}` : "",
+    currency: line.slice(125, 128).trim() || "EUR",
+    supplier: line.slice(8, 48).trim(),
+  };
+}
+
+// Eine oder mehrere Dateien (DATANORM.001, DATPREIS.001, DATANORM.RAB …) zu einem Artikelbestand zusammenführen.
+// Feldfolge der Sätze nach Datanorm 4; Version 5 hängt weitere Felder an, die hier nicht gebraucht werden:
+//   A;Kz;ArtNr;TextKz;Kurztext1;Kurztext2;PreisKz;PE;ME;Preis;RabGr;WG;LangtextSchlüssel
+//   B;Kz;ArtNr;Matchcode;AltArtNr;Katalogseite;;;EAN;…
+//   P;A;{ArtNr;PreisKz;Preis;RabKz1;Rabatt1;RabKz2;Rabatt2;RabKz3;Rabatt3} × bis zu 3
+//   R;[Kz;]RabGr;RabKz;Rabatt;Bezeichnung
+// Kz: N = neu, A = Änderung, L = Löschung. PreisKz 1 = Listenpreis, 2 = Nettopreis. PE: 0–3 → je 1/10/100/1000.
+export function parseDatanorm(files) {
+  const result = { version: 4, supplier: "", date: "", currency: "EUR", articles: [], rebates: {} };
+  const byNr = new Map();
+  const entry = (nr) => {
+    if (!byNr.has(nr)) {
+      const a = { artNr: nr, mode: "A", priceUnit: 1, rebates: [] };
+      byNr.set(nr, a);
+      result.articles.push(a);
+    }
+    return byNr.get(nr);
+  };
+
+  for (const file of [].concat(files)) {
+    const text = decode(file).replace(/^\uFEFF/, "");
+    for (const line of text.split(/\r?\n/)) {
+      const type = line[0];
+      if (type === "V") {
+        const h = header(line);
+        if (!result.supplier) Object.assign(result, h);
+        continue;
+      }
+      const f = line.split(";").map((x) => x.trim());
+      if (type === "A" && f[2]) {
+        const a = entry(f[2]);
+        const price = amount(f[9]);
+        Object.assign(a, {
+          mode: f[1] || "N",
+          name: [f[4], f[5]].filter(Boolean).join(" "),
+          unit: normalizeUnit(f[8]),
+          priceUnit: PRICE_UNITS[f[7]] || 1,
+          ...(price != null ? { price, priceKind: f[6] === "2" ? "net" : "list" } : {}),
+          ...(f[10] ? { rebateGroup: f[10] } : {}),
+          ...(f[11] ? { productGroup: f[11] } : {}),
+        });
+      } else if (type === "B" && f[2]) {
+        const a = entry(f[2]);
+        if (f[1] === "L") a.mode = "L";
+        if (f[3]) a.matchcode = f[3];
+        if (f[8]) a.ean = f[8];
+      } else if (type === "P") {
+        for (let i = 2; i + 2 < f.length && f[i]; i += 9) {
+          const price = amount(f[i + 2]);
+          if (price == null) continue;
+          const a = entry(f[i]);
+          a.price = price;
+          a.priceKind = f[i + 1] === "2" ? "net" : "list";
+          a.rebates = [3, 5, 7].map((k) => rebate(f[i + k], f[i + k + 1])).filter(Boolean);
+        }
+      } else if (type === "R") {
+        const g = /^[NAL]$/.test(f[1]) ? f.slice(2) : f.slice(1);
+        const r = rebate(g[1], g[2]);
+        if (g[0] && r) result.rebates[g[0]] = { ...r, ...(g[3] ? { label: g[3] } : {}) };
+      }
+    }
+  }
+  if (!result.articles.length && !Object.keys(result.rebates).length) throw new Error("Keine Datanorm-Sätze gefunden");
+  return result;
+}
+
+// Einkaufspreis je Einheit: Nettopreis direkt, Listenpreis abzüglich Positions- oder Gruppenrabatt
+export function purchasePrice(article, rebates = {}) {
+  if (article.price == null) return null;
+  let price = article.price / (article.priceUnit || 1);
+  if (article.priceKind !== "net") {
+    const own = article.rebates?.length ? article.rebates : null;
+    const group = article.rebateGroup && rebates[article.rebateGroup];
+    price = applyRebates(price, own || (group ? [group] : []));
+  }
+  return round4(price);
+}
+
+// Datanorm-Bestand auf eine Katalogversion anwenden. Zuordnung über Lieferanten-Artikelnummer
+// (supplierSku) oder SKU = Präfix + Artikelnummer. Der VK folgt dem EK mit dem bisherigen Aufschlag des
+// Artikels, neue Artikel bekommen markupPercent. Ohne addNew werden nur vorhandene Artikel aktualisiert.
+export function applyDatanorm(catalog, dn, { supplier = dn.supplier, prefix = "", rebates = {}, markupPercent = 30, addNew = false } = {}) {
+  // Rabatte aus dem Formular dürfen als reine Prozentzahl kommen
+  const groups = { ...dn.rebates };
+  for (const [g, r] of Object.entries(rebates)) groups[g] = typeof r === "number" ? { percent: r } : r;
+  const articles = catalog.articles.map((a) => ({ ...a }));
+  const bySku = new Map(articles.map((a, i) => [a.sku, i]));
+  const bySupplierSku = new Map(articles
+    .map((a, i) => [a, i])
+    .filter(([a]) => a.supplierSku && (!a.supplier || !supplier || a.supplier === supplier))
+    .map(([a, i]) => [a.supplierSku, i]));
+  const report = { added: [], changed: [], unchanged: 0, skipped: 0, discontinued: [], conflicts: [] };
+
+  for (const x of dn.articles) {
+    const idx = bySupplierSku.get(x.artNr) ?? bySku.get(`${prefix}${x.artNr}`) ?? -1;
+    const current = idx >= 0 ? articles[idx] : null;
+    if (x.mode === "L") {
+      if (current) report.discontinued.push({ sku: current.sku, name: current.name });
+      continue;
+    }
+    const purchase = purchasePrice(x, groups);
+    if (purchase == null) { report.skipped += 1; continue; }
+    const origin = {
+      ...(supplier ? { supplier } : {}),
+      supplierSku: x.artNr,
+      ...(x.priceKind === "list" ? { listPrice: round4(x.price / x.priceUnit) } : {}),
+      ...(x.rebateGroup ? { rebateGroup: x.rebateGroup } : {}),
+    };
+
+    if (!current) {
+      if (!addNew || !x.name || !x.unit) { report.skipped += 1; continue; }
+      const article = {
+        sku: `${prefix}${x.artNr}`,
+        name: x.name,
+        unit: x.unit,
+        purchasePrice: purchase,
+        salePrice: round2(purchase * (1 + markupPercent / 100)),
+        ...(x.productGroup ? { group: x.productGroup } : {}),
+        ...origin,
+      };
+      bySku.set(article.sku, articles.push(article) - 1);
+      report.added.push({ sku: article.sku, name: article.name, unit: article.unit, purchasePrice: article.purchasePrice, salePrice: article.salePrice });
+      continue;
+    }
+
+    // Preis pro Einheit der Datei; weicht die Einheit ab, würde der Katalogpreis verfälscht
+    if (x.unit && normalizeUnit(current.unit) !== x.unit) {
+      report.conflicts.push({ sku: current.sku, name: current.name, unit: current.unit, datanormUnit: x.unit });
+      continue;
+    }
+    const salePrice = current.purchasePrice > 0
+      ? round2(current.salePrice * (purchase / current.purchasePrice))
+      : round2(purchase * (1 + markupPercent / 100));
+    articles[idx] = { ...current, purchasePrice: purchase, salePrice, ...origin };
+    if (purchase === current.purchasePrice && salePrice === current.salePrice) {
+      report.unchanged += 1;
+      continue;
+    }
+    report.changed.push({
+      sku: current.sku,
+      name: current.name,
+      unit: current.unit,
+      purchasePrice: { old: current.purchasePrice, new: purchase },
+      salePrice: { old: current.salePrice, new: salePrice },
+      changePercent: current.purchasePrice > 0 ? round2((purchase / current.purchasePrice - 1) * 100) : null,
+    });
+  }
+  return { articles, report };
+}
@@ -0,0 +1,89 @@
+// ==============================
+// Bautagebuch
+// Ein Eintrag je Tag und Projekt (Nachträge möglich): Wetter, anwesende Mitarbeiter mit Stunden,
+// ausgeführte Arbeiten, besondere Vorkommnisse, Behinderungen und verknüpfte Fotos.
+// Unterschriebene Einträge sind gesperrt; die Prüfsumme macht spätere Änderungen am Datensatz sichtbar.
+// ==============================
+import crypto from "crypto";
+import { z } from "zod";
+
+export const WEATHER = {
+  sonnig: "sonnig",
+  bewoelkt: "bewölkt",
+  regen: "Regen",
+  schnee: "Schnee",
+  frost: "Frost",
+  sturm: "Sturm",
+  nebel: "Nebel",
+};
+
+export const StaffSchema = z.object({
+  name: z.string().min(1),
+  role: z.string().optional(), // z. B. Geselle, Azubi, Nachunternehmer
+  hours: z.number().min(0).max(24),
+});
+
+export const DiaryEntrySchema = z.object({
+  date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, "Datum im Format JJJJ-MM-TT"),
+  weather: z.object({
+    condition: z.enum(Object.keys(WEATHER)).optional(),
+    temperatureC: z.number().min(-40).max(50).optional(),
+    note: z.string().max(200).optional(),
+  }).default({}),
+  staff: z.array(StaffSchema).max(50).default([]),
+  workDone: z.string().min(1).max(5000),
+  incidents: z.string().max(5000).optional(), // besondere Vorkommnisse, Unfälle, Besuche
+  hindrances: z.string().max(5000).optional(), // Behinderungen, Bedenken (VOB/B § 6)
+  photos: z.array(z.string()).max(30).default([]), // URLs aus dem Projekt-Upload
+});
+
+// Notiz aus der Baustellen-App; asNew legt bewusst einen Nachtrag an
+export const DiaryNoteSchema = z.object({
+  date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, "Datum im Format JJJJ-MM-TT"),
+  time: z.string().regex(/^\d{2}:\d{2}$/, "Uhrzeit im Format HH:MM").optional(),
+  text: z.string().min(1).max(2000),
+  asNew: z.boolean().optional(),
+});
+
+export const diaryHours = (e) => Math.round((e.staff || []).reduce((s, p) => s + p.hours, 0) * 100) / 100;
+
+// Prüfsumme über den ganzen Eintrag inkl. Unterschrift
+export function diaryChecksum(entry) {
+  const { checksum, ...content } = entry;
+  return crypto.createHash("sha256").update(JSON.stringify(content)).digest("hex");
+}
+
+// Laufende Nummer je Projekt
+export const nextDiaryNumber = (entries) => entries.reduce((max, e) => Math.max(max, e.number || 0), 0) + 1;
+
+// Unterschrift mit Namen (getippt) und angemeldetem Benutzer; danach ist der Eintrag gesperrt
+export function signDiaryEntry(entry, { user, name, ts = Date.now() }) {
+  if (entry.signedAt) throw new Error(`Eintrag ${entry.number} ist bereits unterschrieben`);
+  const signed = { ...entry, signedAt: ts, signedBy: user, signerName: name || user };
+  return { ...signed, checksum: diaryChecksum(signed) };
+}
+
+// Abgeleiteter Zustand statt gespeicherter Flags, damit der unterschriebene Datensatz unverändert bleibt
+export function withDiaryState(entry) {
+  return {
+    ...entry,
+    totalHours: diaryHours(entry),
+    locked: !!entry.signedAt,
+    ...(entry.signedAt ? { intact: diaryChecksum(entry) === entry.checksum } : {}),
+  };
+}
+
+// Notizen landen im offenen Eintrag des Tages (jüngster zuerst). Gibt es an dem Tag nur unterschriebene
+// Einträge, ist das ein Konflikt – die App fragt dann, ob ein Nachtrag angelegt werden soll.
+export function diaryNoteTarget(entries, date) {
+  const sameDay = entries.filter((e) => e.date === date).sort((a, b) => b.number - a.number);
+  const open = sameDay.find((e) => !e.signedAt);
+  if (open) return { action: "append", entry: open };
+  if (sameDay.length) return { action: "conflict", entry: sameDay[0] };
+  return { action: "create" };
+}
+
+export const noteLine = ({ time, text }) => (time ? `[${time}] ${text}` : text);
+
+// Chronologisch (Datum, dann Nummer) – Reihenfolge im PDF
+export const byDiaryOrder = (a, b) => a.date.localeCompare(b.date) || a.number - b.number;
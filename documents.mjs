@@ -0,0 +1,131 @@
+// ==============================
+// Dokumentenablage (PDF-Center)
+// Erzeugte PDFs liegen nicht mehr unter public/, sondern unter data/documents/<mandant>/<id>.pdf und sind nur über
+// /api/pdfs/:id/download erreichbar. Jede Datei hat einen Eintrag in der Sammlung `documents` (Typ, Verknüpfung zu
+// Angebot/Rechnung/Kunde/Projekt, Größe, SHA-256, Ersteller). Erzeugt wird über eine Warteschlange: der Auftrag
+// liefert sofort einen Job, der Eintrag entsteht erst, wenn die Datei vollständig geschrieben ist.
+// Routen und Zeichnen der PDFs liegen in index.mjs.
+// ==============================
+import crypto from "crypto";
+import fs from "fs";
+import { z } from "zod";
+
+// Dokumentarten; zum Abruf braucht es neben pdfs.view die Rechte der Art (eigene Dokumente darf der Ersteller immer laden)
+export const DOCUMENT_TYPES = {
+  angebot: { label: "Angebot", permissions: ["offers.view", "prices.view"] },
+  rechnung: { label: "Rechnung", permissions: ["invoices.view"] },
+  bautagebuch: { label: "Bautagebuch", permissions: ["projects.view"] },
+  sonstiges: { label: "Sonstiges", permissions: [] },
+};
+
+export const JOB_STATUS = ["wartend", "aktiv", "fertig", "fehler"];
+
+export const fileChecksum = (file) => crypto.createHash("sha256").update(fs.readFileSync(file)).digest("hex");
+
+// ---------- Warteschlange ----------
+// Aufträge laufen nacheinander (concurrency) im Prozess; abgeschlossene Jobs bleiben `keep` ms abrufbar.
+// add() liefert den Job sofort und done mit dem Ergebnis der Aufgabe.
+export function createJobQueue({ concurrency = 1, keep = 60 * 60 * 1000, now = Date.now } = {}) {
+  const jobs = new Map();
+  const waiting = [];
+  let running = 0;
+
+  function prune() {
+    for (const [id, job] of jobs) {
+      if (job.finishedAt && now() - job.finishedAt > keep) jobs.delete(id);
+    }
+  }
+
+  function pump() {
+    while (running < concurrency && waiting.length) {
+      const { job, task, resolve, reject } = waiting.shift();
+      running += 1;
+      job.status = "aktiv";
+      job.startedAt = now();
+      Promise.resolve()
+        .then(task)
+        .then(
+          (result) => {
+            job.status = "fertig";
+            job.result = result;
+            resolve(result);
+          },
+          (e) => {
+            job.status = "fehler";
+            job.error = String(e?.message || e);
+            reject(e);
+          },
+        )
+        .finally(() => {
+          job.finishedAt = now();
+          running -= 1;
+          pump();
+        });
+    }
+  }
+
+  return {
+    add(meta, task) {
+      prune();
+      const job = { id: crypto.randomUUID(), ...meta, status: "wartend", createdAt: now() };
+      jobs.set(job.id, job);
+      const done = new Promise((resolve, reject) => waiting.push({ job, task, resolve, reject }));
+      done.catch(() => {}); // Fehler stehen im Job; wer nicht wartet, bekommt keine unbehandelte Ablehnung
+      pump();
+      return { job, done };
+    },
+    get: (id) => jobs.get(id),
+    stats: () => ({ waiting: waiting.length, running }),
+  };
+}
+
+// Sicht auf einen Job für die API (ohne Mandant und Ergebnisobjekt)
+export function jobView(job) {
+  const { tenantId, result, ...rest } = job;
+  return { ...rest, ...(job.status === "fertig" && result?.id ? { documentId: result.id } : {}) };
+}
+
+// ---------- Suche ----------
+const isoDate = z.string().regex(/^\d{4}-\d{2}-\d{2}$/, "Datum als JJJJ-MM-TT");
+
+export const DocumentQuerySchema = z.object({
+  q: z.string().optional(),
+  type: z.enum(Object.keys(DOCUMENT_TYPES)).optional(),
+  customerId: z.string().optional(),
+  projectId: z.string().optional(),
+  offerId: z.string().optional(),
+  invoiceId: z.string().optional(),
+  from: isoDate.optional(), // Erstellungsdatum (UTC), einschließlich
+  to: isoDate.optional(),
+  page: z.coerce.number().int().min(1).default(1),
+  size: z.coerce.number().int().min(1).max(100).default(20),
+});
+
+// Filter wie in der Abfrage, neueste zuerst
+export function filterDocuments(list, query) {
+  const q = String(query.q || "").toLowerCase();
+  const day = (ms) => new Date(ms).toISOString().slice(0, 10);
+  return list
+    .filter((d) => ["type", "customerId", "projectId", "offerId", "invoiceId"].every((k) => !query[k] || d[k] === query[k]))
+    .filter((d) => (!query.from || day(d.createdAt) >= query.from) && (!query.to || day(d.createdAt) <= query.to))
+    .filter((d) => !q || [d.filename, d.title, d.number].some((f) => String(f || "").toLowerCase().includes(q)))
+    .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+// ---------- Altbestand ----------
+// Dateien aus public/generated: Art, Belegnummer und Version stehen nur im Dateinamen
+// (Angebot_AN-2026-0001_v2_…, Rechnung_RE-2026-0003_…, Bautagebuch_…)
+const LEGACY_NAMES = [
+  [/^Angebot_(AN-\d{4}-\d+)_v(\d+)_/, "angebot"],
+  [/^Angebot_/, "angebot"],
+  [/^(?:Rechnung|Abschlagsrechnung|Schlussrechnung|Stornorechnung)_(RE-\d{4}-\d+)_/, "rechnung"],
+  [/^Bautagebuch_/, "bautagebuch"],
+];
+
+export function legacyDocument(name) {
+  for (const [re, type] of LEGACY_NAMES) {
+    const m = re.exec(name);
+    if (m) return { type, number: m[1] || null, version: m[2] ? Number(m[2]) : null };
+  }
+  return { type: "sonstiges", number: null, version: null };
+}
@@ -0,0 +1,556 @@
+// ==============================
+// E-Rechnung: XRechnung (UN/CEFACT CII und UBL) und ZUGFeRD/Factur-X
+// Aus einer gespeicherten Rechnung wird ein semantisches Modell nach EN 16931
+// (BT-/BG-Nummern) gebaut, offline gegen die wichtigsten Geschäftsregeln geprüft
+// und als XML serialisiert. Beträge werden wie in der Kalkulation in Cent geprüft.
+// ==============================
+import { allocateCents, fromCents, toCents } from "./offerEngine.mjs";
+
+export const XRECHNUNG_ID = "urn:cen.eu:en16931:2017#compliant#urn:xeinkauf.de:kosit:xrechnung_3.0";
+export const EN16931_ID = "urn:cen.eu:en16931:2017";
+
+// BT-3: Rechnungsart (UNTDID 1001)
+const TYPE_CODES = { rechnung: "380", schluss: "380", abschlag: "326", storno: "381" };
+
+// BT-130: Einheiten nach UN/ECE Recommendation 20
+const UNIT_CODES = {
+  "m²": "MTK", m2: "MTK", qm: "MTK",
+  "m³": "MTQ", m3: "MTQ",
+  m: "MTR", lfm: "MTR",
+  std: "HUR", h: "HUR", stunde: "HUR", stunden: "HUR",
+  stk: "H87", "stück": "H87",
+  psch: "LS", pauschal: "LS",
+  km: "KMT", l: "LTR", kg: "KGM", t: "TNE", tag: "DAY", tage: "DAY",
+};
+
+export function unitCode(unit) {
+  return UNIT_CODES[String(unit || "").trim().toLowerCase()] || "C62";
+}
+
+const AE_REASON = "Steuerschuldnerschaft des Leistungsempfängers (§ 13b UStG)";
+
+function taxCategory(rate, reverseCharge) {
+  if (reverseCharge) return { category: "AE", rate: 0 };
+  return { category: Number(rate) === 0 ? "Z" : "S", rate: Number(rate) };
+}
+const categoryKey = (t) => `${t.category}:${t.rate}`;
+
+// "Musterstr. 1, 12345 Berlin" → Straße, PLZ, Ort (für Freitext-Adressen älterer Datensätze)
+export function parseAddress(text) {
+  const s = String(text || "").trim();
+  const m = /^(.*?)[,\n]?\s*(\d{5})\s+([^,\n]+)$/.exec(s);
+  if (!m) return { street: s };
+  return { street: m[1].replace(/[,\s]+$/, ""), zip: m[2], city: m[3].trim() };
+}
+
+function party(base, fallbackAddress) {
+  const parsed = parseAddress(fallbackAddress);
+  return {
+    name: base.name || "",
+    street: base.street || parsed.street || "",
+    zip: base.zip || parsed.zip || "",
+    city: base.city || parsed.city || "",
+    countryCode: base.countryCode || "DE",
+    ...(base.vatId ? { vatId: base.vatId } : {}),
+    ...(base.taxNumber ? { taxNumber: base.taxNumber } : {}),
+    ...(base.email ? { email: base.email } : {}),
+  };
+}
+
+function paymentTerms(inv, due) {
+  const lines = [];
+  if (inv.type === "storno") lines.push(`Gutschrift zur Rechnung ${inv.cancelsNumber || ""}`.trim());
+  else if (inv.dueDate) lines.push(`Zahlbar bis ${inv.dueDate.split("-").reverse().join(".")} ohne Abzug.`);
+  // Skonto im von XRechnung vorgegebenen Format (BR-DE-18)
+  if (inv.skonto?.percent && due > 0) {
+    lines.push(`#SKONTO#TAGE=${inv.skonto.days}#PROZENT=${Number(inv.skonto.percent).toFixed(2)}#BASISBETRAG=${fromCents(due).toFixed(2)}#`);
+  }
+  return lines.join("\n") + "\n";
+}
+
+// Gespeicherte Rechnung → EN-16931-Modell. Storno wird als Gutschrift (381) mit positiven Beträgen abgebildet.
+// seller: Firmendaten aus den Einstellungen, buyer: Kundendatensatz (beides optional, Rechnung ist Fallback).
+export function buildInvoiceModel(inv, { seller = {}, buyer = {}, specification = XRECHNUNG_ID } = {}) {
+  const sign = inv.type === "storno" ? -1 : 1;
+  const c = (n) => sign * toCents(n || 0);
+
+  const taxes = inv.taxes?.length ? inv.taxes : [{
+    rate: inv.reverseCharge ? 0 : inv.taxRatePercentage ?? 19,
+    reverseCharge: !!inv.reverseCharge,
+    net: inv.totalBeforeTax,
+    tax: inv.tax,
+  }];
+  const groups = taxes.map((t) => ({
+    ...taxCategory(t.rate, t.reverseCharge),
+    netCents: c(t.net),
+    taxCents: c(t.tax),
+    lineCents: 0,
+  }));
+  const byKey = new Map(groups.map((g) => [categoryKey(g), g]));
+  const fallback = groups.length === 1 ? groups[0] : byKey.get(categoryKey(taxCategory(inv.taxRatePercentage ?? 19, false)));
+
+  // Positionen (BG-25); ein einzelner Pauschalposten über mehrere Steuersätze (Abschlag) wird je Satz aufgeteilt
+  const items = inv.items || [];
+  const raw = items.length === 1 && items[0].taxRate == null && groups.length > 1
+    ? groups.map((g) => ({
+      ...items[0],
+      description: `${items[0].description ?? items[0].desc} (${g.category === "AE" ? "§ 13b UStG" : `${g.rate} %`})`,
+      quantity: 1,
+      unitPrice: sign * fromCents(g.netCents),
+      total: sign * fromCents(g.netCents),
+      discountAmount: 0,
+      group: g,
+    }))
+    : items;
+  const lines = raw.map((it, i) => {
+    const g = it.group || (it.taxRate == null ? fallback : byKey.get(categoryKey(taxCategory(it.taxRate, it.reverseCharge)))) ||
+      { ...taxCategory(it.taxRate ?? 0, it.reverseCharge), netCents: 0, taxCents: 0, lineCents: 0 };
+    const quantity = Number(it.quantity ?? it.qty ?? 0);
+    const netCents = it.total != null ? c(it.total) : Math.round(quantity * c(it.unitPrice));
+    g.lineCents += netCents;
+    return {
+      id: String(i + 1),
+      name: String(it.description ?? it.desc ?? ""),
+      quantity,
+      unitCode: unitCode(it.unit),
+      netPrice: fromCents(c(it.unitPrice)),
+      allowance: fromCents(c(it.discountAmount)),
+      net: fromCents(netCents),
+      category: g.category,
+      rate: g.rate,
+    };
+  });
+
+  // Aufschlag und Gesamtrabatt als Zu-/Abschläge je Steuersatz (BG-20/BG-21), passend zum Netto je Satz
+  const charges = [];
+  const allowances = [];
+  const marginShares = allocateCents(c(inv.margin), groups.map((g) => g.lineCents));
+  groups.forEach((g, i) => {
+    const diff = g.netCents - g.lineCents;
+    let charge = toCents(inv.discountAmount || 0) ? marginShares[i] : diff;
+    let allowance = charge - diff;
+    if (allowance < 0) { charge -= allowance; allowance = 0; }
+    if (charge < 0) { allowance -= charge; charge = 0; }
+    if (charge) charges.push({ reason: "Aufschlag", amount: fromCents(charge), category: g.category, rate: g.rate });
+    if (allowance) allowances.push({ reason: "Rabatt", amount: fromCents(allowance), category: g.category, rate: g.rate });
+  });
+
+  const sum = (list, f) => list.reduce((s, x) => s + toCents(f(x)), 0);
+  const prepaidCents = sign * (inv.deductions || []).reduce((s, d) => s + toCents(d.gross), 0);
+  const dueCents = c(inv.amountDue ?? inv.total);
+  const s = { ...seller, name: seller.companyName || inv.company?.name, email: seller.email || inv.company?.email };
+
+  const notes = [];
+  if (inv.offerNumber) notes.push(`Bezug: Angebot ${inv.offerNumber}`);
+  if (inv.type === "storno" && inv.reason) notes.push(`Stornogrund: ${inv.reason}`);
+  if (inv.labourCosts?.gross && !inv.reverseCharge) {
+    notes.push(`Enthaltene Lohnkosten nach § 35a EStG: ${fromCents(c(inv.labourCosts.gross)).toFixed(2)} EUR brutto`);
+  }
+
+  return {
+    specification, // BT-24
+    number: inv.number, // BT-1
+    typeCode: TYPE_CODES[inv.type] || "380", // BT-3
+    creditNote: inv.type === "storno",
+    issueDate: inv.invoiceDate, // BT-2
+    dueDate: inv.type === "storno" ? "" : inv.dueDate || "", // BT-9
+    currency: inv.currency || "EUR", // BT-5
+    buyerReference: buyer.leitwegId || inv.offerNumber || "", // BT-10
+    precedingInvoices: [
+      ...(inv.cancelsNumber ? [inv.cancelsNumber] : []),
+      ...(inv.deductions || []).map((d) => d.number),
+    ], // BG-3
+    notes, // BG-1
+    period: { start: inv.serviceFrom || "", end: inv.serviceTo || inv.serviceFrom || "" }, // BG-14
+    seller: {
+      ...party(s, seller.address || inv.company?.address),
+      contact: { name: seller.contactName || "", phone: seller.phone || inv.company?.phone || "", email: s.email || "" },
+    }, // BG-4
+    buyer: party({ ...buyer, name: buyer.name || inv.customer?.name, email: buyer.email || inv.customer?.email },
+      inv.customer?.address || [buyer.street, buyer.city].filter(Boolean).join(", ")), // BG-7
+    payment: {
+      meansCode: "58", // SEPA-Überweisung
+      iban: String(seller.iban || "").replace(/\s+/g, ""),
+      bic: seller.bic || "",
+      terms: paymentTerms(inv, dueCents), // BT-20
+    },
+    lines,
+    allowances,
+    charges,
+    taxes: groups.map((g) => ({
+      category: g.category,
+      rate: g.rate,
+      basis: fromCents(g.netCents),
+      amount: fromCents(g.taxCents),
+      ...(g.category === "AE" ? { exemptionReason: AE_REASON, exemptionCode: "VATEX-EU-AE" } : {}),
+    })), // BG-23
+    totals: {
+      lines: fromCents(lines.reduce((t, l) => t + toCents(l.net), 0)), // BT-106
+      allowances: fromCents(sum(allowances, (a) => a.amount)), // BT-107
+      charges: fromCents(sum(charges, (a) => a.amount)), // BT-108
+      taxExclusive: fromCents(c(inv.totalBeforeTax)), // BT-109
+      tax: fromCents(c(inv.tax)), // BT-110
+      grand: fromCents(c(inv.total)), // BT-112
+      prepaid: fromCents(prepaidCents), // BT-113
+      due: fromCents(dueCents), // BT-115
+    },
+  };
+}
+
+// ---------- Validierung (Teilmenge der EN-16931- und XRechnung-Regeln, offline) ----------
+
+const blank = (v) => v == null || String(v).trim() === "";
+
+// Liefert { valid, errors, warnings } mit Einträgen { rule, message }.
+// xrechnung: zusätzlich die nationalen Regeln BR-DE-* prüfen (für ZUGFeRD EN 16931 nicht nötig).
+export function validateEN16931(m, { xrechnung = true } = {}) {
+  const errors = [];
+  const warnings = [];
+  const err = (rule, message) => errors.push({ rule, message });
+  const warn = (rule, message) => warnings.push({ rule, message });
+  const cents = (n) => toCents(n || 0);
+
+  if (blank(m.specification)) err("BR-01", "Spezifikationskennung (BT-24) fehlt");
+  if (blank(m.number)) err("BR-02", "Rechnungsnummer (BT-1) fehlt");
+  if (blank(m.issueDate)) err("BR-03", "Rechnungsdatum (BT-2) fehlt");
+  if (blank(m.typeCode)) err("BR-04", "Rechnungsart (BT-3) fehlt");
+  if (blank(m.currency)) err("BR-05", "Währung (BT-5) fehlt");
+  if (blank(m.seller?.name)) err("BR-06", "Name des Verkäufers (BT-27) fehlt");
+  if (blank(m.buyer?.name)) err("BR-07", "Name des Käufers (BT-44) fehlt");
+  if (blank(m.seller?.countryCode)) err("BR-09", "Land des Verkäufers (BT-40) fehlt");
+  if (blank(m.buyer?.countryCode)) err("BR-11", "Land des Käufers (BT-55) fehlt");
+  if (!m.lines?.length) err("BR-16", "Rechnung enthält keine Positionen");
+  if (m.totals.due > 0 && blank(m.dueDate) && blank(m.payment?.terms?.trim())) {
+    err("BR-CO-25", "Bei positivem Zahlbetrag sind Fälligkeitsdatum (BT-9) oder Zahlungsbedingungen (BT-20) nötig");
+  }
+
+  for (const l of m.lines || []) {
+    const at = `Position ${l.id}`;
+    if (blank(l.name)) err("BR-25", `${at}: Bezeichnung (BT-153) fehlt`);
+    if (!Number.isFinite(l.quantity)) err("BR-22", `${at}: Menge (BT-129) fehlt`);
+    if (blank(l.unitCode)) err("BR-23", `${at}: Einheit (BT-130) fehlt`);
+    if (!Number.isFinite(l.net)) err("BR-24", `${at}: Nettobetrag (BT-131) fehlt`);
+    if (l.netPrice < 0) err("BR-27", `${at}: Nettopreis (BT-146) darf nicht negativ sein`);
+    if (blank(l.category)) err("BR-CO-04", `${at}: Umsatzsteuerkategorie (BT-151) fehlt`);
+    if (l.unitCode === "C62") warn("BT-130", `${at}: Einheit unbekannt, als C62 (Stück) übertragen`);
+  }
+
+  // Summenregeln
+  const t = m.totals;
+  const lineSum = (m.lines || []).reduce((s, l) => s + cents(l.net), 0);
+  const allowanceSum = (m.allowances || []).reduce((s, a) => s + cents(a.amount), 0);
+  const chargeSum = (m.charges || []).reduce((s, a) => s + cents(a.amount), 0);
+  const taxSum = (m.taxes || []).reduce((s, x) => s + cents(x.amount), 0);
+  if (lineSum !== cents(t.lines)) err("BR-CO-10", "Summe der Positionsbeträge (BT-106) stimmt nicht");
+  if (allowanceSum !== cents(t.allowances)) err("BR-CO-11", "Summe der Abschläge (BT-107) stimmt nicht");
+  if (chargeSum !== cents(t.charges)) err("BR-CO-12", "Summe der Zuschläge (BT-108) stimmt nicht");
+  if (cents(t.lines) - cents(t.allowances) + cents(t.charges) !== cents(t.taxExclusive)) {
+    err("BR-CO-13", "Nettobetrag (BT-109) ≠ Positionen − Abschläge + Zuschläge");
+  }
+  if (taxSum !== cents(t.tax)) err("BR-CO-14", "Umsatzsteuer gesamt (BT-110) ≠ Summe der Steueraufschlüsselung");
+  if (cents(t.taxExclusive) + cents(t.tax) !== cents(t.grand)) err("BR-CO-15", "Bruttobetrag (BT-112) ≠ Netto + Umsatzsteuer");
+  if (cents(t.grand) - cents(t.prepaid) !== cents(t.due)) err("BR-CO-16", "Zahlbetrag (BT-115) ≠ Brutto − Vorauszahlungen");
+
+  // Steueraufschlüsselung je Kategorie (BR-S-08/09, BR-Z-08/09, BR-AE-08/09)
+  const hasVatId = !blank(m.seller?.vatId);
+  const hasTaxNo = !blank(m.seller?.taxNumber);
+  for (const x of m.taxes || []) {
+    const inCat = (list) => list.filter((a) => a.category === x.category && a.rate === x.rate).reduce((s, a) => s + cents(a.amount ?? a.net), 0);
+    const basis = inCat(m.lines || []) - inCat(m.allowances || []) + inCat(m.charges || []);
+    const p = `BR-${x.category}`;
+    if (basis !== cents(x.basis)) err(`${p}-08`, `Bemessungsgrundlage ${x.category} ${x.rate} % passt nicht zu Positionen und Zu-/Abschlägen`);
+    const expected = x.category === "S" ? Math.round((cents(x.basis) * x.rate) / 100) : 0;
+    if (cents(x.amount) !== expected) err(`${p}-09`, `Steuerbetrag ${x.category} ${x.rate} % ≠ Bemessungsgrundlage × Steuersatz`);
+    if (x.category === "S" && !(x.rate > 0)) err("BR-S-05", "Kategorie S benötigt einen Steuersatz größer 0");
+    if (x.category === "S" && !hasVatId && !hasTaxNo) err("BR-S-02", "Für Kategorie S ist USt-IdNr. (BT-31) oder Steuernummer (BT-32) des Verkäufers nötig");
+    if (x.category === "Z" && !hasVatId && !hasTaxNo) err("BR-Z-02", "Für Kategorie Z ist USt-IdNr. (BT-31) oder Steuernummer (BT-32) des Verkäufers nötig");
+    if (x.category === "AE") {
+      if (!hasVatId) err("BR-AE-02", "Bei § 13b UStG ist die USt-IdNr. des Verkäufers (BT-31) nötig");
+      if (blank(m.buyer?.vatId)) err("BR-AE-02", "Bei § 13b UStG ist die USt-IdNr. des Käufers (BT-48) nötig");
+      if (blank(x.exemptionReason) && blank(x.exemptionCode)) err("BR-AE-10", "Befreiungsgrund (BT-120/121) fehlt");
+    }
+  }
+  if (hasVatId && !/^[A-Z]{2}/.test(m.seller.vatId)) err("BR-CO-09", "USt-IdNr. des Verkäufers muss mit dem Ländercode beginnen");
+
+  if (xrechnung) {
+    if (m.specification !== XRECHNUNG_ID) err("BR-DE-21", "Spezifikationskennung entspricht nicht XRechnung 3.0");
+    if (blank(m.payment?.meansCode)) err("BR-DE-1", "Zahlungsanweisungen (BG-16) fehlen");
+    if (["58", "30"].includes(m.payment?.meansCode) && blank(m.payment?.iban)) {
+      err("BR-DE-23-a", "Für Überweisung ist eine IBAN (BT-84) in den Einstellungen nötig");
+    }
+    if (blank(m.seller?.city)) err("BR-DE-3", "Ort des Verkäufers (BT-37) fehlt");
+    if (blank(m.seller?.zip)) err("BR-DE-4", "PLZ des Verkäufers (BT-38) fehlt");
+    if (blank(m.seller?.contact?.name)) err("BR-DE-5", "Ansprechpartner des Verkäufers (BT-41) fehlt");
+    if (blank(m.seller?.contact?.phone)) err("BR-DE-6", "Telefon des Verkäufers (BT-42) fehlt");
+    if (blank(m.seller?.contact?.email)) err("BR-DE-7", "E-Mail des Verkäufers (BT-43) fehlt");
+    if (blank(m.buyer?.city)) err("BR-DE-8", "Ort des Käufers (BT-52) fehlt");
+    if (blank(m.buyer?.zip)) err("BR-DE-9", "PLZ des Käufers (BT-53) fehlt");
+    if (blank(m.buyerReference)) err("BR-DE-15", "Käuferreferenz bzw. Leitweg-ID (BT-10) fehlt");
+    if (!hasVatId && !hasTaxNo) err("BR-DE-16", "USt-IdNr. oder Steuernummer des Verkäufers fehlt");
+    const skonto = String(m.payment?.terms || "").split("\n").filter((l) => l.startsWith("#"));
+    for (const l of skonto) {
+      if (!/^#SKONTO#TAGE=\d+#PROZENT=\d+\.\d{2}#(BASISBETRAG=-?\d+\.\d{2}#)?$/.test(l)) err("BR-DE-18", `Skonto-Angabe ungültig: ${l}`);
+    }
+    if (blank(m.seller?.email)) warn("BT-34", "Elektronische Adresse des Verkäufers fehlt (E-Mail in den Einstellungen)");
+    if (blank(m.buyer?.email)) warn("BT-49", "Elektronische Adresse des Käufers fehlt (E-Mail beim Kunden)");
+  }
+  return { valid: errors.length === 0, errors, warnings };
+}
+
+// ---------- Serialisierung ----------
+
+const esc = (s) => String(s ?? "").replace(/[&<>"']/g, (ch) =>
+  ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&apos;" }[ch]));
+const amt = (n) => (Number(n) || 0).toFixed(2);
+const qty = (n) => String(Math.round(Number(n || 0) * 10000) / 10000);
+const pct = (n) => String(Number(n || 0));
+const d102 = (iso) => String(iso || "").replace(/-/g, "");
+const el = (tag, value, attrs = "") => (blank(value) ? "" : `<${tag}${attrs}>${esc(value)}</${tag}>`);
+const udtDate = (tag, iso) => (blank(iso) ? "" : `<${tag}><udt:DateTimeString format="102">${d102(iso)}</udt:DateTimeString></${tag}>`);
+
+function ciiParty(tag, p, contact) {
+  return `<ram:${tag}>` +
+    el("ram:Name", p.name) +
+    (contact ? "<ram:DefinedTradeContact>" + el("ram:PersonName", contact.name) +
+      (blank(contact.phone) ? "" : `<ram:TelephoneUniversalCommunication>${el("ram:CompleteNumber", contact.phone)}</ram:TelephoneUniversalCommunication>`) +
+      (blank(contact.email) ? "" : `<ram:EmailURIUniversalCommunication>${el("ram:URIID", contact.email)}</ram:EmailURIUniversalCommunication>`) +
+      "</ram:DefinedTradeContact>" : "") +
+    "<ram:PostalTradeAddress>" + el("ram:PostcodeCode", p.zip) + el("ram:LineOne", p.street) + el("ram:CityName", p.city) +
+    el("ram:CountryID", p.countryCode) + "</ram:PostalTradeAddress>" +
+    (blank(p.email) ? "" : `<ram:URIUniversalCommunication>${el("ram:URIID", p.email, ' schemeID="EM"')}</ram:URIUniversalCommunication>`) +
+    (blank(p.vatId) ? "" : `<ram:SpecifiedTaxRegistration>${el("ram:ID", p.vatId, ' schemeID="VA"')}</ram:SpecifiedTaxRegistration>`) +
+    (blank(p.taxNumber) ? "" : `<ram:SpecifiedTaxRegistration>${el("ram:ID", p.taxNumber, ' schemeID="FC"')}</ram:SpecifiedTaxRegistration>`) +
+    `</ram:${tag}>`;
+}
+
+const ciiCategory = (tag, x) =>
+  `<ram:${tag}><ram:TypeCode>VAT</ram:TypeCode><ram:CategoryCode>${x.category}</ram:CategoryCode>` +
+  `<ram:RateApplicablePercent>${pct(x.rate)}</ram:RateApplicablePercent></ram:${tag}>`;
+
+const ciiAllowanceCharge = (a, charge, withCategory) =>
+  "<ram:SpecifiedTradeAllowanceCharge>" +
+  `<ram:ChargeIndicator><udt:Indicator>${charge}</udt:Indicator></ram:ChargeIndicator>` +
+  `<ram:ActualAmount>${amt(a.amount)}</ram:ActualAmount>` + el("ram:Reason", a.reason) +
+  (withCategory ? ciiCategory("CategoryTradeTax", a) : "") +
+  "</ram:SpecifiedTradeAllowanceCharge>";
+
+// UN/CEFACT Cross Industry Invoice (D16B), wie von XRechnung und Factur-X verwendet
+export function toCII(m) {
+  const lines = m.lines.map((l) =>
+    "<ram:IncludedSupplyChainTradeLineItem>" +
+    `<ram:AssociatedDocumentLineDocument><ram:LineID>${esc(l.id)}</ram:LineID></ram:AssociatedDocumentLineDocument>` +
+    `<ram:SpecifiedTradeProduct>${el("ram:Name", l.name)}</ram:SpecifiedTradeProduct>` +
+    `<ram:SpecifiedLineTradeAgreement><ram:NetPriceProductTradePrice><ram:ChargeAmount>${amt(l.netPrice)}</ram:ChargeAmount></ram:NetPriceProductTradePrice></ram:SpecifiedLineTradeAgreement>` +
+    `<ram:SpecifiedLineTradeDelivery><ram:BilledQuantity unitCode="${l.unitCode}">${qty(l.quantity)}</ram:BilledQuantity></ram:SpecifiedLineTradeDelivery>` +
+    "<ram:SpecifiedLineTradeSettlement>" + ciiCategory("ApplicableTradeTax", l) +
+    (l.allowance ? ciiAllowanceCharge({ amount: l.allowance, reason: "Rabatt" }, false, false) : "") +
+    `<ram:SpecifiedTradeSettlementLineMonetarySummation><ram:LineTotalAmount>${amt(l.net)}</ram:LineTotalAmount></ram:SpecifiedTradeSettlementLineMonetarySummation>` +
+    "</ram:SpecifiedLineTradeSettlement></ram:IncludedSupplyChainTradeLineItem>").join("");
+
+  const taxes = m.taxes.map((x) =>
+    `<ram:ApplicableTradeTax><ram:CalculatedAmount>${amt(x.amount)}</ram:CalculatedAmount><ram:TypeCode>VAT</ram:TypeCode>` +
+    el("ram:ExemptionReason", x.exemptionReason) +
+    `<ram:BasisAmount>${amt(x.basis)}</ram:BasisAmount><ram:CategoryCode>${x.category}</ram:CategoryCode>` +
+    el("ram:ExemptionReasonCode", x.exemptionCode) +
+    `<ram:RateApplicablePercent>${pct(x.rate)}</ram:RateApplicablePercent></ram:ApplicableTradeTax>`).join("");
+
+  const t = m.totals;
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<rsm:CrossIndustryInvoice xmlns:rsm="urn:un:unece:uncefact:data:standard:CrossIndustryInvoice:100"' +
+    ' xmlns:ram="urn:un:unece:uncefact:data:standard:ReusableAggregateBusinessInformationEntity:100"' +
+    ' xmlns:qdt="urn:un:unece:uncefact:data:standard:QualifiedDataType:100"' +
+    ' xmlns:udt="urn:un:unece:uncefact:data:standard:UnqualifiedDataType:100">' +
+    "<rsm:ExchangedDocumentContext><ram:GuidelineSpecifiedDocumentContextParameter>" +
+    el("ram:ID", m.specification) + "</ram:GuidelineSpecifiedDocumentContextParameter></rsm:ExchangedDocumentContext>" +
+    "<rsm:ExchangedDocument>" + el("ram:ID", m.number) + el("ram:TypeCode", m.typeCode) + udtDate("ram:IssueDateTime", m.issueDate) +
+    m.notes.map((n) => `<ram:IncludedNote>${el("ram:Content", n)}</ram:IncludedNote>`).join("") +
+    "</rsm:ExchangedDocument>" +
+    "<rsm:SupplyChainTradeTransaction>" + lines +
+    "<ram:ApplicableHeaderTradeAgreement>" + el("ram:BuyerReference", m.buyerReference) +
+    ciiParty("SellerTradeParty", m.seller, m.seller.contact) + ciiParty("BuyerTradeParty", m.buyer) +
+    "</ram:ApplicableHeaderTradeAgreement>" +
+    "<ram:ApplicableHeaderTradeDelivery/>" +
+    "<ram:ApplicableHeaderTradeSettlement>" + el("ram:InvoiceCurrencyCode", m.currency) +
+    "<ram:SpecifiedTradeSettlementPaymentMeans>" + el("ram:TypeCode", m.payment.meansCode) +
+    (blank(m.payment.iban) ? "" : `<ram:PayeePartyCreditorFinancialAccount>${el("ram:IBANID", m.payment.iban)}</ram:PayeePartyCreditorFinancialAccount>`) +
+    (blank(m.payment.bic) ? "" : `<ram:PayeeSpecifiedCreditorFinancialInstitution>${el("ram:BICID", m.payment.bic)}</ram:PayeeSpecifiedCreditorFinancialInstitution>`) +
+    "</ram:SpecifiedTradeSettlementPaymentMeans>" + taxes +
+    (blank(m.period.start) ? "" : "<ram:BillingSpecifiedPeriod>" + udtDate("ram:StartDateTime", m.period.start) +
+      udtDate("ram:EndDateTime", m.period.end) + "</ram:BillingSpecifiedPeriod>") +
+    m.allowances.map((a) => ciiAllowanceCharge(a, false, true)).join("") +
+    m.charges.map((a) => ciiAllowanceCharge(a, true, true)).join("") +
+    "<ram:SpecifiedTradePaymentTerms>" + el("ram:Description", m.payment.terms) + udtDate("ram:DueDateDateTime", m.dueDate) +
+    "</ram:SpecifiedTradePaymentTerms>" +
+    "<ram:SpecifiedTradeSettlementHeaderMonetarySummation>" +
+    `<ram:LineTotalAmount>${amt(t.lines)}</ram:LineTotalAmount>` +
+    `<ram:ChargeTotalAmount>${amt(t.charges)}</ram:ChargeTotalAmount>` +
+    `<ram:AllowanceTotalAmount>${amt(t.allowances)}</ram:AllowanceTotalAmount>` +
+    `<ram:TaxBasisTotalAmount>${amt(t.taxExclusive)}</ram:TaxBasisTotalAmount>` +
+    `<ram:TaxTotalAmount currencyID="${esc(m.currency)}">${amt(t.tax)}</ram:TaxTotalAmount>` +
+    `<ram:GrandTotalAmount>${amt(t.grand)}</ram:GrandTotalAmount>` +
+    `<ram:TotalPrepaidAmount>${amt(t.prepaid)}</ram:TotalPrepaidAmount>` +
+    `<ram:DuePayableAmount>${amt(t.due)}</ram:DuePayableAmount>` +
+    "</ram:SpecifiedTradeSettlementHeaderMonetarySummation>" +
+    m.precedingInvoices.map((n) => `<ram:InvoiceReferencedDocument>${el("ram:IssuerAssignedID", n)}</ram:InvoiceReferencedDocument>`).join("") +
+    "</ram:ApplicableHeaderTradeSettlement>" +
+    "</rsm:SupplyChainTradeTransaction></rsm:CrossIndustryInvoice>\n";
+}
+
+function ublParty(tag, p, contact) {
+  return `<cac:${tag}><cac:Party>` +
+    el("cbc:EndpointID", p.email, ' schemeID="EM"') +
+    `<cac:PartyName>${el("cbc:Name", p.name)}</cac:PartyName>` +
+    "<cac:PostalAddress>" + el("cbc:StreetName", p.street) + el("cbc:CityName", p.city) + el("cbc:PostalZone", p.zip) +
+    `<cac:Country>${el("cbc:IdentificationCode", p.countryCode)}</cac:Country></cac:PostalAddress>` +
+    (blank(p.vatId) ? "" : `<cac:PartyTaxScheme>${el("cbc:CompanyID", p.vatId)}<cac:TaxScheme><cbc:ID>VAT</cbc:ID></cac:TaxScheme></cac:PartyTaxScheme>`) +
+    (blank(p.taxNumber) ? "" : `<cac:PartyTaxScheme>${el("cbc:CompanyID", p.taxNumber)}<cac:TaxScheme><cbc:ID>FC</cbc:ID></cac:TaxScheme></cac:PartyTaxScheme>`) +
+    `<cac:PartyLegalEntity>${el("cbc:RegistrationName", p.name)}</cac:PartyLegalEntity>` +
+    (contact ? "<cac:Contact>" + el("cbc:Name", contact.name) + el("cbc:Telephone", contact.phone) +
+      el("cbc:ElectronicMail", contact.email) + "</cac:Contact>" : "") +
+    `</cac:Party></cac:${tag}>`;
+}
+
+const ublCategory = (tag, x) =>
+  `<cac:${tag}><cbc:ID>${x.category}</cbc:ID><cbc:Percent>${pct(x.rate)}</cbc:Percent>` +
+  el("cbc:TaxExemptionReasonCode", x.exemptionCode) + el("cbc:TaxExemptionReason", x.exemptionReason) +
+  `<cac:TaxScheme><cbc:ID>VAT</cbc:ID></cac:TaxScheme></cac:${tag}>`;
+
+// OASIS UBL 2.1 Invoice bzw. CreditNote (Storno)
+export function toUBL(m) {
+  const cur = ` currencyID="${esc(m.currency)}"`;
+  const money = (tag, n) => `<cbc:${tag}${cur}>${amt(n)}</cbc:${tag}>`;
+  const doc = m.creditNote ? "CreditNote" : "Invoice";
+  const allowanceCharge = (a, charge, withCategory) =>
+    `<cac:AllowanceCharge><cbc:ChargeIndicator>${charge}</cbc:ChargeIndicator>` + el("cbc:AllowanceChargeReason", a.reason) +
+    money("Amount", a.amount) + (withCategory ? ublCategory("TaxCategory", a) : "") + "</cac:AllowanceCharge>";
+
+  const lines = m.lines.map((l) =>
+    `<cac:${doc}Line>` + el("cbc:ID", l.id) +
+    `<cbc:${m.creditNote ? "CreditedQuantity" : "InvoicedQuantity"} unitCode="${l.unitCode}">${qty(l.quantity)}</cbc:${m.creditNote ? "CreditedQuantity" : "InvoicedQuantity"}>` +
+    money("LineExtensionAmount", l.net) +
+    (l.allowance ? allowanceCharge({ amount: l.allowance, reason: "Rabatt" }, false, false) : "") +
+    `<cac:Item>${el("cbc:Name", l.name)}${ublCategory("ClassifiedTaxCategory", { category: l.category, rate: l.rate })}</cac:Item>` +
+    `<cac:Price>${money("PriceAmount", l.netPrice)}</cac:Price>` +
+    `</cac:${doc}Line>`).join("");
+
+  const t = m.totals;
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    `<${doc} xmlns="urn:oasis:names:specification:ubl:schema:xsd:${doc}-2"` +
+    ' xmlns:cac="urn:oasis:names:specification:ubl:schema:xsd:CommonAggregateComponents-2"' +
+    ' xmlns:cbc="urn:oasis:names:specification:ubl:schema:xsd:CommonBasicComponents-2">' +
+    el("cbc:CustomizationID", m.specification) + el("cbc:ID", m.number) + el("cbc:IssueDate", m.issueDate) +
+    (m.creditNote ? "" : el("cbc:DueDate", m.dueDate)) +
+    el(m.creditNote ? "cbc:CreditNoteTypeCode" : "cbc:InvoiceTypeCode", m.typeCode) +
+    m.notes.map((n) => el("cbc:Note", n)).join("") +
+    el("cbc:DocumentCurrencyCode", m.currency) + el("cbc:BuyerReference", m.buyerReference) +
+    (blank(m.period.start) ? "" : `<cac:InvoicePeriod>${el("cbc:StartDate", m.period.start)}${el("cbc:EndDate", m.period.end)}</cac:InvoicePeriod>`) +
+    m.precedingInvoices.map((n) => `<cac:BillingReference><cac:InvoiceDocumentReference>${el("cbc:ID", n)}</cac:InvoiceDocumentReference></cac:BillingReference>`).join("") +
+    ublParty("AccountingSupplierParty", m.seller, m.seller.contact) + ublParty("AccountingCustomerParty", m.buyer) +
+    "<cac:PaymentMeans>" + el("cbc:PaymentMeansCode", m.payment.meansCode) +
+    (blank(m.payment.iban) ? "" : "<cac:PayeeFinancialAccount>" + el("cbc:ID", m.payment.iban) +
+      (blank(m.payment.bic) ? "" : `<cac:FinancialInstitutionBranch>${el("cbc:ID", m.payment.bic)}</cac:FinancialInstitutionBranch>`) +
+      "</cac:PayeeFinancialAccount>") +
+    "</cac:PaymentMeans>" +
+    `<cac:PaymentTerms>${el("cbc:Note", m.payment.terms)}</cac:PaymentTerms>` +
+    m.allowances.map((a) => allowanceCharge(a, false, true)).join("") +
+    m.charges.map((a) => allowanceCharge(a, true, true)).join("") +
+    "<cac:TaxTotal>" + money("TaxAmount", t.tax) +
+    m.taxes.map((x) => "<cac:TaxSubtotal>" + money("TaxableAmount", x.basis) + money("TaxAmount", x.amount) +
+      ublCategory("TaxCategory", x) + "</cac:TaxSubtotal>").join("") +
+    "</cac:TaxTotal>" +
+    "<cac:LegalMonetaryTotal>" + money("LineExtensionAmount", t.lines) + money("TaxExclusiveAmount", t.taxExclusive) +
+    money("TaxInclusiveAmount", t.grand) + money("AllowanceTotalAmount", t.allowances) + money("ChargeTotalAmount", t.charges) +
+    money("PrepaidAmount", t.prepaid) + money("PayableAmount", t.due) +
+    "</cac:LegalMonetaryTotal>" + lines +
+    `</${doc}>\n`;
+}
+
+// ---------- ZUGFeRD / Factur-X (PDF/A-3) ----------
+
+const FX_NS = "urn:factur-x:pdfa:CrossIndustryDocument:invoice:1p0#";
+
+function xmp({ title, author, date, conformance }) {
+  const iso = date.toISOString();
+  return `<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>
+<x:xmpmeta xmlns:x="adobe:ns:meta/">
+<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">
+<rdf:Description rdf:about="" xmlns:pdfaid="http://www.aiim.org/pdfa/ns/id/">
+<pdfaid:part>3</pdfaid:part><pdfaid:conformance>B</pdfaid:conformance>
+</rdf:Description>
+<rdf:Description rdf:about="" xmlns:dc="http://purl.org/dc/elements/1.1/">
+<dc:format>application/pdf</dc:format>
+<dc:title><rdf:Alt><rdf:li xml:lang="x-default">${esc(title)}</rdf:li></rdf:Alt></dc:title>
+<dc:creator><rdf:Seq><rdf:li>${esc(author)}</rdf:li></rdf:Seq></dc:creator>
+</rdf:Description>
+<rdf:Description rdf:about="" xmlns:pdf="http://ns.adobe.com/pdf/1.3/" xmlns:xmp="http://ns.adobe.com/xap/1.0/">
+<pdf:Producer>PDFKit</pdf:Producer>
+<xmp:CreatorTool>PDFKit</xmp:CreatorTool>
+<xmp:CreateDate>${iso}</xmp:CreateDate>
+<xmp:ModifyDate>${iso}</xmp:ModifyDate>
+</rdf:Description>
+<rdf:Description rdf:about="" xmlns:fx="${FX_NS}">
+<fx:DocumentType>INVOICE</fx:DocumentType>
+<fx:DocumentFileName>factur-x.xml</fx:DocumentFileName>
+<fx:Version>1.0</fx:Version>
+<fx:ConformanceLevel>${conformance}</fx:ConformanceLevel>
+</rdf:Description>
+<rdf:Description rdf:about="" xmlns:pdfaExtension="http://www.aiim.org/pdfa/ns/extension/" xmlns:pdfaSchema="http://www.aiim.org/pdfa/ns/schema#" xmlns:pdfaProperty="http://www.aiim.org/pdfa/ns/property#">
+<pdfaExtension:schemas><rdf:Bag><rdf:li rdf:parseType="Resource">
+<pdfaSchema:schema>Factur-X PDFA Extension Schema</pdfaSchema:schema>
+<pdfaSchema:namespaceURI>${FX_NS}</pdfaSchema:namespaceURI>
+<pdfaSchema:prefix>fx</pdfaSchema:prefix>
+<pdfaSchema:property><rdf:Seq>
+${["DocumentFileName", "DocumentType", "Version", "ConformanceLevel"].map((name) =>
+    `<rdf:li rdf:parseType="Resource"><pdfaProperty:name>${name}</pdfaProperty:name><pdfaProperty:valueType>Text</pdfaProperty:valueType><pdfaProperty:category>external</pdfaProperty:category><pdfaProperty:description>${name}</pdfaProperty:description></rdf:li>`).join("\n")}
+</rdf:Seq></pdfaSchema:property>
+</rdf:li></rdf:Bag></pdfaExtension:schemas>
+</rdf:Description>
+</rdf:RDF>
+</x:xmpmeta>
+<?xpacket end="w"?>`;
+}
+
+// Hängt die CII-XML als factur-x.xml (AFRelationship Alternative) an ein offenes PDFKit-Dokument
+// und ergänzt die PDF/A-3-Metadaten. Muss vor doc.end() aufgerufen werden.
+// iccProfile: Buffer eines RGB-Profils für den OutputIntent (ohne Profil kein strenges PDF/A).
+export function attachFacturX(doc, xml, { title = "Rechnung", author = "", date = new Date(), conformance = "EN 16931", iccProfile } = {}) {
+  const data = Buffer.from(xml, "utf8");
+  const file = doc.ref({
+    Type: "EmbeddedFile",
+    Subtype: "text#2Fxml",
+    Params: { Size: data.length, CreationDate: date, ModDate: date },
+  });
+  file.end(data);
+  const spec = doc.ref({
+    Type: "Filespec",
+    F: new String("factur-x.xml"),
+    UF: new String("factur-x.xml"),
+    Desc: new String("Factur-X/ZUGFeRD Rechnungsdaten"),
+    AFRelationship: "Alternative",
+    EF: { F: file, UF: file },
+  });
+  spec.end();
+  doc.addNamedEmbeddedFile("factur-x.xml", spec);
+  doc._root.data.AF = [spec];
+
+  doc.info.Title = title;
+  doc.info.Author = author;
+  doc.info.CreationDate = date;
+  doc.info.ModDate = date;
+  const meta = doc.ref({ Type: "Metadata", Subtype: "XML" });
+  meta.compress = false;
+  meta.end(Buffer.from(xmp({ title, author, date, conformance }), "utf8"));
+  doc._root.data.Metadata = meta;
+
+  if (iccProfile) {
+    const icc = doc.ref({ N: 3 });
+    icc.end(iccProfile);
+    doc._root.data.OutputIntents = [{
+      Type: "OutputIntent",
+      S: "GTS_PDFA1",
+      OutputConditionIdentifier: new String("sRGB"),
+      DestOutputProfile: icc,
+    }];
+  }
+  return spec;
+}
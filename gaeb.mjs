@@ -0,0 +1,393 @@
+// ==============================
+// GAEB: Leistungsverzeichnisse einlesen und Angebote zurückgeben
+// Import von GAEB DA XML (X81/X83) und GAEB 90 (D81/D83) in Angebotspositionen
+// mit Ordnungszahl (OZ), Kurz-/Langtext, Menge und Einheit; Preise aus Katalog und
+// Zeitwerten. Export als Angebotsabgabe GAEB DA XML X84.
+// ==============================
+import { z } from "zod";
+import { normalizeUnit, priceContext } from "./catalog.mjs";
+
+export { normalizeUnit };
+
+// Herkunft eines importierten LV; wird mit dem Angebot gespeichert und beim X84-Export gebraucht
+export const GaebSourceSchema = z.object({
+  format: z.string(), // z. B. X83, D83
+  version: z.string().optional(), // GAEB-DA-XML-Version (3.2, 3.3)
+  project: z.object({ name: z.string().optional(), label: z.string().optional() }).default({}),
+  boqName: z.string().optional(),
+  breakdown: z.array(z.number().int().positive()).optional(), // Stellen je OZ-Ebene, zuletzt die Position
+  categories: z.array(z.object({ oz: z.string(), label: z.string() })).default([]),
+  // Bedarfs- und Wahlpositionen: werden angeboten, zählen aber nicht zur Angebotssumme
+  extraItems: z.array(z.object({
+    oz: z.string(),
+    description: z.string(),
+    longText: z.string().optional(),
+    quantity: z.number(),
+    unit: z.string(),
+    unitPrice: z.number(),
+    type: z.enum(["optional", "alternative"]),
+    altGroup: z.string().optional(),
+    altSerNo: z.string().optional(),
+  })).default([]),
+});
+
+// ---------- Einheiten ----------
+// Rückweg für den Export: GAEB-übliche Kürzel
+const GAEB_UNITS = { "m²": "m2", "m³": "m3", Stk: "St", Std: "h" };
+
+// ---------- Minimaler XML-Leser (ohne DTD/Namensräume, für GAEB ausreichend) ----------
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" };
+const decode = (s) => s.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (m, e) => {
+  if (e[0] === "#") return String.fromCodePoint(e[1].toLowerCase() === "x" ? parseInt(e.slice(2), 16) : Number(e.slice(1)));
+  return ENTITIES[e] ?? m;
+});
+const localName = (n) => n.slice(n.indexOf(":") + 1);
+
+function parseXml(text) {
+  const root = { name: "#root", attrs: {}, children: [] };
+  const stack = [root];
+  const re = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<\/([^\s>]+)\s*>|<([^\s/>!?]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+  for (const m of text.matchAll(re)) {
+    const top = stack[stack.length - 1];
+    if (m[1] != null) top.children.push(m[1]);
+    else if (m[2]) {
+      const name = localName(m[2]);
+      const i = stack.map((n) => n.name).lastIndexOf(name);
+      if (i > 0) stack.length = i;
+    } else if (m[3]) {
+      const attrs = {};
+      for (const a of (m[4] || "").matchAll(/([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) attrs[a[1]] = decode(a[2] ?? a[3]);
+      const node = { name: localName(m[3]), attrs, children: [] };
+      top.children.push(node);
+      if (!m[5]) stack.push(node);
+    } else if (m[6] != null) top.children.push(decode(m[6]));
+  }
+  return root;
+}
+
+const kids = (node, name) => (node?.children || []).filter((c) => typeof c !== "string" && c.name === name);
+const kid = (node, name) => kids(node, name)[0];
+function find(node, name) {
+  if (!node || typeof node === "string") return null;
+  if (node.name === name) return node;
+  for (const c of node.children) {
+    const hit = find(c, name);
+    if (hit) return hit;
+  }
+  return null;
+}
+const textOf = (node) => (node ? node.children.map((c) => (typeof c === "string" ? c : textOf(c))).join("").trim() : "");
+
+// Formatierter GAEB-Text (<p>, <span>, <br/>) → Klartext mit Zeilenumbrüchen
+function richText(node) {
+  if (!node) return "";
+  const walk = (n) => n.children.map((c) => {
+    if (typeof c === "string") return c.replace(/\s+/g, " ");
+    if (c.name === "br") return "\n";
+    const inner = walk(c);
+    return ["p", "div"].includes(c.name) ? `${inner.trim()}\n` : inner;
+  }).join("");
+  return walk(node).split("\n").map((l) => l.trim()).join("\n").replace(/\n{3,}/g, "\n\n").trim();
+}
+
+// ---------- Import ----------
+function itemType(flag) {
+  if (flag.provis === "WithoutTotal") return "optional";
+  if (flag.altSerNo && Number(flag.altSerNo) > 0) return "alternative";
+  return "normal";
+}
+
+function parseGaebXml(xml) {
+  const gaeb = find(parseXml(xml), "GAEB");
+  if (!gaeb) throw new Error("Keine GAEB-DA-XML-Datei");
+  const ns = gaeb.attrs.xmlns || "";
+  const award = kid(gaeb, "Award");
+  const boq = kid(award, "BoQ");
+  if (!boq) throw new Error("GAEB-Datei enthält kein Leistungsverzeichnis");
+  const prj = kid(gaeb, "PrjInfo");
+  const info = kid(boq, "BoQInfo");
+
+  const categories = [];
+  const items = [];
+  const walk = (body, path) => {
+    for (const ctgy of kids(body, "BoQCtgy")) {
+      const oz = [...path, ctgy.attrs.RNoPart || ""];
+      categories.push({ oz: oz.join("."), label: richText(kid(ctgy, "LblTx")) });
+      walk(kid(ctgy, "BoQBody"), oz);
+    }
+    for (const list of kids(body, "Itemlist")) {
+      for (const item of kids(list, "Item")) {
+        const complete = find(kid(item, "Description"), "CompleteText");
+        const longText = richText(find(complete, "DetailTxt"));
+        const qty = Number(textOf(kid(item, "Qty")).replace(",", "."));
+        items.push({
+          oz: [...path, item.attrs.RNoPart || ""].join("."),
+          shortText: richText(find(complete, "OutlTxt")) || longText.split("\n")[0] || "",
+          longText,
+          quantity: Number.isFinite(qty) && textOf(kid(item, "Qty")) !== "" ? qty : 1,
+          unit: normalizeUnit(textOf(kid(item, "QU")) || (textOf(kid(item, "LumpSumItem")) === "Yes" ? "psch" : "")),
+          type: itemType({
+            provis: textOf(kid(item, "Provis")) || item.attrs.Provis,
+            altSerNo: textOf(kid(item, "ALNSerNo")),
+          }),
+          altGroup: textOf(kid(item, "ALNGroupNo")) || undefined,
+          altSerNo: textOf(kid(item, "ALNSerNo")) || undefined,
+        });
+      }
+    }
+  };
+  walk(kid(boq, "BoQBody"), []);
+
+  const dp = textOf(kid(award, "DP")) || /DA(\d\d)/.exec(ns)?.[1] || "83";
+  return {
+    format: `X${dp}`,
+    version: /\/(\d\.\d)$/.exec(ns)?.[1] || textOf(kid(kid(gaeb, "GAEBInfo"), "Version")) || undefined,
+    project: { name: textOf(kid(prj, "NamePrj")), label: textOf(kid(prj, "LblPrj")) },
+    currency: textOf(kid(prj, "Cur")) || textOf(kid(kid(award, "AwardInfo"), "Cur")) || "EUR",
+    owner: textOf(find(kid(award, "OWN"), "Name1")),
+    boqName: textOf(kid(info, "Name")) || richText(kid(info, "LblTx")),
+    breakdown: kids(info, "BoQBkdn")
+      .filter((b) => ["BoQLevel", "Item"].includes(textOf(kid(b, "Type")) || b.attrs.Type))
+      .map((b) => Number(textOf(kid(b, "Length")) || b.attrs.Length))
+      .filter((n) => n > 0),
+    categories,
+    items,
+  };
+}
+
+// GAEB 90: Zeilen à 80 Zeichen, Satzart in Spalte 1–2, Daten ab Spalte 3.
+// 11/12 = Beginn/Bezeichnung LV-Bereich, 21 = Position (OZ Sp. 3–11, Positionsart Sp. 12/13,
+// Menge Sp. 24–34 mit drei Nachkommastellen, Einheit Sp. 35–38), 25 = Kurztext, 26 = Langtext, 31 = Bereichsende.
+function parseGaeb90(text, dp) {
+  const groups = [];
+  const categories = [];
+  const items = [];
+  let cat = null;
+  let item = null;
+  // "01020010" unter den Bereichen "01" und "0102" → "01.02.0010"
+  const dotted = (oz) => {
+    const parts = [];
+    let prev = "";
+    for (const g of groups) {
+      if (g.length <= prev.length || !oz.startsWith(g)) continue;
+      parts.push(g.slice(prev.length));
+      prev = g;
+    }
+    return [...parts, oz.slice(prev.length)].filter(Boolean).join(".");
+  };
+
+  for (const raw of text.split(/\r?\n/)) {
+    const rec = raw.slice(0, 2);
+    const data = raw.slice(2, 74);
+    if (rec === "11") {
+      const oz = raw.slice(2, 11).trim();
+      while (groups.length && !oz.startsWith(groups[groups.length - 1])) groups.pop();
+      cat = { oz: dotted(oz), label: "" };
+      categories.push(cat);
+      groups.push(oz);
+      item = null;
+    } else if (rec === "12" && cat) {
+      cat.label = `${cat.label} ${data.trim()}`.trim();
+    } else if (rec === "21") {
+      const qtyRaw = raw.slice(23, 34).trim();
+      const qty = /[.,]/.test(qtyRaw) ? Number(qtyRaw.replace(",", ".")) : Number(qtyRaw) / 1000;
+      item = {
+        oz: dotted(raw.slice(2, 11).trim()),
+        shortText: "",
+        longText: "",
+        quantity: qtyRaw && Number.isFinite(qty) ? qty : 1,
+        unit: normalizeUnit(raw.slice(34, 38).trim()),
+        type: raw[12] === "E" ? "optional" : raw[11] === "A" ? "alternative" : "normal",
+      };
+      items.push(item);
+    } else if (rec === "25" && item) {
+      item.shortText = `${item.shortText} ${data.trim()}`.trim();
+    } else if (rec === "26" && item) {
+      item.longText = item.longText ? `${item.longText}\n${data.trimEnd()}` : data.trimEnd();
+    } else if (rec === "31") {
+      groups.pop();
+      item = null;
+    }
+  }
+  for (const it of items) {
+    it.longText = it.longText.trim();
+    if (!it.shortText) it.shortText = it.longText.split("\n")[0] || "";
+  }
+  if (!items.length) throw new Error("Keine Positionen in der GAEB-90-Datei gefunden");
+  return { format: `D${dp}`, project: {}, currency: "EUR", owner: "", categories, items };
+}
+
+// Datei (Buffer oder Text) einlesen; Format über Inhalt, DA-Nummer notfalls über die Endung
+export function parseGaeb(input, filename = "") {
+  let text = input;
+  if (Buffer.isBuffer(input)) {
+    try {
+      text = new TextDecoder("utf-8", { fatal: true }).decode(input);
+    } catch {
+      text = input.toString("latin1");
+    }
+  }
+  text = String(text || "").replace(/^\uFEFF/, "");
+  const dp = /\.[xdp](\d\d)$/i.exec(filename)?.[1] || "83";
+  const lv = text.trimStart().startsWith("<") ? parseGaebXml(text) : parseGaeb90(text, dp);
+  if (!lv.project.name) lv.project.name = filename.replace(/\.[^.]+$/, "");
+  return lv;
+}
+
+// ---------- Bepreisung ----------
+const fold = (s) => String(s || "").toLowerCase()
+  .replace(/ä/g, "a").replace(/ö/g, "o").replace(/ü/g, "u").replace(/ß/g, "ss");
+const words = (s) => fold(s).split(/[^a-z0-9]+/).filter((w) => w.length >= 4);
+const sameWord = (a, b) => a.slice(0, 5) === b.slice(0, 5);
+const score = (tokens, label) => words(label).filter((w) => tokens.some((t) => sameWord(t, w))).length;
+
+function best(list, rate) {
+  let hit = null;
+  let top = 0;
+  for (const x of list) {
+    const s = rate(x);
+    if (s > top) { hit = x; top = s; }
+  }
+  return hit;
+}
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// LV-Positionen mit Katalog bepreisen: Material über Artikel (gleiche Einheit oder Ergiebigkeit je m²),
+// Lohn über Zeitwerte × Stundensatz. Nicht zuordenbare Positionen bleiben bei 0 € und werden gemeldet.
+export function priceGaebItems(lv, { catalog, segment, laborRatePerHour = 0 }) {
+  const ctx = priceContext(catalog, segment);
+  return lv.items.map((it) => {
+    const tokens = words(it.shortText);
+    const article = best(catalog.articles, (a) => {
+      const unit = normalizeUnit(a.unit);
+      if (unit !== it.unit && !(a.coverage && it.unit === "m²")) return 0;
+      return score(tokens, a.name);
+    });
+    const norm = best(catalog.norms, (n) => (normalizeUnit(n.unit) === it.unit ? score(tokens, n.label) : 0));
+    const material = !article ? 0
+      : normalizeUnit(article.unit) === it.unit ? ctx.price(article.sku) : ctx.price(article.sku) / article.coverage;
+    const labour = norm ? ctx.hours(norm.key, 1) * laborRatePerHour : 0;
+    return {
+      oz: it.oz,
+      description: it.shortText,
+      ...(it.longText ? { longText: it.longText } : {}),
+      quantity: it.quantity,
+      unit: it.unit,
+      unitPrice: round2(material + labour),
+      kind: labour > material ? "labour" : "material",
+      type: it.type,
+      ...(it.altGroup ? { altGroup: it.altGroup, altSerNo: it.altSerNo } : {}),
+      match: { ...(article ? { sku: article.sku } : {}), ...(norm ? { norm: norm.key } : {}) },
+    };
+  });
+}
+
+// Eingelesenes LV → Angebotseingabe (OfferSchema) samt Herkunftsangaben
+export function gaebToOfferInput(lv, priced, { company = {}, laborRatePerHour = 0, segment } = {}) {
+  const normal = priced.filter((p) => p.type === "normal");
+  return {
+    company: { name: company.name || "" },
+    customer: { name: lv.owner || "" },
+    project: { title: lv.project.label || lv.project.name || lv.boqName || "" },
+    items: normal.map(({ type, match, altSerNo, ...it }) => it),
+    laborRatePerHour,
+    ...(segment ? { segment } : {}),
+    gaeb: {
+      format: lv.format,
+      ...(lv.version ? { version: lv.version } : {}),
+      project: lv.project,
+      ...(lv.boqName ? { boqName: lv.boqName } : {}),
+      ...(lv.breakdown?.length ? { breakdown: lv.breakdown } : {}),
+      categories: lv.categories,
+      extraItems: priced.filter((p) => p.type !== "normal").map(({ match, kind, ...it }) => it),
+    },
+  };
+}
+
+// ---------- Export X84 ----------
+const esc = (s) => String(s ?? "").replace(/[&<>"']/g, (ch) =>
+  ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&apos;" }[ch]));
+const para = (text) => String(text || "").split("\n").map((l) => `<p><span>${esc(l)}</span></p>`).join("");
+
+// Angebotsabgabe aus einem gespeicherten Angebot (calc: items, subtotal, totalBeforeTax; input.gaeb optional).
+// Aufschlag und Gesamtrabatt werden in die Einheitspreise eingerechnet, da GAEB nur Positionspreise kennt.
+export function toX84(offer, { company = {}, date = new Date() } = {}) {
+  const src = offer.input?.gaeb;
+  const factor = offer.subtotal ? offer.totalBeforeTax / offer.subtotal : 1;
+  const up = (it) => {
+    const q = Number(it.quantity) || 0;
+    return round2(q ? ((it.total ?? q * it.unitPrice) / q) * factor : it.unitPrice * factor);
+  };
+  let n = 0;
+  const items = (offer.items || []).map((it) => ({
+    oz: it.oz || String((n += 1) * 10).padStart(4, "0"),
+    description: it.description ?? it.desc ?? "",
+    longText: (offer.input?.items || []).find((x) => x.oz && x.oz === it.oz)?.longText || "",
+    quantity: Number(it.quantity ?? it.qty ?? 0),
+    unit: it.unit || "",
+    unitPrice: up(it),
+    type: "normal",
+  }));
+  for (const x of src?.extraItems || []) items.push({ ...x, unitPrice: round2(x.unitPrice * factor) });
+
+  // Baum aus den OZ-Teilen; Bereichsbezeichnungen aus dem importierten LV
+  const labels = new Map((src?.categories || []).map((c) => [c.oz, c.label]));
+  const tree = { categories: new Map(), items: [] };
+  for (const it of items) {
+    const parts = it.oz.split(".");
+    let node = tree;
+    parts.slice(0, -1).forEach((p, i) => {
+      if (!node.categories.has(p)) node.categories.set(p, { oz: parts.slice(0, i + 1).join("."), categories: new Map(), items: [] });
+      node = node.categories.get(p);
+    });
+    node.items.push({ ...it, rno: parts[parts.length - 1] });
+  }
+
+  let id = 0;
+  const nextId = (prefix) => `${prefix}_${(id += 1)}`;
+  const isTotal = (it) => it.type === "normal";
+  const lineTotal = (it) => round2(it.quantity * it.unitPrice);
+  const itemXml = (it) =>
+    `<Item ID="${nextId("ITEM")}" RNoPart="${esc(it.rno)}">` +
+    (it.type === "optional" ? "<Provis>WithoutTotal</Provis>" : "") +
+    (it.altGroup ? `<ALNGroupNo>${esc(it.altGroup)}</ALNGroupNo><ALNSerNo>${esc(it.altSerNo || "0")}</ALNSerNo>` : "") +
+    `<Qty>${it.quantity.toFixed(3)}</Qty><QU>${esc(GAEB_UNITS[it.unit] || it.unit)}</QU>` +
+    `<UP>${it.unitPrice.toFixed(2)}</UP>` +
+    (isTotal(it) ? `<IT>${lineTotal(it).toFixed(2)}</IT>` : "") +
+    "<Description><CompleteText>" +
+    (it.longText ? `<DetailTxt><Text>${para(it.longText)}</Text></DetailTxt>` : "") +
+    `<OutlineText><OutlTxt><TextOutlTxt>${para(it.description)}</TextOutlTxt></OutlTxt></OutlineText>` +
+    "</CompleteText></Description></Item>";
+  const sum = (node) => round2(node.items.filter(isTotal).reduce((s, it) => s + lineTotal(it), 0) +
+    [...node.categories.values()].reduce((s, c) => s + sum(c), 0));
+  const body = (node) =>
+    "<BoQBody>" +
+    [...node.categories.entries()].map(([rno, c]) =>
+      `<BoQCtgy ID="${nextId("CTGY")}" RNoPart="${esc(rno)}"><LblTx>${para(labels.get(c.oz) || "")}</LblTx>` +
+      body(c) + `<Totals><Total>${sum(c).toFixed(2)}</Total></Totals></BoQCtgy>`).join("") +
+    (node.items.length ? `<Itemlist>${node.items.map(itemXml).join("")}</Itemlist>` : "") +
+    "</BoQBody>";
+
+  const depth = Math.max(...items.map((it) => it.oz.split(".").length), 1);
+  const breakdown = src?.breakdown?.length ? src.breakdown
+    : items[0]?.oz.split(".").map((p) => p.length) || [4];
+  const bkdn = breakdown.slice(0, depth).map((len, i, all) =>
+    `<BoQBkdn><Type>${i === all.length - 1 ? "Item" : "BoQLevel"}</Type><Length>${len}</Length><Num>Yes</Num></BoQBkdn>`).join("");
+  const version = src?.version || "3.3";
+  const title = src?.project?.label || offer.title || offer.input?.project?.title || offer.number || "";
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    `<GAEB xmlns="http://www.gaeb.de/GAEB_DA_XML/DA84/${version}">` +
+    `<GAEBInfo><Version>${esc(version)}</Version><Date>${date.toISOString().slice(0, 10)}</Date><ProgSystem>MeisterKI</ProgSystem></GAEBInfo>` +
+    `<PrjInfo><NamePrj>${esc(src?.project?.name || offer.number || "")}</NamePrj><LblPrj>${esc(title)}</LblPrj><Cur>EUR</Cur><CurLbl>Euro</CurLbl></PrjInfo>` +
+    "<Award><DP>84</DP><AwardInfo><Cur>EUR</Cur><CurLbl>Euro</CurLbl></AwardInfo>" +
+    `<CTR><Address><Name1>${esc(company.name || "")}</Name1>` +
+    (company.street ? `<Street>${esc(company.street)}</Street>` : "") +
+    (company.zip ? `<PCode>${esc(company.zip)}</PCode>` : "") +
+    (company.city ? `<City>${esc(company.city)}</City>` : "") +
+    "</Address></CTR>" +
+    `<BoQ ID="${nextId("BOQ")}"><BoQInfo><Name>${esc(src?.boqName || title)}</Name>${bkdn}` +
+    `<Totals><Total>${sum(tree).toFixed(2)}</Total></Totals></BoQInfo>` + body(tree) + "</BoQ>" +
+    "</Award></GAEB>\n";
+}
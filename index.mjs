@@ -23,10 +23,83 @@ import morgan from "morgan";
 // ------- Uploads & E-Mail -------
 import multer from "multer";
 import nodemailer from "nodemailer";
+import sharp from "sharp";
 
 // ------- Validation -------
 import { z } from "zod";
 
+// ------- Kalkulation -------
+import { listTrades, missingCatalogEntries } from "./trades/index.mjs";
+import { ArticleSchema, CatalogSchema, DEFAULT_CATALOG, NormSchema, priceContext } from "./catalog.mjs";
+import { applyDatanorm, parseDatanorm } from "./datanorm.mjs";
+import {
+  calculateOffer, COST_KINDS, normalizeOfferBody, OfferSchema, parseOfferInput, ratesFromSettings,
+} from "./offerEngine.mjs";
+import {
+  canChangeStatus, defaultValidUntil, isExpired, newOffer, nextNumber, OFFER_PREFIX, OFFER_STATUS, OfferMetaSchema, offerRevision,
+  reviseOffer, revisionOf, withStatus,
+} from "./offers.mjs";
+import { gaebToOfferInput, parseGaeb, priceGaebItems, toX84 } from "./gaeb.mjs";
+import {
+  activeInvoicesForOffer, buildInvoiceAmounts, cancellationConflict, INVOICE_PREFIX, INVOICE_TITLES, InvoiceCreateSchema, newInvoice,
+  stornoInvoice, withInvoiceState,
+} from "./invoices.mjs";
+import { attachFacturX, buildInvoiceModel, EN16931_ID, toCII, toUBL, validateEN16931, XRECHNUNG_ID } from "./einvoice.mjs";
+
+// ------- Anmeldung (2FA, Passwort-Richtlinie) -------
+import {
+  checkPassword, findRecoveryCode, generateApiToken, generateRecoveryCodes, generateSecret, hashApiToken, otpauthUrl, verifyTotp,
+} from "./auth.mjs";
+
+// ------- Kundenstamm -------
+import {
+  AddressSchema, billingAddress, ContactSchema, CUSTOMER_REFERENCES, customerProblems, CustomerSchema, customersFromCsv,
+  customersFromVcards, customerTimeline, customerType, decodeText, findDuplicates, matchCustomer, mergeCustomers,
+  reassignCustomer, TIMELINE_ACTIONS, withSubIds,
+} from "./customers.mjs";
+
+// ------- Projektkosten & Nachkalkulation -------
+import {
+  BOOKING_KINDS, bookingCost, bookingInput, BookingSchema, dayHours, MAX_DAY_HOURS, MaterialBookingSchema, postCalculation, SubcontractBookingSchema,
+  TimeBookingSchema,
+} from "./costs.mjs";
+
+// ------- Bautagebuch -------
+import {
+  byDiaryOrder, DiaryEntrySchema, DiaryNoteSchema, diaryNoteTarget, nextDiaryNumber, noteLine, signDiaryEntry, StaffSchema, WEATHER,
+  withDiaryState,
+} from "./diary.mjs";
+
+// ------- Projektfotos -------
+import {
+  AnnotationSchema, annotationSvg, byPhotoTime, groupBeforeAfter, MAX_PHOTO_BYTES, normalizeTags, parseExif, PHASES, PHOTO_TYPES,
+  PhotoUpdateSchema, THUMB_SIZE,
+} from "./media.mjs";
+
+// ------- Kundenfreigabe -------
+import {
+  AcceptSchema, applyChoices, ChoicesSchema, generatePortalToken, hashPortalToken, offerHash, portalLinkExpiry,
+  portalOffer, RejectSchema,
+} from "./approval.mjs";
+
+// ------- Dokumentvorlagen -------
+import {
+  fillPlaceholders, FONT_NAME, footerColumns, inspectFont, letterGeometry, pickTemplate, PLACEHOLDERS, PREVIEW_INPUT,
+  recipientLines, senderLine, TemplateSchema,
+} from "./templates.mjs";
+import {
+  createJobQueue, DOCUMENT_TYPES, DocumentQuerySchema, fileChecksum, filterDocuments, JOB_STATUS, jobView, legacyDocument,
+} from "./documents.mjs";
+
+// ------- Rollen & Rechte -------
+import { hasPermission, normalizeRole, PERMISSIONS, permissionsOf, ROLES, stripPrices } from "./permissions.mjs";
+
+// ------- Datenhaltung -------
+import { DEFAULT_TENANT, importLegacyJson, openStore } from "./store.mjs";
+
+// ------- REST-API v1 -------
+import { errorBody, ErrorSchema, issuesOf, openApiDocument } from "./openapi.mjs";
+
 // ===== Path helpers =====
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -48,6 +121,13 @@ const SMTP = {
   from: process.env.SMTP_FROM || "no-reply@meisterki.local",
 };
 
+// ZUGFeRD/PDF-A-3 (optional): einbettbare Schriften und ICC-Farbprofil für strenges PDF/A
+const PDFA = {
+  font: process.env.PDFA_FONT || "",
+  fontBold: process.env.PDFA_FONT_BOLD || process.env.PDFA_FONT || "",
+  iccProfile: process.env.PDFA_ICC_PROFILE || "",
+};
+
 // ====== MIDDLEWARES ======
 app.set("trust proxy", 1);
 
@@ -55,22 +135,25 @@ app.use(helmet({ crossOriginResourcePolicy: { policy: "cross-origin" } }));
 app.use(cors({ origin: true, credentials: true }));
 app.use(morgan(IS_DEV ? "dev" : "combined"));
 
+// REST-API v1: jede Fehlerantwort im einheitlichen Format { error, code, issues }
+app.use("/api/v1", v1Errors);
+
 app.use(bodyParser.json({ limit: "10mb" }));
 app.use(bodyParser.urlencoded({ extended: true }));
 
-app.use(
-  session({
-    secret: SESSION_SECRET,
-    resave: false,
-    saveUninitialized: false,
-    cookie: {
-      secure: !IS_DEV,
-      httpOnly: true,
-      sameSite: "lax",
-      maxAge: 1000 * 60 * 60 * 8, // 8h
-    },
-  })
-);
+const sessionMiddleware = session({
+  secret: SESSION_SECRET,
+  resave: false,
+  saveUninitialized: false,
+  cookie: {
+    secure: !IS_DEV,
+    httpOnly: true,
+    sameSite: "lax",
+    maxAge: 1000 * 60 * 60 * 8, // 8h
+  },
+});
+// Anfragen mit API-Token (Authorization: Bearer …) kommen ohne Cookie-Session aus, siehe authenticateToken()
+app.use((req, res, next) => (bearerToken(req) ? authenticateToken(req, res, next) : sessionMiddleware(req, res, next)));
 
 // ====== RATE LIMITS ======
 const authLimiter = rateLimit({
@@ -82,14 +165,22 @@ const authLimiter = rateLimit({
 
 // ====== STATIC ======
 const PUBLIC_DIR = path.join(__dirname, "public");
-const GENERATED_DIR = path.join(PUBLIC_DIR, "generated");
+const GENERATED_DIR = path.join(PUBLIC_DIR, "generated"); // frühere PDF-Ablage, wird beim Start übernommen
 const UPLOADS_DIR = path.join(PUBLIC_DIR, "uploads");
 const DATA_DIR = path.join(__dirname, "data");
+const DOCUMENTS_DIR = process.env.DOCUMENTS_DIR || path.join(DATA_DIR, "documents");
 
-for (const dir of [PUBLIC_DIR, GENERATED_DIR, UPLOADS_DIR, DATA_DIR]) {
+for (const dir of [PUBLIC_DIR, UPLOADS_DIR, DATA_DIR, DOCUMENTS_DIR]) {
   if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
 }
 
+// Dateien (/uploads/tenants/<mandant>/) nur im gewählten Mandanten abrufbar
+app.use("/uploads/tenants/:tenant/", (req, res, next) => {
+  if (req.session?.user && req.session.tenantId === req.params.tenant) return next();
+  res.status(403).json({ error: "Forbidden" });
+});
+// PDFs liefert nur noch die API aus; alte Links /generated/<mandant>/<datei> führen zum Download aus der Ablage
+app.use("/generated", legacyPdfLink);
 app.use(express.static(PUBLIC_DIR));
 
 // ====== SIMPLE CSRF TOKEN ======
@@ -107,6 +198,8 @@ app.get("/api/auth/csrf", (req, res) => {
 });
 
 function requireCsrf(req, res, next) {
+  // API-Tokens werden nicht automatisch vom Browser mitgeschickt – kein CSRF möglich
+  if (req.apiToken) return next();
   const token = req.get("x-csrf-token");
   if (!token || token !== req.session.csrf) {
     return res.status(403).json({ error: "CSRF invalid" });
@@ -114,49 +207,132 @@ function requireCsrf(req, res, next) {
   next();
 }
 
-// ====== JSON-DB HELPER ======
-function readJson(fname, fallback) {
-  const p = path.join(DATA_DIR, fname);
-  try {
-    if (!fs.existsSync(p)) return fallback;
-    return JSON.parse(fs.readFileSync(p, "utf-8"));
-  } catch {
-    return fallback;
-  }
-}
-function writeJson(fname, data) {
-  const p = path.join(DATA_DIR, fname);
-  fs.writeFileSync(p, JSON.stringify(data, null, 2), "utf-8");
+// Ausstehender Passwortwechsel (Startpasswort, schwaches Altpasswort): nur /api/auth/* bleibt erreichbar
+app.use("/api", (req, res, next) => {
+  if (!req.session?.user?.mustChangePassword || req.path.startsWith("/auth/")) return next();
+  res.status(403).json({ error: "Passwortänderung erforderlich", mustChangePassword: true });
+});
+
+// ====== DATENBANK ======
+// SQLite unter data/meisterki.db (DB_FILE); beim ersten Start werden vorhandene JSON-Dateien übernommen
+const DB_FILE = process.env.DB_FILE || path.join(DATA_DIR, "meisterki.db");
+const store = openStore(DB_FILE);
+{
+  const imported = importLegacyJson(store, DATA_DIR);
+  if (imported && Object.keys(imported).length) console.log("[db] JSON-Daten übernommen:", imported);
 }
+
 function uid() {
   return Math.random().toString(36).slice(2, 10);
 }
 
+// Ungültige Eingabe (400); zod-Fehler bzw. Regelverstöße mit Feldpfaden statt der rohen Fehlerliste als Text
+function inputError(res, e) {
+  const issues = e instanceof z.ZodError ? issuesOf(e, "body") : e.issues;
+  if (!issues?.length) return res.status(400).json({ error: e.message });
+  res.status(400).json(errorBody(400, issues.map((i) => `${i.path}: ${i.message}`).join("; "), issues));
+}
+
+// Wiederholte Sendungen der Offline-Warteschlange (Header Idempotency-Key) legen nichts doppelt an:
+// neue Datensätze merken sich den Schlüssel als clientId, eine Wiederholung bekommt sie zurück
+function idempotencyKey(req) {
+  const key = String(req.get("Idempotency-Key") || "");
+  return /^[\w-]{8,100}$/.test(key) ? key : undefined;
+}
+function syncedBefore(req, collection) {
+  const key = idempotencyKey(req);
+  const prior = key ? req.tenant[collection].listBy("clientId", key).filter((x) => x.projectId === req.params.id) : [];
+  if (prior.length) req.res.set("Idempotent-Replayed", "true");
+  return prior;
+}
+
+// ====== MANDANTEN ======
+// Jeder Request eines angemeldeten Benutzers arbeitet auf dem in der Session gewählten Mandanten
+// (req.tenant: Einstellungen, Preiskatalog, Kunden, Projekte, Angebote, Rechnungen, Audit). Nur die Benutzer sind global.
+function useTenant(req, tenantId) {
+  req.session.tenantId = tenantId;
+  req.tenant = store.tenant(tenantId);
+}
+app.use((req, _res, next) => {
+  if (req.session?.user) req.tenant = store.tenant(req.session.tenantId || DEFAULT_TENANT);
+  next();
+});
+
+// Mitgliedschaften tenants: [{ id, role }]; die Rolle gilt nur im jeweiligen Mandanten
+const userTenants = (u) => (u?.tenants || []).map((m) => m.id);
+const tenantRole = (u, tenantId) => normalizeRole(u?.tenants?.find((m) => m.id === tenantId)?.role);
+
+// Ablage je Mandant: PDFs unter data/documents/<id> (nur über die API), Logo und Projektdateien unter public/uploads/tenants/<id>
+function tenantDir(base, tenantId, ...sub) {
+  const dir = path.join(base, tenantId, ...sub);
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  return dir;
+}
+const documentsDir = (tenantId) => tenantDir(DOCUMENTS_DIR, tenantId);
+const uploadsDir = (tenantId, ...sub) => tenantDir(path.join(UPLOADS_DIR, "tenants"), tenantId, ...sub);
+function tenantLogo(tenantId) {
+  const own = path.join(UPLOADS_DIR, "tenants", tenantId, "logo.png");
+  return fs.existsSync(own) ? own : path.join(PUBLIC_DIR, "logo.png");
+}
+
+// PDFs aus public/generated/<mandant> (vor der Dokumentenablage) wandern nach data/documents und bekommen einen
+// Eintrag; Art, Belegnummer und damit Angebot/Rechnung, Kunde und Projekt ergeben sich aus dem Dateinamen.
+// Ganz alte PDFs ohne Mandantenordner gehören dem Standardmandanten.
+function importLegacyPdf(tenant, dir, name) {
+  const { type, number, version } = legacyDocument(name);
+  const src = path.join(dir, name);
+  const id = uid();
+  const file = path.join(documentsDir(tenant.id), `${id}.pdf`);
+  const { mtimeMs } = fs.statSync(src);
+  const xml = src.replace(/\.pdf$/i, ".xml");
+  const hasXml = fs.existsSync(xml);
+  // kopieren statt umbenennen: DOCUMENTS_DIR darf auf einem anderen Laufwerk liegen
+  fs.copyFileSync(src, file);
+  if (hasXml) fs.copyFileSync(xml, file.replace(/\.pdf$/i, ".xml"));
+  const offer = type === "angebot" && number ? tenant.offers.listBy("number", number)[0] : null;
+  const invoice = type === "rechnung" && number ? tenant.invoices.listBy("number", number)[0] : null;
+  tenant.documents.insert(documentRecord({
+    id, type, filename: name, number, version, file, xml: hasXml, createdAt: Math.round(mtimeMs), createdBy: null,
+    offerId: offer?.id || invoice?.offerId, invoiceId: invoice?.id,
+    customerId: (offer || invoice)?.customerId, projectId: (offer || invoice)?.projectId, legacyName: name,
+  }));
+  fs.rmSync(src);
+  fs.rmSync(xml, { force: true });
+}
+if (fs.existsSync(GENERATED_DIR)) {
+  const loose = fs.readdirSync(GENERATED_DIR).filter((f) => /\.(pdf|xml)$/i.test(f));
+  if (loose.length) fs.mkdirSync(path.join(GENERATED_DIR, DEFAULT_TENANT), { recursive: true });
+  for (const f of loose) fs.renameSync(path.join(GENERATED_DIR, f), path.join(GENERATED_DIR, DEFAULT_TENANT, f));
+  let count = 0;
+  for (const tenantId of fs.readdirSync(GENERATED_DIR)) {
+    const dir = path.join(GENERATED_DIR, tenantId);
+    if (!fs.statSync(dir).isDirectory() || !store.tenants.get(tenantId)) continue;
+    for (const name of fs.readdirSync(dir).filter((f) => /\.pdf$/i.test(f))) {
+      importLegacyPdf(store.tenant(tenantId), dir, name);
+      count += 1;
+    }
+  }
+  if (count) console.log(`[db] ${count} PDF-Dateien aus public/generated in die Dokumentenablage übernommen`);
+}
+
 // ====== AUDIT LOG ======
-const AUDIT_FILE = path.join(DATA_DIR, "audit.log");
 function audit(req, action, meta = {}) {
-  const line = JSON.stringify({
-    ts: Date.now(),
-    ip: req.ip,
-    user: req.session?.user || null,
-    action,
-    meta,
-  });
-  fs.appendFile(AUDIT_FILE, line + "\n", () => {});
+  try {
+    store.audit.append({
+      ts: Date.now(),
+      ip: req.ip,
+      user: req.session?.user || null,
+      tenant: req.tenant?.id ?? null,
+      action,
+      meta,
+    });
+  } catch (e) {
+    console.error("[audit]", e.message);
+  }
 }
-app.get("/api/audit", (req, res) => {
-  if (req.session?.user?.role !== "admin")
-    return res.status(403).json({ error: "Forbidden" });
+app.get("/api/audit", requirePermission("audit.view"), (req, res) => {
   try {
-    if (!fs.existsSync(AUDIT_FILE)) return res.json({ items: [] });
-    const lines = fs.readFileSync(AUDIT_FILE, "utf-8")
-      .trim()
-      .split("\n")
-      .filter(Boolean)
-      .map((l) => JSON.parse(l))
-      .reverse()
-      .slice(0, 1000);
-    res.json({ items: lines });
+    res.json({ items: req.tenant.audit.list(1000) });
   } catch (e) {
     res.status(500).json({ error: String(e?.message || e) });
   }
@@ -170,8 +346,10 @@ const PROTECTED_HTML = new Set([
   "/pdfs.html",
   "/customers.html",
   "/projects.html",
+  "/field.html",
   "/settings.html",
   "/users.html",
+  "/catalog.html",
 ]);
 
 const PUBLIC_PATHS = new Set([
@@ -182,73 +360,97 @@ const PUBLIC_PATHS = new Set([
 
 app.use((req, res, next) => {
   const p = req.path;
-  if (p.startsWith("/generated/") || p.startsWith("/uploads/")) return next();
+  if (p.startsWith("/uploads/")) return next();
   if (p.startsWith("/api/auth/") || p === "/api/auth/csrf") return next();
   if (PUBLIC_PATHS.has(p)) return next();
   if (PROTECTED_HTML.has(p)) {
+    if (req.session?.user?.mustChangePassword) return res.redirect("/login.html?change=1");
     if (req.session?.user) return next();
     return res.redirect("/login.html");
   }
   next();
 });
 // ============= AUTH / USERS =============
-const USERS_FILE = "users.json";
 
 // Login-Rate-Limit nur auf die Loginroute anwenden
 app.use("/api/auth/login", authLimiter);
 
-// Ersten Admin anlegen (ENV oder Defaults)
+// Ersten Admin anlegen (ENV oder Defaults); das Startpasswort muss beim ersten Login geändert werden
 (function ensureAdmin() {
-  const users = readJson(USERS_FILE, []);
-  if (users.length === 0) {
+  if (store.users.count() === 0) {
     const adminUser = process.env.ADMIN_USER || "admin";
     const adminPass = process.env.ADMIN_PASS || "admin";
 
     const hash = bcrypt.hashSync(adminPass, 10);
-    users.push({
+    store.users.insert({
       id: uid(),
       username: adminUser,
       passhash: hash,
-      role: "admin",
       active: true,
+      tenants: [{ id: DEFAULT_TENANT, role: "inhaber" }],
+      mustChangePassword: true,
       createdAt: Date.now(),
     });
-    writeJson(USERS_FILE, users);
-    console.log(`[auth] Admin '${adminUser}' angelegt (ENV/Default).`);
+    console.log(`[auth] Admin '${adminUser}' angelegt (ENV/Default), Passwortwechsel beim ersten Login.`);
   }
 })();
 
-// Fehlversuch-Tracking (in-Memory) – einfache Sperre
-const FAILS = new Map(); // key: ip|username -> { count, until }
+// Fehlversuch-Tracking (Tabelle login_failures) – Sperre wächst je Fehlversuch um 60 s bis 10 min.
+// Der Zähler gilt bis zum nächsten erfolgreichen Login; Einträge ohne Fehlversuch seit einem Tag werden entfernt.
+const lockSeconds = (count) => Math.min(60 * count, 10 * 60);
 function isLocked(ip, username) {
-  const key = `${ip}|${username}`;
-  const e = FAILS.get(key);
-  if (!e) return false;
-  if (Date.now() < e.until) return true;
-  FAILS.delete(key);
-  return false;
+  const e = store.lockouts.get(`${ip}|${username}`);
+  return !!e && Date.now() < e.lockedUntil;
 }
 function registerFail(ip, username) {
-  const key = `${ip}|${username}`;
-  const prev = FAILS.get(key) || { count: 0, until: 0 };
-  const count = prev.count + 1;
-  const lockSec = Math.min(60 * count, 10 * 60);
-  FAILS.set(key, { count, until: Date.now() + lockSec * 1000 });
-  return { count, lockSec };
+  return store.lockouts.fail(`${ip}|${username}`, lockSeconds);
 }
 function clearFails(ip, username) {
-  const key = `${ip}|${username}`;
-  FAILS.delete(key);
+  store.lockouts.clear(`${ip}|${username}`);
 }
+store.lockouts.purge(24 * 60 * 60 * 1000);
+setInterval(() => store.lockouts.purge(24 * 60 * 60 * 1000), 60 * 60 * 1000).unref();
 
-// HARDCODED-Notfall (falls users.json korrupt ist)
-const HARDCODED_FALLBACK = {
-  username: "admin",
-  password: "Test123!",
-  role: "admin",
-};
+// Zweiter Faktor: TOTP-Code (jeder Zeitschritt nur einmal) oder ein Wiederherstellungscode (wird verbraucht).
+// Rückgabe "totp" | "recovery" | null
+function useSecondFactor(u, { code, recoveryCode } = {}) {
+  if (recoveryCode) {
+    const idx = findRecoveryCode(u.totp.recovery, recoveryCode);
+    if (idx < 0) return null;
+    store.users.update({ ...u, totp: { ...u.totp, recovery: u.totp.recovery.filter((_, i) => i !== idx) } });
+    return "recovery";
+  }
+  const step = verifyTotp(u.totp.secret, code, { afterStep: u.totp.lastStep ?? -1 });
+  if (step == null) return null;
+  store.users.update({ ...u, totp: { ...u.totp, lastStep: step } });
+  return "totp";
+}
+
+// Session anlegen. Startpasswort oder Passwort aus der Zeit vor der Richtlinie → erst ändern
+// (bis dahin sperrt die Middleware oben alle APIs außer /api/auth/*).
+function completeLogin(req, res, u, { weakPassword, via = "password" }) {
+  clearFails(req.ip, u.username);
+  delete req.session.pending2fa;
+  const mustChangePassword = !!u.mustChangePassword || weakPassword;
+  const tenantId = userTenants(u)[0];
+  req.session.user = {
+    id: u.id,
+    username: u.username,
+    role: tenantRole(u, tenantId),
+    ...(mustChangePassword ? { mustChangePassword } : {}),
+  };
+  useTenant(req, tenantId);
+  audit(req, "login.ok", { userId: u.id, username: u.username, via });
+  res.json({ ok: true, user: req.session.user, tenant: req.tenant.id, csrf: req.session.csrf, mustChangePassword });
+}
 
-// Login
+function loginFailed(req, res, username, step) {
+  const { count, lockSec } = registerFail(req.ip, username);
+  audit(req, "login.fail", { username, count, lockSec, ...(step ? { step } : {}) });
+  res.status(401).json({ error: step === "2fa" ? "Code ungültig" : "Unauthorized" });
+}
+
+// Login; mit aktivierter 2FA antwortet die Route { twoFactor: true } und der Code folgt über /api/auth/login/2fa
 app.post("/api/auth/login", (req, res) => {
   const { username, password } = req.body || {};
   if (!username || !password)
@@ -258,42 +460,43 @@ app.post("/api/auth/login", (req, res) => {
     return res.status(429).json({ error: "Account temporär gesperrt. Bitte kurz warten." });
   }
 
-  let users = readJson(USERS_FILE, []);
-  // Falls Datei leer/kaputt -> Fallback zulassen
-  if (!Array.isArray(users) || users.length === 0) {
-    if (username === HARDCODED_FALLBACK.username && password === HARDCODED_FALLBACK.password) {
-      req.session.user = { id: "hardcoded", username, role: HARDCODED_FALLBACK.role };
-      audit(req, "login.ok.fallback", { username });
-      return res.json({ ok: true, user: req.session.user, csrf: req.session.csrf });
-    }
-    // ansonsten fehlschlag wie üblich
+  const u = store.users.findBy("username", String(username));
+  if (!u || !u.active || !bcrypt.compareSync(String(password), u.passhash)) {
+    return loginFailed(req, res, username);
   }
 
-  const u = (Array.isArray(users) ? users : []).find((x) => x.username === String(username));
-  if (!u || !u.active) {
-    const { count, lockSec } = registerFail(req.ip, username);
-    audit(req, "login.fail", { username, count, lockSec });
-    return res.status(401).json({ error: "Unauthorized" });
+  const weakPassword = checkPassword(password, { username: u.username }).length > 0;
+  if (u.totp) {
+    req.session.pending2fa = { id: u.id, ts: Date.now(), weakPassword };
+    return res.json({ ok: false, twoFactor: true });
   }
+  completeLogin(req, res, u, { weakPassword });
+});
 
-  const ok = bcrypt.compareSync(String(password), u.passhash);
-  if (!ok) {
-    const { count, lockSec } = registerFail(req.ip, username);
-    audit(req, "login.fail", { username, count, lockSec });
-    return res.status(401).json({ error: "Unauthorized" });
+// Zweiter Schritt, höchstens 5 Minuten nach dem Passwort
+const PENDING_2FA_MS = 5 * 60 * 1000;
+app.post("/api/auth/login/2fa", (req, res) => {
+  const pending = req.session.pending2fa;
+  if (!pending || Date.now() - pending.ts > PENDING_2FA_MS) {
+    delete req.session.pending2fa;
+    return res.status(401).json({ error: "Anmeldung abgelaufen, bitte erneut anmelden" });
   }
-
-  clearFails(req.ip, username);
-  req.session.user = { id: u.id, username: u.username, role: u.role };
-  audit(req, "login.ok", { userId: u.id, username: u.username });
-  res.json({ ok: true, user: req.session.user, csrf: req.session.csrf });
+  const u = store.users.get(pending.id);
+  if (!u?.active || !u.totp) return res.status(401).json({ error: "Unauthorized" });
+  if (isLocked(req.ip, u.username)) {
+    return res.status(429).json({ error: "Account temporär gesperrt. Bitte kurz warten." });
+  }
+  const via = useSecondFactor(u, req.body);
+  if (!via) return loginFailed(req, res, u.username, "2fa");
+  completeLogin(req, res, store.users.get(u.id), { weakPassword: pending.weakPassword, via });
 });
 
 // Logout
 app.post("/api/auth/logout", (req, res) => {
   const user = req.session?.user || null;
+  const tenant = req.tenant;
   req.session.destroy(() => {
-    audit({ ip: req.ip, session: { user } }, "logout", { user });
+    audit({ ip: req.ip, session: { user }, tenant }, "logout", { user });
     res.json({ ok: true });
   });
 });
@@ -303,93 +506,413 @@ app.post("/api/auth/change-password", requireCsrf, (req, res) => {
   const { oldPass, newPass } = req.body || {};
   if (!req.session?.user) return res.status(401).json({ error: "Unauthorized" });
 
-  const users = readJson(USERS_FILE, []);
-  const idx = users.findIndex((x) => x.id === req.session.user.id);
-  if (idx < 0) return res.status(404).json({ error: "User not found" });
+  const user = store.users.get(req.session.user.id);
+  if (!user) return res.status(404).json({ error: "User not found" });
 
-  if (!bcrypt.compareSync(String(oldPass || ""), users[idx].passhash))
+  if (!bcrypt.compareSync(String(oldPass || ""), user.passhash))
     return res.status(400).json({ error: "Altes Passwort falsch" });
 
-  users[idx].passhash = bcrypt.hashSync(String(newPass || ""), 10);
-  writeJson(USERS_FILE, users);
-  audit(req, "password.change", { userId: users[idx].id });
+  const problems = checkPassword(newPass, { username: user.username });
+  if (problems.length) return res.status(400).json({ error: `Passwort zu schwach: ${problems.join(", ")}`, problems });
+  if (bcrypt.compareSync(String(newPass), user.passhash))
+    return res.status(400).json({ error: "Neues Passwort muss sich vom alten unterscheiden" });
+
+  const { mustChangePassword, ...rest } = user;
+  store.users.update({ ...rest, passhash: bcrypt.hashSync(String(newPass), 10), passwordChangedAt: Date.now() });
+  delete req.session.user.mustChangePassword;
+  audit(req, "password.change", { userId: user.id });
   res.json({ ok: true });
 });
 
-// Admin-Guard
-function requireAdmin(req, res, next) {
-  if (req.session?.user?.role === "admin") return next();
-  return res.status(403).json({ error: "Forbidden" });
+// ---------- Zwei-Faktor-Anmeldung (TOTP) für das eigene Konto ----------
+function ownUser(req, res) {
+  if (!req.session?.user) {
+    res.status(401).json({ error: "Unauthorized" });
+    return null;
+  }
+  const user = store.users.get(req.session.user.id);
+  if (!user) res.status(404).json({ error: "User not found" });
+  return user;
+}
+
+app.get("/api/auth/2fa", (req, res) => {
+  const user = ownUser(req, res);
+  if (!user) return;
+  res.json({ enabled: !!user.totp, enabledAt: user.totp?.enabledAt ?? null, recoveryCodesLeft: user.totp?.recovery.length ?? 0 });
+});
+
+// Schritt 1: Geheimnis erzeugen (liegt bis zur Bestätigung nur in der Session)
+app.post("/api/auth/2fa/setup", requireCsrf, (req, res) => {
+  const user = ownUser(req, res);
+  if (!user) return;
+  if (user.totp) return res.status(409).json({ error: "2FA ist bereits aktiv" });
+  const secret = generateSecret();
+  req.session.totpSetup = secret;
+  res.json({ secret, otpauthUrl: otpauthUrl({ secret, account: user.username, issuer: req.tenant.settings.get({}).companyName || "MeisterKI" }) });
+});
+
+// Schritt 2: mit dem ersten Code aus der App bestätigen; Wiederherstellungscodes werden nur hier angezeigt
+app.post("/api/auth/2fa/enable", requireCsrf, (req, res) => {
+  const user = ownUser(req, res);
+  if (!user) return;
+  const secret = req.session.totpSetup;
+  if (!secret) return res.status(400).json({ error: "Zuerst /api/auth/2fa/setup aufrufen" });
+  const step = verifyTotp(secret, req.body?.code);
+  if (step == null) return res.status(400).json({ error: "Code ungültig" });
+  const { codes, hashes } = generateRecoveryCodes();
+  store.users.update({ ...user, totp: { secret, lastStep: step, recovery: hashes, enabledAt: Date.now() } });
+  delete req.session.totpSetup;
+  audit(req, "2fa.enable", { userId: user.id });
+  res.json({ ok: true, recoveryCodes: codes });
+});
+
+// Abschalten nur mit Passwort und gültigem Code (oder Wiederherstellungscode)
+app.post("/api/auth/2fa/disable", requireCsrf, (req, res) => {
+  const user = ownUser(req, res);
+  if (!user) return;
+  if (!user.totp) return res.status(409).json({ error: "2FA ist nicht aktiv" });
+  if (!bcrypt.compareSync(String(req.body?.password || ""), user.passhash))
+    return res.status(400).json({ error: "Passwort falsch" });
+  if (!useSecondFactor(user, req.body)) return res.status(400).json({ error: "Code ungültig" });
+  const { totp, ...rest } = store.users.get(user.id);
+  store.users.update(rest);
+  audit(req, "2fa.disable", { userId: user.id });
+  res.json({ ok: true });
+});
+
+// Neue Wiederherstellungscodes; die alten werden ungültig
+app.post("/api/auth/2fa/recovery-codes", requireCsrf, (req, res) => {
+  const user = ownUser(req, res);
+  if (!user) return;
+  if (!user.totp) return res.status(409).json({ error: "2FA ist nicht aktiv" });
+  if (!useSecondFactor(user, { code: req.body?.code })) return res.status(400).json({ error: "Code ungültig" });
+  const { codes, hashes } = generateRecoveryCodes();
+  const fresh = store.users.get(user.id);
+  store.users.update({ ...fresh, totp: { ...fresh.totp, recovery: hashes } });
+  audit(req, "2fa.recovery.renew", { userId: user.id });
+  res.json({ ok: true, recoveryCodes: codes });
+});
+
+// ---------- API-Tokens ----------
+// Persönliche Tokens für Skripte und Geräte: gelten für einen Benutzer in einem Mandanten. Wirksam sind nur Rechte,
+// die im Token (scopes) und in der aktuellen Rolle stehen; Sperren des Benutzers oder Entzug der Mandanten-
+// zuordnung macht das Token sofort unwirksam. Die Session besteht nur für den Request (kein Cookie, kein CSRF);
+// audit() protokolliert den Benutzer mit { token: { id, name } }.
+const bearerToken = (req) => /^Bearer\s+(\S+)$/i.exec(req.get("authorization") || "")?.[1] || null;
+
+function authenticateToken(req, res, next) {
+  const t = store.apiTokens.findBy("hash", hashApiToken(bearerToken(req)));
+  const user = t && store.users.get(t.userId);
+  if (!t || t.revokedAt || Date.now() > t.expiresAt || !user?.active || !userTenants(user).includes(t.tenant))
+    return res.status(401).json({ error: "Token ungültig oder abgelaufen" });
+  // Anmeldung, 2FA und Token-Verwaltung nur mit Passwort-Session
+  if (req.path.startsWith("/api/auth/") || req.path.startsWith("/api/dev/"))
+    return res.status(403).json({ error: "Mit API-Token nicht erlaubt" });
+  req.apiToken = t;
+  req.session = {
+    user: { id: user.id, username: user.username, role: tenantRole(user, t.tenant), token: { id: t.id, name: t.name } },
+    tenantId: t.tenant,
+  };
+  // letzte Nutzung höchstens einmal pro Minute schreiben
+  if (!t.lastUsedAt || Date.now() - t.lastUsedAt > 60 * 1000) {
+    store.apiTokens.update({ ...t, lastUsedAt: Date.now(), lastUsedIp: req.ip });
+  }
+  next();
+}
+
+const TokenSchema = z.object({
+  name: z.string().trim().min(1).max(80),
+  scopes: z.array(z.string()).min(1, "scopes: mindestens ein Recht"),
+  expiresInDays: z.number().int().min(1).max(365).default(90),
+});
+
+const tokenInfo = (t) => ({
+  id: t.id,
+  name: t.name,
+  hint: t.hint,
+  userId: t.userId,
+  username: t.username,
+  tenant: t.tenant,
+  scopes: t.scopes,
+  createdAt: t.createdAt,
+  expiresAt: t.expiresAt,
+  lastUsedAt: t.lastUsedAt ?? null,
+  revokedAt: t.revokedAt ?? null,
+  active: !t.revokedAt && Date.now() <= t.expiresAt,
+});
+
+function revokeToken(req, t) {
+  if (!t.revokedAt) store.apiTokens.update({ ...t, revokedAt: Date.now() });
+  audit(req, "token.revoke", { id: t.id, name: t.name, userId: t.userId });
 }
 
-// Admin: Users CRUD
-app.get("/api/users", (req, res) => {
+// Eigene Tokens im aktuellen Mandanten
+app.get("/api/auth/tokens", (req, res) => {
   if (!req.session?.user) return res.status(401).json({ error: "Unauthorized" });
-  requireAdmin(req, res, () => {
-    const users = readJson(USERS_FILE, []).map((u) => ({
-      id: u.id,
-      username: u.username,
-      role: u.role,
-      active: u.active,
-      createdAt: u.createdAt,
-    }));
-    res.json({ items: users });
-  });
+  const items = store.apiTokens.list()
+    .filter((t) => t.userId === req.session.user.id && t.tenant === req.tenant.id)
+    .map(tokenInfo);
+  res.json({ items });
+});
+
+// Token anlegen; der Klartext wird nur in dieser Antwort geliefert
+app.post("/api/auth/tokens", requireCsrf, (req, res) => {
+  const user = ownUser(req, res);
+  if (!user) return;
+  if (req.session.user.mustChangePassword) return res.status(403).json({ error: "Passwortänderung erforderlich" });
+  const parsed = TokenSchema.safeParse(req.body || {});
+  if (!parsed.success) return inputError(res, parsed.error);
+  const { name, scopes, expiresInDays } = parsed.data;
+  const foreign = scopes.filter((p) => !can(req, p));
+  if (foreign.length) return res.status(403).json({ error: `Rechte nicht in der eigenen Rolle: ${foreign.join(", ")}` });
+  const { token, hash, hint } = generateApiToken();
+  const now = Date.now();
+  const item = {
+    id: uid(),
+    name,
+    hash,
+    hint,
+    userId: user.id,
+    username: user.username,
+    tenant: req.tenant.id,
+    scopes: [...new Set(scopes)],
+    createdAt: now,
+    expiresAt: now + expiresInDays * 24 * 60 * 60 * 1000,
+  };
+  store.apiTokens.insert(item);
+  audit(req, "token.create", { id: item.id, name, scopes: item.scopes, expiresAt: item.expiresAt });
+  res.json({ ...tokenInfo(item), token });
 });
 
-app.post("/api/users", requireCsrf, (req, res) => {
+app.delete("/api/auth/tokens/:id", requireCsrf, (req, res) => {
   if (!req.session?.user) return res.status(401).json({ error: "Unauthorized" });
-  requireAdmin(req, res, () => {
-    const { username, password, role } = req.body || {};
-    const users = readJson(USERS_FILE, []);
-    if (!username || !password) return res.status(400).json({ error: "username/password erforderlich" });
-    if (users.some((u) => u.username === username)) return res.status(409).json({ error: "Benutzer existiert" });
-    const item = {
-      id: uid(),
-      username,
-      passhash: bcrypt.hashSync(password, 10),
-      role: role === "admin" ? "admin" : "user",
-      active: true,
-      createdAt: Date.now(),
-    };
-    users.push(item);
-    writeJson(USERS_FILE, users);
-    audit(req, "user.create", { id: item.id, username: item.username, role: item.role });
-    res.json({ id: item.id, username: item.username, role: item.role });
-  });
+  const t = store.apiTokens.get(req.params.id);
+  if (!t || t.userId !== req.session.user.id) return res.status(404).json({ error: "Not found" });
+  revokeToken(req, t);
+  res.json({ ok: true });
+});
+
+// Alle Tokens des Mandanten (Benutzerverwaltung)
+app.get("/api/tokens", requirePermission("users.manage"), (req, res) => {
+  res.json({ items: store.apiTokens.list().filter((t) => t.tenant === req.tenant.id).map(tokenInfo) });
+});
+
+app.delete("/api/tokens/:id", requireCsrf, requirePermission("users.manage"), (req, res) => {
+  const t = store.apiTokens.get(req.params.id);
+  if (!t || t.tenant !== req.tenant.id) return res.status(404).json({ error: "Not found" });
+  revokeToken(req, t);
+  res.json({ ok: true });
+});
+
+// Berechtigungen (permissions.mjs): 401 ohne Login, 403 ohne Recht. Die Rolle im gewählten Mandanten wird je
+// Request aus dem Benutzerstamm gelesen, damit Rollenwechsel und Deaktivierung sofort wirken.
+function currentRole(req) {
+  const user = req.session?.user;
+  if (!user) return null;
+  const u = store.users.get(user.id);
+  return u?.active ? tenantRole(u, req.tenant?.id) : null;
+}
+// Mit API-Token zusätzlich nur die Rechte aus dessen scopes
+const can = (req, permission) =>
+  hasPermission(currentRole(req), permission) && (!req.apiToken || req.apiToken.scopes.includes(permission));
+
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!req.session?.user) return res.status(401).json({ error: "Unauthorized" });
+    if (!can(req, permission)) return res.status(403).json({ error: "Forbidden", permission });
+    next();
+  };
+}
+
+// Benutzer des aktuellen Mandanten (Benutzer anderer Mandanten sind hier unsichtbar)
+function tenantUser(req, id) {
+  const u = store.users.get(id);
+  return u && userTenants(u).includes(req.tenant.id) ? u : null;
+}
+
+// Mandanten, in denen der Angemeldete `users.manage` hat; mit API-Token nur der des Tokens
+function managedTenants(req) {
+  if (req.apiToken) return can(req, "users.manage") ? [req.tenant.id] : [];
+  const own = store.users.get(req.session.user.id);
+  return own?.active ? userTenants(own).filter((t) => hasPermission(tenantRole(own, t), "users.manage")) : [];
+}
+
+// Sperren und 2FA gelten für das ganze Konto: nur wer jeden Mandanten des Benutzers verwaltet
+const managesAccount = (req, user) => {
+  const managed = managedTenants(req);
+  return userTenants(user).every((t) => managed.includes(t));
+};
+
+const userInfo = (u, tenantId) => ({
+  id: u.id,
+  username: u.username,
+  role: tenantRole(u, tenantId),
+  active: u.active,
+  tenants: userTenants(u),
+  twoFactor: !!u.totp,
+  createdAt: u.createdAt,
 });
 
-app.put("/api/users/:id/toggle", requireCsrf, (req, res) => {
+// Rollen mit ihren Berechtigungen (für den Rollen-Editor)
+app.get("/api/roles", (req, res) => {
   if (!req.session?.user) return res.status(401).json({ error: "Unauthorized" });
-  requireAdmin(req, res, () => {
-    const { id } = req.params;
-    const users = readJson(USERS_FILE, []);
-    const idx = users.findIndex((u) => u.id === id);
-    if (idx < 0) return res.status(404).json({ error: "Not found" });
-    users[idx].active = !users[idx].active;
-    writeJson(USERS_FILE, users);
-    audit(req, "user.toggle", { id, active: users[idx].active });
-    res.json({ ok: true, active: users[idx].active });
+  res.json({
+    items: Object.entries(ROLES).map(([key, r]) => ({ key, label: r.label, permissions: r.permissions })),
+    permissions: PERMISSIONS,
+    own: { role: normalizeRole(currentRole(req)), permissions: permissionsOf(currentRole(req)).filter((p) => can(req, p)) },
   });
 });
 
-app.delete("/api/users/:id", requireCsrf, (req, res) => {
+// Users CRUD
+app.get("/api/users", requirePermission("users.manage"), (req, res) => {
+  const users = store.users.list().filter((u) => userTenants(u).includes(req.tenant.id)).map((u) => userInfo(u, req.tenant.id));
+  res.json({ items: users });
+});
+
+app.post("/api/users", requireCsrf, requirePermission("users.manage"), (req, res) => {
+  const { username, password } = req.body || {};
+  const role = normalizeRole(req.body?.role || "geselle");
+  if (!username || !password) return res.status(400).json({ error: "username/password erforderlich" });
+  if (!role) return res.status(400).json({ error: `Unbekannte Rolle ${req.body.role}` });
+  const problems = checkPassword(password, { username });
+  if (problems.length) return res.status(400).json({ error: `Passwort zu schwach: ${problems.join(", ")}`, problems });
+  if (store.users.findBy("username", String(username))) return res.status(409).json({ error: "Benutzer existiert" });
+  const item = {
+    id: uid(),
+    username,
+    passhash: bcrypt.hashSync(password, 10),
+    active: true,
+    tenants: [{ id: req.tenant.id, role }],
+    createdAt: Date.now(),
+  };
+  store.users.insert(item);
+  audit(req, "user.create", { id: item.id, username: item.username, role });
+  res.json({ id: item.id, username: item.username, role });
+});
+
+// Rolle im aktuellen Mandanten ändern; die eigene nicht, damit sich niemand selbst aussperrt
+app.put("/api/users/:id/role", requireCsrf, requirePermission("users.manage"), (req, res) => {
+  const user = tenantUser(req, req.params.id);
+  if (!user) return res.status(404).json({ error: "Not found" });
+  const role = String(req.body?.role || "");
+  if (!ROLES[role]) return res.status(400).json({ error: `Unbekannte Rolle ${role || "?"}` });
+  if (user.id === req.session.user.id) return res.status(409).json({ error: "Eigene Rolle kann nicht geändert werden" });
+  store.users.update({ ...user, tenants: user.tenants.map((m) => (m.id === req.tenant.id ? { ...m, role } : m)) });
+  audit(req, "user.role", { id: user.id, from: tenantRole(user, req.tenant.id), to: role });
+  res.json({ ok: true, role });
+});
+
+app.put("/api/users/:id/toggle", requireCsrf, requirePermission("users.manage"), (req, res) => {
+  const { id } = req.params;
+  const user = tenantUser(req, id);
+  if (!user) return res.status(404).json({ error: "Not found" });
+  if (!managesAccount(req, user)) return res.status(403).json({ error: "Benutzer gehört auch zu Mandanten, die Sie nicht verwalten" });
+  user.active = !user.active;
+  store.users.update(user);
+  audit(req, "user.toggle", { id, active: user.active });
+  res.json({ ok: true, active: user.active });
+});
+
+// 2FA eines Benutzers zurücksetzen (Handy verloren, keine Wiederherstellungscodes mehr)
+app.delete("/api/users/:id/2fa", requireCsrf, requirePermission("users.manage"), (req, res) => {
+  const user = tenantUser(req, req.params.id);
+  if (!user) return res.status(404).json({ error: "Not found" });
+  if (!managesAccount(req, user)) return res.status(403).json({ error: "Benutzer gehört auch zu Mandanten, die Sie nicht verwalten" });
+  if (!user.totp) return res.status(409).json({ error: "2FA ist nicht aktiv" });
+  const { totp, ...rest } = user;
+  store.users.update(rest);
+  audit(req, "user.2fa.reset", { id: user.id });
+  res.json({ ok: true });
+});
+
+// Gehört der Benutzer noch zu weiteren Mandanten, wird nur die Zuordnung zum aktuellen entfernt
+app.delete("/api/users/:id", requireCsrf, requirePermission("users.manage"), (req, res) => {
+  const { id } = req.params;
+  const user = tenantUser(req, id);
+  if (!user) return res.status(404).json({ error: "Not found" });
+  const rest = user.tenants.filter((m) => m.id !== req.tenant.id);
+  if (rest.length) store.users.update({ ...user, tenants: rest });
+  else store.users.remove(id);
+  for (const t of store.apiTokens.list()) {
+    if (t.userId === id && (!rest.length || t.tenant === req.tenant.id)) store.apiTokens.remove(t.id);
+  }
+  audit(req, "user.delete", { id, removed: !rest.length });
+  res.json({ ok: true });
+});
+
+// Mandanten-Zuordnung setzen; vergeben werden nur Mandanten, in denen man selbst Benutzer verwaltet.
+// Neue Zuordnungen erhalten die Rolle aus dem aktuellen Mandanten, Zuordnungen zu fremden Mandanten bleiben unverändert.
+app.put("/api/users/:id/tenants", requireCsrf, requirePermission("users.manage"), (req, res) => {
+  const user = tenantUser(req, req.params.id);
+  if (!user) return res.status(404).json({ error: "Not found" });
+  const requested = req.body?.tenants;
+  if (!Array.isArray(requested)) return res.status(400).json({ error: "tenants (Array) erforderlich" });
+  const own = managedTenants(req);
+  const foreign = requested.filter((t) => !own.includes(t));
+  if (foreign.length) return res.status(403).json({ error: `Kein Zugriff auf Mandant ${foreign.join(", ")}` });
+  const role = tenantRole(user, req.tenant.id);
+  const memberships = [
+    ...user.tenants.filter((m) => !own.includes(m.id)),
+    ...[...new Set(requested)].map((id) => user.tenants.find((m) => m.id === id) || { id, role }),
+  ];
+  if (!memberships.length) return res.status(400).json({ error: "Mindestens ein Mandant erforderlich" });
+  store.users.update({ ...user, tenants: memberships });
+  const tenants = memberships.map((m) => m.id);
+  audit(req, "user.tenants", { id: user.id, tenants });
+  res.json({ ok: true, tenants });
+});
+
+// ============= MANDANTEN =============
+const TenantSchema = z.object({
+  id: z.string().regex(/^[a-z0-9][a-z0-9-]{1,31}$/, "id: 2–32 Zeichen a–z, 0–9, -").optional(),
+  name: z.string().min(1),
+});
+
+function memberTenants(req) {
+  return userTenants(store.users.get(req.session.user.id));
+}
+
+const tenantInfo = (t) => ({ id: t.id, name: t.name, createdAt: t.createdAt });
+
+// Mandanten des angemeldeten Benutzers und der aktuell gewählte
+app.get("/api/tenants", (req, res) => {
   if (!req.session?.user) return res.status(401).json({ error: "Unauthorized" });
-  requireAdmin(req, res, () => {
-    const { id } = req.params;
-    const users = readJson(USERS_FILE, []);
-    const next = users.filter((u) => u.id !== id);
-    if (next.length === users.length) return res.status(404).json({ error: "Not found" });
-    writeJson(USERS_FILE, next);
-    audit(req, "user.delete", { id });
-    res.json({ ok: true });
+  const items = memberTenants(req).map((id) => store.tenants.get(id)).filter(Boolean).map(tenantInfo);
+  res.json({ items, current: req.tenant.id });
+});
+
+app.post("/api/tenants", requireCsrf, requirePermission("tenants.manage"), (req, res) => {
+  const parsed = TenantSchema.safeParse(req.body || {});
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.issues[0].message });
+  const slug = parsed.data.name.toLowerCase().normalize("NFD").replace(/[\u0300-\u036f]/g, "").replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "").slice(0, 24);
+  const id = parsed.data.id || `${slug || "mandant"}-${uid().slice(0, 4)}`;
+  if (store.tenants.get(id)) return res.status(409).json({ error: "Mandant existiert" });
+  const user = store.users.get(req.session.user.id);
+  const item = { id, name: parsed.data.name, createdAt: Date.now(), createdBy: req.session.user.username };
+  store.transaction(() => {
+    store.tenants.insert(item);
+    store.tenant(id).settings.set({ companyName: item.name });
+    store.users.update({ ...user, tenants: [...user.tenants, { id, role: tenantRole(user, req.tenant.id) }] });
   });
+  audit(req, "tenant.create", { id, name: item.name });
+  res.json(tenantInfo(item));
+});
+
+// Mandant wechseln; gilt für alle weiteren Requests dieser Session
+app.post("/api/tenants/switch", requireCsrf, (req, res) => {
+  if (!req.session?.user) return res.status(401).json({ error: "Unauthorized" });
+  const id = String(req.body?.tenantId || "");
+  if (!memberTenants(req).includes(id) || !store.tenants.get(id)) return res.status(403).json({ error: "Kein Zugriff auf diesen Mandanten" });
+  useTenant(req, id);
+  req.session.user.role = tenantRole(store.users.get(req.session.user.id), id);
+  audit(req, "tenant.switch", { id });
+  res.json({ ok: true, tenant: tenantInfo(store.tenants.get(id)) });
 });
 
 // ============= SETTINGS =============
-const SETTINGS_FILE = "settings.json";
 app.get("/api/settings", (req, res) => {
-  const s = readJson(SETTINGS_FILE, {
+  if (!req.session?.user) return res.status(401).json({ error: "Unauthorized" });
+  const s = req.tenant.settings.get({
     language: "de",
     theme: "light",
     companyName: "",
@@ -399,10 +922,11 @@ app.get("/api/settings", (req, res) => {
     taxRate: 19,
     marginRate: 10,
   });
-  res.json(s);
+  // Lohnkostensatz und Aufschlag sind intern wie die Sätze der Projektkosten
+  const { costRatePerHour, marginRate, ...visible } = s;
+  res.json(can(req, "costs.view") ? s : visible);
 });
-app.post("/api/settings", requireCsrf, (req, res) => {
-  if (!req.session?.user) return res.status(401).json({ error: "Unauthorized" });
+app.post("/api/settings", requireCsrf, requirePermission("settings.edit"), (req, res) => {
   const s = req.body || {};
   const merged = {
     language: String(s.language || "de"),
@@ -413,103 +937,244 @@ app.post("/api/settings", requireCsrf, (req, res) => {
     address: String(s.address || ""),
     taxRate: Number(s.taxRate ?? 19),
     marginRate: Number(s.marginRate ?? 10),
+    // Interner Stundensatz (Lohnkosten) für die Nachkalkulation; 0 = Satz aus dem Angebot
+    costRatePerHour: Math.max(0, Number(s.costRatePerHour) || 0),
+    // Angaben für E-Rechnungen (XRechnung/ZUGFeRD)
+    street: String(s.street || ""),
+    zip: String(s.zip || ""),
+    city: String(s.city || ""),
+    countryCode: String(s.countryCode || "DE").toUpperCase(),
+    vatId: String(s.vatId || "").replace(/\s+/g, "").toUpperCase(),
+    taxNumber: String(s.taxNumber || ""),
+    contactName: String(s.contactName || ""),
+    iban: String(s.iban || "").replace(/\s+/g, "").toUpperCase(),
+    bic: String(s.bic || "").replace(/\s+/g, "").toUpperCase(),
+    // Fußzeile der Dokumente (Bank, Handelsregister)
+    bankName: String(s.bankName || ""),
+    website: String(s.website || ""),
+    managingDirector: String(s.managingDirector || ""),
+    registerCourt: String(s.registerCourt || ""), // z. B. Amtsgericht Musterstadt
+    registerNumber: String(s.registerNumber || ""), // z. B. HRB 12345
   };
-  writeJson(SETTINGS_FILE, merged);
+  // Wer die internen Sätze nicht sieht (z. B. Token ohne costs.view), überschreibt sie auch nicht
+  if (!can(req, "costs.view")) {
+    const prev = req.tenant.settings.get({});
+    Object.assign(merged, { marginRate: prev.marginRate ?? 10, costRatePerHour: prev.costRatePerHour ?? 0 });
+  }
+  req.tenant.settings.set(merged);
   audit(req, "settings.save", { keys: Object.keys(merged) });
   res.json({ ok: true });
 });
 
-// Logo-Upload (ersetzt /public/logo.png)
-const logoStorage = multer.diskStorage({
-  destination: (_req, _file, cb) => cb(null, PUBLIC_DIR),
-  filename: (_req, file, cb) => cb(null, "logo.png"),
+// Logo je Mandant (uploads/tenants/<id>/logo.png); ohne eigenes Logo gilt /public/logo.png
+const uploadLogo = multer({ storage: multer.memoryStorage(), limits: { fileSize: 5 * 1024 * 1024 } });
+app.post("/api/settings/logo", requireCsrf, requirePermission("settings.edit"), uploadLogo.single("logo"), (req, res) => {
+  if (!req.file) return res.status(400).json({ error: "No file" });
+  fs.writeFileSync(path.join(uploadsDir(req.tenant.id), "logo.png"), req.file.buffer);
+  audit(req, "logo.upload", { file: "logo.png" });
+  res.json({ ok: true, url: "/api/settings/logo" });
 });
-const uploadLogo = multer({ storage: logoStorage });
-app.post("/api/settings/logo", requireCsrf, uploadLogo.single("logo"), (req, res) => {
+app.get("/api/settings/logo", (req, res) => {
   if (!req.session?.user) return res.status(401).json({ error: "Unauthorized" });
-  audit(req, "logo.upload", { file: "logo.png" });
-  res.json({ ok: true, url: "/logo.png" });
+  const logo = tenantLogo(req.tenant.id);
+  if (!fs.existsSync(logo)) return res.status(404).json({ error: "Kein Logo" });
+  res.sendFile(logo);
 });
 
-// ============= KUNDEN =============
-const CUSTOMERS_FILE = "customers.json";
-const CustomerSchema = z.object({
-  name: z.string().min(1),
-  email: z.string().optional(),
-  phone: z.string().optional(),
-  street: z.string().optional(),
-  city: z.string().optional(),
-  note: z.string().optional(),
+// ============= PREISKATALOG (versioniert) =============
+// Je Mandant; alle Versionen bleiben gespeichert, jede Änderung hängt eine neue an.
+function currentCatalog(tenant) {
+  const latest = tenant.catalog.latest();
+  if (latest) return latest;
+  return tenant.catalog.append({ version: 1, createdAt: Date.now(), createdBy: "system", note: "Startkatalog", ...DEFAULT_CATALOG });
+}
+
+function catalogVersion(tenant, version) {
+  return tenant.catalog.get(version);
+}
+
+function saveCatalogVersion(req, data, note) {
+  const next = store.transaction(() => req.tenant.catalog.append({
+    version: currentCatalog(req.tenant).version + 1,
+    createdAt: Date.now(),
+    createdBy: req.session?.user?.username || "system",
+    note: String(note || ""),
+    ...data,
+  }));
+  audit(req, "catalog.version", { version: next.version, note: next.note });
+  return next;
+}
+
+app.get("/api/catalog", requirePermission("catalog.view"), (req, res) => {
+  const cat = req.query.version ? catalogVersion(req.tenant, req.query.version) : currentCatalog(req.tenant);
+  if (!cat) return res.status(404).json({ error: "Version nicht gefunden" });
+  res.json(can(req, "prices.view") ? cat : stripPrices(cat));
+});
+
+app.get("/api/catalog/versions", requirePermission("catalog.view"), (req, res) => {
+  currentCatalog(req.tenant);
+  const items = req.tenant.catalog.versions()
+    .map((v) => ({
+      version: v.version,
+      createdAt: v.createdAt,
+      createdBy: v.createdBy,
+      note: v.note,
+      articles: v.articles.length,
+      norms: v.norms.length,
+    }))
+    .reverse();
+  res.json({ items });
+});
+
+// Kompletten Katalog ersetzen → neue Version
+app.put("/api/catalog", requireCsrf, requirePermission("catalog.edit"), (req, res) => {
+  const { note, ...body } = req.body || {};
+  const parsed = CatalogSchema.safeParse(body);
+  if (!parsed.success) return inputError(res, parsed.error);
+  // Artikel und Zeitwerte der Gewerke-Module müssen bleiben, sonst scheitert jedes Angebot des Gewerks
+  const missing = missingCatalogEntries(parsed.data);
+  if (missing.length) return res.status(400).json(errorBody(400, missing.map((i) => i.message).join("; "), missing));
+  res.json(saveCatalogVersion(req, parsed.data, note));
+});
+
+// Einzelnen Artikel anlegen/ändern → neue Version
+app.put("/api/catalog/articles/:sku", requireCsrf, requirePermission("catalog.edit"), (req, res) => {
+  const { note, ...body } = req.body || {};
+  const parsed = ArticleSchema.safeParse({ ...body, sku: req.params.sku });
+  if (!parsed.success) return inputError(res, parsed.error);
+  const { version, createdAt, createdBy, note: _n, ...cat } = currentCatalog(req.tenant);
+  const articles = cat.articles.filter((a) => a.sku !== parsed.data.sku).concat(parsed.data);
+  const missing = missingCatalogEntries({ ...cat, articles });
+  if (missing.length) return res.status(400).json(errorBody(400, missing.map((i) => i.message).join("; "), missing));
+  res.json(saveCatalogVersion(req, { ...cat, articles }, note || `Artikel ${parsed.data.sku}`));
 });
 
-app.get("/api/customers", (req, res) => {
+app.delete("/api/catalog/articles/:sku", requireCsrf, requirePermission("catalog.edit"), (req, res) => {
+  const { version, createdAt, createdBy, note, ...cat } = currentCatalog(req.tenant);
+  const articles = cat.articles.filter((a) => a.sku !== req.params.sku);
+  if (articles.length === cat.articles.length) return res.status(404).json({ error: "Not found" });
+  const missing = missingCatalogEntries({ ...cat, articles });
+  if (missing.length) return res.status(409).json({ error: missing[0].message });
+  res.json(saveCatalogVersion(req, { ...cat, articles }, `Artikel ${req.params.sku} entfernt`));
+});
+
+// Zeitwert anlegen/ändern → neue Version
+app.put("/api/catalog/norms/:key", requireCsrf, requirePermission("catalog.edit"), (req, res) => {
+  const { note, ...body } = req.body || {};
+  const parsed = NormSchema.safeParse({ ...body, key: req.params.key });
+  if (!parsed.success) return inputError(res, parsed.error);
+  const { version, createdAt, createdBy, note: _n, ...cat } = currentCatalog(req.tenant);
+  const norms = cat.norms.filter((n) => n.key !== parsed.data.key).concat(parsed.data);
+  res.json(saveCatalogVersion(req, { ...cat, norms }, note || `Zeitwert ${parsed.data.key}`));
+});
+
+// Datanorm-Preisdateien des Großhandels (mehrere Dateien: Artikel, Preise, Rabatte).
+// dryRun=true liefert nur den Änderungsbericht, sonst entsteht eine neue Katalogversion.
+const uploadDatanorm = multer({ storage: multer.memoryStorage(), limits: { fileSize: 100 * 1024 * 1024, files: 10 } });
+
+app.post("/api/catalog/datanorm", requireCsrf, requirePermission("catalog.edit"), uploadDatanorm.array("files", 10), (req, res) => {
+  if (!req.files?.length) return res.status(400).json({ error: "Keine Datei hochgeladen" });
+  try {
+    const b = req.body || {};
+    const dn = parseDatanorm(req.files.map((f) => f.buffer));
+    const supplier = String(b.supplier || dn.supplier || "").trim();
+    const markup = Number(b.markupPercent);
+    const { version, createdAt, createdBy, note, ...cat } = currentCatalog(req.tenant);
+    const { articles, report } = applyDatanorm(cat, dn, {
+      supplier,
+      prefix: String(b.prefix || ""),
+      rebates: b.rebates ? JSON.parse(b.rebates) : {},
+      markupPercent: Number.isFinite(markup) && markup >= 0 ? markup : 30,
+      addNew: b.addNew === "true",
+    });
+    const meta = { supplier, datanormVersion: dn.version, date: dn.date, records: dn.articles.length };
+    if (b.dryRun === "true" || (!report.changed.length && !report.added.length)) {
+      return res.json({ dryRun: b.dryRun === "true", version: null, ...meta, report });
+    }
+    const parsed = CatalogSchema.safeParse({ ...cat, articles });
+    if (!parsed.success) return inputError(res, parsed.error);
+    const missing = missingCatalogEntries(parsed.data);
+    if (missing.length) return res.status(400).json(errorBody(400, missing.map((i) => i.message).join("; "), missing));
+    const saved = saveCatalogVersion(req, parsed.data,
+      `Datanorm ${supplier || "Import"}: ${report.changed.length} Preise geändert, ${report.added.length} Artikel neu`);
+    audit(req, "catalog.datanorm", { version: saved.version, supplier, changed: report.changed.length, added: report.added.length });
+    res.json({ dryRun: false, version: saved.version, ...meta, report });
+  } catch (e) {
+    inputError(res, e);
+  }
+});
+
+// ============= KUNDEN =============
+// Schema, Dubletten, Zusammenführen, Import und Verlauf in customers.mjs
+
+function listCustomers(req, res) {
   const q = String(req.query.q || "").toLowerCase();
   const page = Math.max(1, Number(req.query.page || 1));
   const size = Math.min(100, Math.max(1, Number(req.query.size || 20)));
-  let list = readJson(CUSTOMERS_FILE, []);
+  let list = req.tenant.customers.list();
   if (q) {
     list = list.filter((c) =>
-      [c.name, c.email, c.phone, c.city].some((f) => String(f || "").toLowerCase().includes(q))
+      [c.name, c.email, c.phone, c.city, c.zip, c.vatId, ...(c.contacts || []).flatMap((p) => [p.name, p.email, p.phone])]
+        .some((f) => String(f || "").toLowerCase().includes(q))
     );
   }
   const total = list.length;
   const items = list.slice((page - 1) * size, page * size);
   res.json({ items, total, page, size });
-});
+}
+app.get("/api/customers", requirePermission("customers.view"), listCustomers);
 
-app.post("/api/customers", requireCsrf, (req, res) => {
-  if (!req.session?.user) return res.status(401).json({ error: "Unauthorized" });
-  const list = readJson(CUSTOMERS_FILE, []);
+function createCustomer(req, res) {
   const parsed = CustomerSchema.safeParse(req.body || {});
-  if (!parsed.success) return res.status(400).json({ error: "Invalid payload" });
+  if (!parsed.success) return inputError(res, parsed.error);
+  const problems = customerProblems(parsed.data);
+  if (problems.length) return inputError(res, { issues: problems });
 
-  const item = {
+  const item = withSubIds({
     id: uid(),
     ...parsed.data,
     createdAt: Date.now(),
-  };
-  list.push(item);
-  writeJson(CUSTOMERS_FILE, list);
+  });
+  req.tenant.customers.insert(item);
   audit(req, "customer.create", { id: item.id, name: item.name });
   res.json(item);
-});
+}
+app.post("/api/customers", requireCsrf, requirePermission("customers.edit"), createCustomer);
 
-app.put("/api/customers/:id", requireCsrf, (req, res) => {
-  if (!req.session?.user) return res.status(401).json({ error: "Unauthorized" });
+function updateCustomer(req, res) {
   const { id } = req.params;
-  const list = readJson(CUSTOMERS_FILE, []);
-  const idx = list.findIndex((x) => x.id === id);
-  if (idx < 0) return res.status(404).json({ error: "Not found" });
+  const current = req.tenant.customers.get(id);
+  if (!current) return res.status(404).json({ error: "Not found" });
 
-  const next = { ...list[idx], ...(req.body || {}) };
+  const next = { ...current, ...(req.body || {}) };
   const parsed = CustomerSchema.partial().safeParse(next);
-  if (!parsed.success) return res.status(400).json({ error: "Invalid payload" });
+  if (!parsed.success) return inputError(res, parsed.error);
+  const problems = customerProblems(parsed.data);
+  if (problems.length) return inputError(res, { issues: problems });
 
-  list[idx] = { ...list[idx], ...parsed.data };
-  writeJson(CUSTOMERS_FILE, list);
+  req.tenant.customers.update(withSubIds({ ...current, ...parsed.data }));
   audit(req, "customer.update", { id });
   res.json({ ok: true });
-});
+}
+app.put("/api/customers/:id", requireCsrf, requirePermission("customers.edit"), updateCustomer);
 
-app.delete("/api/customers/:id", requireCsrf, (req, res) => {
-  if (!req.session?.user) return res.status(401).json({ error: "Unauthorized" });
+function deleteCustomer(req, res) {
   const { id } = req.params;
-  const list = readJson(CUSTOMERS_FILE, []);
-  const next = list.filter((x) => x.id !== id);
-  if (next.length === list.length) return res.status(404).json({ error: "Not found" });
-  writeJson(CUSTOMERS_FILE, next);
+  if (!req.tenant.customers.remove(id)) return res.status(404).json({ error: "Not found" });
   audit(req, "customer.delete", { id });
   res.json({ ok: true });
-});
+}
+app.delete("/api/customers/:id", requireCsrf, requirePermission("customers.delete"), deleteCustomer);
 
-// CSV-Export
-app.get("/api/customers/export.csv", (req, res) => {
-  const list = readJson(CUSTOMERS_FILE, []);
-  const head = "id;name;email;phone;street;city;note;createdAt\n";
+// CSV-Export; neue Spalten stehen hinten, damit bestehende Auswertungen weiter passen. Der Import liest dieses Format.
+app.get("/api/customers/export.csv", requirePermission("customers.export"), (req, res) => {
+  const list = req.tenant.customers.list();
+  const head = "id;name;email;phone;street;city;note;createdAt;zip;countryCode;type;vatId;leitwegId;segment\n";
   const rows = list.map((c) => [
     c.id, c.name, c.email || "", c.phone || "", c.street || "", c.city || "",
     (c.note || "").replace(/\n/g, " "),
-    new Date(c.createdAt).toISOString()
+    new Date(c.createdAt).toISOString(),
+    c.zip || "", c.countryCode || "", customerType(c), c.vatId || "", c.leitwegId || "", c.segment || "",
   ].map((v) => `"${String(v).replace(/"/g, '""')}"`).join(";")).join("\n");
   const csv = head + rows + "\n";
   res.setHeader("Content-Type", "text/csv; charset=utf-8");
@@ -517,8 +1182,120 @@ app.get("/api/customers/export.csv", (req, res) => {
   res.send(csv);
 });
 
+// CSV- oder vCard-Import (multipart `file`). Mögliche Dubletten – gegen den Bestand und innerhalb der Datei –
+// werden übersprungen, außer mit duplicates=import; dryRun liefert nur den Bericht.
+const uploadCustomers = multer({ storage: multer.memoryStorage(), limits: { fileSize: 5 * 1024 * 1024 } });
+app.post("/api/customers/import", requireCsrf, requirePermission("customers.edit"), uploadCustomers.single("file"), (req, res) => {
+  if (!req.file) return res.status(400).json({ error: "Keine Datei hochgeladen" });
+  const flag = (v) => ["1", "true", "on"].includes(String(v ?? "").toLowerCase());
+  const dryRun = flag(req.body?.dryRun);
+  const keepDuplicates = req.body?.duplicates === "import";
+
+  let format;
+  let records;
+  try {
+    const text = decodeText(req.file.buffer);
+    format = /\.vcf$/i.test(req.file.originalname) || /^\s*BEGIN:VCARD/i.test(text) ? "vcard" : "csv";
+    records = format === "vcard" ? customersFromVcards(text) : customersFromCsv(text);
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+
+  const known = req.tenant.customers.list();
+  const items = [];
+  const report = { created: [], duplicates: [], errors: [] };
+  for (const { row, data } of records) {
+    const parsed = CustomerSchema.safeParse(data);
+    const issues = parsed.success ? customerProblems(parsed.data) : issuesOf(parsed.error);
+    if (issues.length) {
+      report.errors.push({ row, name: data.name || "", issues });
+      continue;
+    }
+    const [match] = matchCustomer(parsed.data, [...known, ...items]);
+    if (match && !keepDuplicates) {
+      report.duplicates.push({ row, name: parsed.data.name, duplicateOf: { id: match.id, name: match.name }, reasons: match.reasons });
+      continue;
+    }
+    const item = withSubIds({ id: uid(), ...parsed.data, createdAt: Date.now() });
+    items.push(item);
+    report.created.push({ row, id: item.id, name: item.name });
+  }
+
+  if (!dryRun && items.length) {
+    store.transaction(() => {
+      for (const item of items) req.tenant.customers.insert(item);
+    });
+    for (const item of items) audit(req, "customer.import", { id: item.id, name: item.name, file: req.file.originalname });
+  }
+  res.json({ dryRun, format, ...report });
+});
+
+// Mögliche Dubletten im Bestand (?id= nur die Paare mit diesem Kunden, z. B. direkt nach dem Anlegen)
+function listCustomerDuplicates(req, res) {
+  const list = req.tenant.customers.list();
+  const byId = new Map(list.map((c) => [c.id, c]));
+  const id = req.query.id ? String(req.query.id) : null;
+  const items = findDuplicates(list)
+    .filter((p) => !id || p.a === id || p.b === id)
+    .map((p) => ({ ...p, a: byId.get(p.a), b: byId.get(p.b) }));
+  res.json({ items });
+}
+app.get("/api/customers/duplicates", requirePermission("customers.view"), listCustomerDuplicates);
+
+function getCustomer(req, res) {
+  const item = req.tenant.customers.get(req.params.id);
+  if (!item) return res.status(404).json({ error: "Not found" });
+  res.json(item);
+}
+app.get("/api/customers/:id", requirePermission("customers.view"), getCustomer);
+
+// Dublette auflösen: sourceId geht in :id auf. Projekte, Angebote, Rechnungen und Dokumente werden in derselben
+// Transaktion umgehängt; Rechnungen behalten ihren gedruckten Inhalt (reassignCustomer in customers.mjs).
+function mergeCustomer(req, res) {
+  const target = req.tenant.customers.get(req.params.id);
+  const source = req.tenant.customers.get(String(req.body?.sourceId || ""));
+  if (!target || !source) return res.status(404).json({ error: "Kunde nicht gefunden" });
+  if (target.id === source.id) return res.status(400).json({ error: "Kunde kann nicht mit sich selbst zusammengeführt werden" });
+
+  const merged = mergeCustomers(target, source);
+  const moved = store.transaction(() => {
+    const lists = Object.fromEntries(CUSTOMER_REFERENCES.map((kind) => [kind, req.tenant[kind].list()]));
+    const changes = reassignCustomer(lists, source.id, target.id);
+    for (const [kind, list] of Object.entries(changes)) for (const x of list) req.tenant[kind].update(x);
+    req.tenant.customers.update(merged);
+    req.tenant.customers.remove(source.id);
+    return Object.fromEntries(Object.entries(changes).map(([kind, list]) => [kind, list.length]));
+  });
+  audit(req, "customer.merge", { id: target.id, sourceId: source.id, sourceName: source.name, ...moved });
+  res.json({ ok: true, customer: merged, moved });
+}
+app.post("/api/customers/:id/merge", requireCsrf, requirePermission("customers.delete"), mergeCustomer);
+
+// Verlauf: Projekte, Angebote, Rechnungen, E-Mails und Stammdatenänderungen – je nach Rechten des Benutzers
+function getCustomerTimeline(req, res) {
+  const customer = req.tenant.customers.get(req.params.id);
+  if (!customer) return res.status(404).json({ error: "Not found" });
+  const ids = new Set([customer.id, ...(customer.mergedIds || [])]);
+  const own = (list) => list.filter((x) => ids.has(x.customerId));
+  const items = customerTimeline({
+    customer,
+    projects: can(req, "projects.view") ? own(req.tenant.projects.list()) : [],
+    offers: can(req, "offers.view") ? own(loadOffers(req.tenant)).filter((o) => !o.deletedAt) : [],
+    invoices: can(req, "invoices.view") ? own(req.tenant.invoices.list()) : [],
+    audit: req.tenant.audit.ofActions(TIMELINE_ACTIONS).filter((e) => e.action !== "pdf.mail" || can(req, "pdfs.view")),
+    prices: can(req, "prices.view"),
+  });
+  res.json({ items });
+}
+app.get("/api/customers/:id/timeline", requirePermission("customers.view"), getCustomerTimeline);
+
+// Kundendatensatz, auch über die Nummer eines zusammengeführten Kunden
+function findCustomer(tenant, id) {
+  if (!id) return null;
+  return tenant.customers.get(id) || tenant.customers.list().find((c) => c.mergedIds?.includes(id)) || null;
+}
+
 // ============= PROJEKTE =============
-const PROJECTS_FILE = "projects.json";
 const ProjectSchema = z.object({
   title: z.string().min(1),
   customerId: z.string().optional(),
@@ -527,11 +1304,11 @@ const ProjectSchema = z.object({
   note: z.string().optional(),
 });
 
-app.get("/api/projects", (req, res) => {
+function listProjects(req, res) {
   const q = String(req.query.q || "").toLowerCase();
   const page = Math.max(1, Number(req.query.page || 1));
   const size = Math.min(100, Math.max(1, Number(req.query.size || 20)));
-  let list = readJson(PROJECTS_FILE, []);
+  let list = req.tenant.projects.list();
   if (q) {
     list = list.filter((p) =>
       [p.title, p.status, p.note].some((f) => String(f || "").toLowerCase().includes(q))
@@ -540,11 +1317,10 @@ app.get("/api/projects", (req, res) => {
   const total = list.length;
   const items = list.slice((page - 1) * size, page * size);
   res.json({ items, total, page, size });
-});
+}
+app.get("/api/projects", requirePermission("projects.view"), listProjects);
 
-app.post("/api/projects", requireCsrf, (req, res) => {
-  if (!req.session?.user) return res.status(401).json({ error: "Unauthorized" });
-  const list = readJson(PROJECTS_FILE, []);
+function createProject(req, res) {
   const parsed = ProjectSchema.safeParse({
     ...req.body,
     budget: Number(req.body?.budget || 0),
@@ -552,275 +1328,2091 @@ app.post("/api/projects", requireCsrf, (req, res) => {
   if (!parsed.success) return res.status(400).json({ error: "Invalid payload" });
 
   const item = { id: uid(), ...parsed.data, createdAt: Date.now() };
-  list.push(item);
-  writeJson(PROJECTS_FILE, list);
+  req.tenant.projects.insert(item);
   audit(req, "project.create", { id: item.id, title: item.title });
   res.json(item);
-});
+}
+app.post("/api/projects", requireCsrf, requirePermission("projects.edit"), createProject);
 
-app.put("/api/projects/:id", requireCsrf, (req, res) => {
-  if (!req.session?.user) return res.status(401).json({ error: "Unauthorized" });
+function updateProject(req, res) {
   const { id } = req.params;
-  const list = readJson(PROJECTS_FILE, []);
-  const idx = list.findIndex((x) => x.id === id);
-  if (idx < 0) return res.status(404).json({ error: "Not found" });
+  const current = req.tenant.projects.get(id);
+  if (!current) return res.status(404).json({ error: "Not found" });
 
   const merged = {
-    ...list[idx],
+    ...current,
     ...req.body,
-    budget: Number(req.body?.budget ?? list[idx].budget),
+    budget: Number(req.body?.budget ?? current.budget),
   };
   const parsed = ProjectSchema.partial().safeParse(merged);
   if (!parsed.success) return res.status(400).json({ error: "Invalid payload" });
 
-  list[idx] = { ...list[idx], ...parsed.data };
-  writeJson(PROJECTS_FILE, list);
+  req.tenant.projects.update({ ...current, ...parsed.data });
   audit(req, "project.update", { id });
   res.json({ ok: true });
-});
+}
+app.put("/api/projects/:id", requireCsrf, requirePermission("projects.edit"), updateProject);
 
-app.delete("/api/projects/:id", requireCsrf, (req, res) => {
-  if (!req.session?.user) return res.status(401).json({ error: "Unauthorized" });
+// Buchungen, offene Bautagebuch-Einträge und Fotos gehören zum Projekt und werden mit ihm gelöscht;
+// unterschriebene Einträge sind Nachweise, das Projekt bleibt dann bestehen
+function deleteProject(req, res) {
   const { id } = req.params;
-  const list = readJson(PROJECTS_FILE, []);
-  const next = list.filter((x) => x.id !== id);
-  if (next.length === list.length) return res.status(404).json({ error: "Not found" });
-  writeJson(PROJECTS_FILE, next);
-  audit(req, "project.delete", { id });
+  if (!req.tenant.projects.get(id)) return res.status(404).json({ error: "Not found" });
+  const diary = req.tenant.diary.listBy("projectId", id);
+  if (diary.some((e) => e.signedAt))
+    return res.status(409).json({ error: "Projekt hat unterschriebene Bautagebuch-Einträge" });
+  const photos = req.tenant.media.listBy("projectId", id);
+  let bookings = 0;
+  store.transaction(() => {
+    req.tenant.projects.remove(id);
+    for (const b of req.tenant.bookings.listBy("projectId", id)) bookings += Number(req.tenant.bookings.remove(b.id));
+    for (const e of diary) req.tenant.diary.remove(e.id);
+    for (const p of photos) req.tenant.media.remove(p.id);
+  });
+  for (const p of photos) removePhotoFiles(req.tenant.id, p);
+  audit(req, "project.delete", { id, bookings, diary: diary.length, photos: photos.length });
   res.json({ ok: true });
-});
+}
+app.delete("/api/projects/:id", requireCsrf, requirePermission("projects.delete"), deleteProject);
+
+// ------- Projektfotos (media.mjs) -------
+// Fotos liegen unter uploads/tenants/<mandant>/projects/<id>.<ext>, daneben das Vorschaubild <id>.thumb.jpg
+// und nach dem Markieren <id>.annotated.jpg. Metadaten (Projekt, Hochlader, EXIF) stehen in der Tabelle media.
+const photoUrl = (tenantId, name) => `/uploads/tenants/${tenantId}/projects/${name}`;
+const photoFile = (tenantId, url) => path.join(uploadsDir(tenantId, "projects"), path.basename(String(url)));
 
-// Projekt-Datei-Uploads
-const projectStorage = multer.diskStorage({
-  destination: (_req, _file, cb) => cb(null, path.join(UPLOADS_DIR, "projects")),
-  filename: (_req, file, cb) => {
-    const safe = file.originalname.replace(/[^\p{L}\p{N}_.\-]+/gu, "-");
-    cb(null, Date.now() + "_" + safe);
+const uploadPhotos = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_PHOTO_BYTES, files: 10 },
+  fileFilter: (_req, file, cb) => {
+    if (PHOTO_TYPES[file.mimetype]) return cb(null, true);
+    cb(Object.assign(new Error(`Dateityp ${file.mimetype} nicht erlaubt (JPEG, PNG, WebP)`), { status: 415 }));
   },
 });
-const uploadProjectFile = multer({ storage: projectStorage });
-app.post("/api/projects/:id/files", requireCsrf, uploadProjectFile.single("file"), (req, res) => {
-  if (!req.session?.user) return res.status(401).json({ error: "Unauthorized" });
-  if (!req.file) return res.status(400).json({ error: "No file" });
-  const url = "/uploads/projects/" + req.file.filename;
-  audit(req, "project.file.upload", { projectId: req.params.id, file: url });
-  res.json({ ok: true, url });
+// Multer-Fehler (Größe, Anzahl, Typ) als JSON statt Express-Fehlerseite
+const acceptUpload = (mw) => (req, res, next) => mw(req, res, (err) => {
+  if (!err) return next();
+  if (err.code === "LIMIT_FILE_SIZE") return res.status(413).json({ error: `Datei größer als ${MAX_PHOTO_BYTES / 1024 / 1024} MB` });
+  res.status(err.status || 400).json({ error: err.message });
 });
-// ============= ANGEBOT / PDF =============
-function offerschemaParse(input) {
-  if (!input || !Array.isArray(input.items)) {
-    throw new Error("Ungültiges Eingabeformat: items[] fehlt");
-  }
-  return input;
-}
 
-function generateOffer(input) {
-  let subtotal = 0;
-  for (const it of input.items) {
-    subtotal += Number(it.qty || 0) * Number(it.unitPrice || 0);
-  }
-  const margin = subtotal * 0.1;
-  const totalBeforeTax = subtotal + margin;
-  const tax = totalBeforeTax * 0.19;
-  const total = totalBeforeTax + tax;
-  return { items: input.items, subtotal, margin, totalBeforeTax, tax, total };
+const mayDeletePhoto = (req, p) => p.createdBy === req.session.user.username || can(req, "photos.delete");
+
+function findPhoto(req) {
+  const p = req.tenant.media.get(req.params.photoId);
+  return p && p.projectId === req.params.id ? p : null;
 }
 
-function exportOfferToPDF(offer) {
-  if (!fs.existsSync(GENERATED_DIR)) fs.mkdirSync(GENERATED_DIR, { recursive: true });
+// Bautagebuch-Einträge des Projekts, die eine der URLs verwenden
+const diaryEntriesWith = (req, projectId, urls) =>
+  req.tenant.diary.listBy("projectId", projectId).filter((e) => e.photos.some((u) => urls.includes(u)));
 
-  const safe = (s) =>
-    String(s || "")
-      .replace(/[^\p{L}\p{N}_-]+/gu, "-")
-      .replace(/-+/g, "-")
-      .replace(/^-|-$/g, "")
-      .slice(0, 60);
+function removePhotoFiles(tenantId, p) {
+  for (const url of [p.url, p.thumbUrl, p.annotatedUrl]) if (url) fs.rmSync(photoFile(tenantId, url), { force: true });
+}
 
-  const company = safe(offer?.company?.name || "Firma");
-  const customer = safe(offer?.customer?.name || "Kunde");
+// Original unverändert ablegen, Vorschaubild gedreht nach EXIF-Ausrichtung
+async function storePhoto(req, projectId, file, meta, fields) {
+  const id = uid();
+  const name = id + PHOTO_TYPES[`image/${meta.format}`];
+  const dir = uploadsDir(req.tenant.id, "projects");
+  fs.writeFileSync(path.join(dir, name), file.buffer);
+  await sharp(file.buffer)
+    .rotate()
+    .resize(THUMB_SIZE, THUMB_SIZE, { fit: "inside", withoutEnlargement: true })
+    .jpeg({ quality: 80 })
+    .toFile(path.join(dir, `${id}.thumb.jpg`));
+  const { orientation, ...exif } = parseExif(meta.exif);
+  const turned = (meta.orientation || 1) >= 5;
+  return req.tenant.media.insert({
+    id,
+    projectId,
+    url: photoUrl(req.tenant.id, name),
+    thumbUrl: photoUrl(req.tenant.id, `${id}.thumb.jpg`),
+    type: `image/${meta.format}`,
+    size: file.size,
+    width: turned ? meta.height : meta.width,
+    height: turned ? meta.width : meta.height,
+    originalName: file.originalname,
+    tags: [],
+    ...fields,
+    ...exif,
+    createdAt: Date.now(),
+    createdBy: req.session.user.username,
+  });
+}
+
+// Hochgeladene Fotos mit gemeinsamer Beschriftung, Schlagworten, Phase und Gruppe ablegen;
+// bei Fehlern ist die Antwort schon gesendet und das Ergebnis null
+async function receivePhotos(req, res) {
+  const fail = (status, error) => {
+    res.status(status).json({ error });
+    return null;
+  };
+  const project = req.tenant.projects.get(req.params.id);
+  if (!project) return fail(404, "Not found");
+  const prior = syncedBefore(req, "media");
+  if (prior.length) return prior;
+  const files = req.files || (req.file ? [req.file] : []);
+  if (!files.length) return fail(400, "No file");
+  const b = req.body || {};
+  const parsed = PhotoUpdateSchema.safeParse({
+    caption: b.caption || undefined,
+    tags: normalizeTags(b.tags),
+    phase: b.phase || undefined,
+    group: b.group || undefined,
+  });
+  if (!parsed.success) {
+    inputError(res, parsed.error);
+    return null;
+  }
+  // Aufnahmezeit vom Gerät (Offline-Warteschlange), falls das Bild kein EXIF-Datum hat
+  const capturedAt = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}$/.test(b.takenAt || "") ? { takenAt: b.takenAt } : {};
+
+  // Erst alle Dateien prüfen (der MIME-Typ des Browsers reicht nicht), dann ablegen
+  const metas = [];
+  for (const file of files) {
+    const meta = await sharp(file.buffer).metadata().catch(() => null);
+    if (!meta || !PHOTO_TYPES[`image/${meta.format}`])
+      return fail(415, `${file.originalname}: kein lesbares JPEG-, PNG- oder WebP-Bild`);
+    metas.push(meta);
+  }
+  const items = [];
+  try {
+    const fields = { ...parsed.data, ...capturedAt, clientId: idempotencyKey(req) };
+    for (const [i, file] of files.entries()) items.push(await storePhoto(req, project.id, file, metas[i], fields));
+  } catch (e) {
+    console.error(e);
+    for (const p of items) {
+      req.tenant.media.remove(p.id);
+      removePhotoFiles(req.tenant.id, p);
+    }
+    return fail(500, "Foto konnte nicht gespeichert werden");
+  }
+  audit(req, "photo.upload", { projectId: project.id, ids: items.map((p) => p.id) });
+  return items;
+}
+
+// Mehrere Fotos im Feld "photos"
+async function uploadProjectPhotos(req, res) {
+  const items = await receivePhotos(req, res);
+  if (items) res.json({ ok: true, items });
+}
+app.post("/api/projects/:id/photos", requireCsrf, requirePermission("photos.upload"), acceptUpload(uploadPhotos.array("photos", 10)), uploadProjectPhotos);
+
+// Früherer Einzel-Upload (Feld "file"); landet jetzt ebenfalls in der Mediathek
+async function uploadProjectFile(req, res) {
+  const items = await receivePhotos(req, res);
+  if (items) res.json({ ok: true, url: items[0].url, photo: items[0] });
+}
+app.post("/api/projects/:id/files", requireCsrf, requirePermission("photos.upload"), acceptUpload(uploadPhotos.single("file")), uploadProjectFile);
+
+function listPhotos(req, res) {
+  if (!req.tenant.projects.get(req.params.id)) return res.status(404).json({ error: "Not found" });
+  const page = Math.max(1, Number(req.query.page || 1));
+  const size = Math.min(100, Math.max(1, Number(req.query.size || 50)));
+  const q = String(req.query.q || "").trim().toLowerCase();
+  let list = req.tenant.media.listBy("projectId", req.params.id);
+  if (req.query.tag) list = list.filter((p) => p.tags.includes(String(req.query.tag).toLowerCase()));
+  if (req.query.phase) list = list.filter((p) => p.phase === req.query.phase);
+  if (req.query.group) list = list.filter((p) => p.group === req.query.group);
+  if (q) list = list.filter((p) => [p.caption, p.originalName, p.group, ...p.tags].some((s) => String(s || "").toLowerCase().includes(q)));
+  list.sort((a, b) => byPhotoTime(b, a));
+  const total = list.length;
+  const items = list.slice((page - 1) * size, page * size);
+  res.json({ items, total, page, size });
+}
+app.get("/api/projects/:id/photos", requirePermission("projects.view"), listPhotos);
+
+function listPhotoGroups(req, res) {
+  if (!req.tenant.projects.get(req.params.id)) return res.status(404).json({ error: "Not found" });
+  const items = groupBeforeAfter(req.tenant.media.listBy("projectId", req.params.id));
+  res.json({ items, total: items.length });
+}
+app.get("/api/projects/:id/photos/groups", requirePermission("projects.view"), listPhotoGroups);
+
+function getPhoto(req, res) {
+  const p = findPhoto(req);
+  if (!p) return res.status(404).json({ error: "Not found" });
+  res.json(p);
+}
+app.get("/api/projects/:id/photos/:photoId", requirePermission("projects.view"), getPhoto);
+
+function updatePhoto(req, res) {
+  const current = findPhoto(req);
+  if (!current) return res.status(404).json({ error: "Not found" });
+  const parsed = PhotoUpdateSchema.safeParse(req.body || {});
+  if (!parsed.success) return inputError(res, parsed.error);
+  const fields = { ...parsed.data };
+  if (fields.tags) fields.tags = normalizeTags(fields.tags);
+  const item = req.tenant.media.update({ ...current, ...fields, updatedAt: Date.now() });
+  audit(req, "photo.update", { id: current.id, projectId: current.projectId, fields: Object.keys(fields) });
+  res.json(item);
+}
+app.put("/api/projects/:id/photos/:photoId", requireCsrf, requirePermission("photos.upload"), updatePhoto);
+
+// Markierungen als Vektordaten speichern und als eigenes Bild über das gedrehte Original rendern
+async function annotatePhoto(req, res) {
+  const current = findPhoto(req);
+  if (!current) return res.status(404).json({ error: "Not found" });
+  const parsed = AnnotationSchema.safeParse(req.body || {});
+  if (!parsed.success) return inputError(res, parsed.error);
+  if (current.annotatedUrl && diaryEntriesWith(req, current.projectId, [current.annotatedUrl]).some((e) => e.signedAt))
+    return res.status(409).json({ error: "Markiertes Foto gehört zu einem unterschriebenen Bautagebuch-Eintrag" });
+  const name = `${current.id}.annotated.jpg`;
+  try {
+    await sharp(photoFile(req.tenant.id, current.url))
+      .rotate()
+      .composite([{ input: Buffer.from(annotationSvg(parsed.data.shapes, current.width, current.height)) }])
+      .jpeg({ quality: 90 })
+      .toFile(photoFile(req.tenant.id, name));
+  } catch (e) {
+    console.error(e);
+    return res.status(500).json({ error: "Markierung konnte nicht gerendert werden" });
+  }
+  const item = req.tenant.media.update({
+    ...current,
+    annotation: { shapes: parsed.data.shapes, updatedAt: Date.now(), updatedBy: req.session.user.username },
+    annotatedUrl: photoUrl(req.tenant.id, name),
+  });
+  audit(req, "photo.annotate", { id: current.id, projectId: current.projectId, shapes: parsed.data.shapes.length });
+  res.json(item);
+}
+app.put("/api/projects/:id/photos/:photoId/annotation", requireCsrf, requirePermission("photos.upload"), annotatePhoto);
+
+function deleteAnnotation(req, res) {
+  const current = findPhoto(req);
+  if (!current) return res.status(404).json({ error: "Not found" });
+  if (!current.annotation) return res.json(current);
+  if (diaryEntriesWith(req, current.projectId, [current.annotatedUrl]).some((e) => e.signedAt))
+    return res.status(409).json({ error: "Markiertes Foto gehört zu einem unterschriebenen Bautagebuch-Eintrag" });
+  const { annotation, annotatedUrl, ...rest } = current;
+  fs.rmSync(photoFile(req.tenant.id, annotatedUrl), { force: true });
+  const item = req.tenant.media.update(rest);
+  audit(req, "photo.annotate", { id: current.id, projectId: current.projectId, shapes: 0 });
+  res.json(item);
+}
+app.delete("/api/projects/:id/photos/:photoId/annotation", requireCsrf, requirePermission("photos.upload"), deleteAnnotation);
+
+// Fotos in unterschriebenen Bautagebuch-Einträgen sind Nachweise; aus offenen Einträgen werden sie entfernt
+function deletePhoto(req, res) {
+  const current = findPhoto(req);
+  if (!current) return res.status(404).json({ error: "Not found" });
+  if (!mayDeletePhoto(req, current)) return res.status(403).json({ error: "Nur eigene Fotos löschbar" });
+  const urls = [current.url, current.annotatedUrl].filter(Boolean);
+  const entries = diaryEntriesWith(req, current.projectId, urls);
+  if (entries.some((e) => e.signedAt))
+    return res.status(409).json({ error: "Foto gehört zu einem unterschriebenen Bautagebuch-Eintrag" });
+  store.transaction(() => {
+    for (const e of entries) req.tenant.diary.update({ ...e, photos: e.photos.filter((u) => !urls.includes(u)) });
+    req.tenant.media.remove(current.id);
+  });
+  removePhotoFiles(req.tenant.id, current);
+  audit(req, "photo.delete", { id: current.id, projectId: current.projectId, diary: entries.map((e) => e.number) });
+  res.json({ ok: true });
+}
+app.delete("/api/projects/:id/photos/:photoId", requireCsrf, requirePermission("photos.upload"), deletePhoto);
+// ------- Projektkosten: Buchungen & Nachkalkulation (costs.mjs) -------
+// Buchen dürfen auch Gesellen und Azubis (costs.book); Beträge, Sätze und die Nachkalkulation
+// sieht nur, wer costs.view hat. Fremde Buchungen ändert und für andere Mitarbeiter bucht nur, wer auch die Kosten sieht.
+const BOOKING_COST_FIELDS = ["costRate", "unitCost", "amount", "cost"];
+const today = () => new Date().toISOString().slice(0, 10);
+
+// Kosten nur, wenn der Satz feststeht (Zeiten ohne internen Satz bewertet erst die Nachkalkulation)
+function bookingOut(req, b) {
+  const priced = b.kind === "zeit" ? b.costRate != null : b.kind === "material" ? b.unitCost != null : true;
+  const out = priced ? { ...b, cost: bookingCost(b) } : b;
+  if (can(req, "costs.view")) return out;
+  return Object.fromEntries(Object.entries(out).filter(([k]) => !BOOKING_COST_FIELDS.includes(k)));
+}
+
+// Sätze beim Buchen festhalten, damit spätere Änderungen an Einstellungen oder Katalog die Ist-Kosten nicht verschieben
+function withBookingRates(tenant, b) {
+  if (b.kind === "zeit" && b.costRate == null) {
+    const rate = Number(tenant.settings.get().costRatePerHour);
+    return rate > 0 ? { ...b, costRate: rate } : b;
+  }
+  if (b.kind === "material" && b.unitCost == null && b.sku) {
+    const article = currentCatalog(tenant).articles.find((a) => a.sku === b.sku);
+    if (!article) throw new Error(`Artikel ${b.sku} fehlt im Katalog`);
+    return { ...b, unitCost: article.purchasePrice };
+  }
+  return b;
+}
+
+const mayChangeBooking = (req, b) => b.createdBy === req.session.user.username || can(req, "costs.view");
+
+function findBooking(req) {
+  const b = req.tenant.bookings.get(req.params.bookingId);
+  return b && b.projectId === req.params.id ? b : null;
+}
+
+function listBookings(req, res) {
+  if (!req.tenant.projects.get(req.params.id)) return res.status(404).json({ error: "Not found" });
+  const page = Math.max(1, Number(req.query.page || 1));
+  const size = Math.min(100, Math.max(1, Number(req.query.size || 20)));
+  let list = req.tenant.bookings.listBy("projectId", req.params.id);
+  for (const key of ["kind", "employee"]) {
+    if (req.query[key]) list = list.filter((b) => b[key] === String(req.query[key]));
+  }
+  if (req.query.from) list = list.filter((b) => b.date >= String(req.query.from));
+  if (req.query.to) list = list.filter((b) => b.date <= String(req.query.to));
+  list.sort((a, b) => b.date.localeCompare(a.date) || b.createdAt - a.createdAt);
+  const total = list.length;
+  const items = list.slice((page - 1) * size, page * size).map((b) => bookingOut(req, b));
+  res.json({ items, total, page, size });
+}
+app.get("/api/projects/:id/bookings", requirePermission("costs.book"), listBookings);
+
+// Zeiten eines Mitarbeiters über alle Projekte des Mandanten
+function dayLimitConflict(req, b, exceptId) {
+  if (b.kind !== "zeit") return null;
+  const others = req.tenant.bookings.listBy("employee", b.employee).filter((x) => x.id !== exceptId);
+  const booked = dayHours(others, b.employee, b.date);
+  if (booked + b.hours <= MAX_DAY_HOURS) return null;
+  return `${b.employee} hat am ${b.date} schon ${booked.toLocaleString("de-DE")} Std gebucht (max. ${MAX_DAY_HOURS} Std am Tag)`;
+}
+
+function createBooking(req, res) {
+  const project = req.tenant.projects.get(req.params.id);
+  if (!project) return res.status(404).json({ error: "Not found" });
+  const [prior] = syncedBefore(req, "bookings");
+  if (prior) return res.json(bookingOut(req, prior));
+  const own = { employee: req.session.user.username, seesCosts: can(req, "costs.view") };
+  const parsed = BookingSchema.safeParse({ date: today(), employee: own.employee, ...bookingInput(req.body, own) });
+  if (!parsed.success) return inputError(res, parsed.error);
+
+  let data;
+  try {
+    data = withBookingRates(req.tenant, parsed.data);
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+  const conflict = dayLimitConflict(req, data);
+  if (conflict) return res.status(409).json({ error: conflict });
+  const item = {
+    id: uid(), projectId: project.id, ...data, clientId: idempotencyKey(req), createdAt: Date.now(), createdBy: req.session.user.username,
+  };
+  req.tenant.bookings.insert(item);
+  audit(req, "booking.create", { id: item.id, projectId: project.id, kind: item.kind });
+  res.json(bookingOut(req, item));
+}
+app.post("/api/projects/:id/bookings", requireCsrf, requirePermission("costs.book"), createBooking);
+
+// Die Art einer Buchung bleibt beim Ändern erhalten
+function updateBooking(req, res) {
+  const current = findBooking(req);
+  if (!current) return res.status(404).json({ error: "Not found" });
+  if (!mayChangeBooking(req, current)) return res.status(403).json({ error: "Nur eigene Buchungen änderbar" });
+
+  const { id, projectId, clientId, createdAt, createdBy, ...fields } = current;
+  const own = { employee: req.session.user.username, seesCosts: can(req, "costs.view") };
+  const parsed = BookingSchema.safeParse({ ...fields, ...bookingInput(req.body, own), kind: current.kind });
+  if (!parsed.success) return inputError(res, parsed.error);
+  let data;
+  try {
+    data = withBookingRates(req.tenant, parsed.data);
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+  const conflict = dayLimitConflict(req, data, id);
+  if (conflict) return res.status(409).json({ error: conflict });
+  const item = { id, projectId, ...data, clientId, createdAt, createdBy, updatedAt: Date.now() };
+  req.tenant.bookings.update(item);
+  audit(req, "booking.update", { id, projectId });
+  res.json(bookingOut(req, item));
+}
+app.put("/api/projects/:id/bookings/:bookingId", requireCsrf, requirePermission("costs.book"), updateBooking);
+
+function deleteBooking(req, res) {
+  const current = findBooking(req);
+  if (!current) return res.status(404).json({ error: "Not found" });
+  if (!mayChangeBooking(req, current)) return res.status(403).json({ error: "Nur eigene Buchungen löschbar" });
+  req.tenant.bookings.remove(current.id);
+  audit(req, "booking.delete", { id: current.id, projectId: current.projectId, kind: current.kind });
+  res.json({ ok: true });
+}
+app.delete("/api/projects/:id/bookings/:bookingId", requireCsrf, requirePermission("costs.book"), deleteBooking);
+
+// Nachkalkulation: angenommene Angebote des Projekts gegen die Buchungen
+function getProjectCosts(req, res) {
+  const project = req.tenant.projects.get(req.params.id);
+  if (!project) return res.status(404).json({ error: "Not found" });
+  const offers = loadOffers(req.tenant).filter((o) => o.projectId === project.id && o.status === "angenommen" && !o.deletedAt);
+  const costRate = Number(req.tenant.settings.get().costRatePerHour) || undefined;
+  res.json(postCalculation({ project, offers, bookings: req.tenant.bookings.listBy("projectId", project.id), costRate }));
+}
+app.get("/api/projects/:id/costs", requirePermission("costs.view"), getProjectCosts);
+
+// ------- Bautagebuch (diary.mjs) -------
+// Einträge je Projekt mit laufender Nummer; unterschriebene Einträge sind gesperrt (409 bei Änderung).
+// Fotos sind URLs aus der Mediathek des Projekts (POST /api/projects/:id/photos) dieses Mandanten.
+function diaryPhotoPath(tenantId, url) {
+  const name = path.basename(String(url));
+  if (url !== `/uploads/tenants/${tenantId}/projects/${name}`) return null;
+  const file = path.join(uploadsDir(tenantId, "projects"), name);
+  return fs.existsSync(file) ? file : null;
+}
+
+function photoIssues(tenantId, photos) {
+  return photos.flatMap((url, i) =>
+    diaryPhotoPath(tenantId, url) ? [] : [{ path: `body.photos.${i}`, message: "Foto nicht im Projekt-Upload gefunden" }]);
+}
+
+function findDiaryEntry(req) {
+  const e = req.tenant.diary.get(req.params.entryId);
+  return e && e.projectId === req.params.id ? e : null;
+}
+
+function listDiary(req, res) {
+  if (!req.tenant.projects.get(req.params.id)) return res.status(404).json({ error: "Not found" });
+  const page = Math.max(1, Number(req.query.page || 1));
+  const size = Math.min(100, Math.max(1, Number(req.query.size || 20)));
+  let list = req.tenant.diary.listBy("projectId", req.params.id);
+  if (req.query.from) list = list.filter((e) => e.date >= String(req.query.from));
+  if (req.query.to) list = list.filter((e) => e.date <= String(req.query.to));
+  list.sort((a, b) => byDiaryOrder(b, a));
+  const total = list.length;
+  const items = list.slice((page - 1) * size, page * size).map(withDiaryState);
+  res.json({ items, total, page, size });
+}
+app.get("/api/projects/:id/diary", requirePermission("projects.view"), listDiary);
+
+function createDiaryEntry(req, res) {
+  const project = req.tenant.projects.get(req.params.id);
+  if (!project) return res.status(404).json({ error: "Not found" });
+  const [prior] = syncedBefore(req, "diary");
+  if (prior) return res.json(withDiaryState(prior));
+  const parsed = DiaryEntrySchema.safeParse(req.body || {});
+  if (!parsed.success) return inputError(res, parsed.error);
+  const issues = photoIssues(req.tenant.id, parsed.data.photos);
+  if (issues.length) return inputError(res, { issues });
+
+  const item = store.transaction(() => {
+    const entry = {
+      id: uid(),
+      projectId: project.id,
+      number: nextDiaryNumber(req.tenant.diary.listBy("projectId", project.id)),
+      ...parsed.data,
+      clientId: idempotencyKey(req),
+      createdAt: Date.now(),
+      createdBy: req.session.user.username,
+    };
+    return req.tenant.diary.insert(entry);
+  });
+  audit(req, "diary.create", { id: item.id, projectId: project.id, number: item.number, date: item.date });
+  res.json(withDiaryState(item));
+}
+app.post("/api/projects/:id/diary", requireCsrf, requirePermission("projects.edit"), createDiaryEntry);
+
+// Notizen der Baustellen-App: an den offenen Eintrag des Tages anhängen, sonst neuer Eintrag.
+// Ist der Tag schon unterschrieben, 409 mit dem Eintrag – mit asNew wird daraus ein Nachtrag.
+const MAX_WORK_DONE = DiaryEntrySchema.shape.workDone.maxLength;
+function addDiaryNote(req, res) {
+  const project = req.tenant.projects.get(req.params.id);
+  if (!project) return res.status(404).json({ error: "Not found" });
+  const parsed = DiaryNoteSchema.safeParse(req.body || {});
+  if (!parsed.success) return inputError(res, parsed.error);
+  const note = parsed.data;
+  const key = idempotencyKey(req);
+
+  const result = store.transaction(() => {
+    const entries = req.tenant.diary.listBy("projectId", project.id);
+    const prior = key && entries.find((e) => e.clientId === key || e.noteKeys?.includes(key));
+    if (prior) return { action: "replayed", entry: prior };
+    const target = note.asNew ? { action: "create" } : diaryNoteTarget(entries, note.date);
+    if (target.action === "conflict") return target;
+    const line = noteLine(note);
+    if (target.action === "append" && target.entry.workDone.length + line.length < MAX_WORK_DONE) {
+      const e = target.entry;
+      const noteKeys = key ? [...(e.noteKeys || []), key] : e.noteKeys;
+      return { action: "appended", entry: req.tenant.diary.update({ ...e, workDone: `${e.workDone}\n${line}`, noteKeys, updatedAt: Date.now() }) };
+    }
+    const entry = req.tenant.diary.insert({
+      id: uid(),
+      projectId: project.id,
+      number: nextDiaryNumber(entries),
+      ...DiaryEntrySchema.parse({ date: note.date, workDone: line }),
+      clientId: key,
+      createdAt: Date.now(),
+      createdBy: req.session.user.username,
+    });
+    return { action: "created", entry };
+  });
+  const { action, entry } = result;
+  if (action === "conflict")
+    return res.status(409).json({ error: `Eintrag Nr. ${entry.number} vom ${entry.date} ist bereits unterschrieben`, entry: withDiaryState(entry) });
+  if (action === "replayed") res.set("Idempotent-Replayed", "true");
+  else audit(req, "diary.note", { id: entry.id, projectId: project.id, number: entry.number, action });
+  res.json({ action, entry: withDiaryState(entry) });
+}
+app.post("/api/projects/:id/diary/notes", requireCsrf, requirePermission("projects.edit"), addDiaryNote);
+
+function updateDiaryEntry(req, res) {
+  const current = findDiaryEntry(req);
+  if (!current) return res.status(404).json({ error: "Not found" });
+  if (current.signedAt) return res.status(409).json({ error: "Unterschriebene Einträge können nicht geändert werden" });
+
+  const { id, projectId, number, clientId, noteKeys, createdAt, createdBy, updatedAt, ...fields } = current;
+  const parsed = DiaryEntrySchema.safeParse({ ...fields, ...req.body });
+  if (!parsed.success) return inputError(res, parsed.error);
+  const issues = photoIssues(req.tenant.id, parsed.data.photos);
+  if (issues.length) return inputError(res, { issues });
+
+  const item = { id, projectId, number, ...parsed.data, clientId, noteKeys, createdAt, createdBy, updatedAt: Date.now() };
+  req.tenant.diary.update(item);
+  audit(req, "diary.update", { id, projectId, number });
+  res.json(withDiaryState(item));
+}
+app.put("/api/projects/:id/diary/:entryId", requireCsrf, requirePermission("projects.edit"), updateDiaryEntry);
+
+function deleteDiaryEntry(req, res) {
+  const current = findDiaryEntry(req);
+  if (!current) return res.status(404).json({ error: "Not found" });
+  if (current.signedAt) return res.status(409).json({ error: "Unterschriebene Einträge können nicht gelöscht werden" });
+  req.tenant.diary.remove(current.id);
+  audit(req, "diary.delete", { id: current.id, projectId: current.projectId, number: current.number });
+  res.json({ ok: true });
+}
+app.delete("/api/projects/:id/diary/:entryId", requireCsrf, requirePermission("projects.edit"), deleteDiaryEntry);
+
+// Unterschrift: getippter Name, angemeldeter Benutzer und Zeitpunkt; danach gesperrt
+function signDiary(req, res) {
+  const current = findDiaryEntry(req);
+  if (!current) return res.status(404).json({ error: "Not found" });
+  if (current.signedAt) return res.status(409).json({ error: `Eintrag ${current.number} ist bereits unterschrieben` });
+  const name = String(req.body?.name || "").trim().slice(0, 120);
+  const item = signDiaryEntry(current, { user: req.session.user.username, name });
+  req.tenant.diary.update(item);
+  audit(req, "diary.sign", { id: item.id, projectId: item.projectId, number: item.number, name: item.signerName });
+  res.json(withDiaryState(item));
+}
+app.post("/api/projects/:id/diary/:entryId/sign", requireCsrf, requirePermission("diary.sign"), signDiary);
+
+// PDF: alle (oder die unterschriebenen) Einträge im Zeitraum, Fotos als Anlage; läuft als Auftrag (queuePdf)
+function diaryPdf(req, res) {
+  const project = req.tenant.projects.get(req.params.id);
+  if (!project) return res.status(404).json({ error: "Not found" });
+  const { from, to, signedOnly } = req.body || {};
+  const entries = req.tenant.diary.listBy("projectId", project.id)
+    .filter((e) => (!from || e.date >= from) && (!to || e.date <= to) && (!signedOnly || e.signedAt))
+    .sort(byDiaryOrder);
+  if (!entries.length) return res.status(400).json({ error: "Keine Einträge im gewählten Zeitraum" });
+  const meta = { type: "bautagebuch", title: `Bautagebuch ${project.title}`, projectId: project.id, customerId: project.customerId };
+  queuePdf(req, res, meta, () => {
+    const out = exportDiaryToPDF(project, entries, req.tenant);
+    audit(req, "diary.pdf", { projectId: project.id, entries: entries.length, file: out.filename });
+    return out;
+  });
+}
+app.post("/api/projects/:id/diary/pdf", requireCsrf, requirePermission("projects.view"), diaryPdf);
+
+const fmtDay = (iso) => new Date(`${iso}T12:00:00Z`).toLocaleDateString("de-DE", {
+  weekday: "short", day: "2-digit", month: "2-digit", year: "numeric", timeZone: "UTC",
+});
+
+function exportDiaryToPDF(project, entries, tenant) {
+  const settings = tenant.settings.get();
+  const companyName = settings.companyName || "Ihr Handwerksbetrieb";
+  const customer = findCustomer(tenant, project.customerId);
+  const filename = `Bautagebuch_${safeName(project.title)}_${Date.now()}.pdf`;
+  const { doc, id, filePath, done } = createPdf({ tenant });
+  const bottom = () => doc.page.height - 90;
+  const ensure = (h) => { if (doc.y + h > bottom()) doc.addPage(); };
+
+  doc.fontSize(20).font("Helvetica-Bold").text("Bautagebuch", 50, 50);
+  doc.moveDown(1);
+  doc.font("Helvetica").fontSize(11).text(`Firma: ${companyName}`);
+  doc.text(`Projekt: ${project.title}`);
+  if (customer) doc.text(`Bauherr / Kunde: ${customer.name}`);
+  doc.text(`Zeitraum: ${fmtDay(entries[0].date)} – ${fmtDay(entries[entries.length - 1].date)} (${entries.length} Einträge)`);
+  doc.moveDown(1);
+
+  // Fotos werden durchnummeriert und im Text auf die Anlage verwiesen
+  const appendix = [];
+  for (const e of entries) {
+    ensure(120);
+    const top = doc.y;
+    doc.rect(50, top, 500, 20).fill("#e5e7eb").fillColor("#000");
+    doc.font("Helvetica-Bold").fontSize(11).text(`Nr. ${e.number} – ${fmtDay(e.date)}`, 56, top + 5, { width: 490 });
+    doc.y = top + 26;
+    doc.x = 50;
+
+    const w = e.weather || {};
+    const weather = [w.condition && WEATHER[w.condition], w.temperatureC != null && `${w.temperatureC} °C`, w.note]
+      .filter(Boolean).join(", ");
+    doc.font("Helvetica").fontSize(10).text(`Wetter: ${weather || "–"}`, { width: 500 });
+
+    if (e.staff?.length) {
+      const staff = e.staff.map((p) => `${p.name}${p.role ? ` (${p.role})` : ""}: ${p.hours} Std`).join("; ");
+      doc.text(`Anwesend: ${staff} – gesamt ${withDiaryState(e).totalHours} Std`, { width: 500 });
+    }
+    for (const [label, text] of [
+      ["Ausgeführte Arbeiten", e.workDone],
+      ["Besondere Vorkommnisse", e.incidents],
+      ["Behinderungen / Bedenken", e.hindrances],
+    ]) {
+      if (!text) continue;
+      ensure(40);
+      doc.moveDown(0.4).font("Helvetica-Bold").text(label, { width: 500 });
+      doc.font("Helvetica").text(text, { width: 500 });
+    }
+    const photos = (e.photos || []).map((u) => diaryPhotoPath(tenant.id, u)).filter((f) => f && /\.(jpe?g|png)$/i.test(f));
+    if (photos.length) {
+      const first = appendix.length + 1;
+      for (const file of photos) appendix.push({ file, entry: e });
+      doc.moveDown(0.4).text(`Fotos: Anlage ${first}${photos.length > 1 ? `–${appendix.length}` : ""}`, { width: 500 });
+    }
+    doc.moveDown(0.4).fontSize(9).fillColor("#4b5563").text(
+      e.signedAt
+        ? `Unterschrieben von ${e.signerName} (${e.signedBy}) am ${new Date(e.signedAt).toLocaleString("de-DE")} – Prüfsumme ${e.checksum.slice(0, 16)}`
+        : "Nicht unterschrieben (Entwurf)",
+      { width: 500 },
+    );
+    doc.fillColor("#000").moveDown(1);
+  }
+
+  // Anlage: zwei Fotos je Seite
+  appendix.forEach(({ file, entry }, i) => {
+    if (i % 2 === 0) {
+      doc.addPage();
+      doc.font("Helvetica-Bold").fontSize(14).text("Anlage: Fotos", 50, 50);
+    }
+    const y = i % 2 === 0 ? 80 : 410;
+    try {
+      doc.image(file, 50, y, { fit: [500, 290], align: "center" });
+    } catch {
+      doc.font("Helvetica").fontSize(10).text("(Bild nicht lesbar)", 50, y + 130, { width: 500, align: "center" });
+    }
+    doc.font("Helvetica").fontSize(9).fillColor("#4b5563")
+      .text(`Anlage ${i + 1} – Eintrag Nr. ${entry.number} vom ${fmtDay(entry.date)}`, 50, y + 295, { width: 500, align: "center" });
+    doc.fillColor("#000");
+  });
+
+  drawPageFooters(doc, companyProfile(tenant, companyName));
+  doc.end();
+  return { id, filename, absPath: filePath, done };
+}
+
+// ============= ANGEBOT / PDF =============
+// Kalkulation über offerEngine.mjs mit Katalog und Sätzen aus den Einstellungen.
+// Materialien mit unbekannter SKU sind ein Eingabefehler (issues mit Feldpfad → 400 über inputError).
+function generateOffer(tenant, input, catalog = currentCatalog(tenant)) {
+  const issues = (input.project?.materials || []).flatMap((m, i) =>
+    m.sku && !catalog.articles.some((a) => a.sku === m.sku)
+      ? [{ path: `body.project.materials.${i}.sku`, message: `Artikel ${m.sku} fehlt im Katalog` }]
+      : []);
+  if (issues.length) throw Object.assign(new Error(issues.map((i) => i.message).join("; ")), { issues });
+  return calculateOffer(input, {
+    ctx: priceContext(catalog, input.segment),
+    ...ratesFromSettings(tenant.settings.get()),
+  });
+}
+
+// ------- PDF-Bausteine (Angebot & Rechnung) -------
+const fmtEUR = (n) => Number(n || 0).toLocaleString("de-DE", { style: "currency", currency: "EUR" });
+const fmtDate = (d) => new Date(d).toLocaleDateString("de-DE");
+
+function safeName(s) {
+  return String(s || "")
+    .replace(/[^\p{L}\p{N}_-]+/gu, "-")
+    .replace(/-+/g, "-")
+    .replace(/^-|-$/g, "")
+    .slice(0, 60);
+}
+
+// pdfa: PDF 1.7 für ZUGFeRD; mit PDFA_FONT werden statt der Standardschriften einbettbare Schriften genutzt.
+// fonts: Schriftdateien einer Dokumentvorlage (ersetzen Helvetica/Helvetica-Bold); logo: false, wenn der
+// Briefkopf das Logo selbst setzt. Die Datei entsteht als <id>.pdf in der Ablage des Mandanten (den Eintrag legt
+// registerDocument an); mit inMemory nur im Speicher, done liefert dann den Buffer. Unten bleibt Platz für die
+// Fußzeile (drawPageFooters).
+function createPdf({ pdfa = false, tenant, fonts, logo = true, inMemory = false } = {}) {
+  const id = uid();
+  const filePath = inMemory ? null : path.join(documentsDir(tenant.id), `${id}.pdf`);
+  const regular = fonts?.regular || (pdfa && PDFA.font);
+  const bold = fonts?.regular ? fonts.bold || fonts.regular : PDFA.fontBold;
+  const doc = new PDFDocument({
+    size: "A4", margins: { top: 50, left: 50, right: 50, bottom: 80 }, bufferPages: true,
+    ...(pdfa ? { pdfVersion: "1.7", lang: "de-DE" } : {}),
+    ...(regular ? { font: regular } : {}),
+  });
+  if (regular) {
+    doc.registerFont("Helvetica", regular);
+    doc.registerFont("Helvetica-Bold", bold);
+  }
+  // erfüllt sich, sobald die Datei vollständig geschrieben ist
+  let done;
+  if (filePath) {
+    const out = fs.createWriteStream(filePath);
+    doc.pipe(out);
+    done = new Promise((resolve, reject) => {
+      out.on("finish", resolve);
+      out.on("error", reject);
+    });
+  } else {
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    done = new Promise((resolve, reject) => {
+      doc.on("end", () => resolve(Buffer.concat(chunks)));
+      doc.on("error", reject);
+    });
+  }
+
+  const logoPath = tenantLogo(tenant.id);
+  if (logo && fs.existsSync(logoPath)) {
+    try { doc.image(logoPath, 430, 40, { width: 140 }); } catch {}
+  }
+  return { doc, id, filePath, done };
+}
+
+// ---------- Dokumentenablage ----------
+// PDF-Aufträge laufen über die Warteschlange (documents.mjs): die Route antwortet mit 202 und dem Job, der Eintrag
+// in `documents` entsteht erst, wenn die Datei vollständig geschrieben ist. PDF_CONCURRENCY: parallele Aufträge.
+const pdfJobs = createJobQueue({ concurrency: Math.max(1, Number(process.env.PDF_CONCURRENCY) || 1) });
+
+// Eintrag mit Größe und SHA-256 der Datei; leere Verknüpfungen entfallen
+function documentRecord({ file, ...meta }) {
+  const record = { ...meta, size: fs.statSync(file).size, checksum: fileChecksum(file) };
+  return Object.fromEntries(Object.entries(record).filter(([, v]) => v != null && v !== ""));
+}
+
+// out: Ergebnis von exportOfferToPDF/exportInvoiceToPDF/exportDiaryToPDF
+function registerDocument(tenant, { id, filename, absPath, xml }, meta) {
+  const record = documentRecord({ id, filename, file: absPath, xml: !!xml, createdAt: Date.now(), ...meta });
+  tenant.documents.insert(record);
+  return record;
+}
+
+// render() zeichnet das PDF erst, wenn der Auftrag dran ist; extra ergänzt die Antwort (z. B. Prüfhinweise)
+function queuePdf(req, res, meta, render, extra = {}) {
+  const { tenant } = req;
+  const createdBy = req.session.user.username;
+  const { job } = pdfJobs.add({ tenantId: tenant.id, type: meta.type, createdBy }, async () => {
+    // Fehler beim Zeichnen wie beim Schreiben: Teildatei entfernen, Auftrag scheitert
+    let out;
+    try {
+      out = render();
+      await out.done;
+    } catch (e) {
+      if (out?.absPath) {
+        fs.rmSync(out.absPath, { force: true });
+        fs.rmSync(out.absPath.replace(/\.pdf$/i, ".xml"), { force: true });
+      }
+      throw e;
+    }
+    const record = registerDocument(tenant, out, { ...meta, createdBy });
+    audit(req, "pdf.create", { id: record.id, type: record.type, file: record.filename });
+    return record;
+  });
+  res.status(202).json({ ok: true, job: jobView(job), statusUrl: `/api/pdfs/jobs/${job.id}`, ...extra });
+}
+
+// Positionstabelle mit Seitenumbruch; liefert die y-Position nach der Tabelle.
+// Mit sections (Angebot) stehen Titel als Zwischenüberschrift und je Titel eine Zwischensumme in der Tabelle.
+// accent: Farbe für Kopfzeile und Titel aus der Dokumentvorlage.
+// Ältere Datensätze haben noch desc/qty statt description/quantity.
+function drawItemsTable(doc, items, { sections = [], accent = "#000" } = {}) {
+  const drawHeader = (y) => {
+    doc.font("Helvetica-Bold").fontSize(11).fillColor(accent);
+    doc.text("Beschreibung", 50, y);
+    doc.text("Menge", 235, y);
+    doc.text("Einheit", 285, y);
+    doc.text("Einzelpreis", 335, y);
+    doc.text("USt", 415, y);
+    doc.text("Gesamt", 470, y);
+    doc.moveTo(50, y + 15).lineTo(550, y + 15).stroke(accent);
+    doc.fillColor("#000");
+  };
+
+  let y = doc.y + 20;
+  drawHeader(y);
+  y += 25;
+  const ensureSpace = (h) => {
+    if (y + h <= 750) return;
+    doc.addPage();
+    y = 50;
+    drawHeader(y);
+    y += 25;
+  };
+
+  // offene Titel; beim Verlassen eines Titels dessen Zwischensumme
+  const byPath = new Map(sections.map((s) => [s.path.join("\u0000"), s]));
+  const open = [];
+  const closeTo = (depth) => {
+    while (open.length > depth) {
+      const s = open.pop();
+      ensureSpace(18);
+      doc.font("Helvetica-Bold").fontSize(9).fillColor("#000");
+      doc.text(`Summe ${s.pos} ${s.title}`, 55, y, { width: 400 });
+      doc.text(fmtEUR(s.subtotal), 470, y);
+      doc.moveTo(400, y - 3).lineTo(550, y - 3).stroke("#9ca3af");
+      y += 20;
+    }
+  };
+
+  (items || []).forEach((it, i) => {
+    const path = it.section || [];
+    let depth = 0;
+    while (depth < open.length && open[depth].title === path[depth]) depth += 1;
+    closeTo(depth);
+    for (let d = open.length; d < path.length; d++) {
+      const s = byPath.get(path.slice(0, d + 1).join("\u0000"));
+      if (!s) break;
+      ensureSpace(50);
+      doc.font("Helvetica-Bold").fontSize(d ? 10 : 11).fillColor(accent).text(`${s.pos} ${s.title}`, 50, y + 4, { width: 500 });
+      y += 22;
+      open.push(s);
+    }
+
+    const qty = Number(it.quantity ?? it.qty ?? 0);
+    const unitPrice = Number(it.unitPrice || 0);
+    const lineTotal = it.total ?? qty * unitPrice;
+    const pos = it.pos || it.oz;
+    const label = `${pos ? `${pos} ` : ""}${it.description ?? it.desc ?? ""}`;
+    const notes = [];
+    if (it.discountAmount) {
+      const discount = it.discount?.type === "percent" ? `${it.discount.value} % Rabatt` : "Rabatt";
+      notes.push(`abzgl. ${discount}: ${fmtEUR(-it.discountAmount)}`);
+    }
+    if (it.type === "optional") notes.push("Bedarfsposition – nur auf Anordnung, nicht in der Summe enthalten");
+    if (it.type === "alternative") {
+      notes.push(`Wahlposition${it.alternativeTo?.length ? ` statt Pos. ${it.alternativeTo.join(", ")}` : ""} – nicht in der Summe enthalten`);
+    }
+    doc.font("Helvetica").fontSize(10);
+    const textH = Math.max(doc.heightOfString(label, { width: 170 }), 12);
+    const longH = it.longText ? doc.fontSize(8).heightOfString(it.longText, { width: 410 }) + 2 : 0;
+    const rowH = textH + notes.length * 10 + longH + 10;
+    ensureSpace(rowH);
+
+    if (i % 2 === 0) {
+      doc.rect(50, y - 3, 500, rowH - 2).fill("#f3f4f6").fillColor("#000");
+    }
+    doc.font("Helvetica").fontSize(10).fillColor("#000");
+    doc.text(label, 55, y, { width: 170 });
+    doc.text(String(qty), 235, y);
+    doc.text(it.unit || "", 285, y);
+    doc.text(fmtEUR(unitPrice), 335, y);
+    doc.text(it.reverseCharge ? "§13b" : it.taxRate != null ? `${it.taxRate} %` : "", 415, y);
+    doc.text(fmtEUR(lineTotal), 470, y);
+    let noteY = y + textH;
+    doc.fontSize(8).fillColor("#6b7280");
+    for (const note of notes) {
+      doc.text(note, 55, noteY, { width: 410 });
+      noteY += 10;
+    }
+    if (it.longText) doc.text(it.longText, 55, noteY, { width: 410 });
+    doc.fontSize(10).fillColor("#000");
+    y += rowH;
+  });
+  closeTo(0);
+  return y;
+}
+
+// Summenzeilen für Angebot und Rechnung inkl. MwSt je Steuersatz.
+// Ältere Datensätze ohne taxes[] haben nur einen Satz.
+function amountLines(x) {
+  const lines = [["Zwischensumme", x.subtotal]];
+  if (x.margin) {
+    const pct = x.marginPercentage ?? (x.subtotal ? Math.round((x.margin / x.subtotal) * 100) : 0);
+    lines.push([`Aufschlag (${pct}%)`, x.margin]);
+  }
+  if (x.discountAmount) {
+    const label = x.discount?.type === "percent" ? `Rabatt (${x.discount.value}%)` : "Rabatt";
+    lines.push([label, -x.discountAmount]);
+  }
+  lines.push(["Netto", x.totalBeforeTax]);
+  const taxes = x.taxes || [{
+    rate: x.taxRatePercentage ?? (x.totalBeforeTax ? Math.round((x.tax / x.totalBeforeTax) * 100) : 0),
+    net: x.totalBeforeTax,
+    tax: x.tax,
+  }];
+  for (const t of taxes) {
+    lines.push([t.reverseCharge ? "USt (§ 13b UStG)" : `MwSt ${t.rate}% auf ${fmtEUR(t.net)}`, t.tax]);
+  }
+  lines.push(["Gesamtsumme", x.total, true]);
+  return lines;
+}
+
+// Zahlungs- und Steuerhinweise (Skonto, Reverse Charge)
+function paymentNotes(x) {
+  const notes = [];
+  if (x.reverseCharge)
+    notes.push("Steuerschuldnerschaft des Leistungsempfängers (§ 13b UStG) – für diese Leistungen wird keine Umsatzsteuer berechnet.");
+  if (x.skonto?.percent)
+    notes.push(`Bei Zahlung innerhalb von ${x.skonto.days} Tagen gewähren wir ${x.skonto.percent}% Skonto (${fmtEUR(x.skonto.amount)}), Zahlbetrag dann ${fmtEUR(x.skonto.total)}.`);
+  return notes;
+}
+
+// Lohnanteil nach § 35a EStG als eigener Block (nur bei Kalkulationen mit Kostenarten)
+function drawLabourCosts(doc, x) {
+  if (!x.labourCosts || x.reverseCharge) return;
+  const c = x.costTypes || {};
+  doc.font("Helvetica-Bold").fontSize(11).fillColor("#000").text("Lohnanteil nach § 35a EStG", 50, doc.y, { width: 500 });
+  doc.font("Helvetica").fontSize(9).fillColor("#333");
+  doc.text(
+    `Arbeitskosten (Lohn ${fmtEUR(c.labour?.net)}, Maschinen ${fmtEUR(c.machine?.net)}, Fahrt ${fmtEUR(c.travel?.net)}): ` +
+    `netto ${fmtEUR(x.labourCosts.net)} + MwSt ${fmtEUR(x.labourCosts.tax)} = brutto ${fmtEUR(x.labourCosts.gross)}`,
+    { width: 500 }
+  );
+  doc.text(`Materialkosten (nicht begünstigt): netto ${fmtEUR(c.material?.net)}, brutto ${fmtEUR(c.material?.gross)}`, { width: 500 });
+  doc.moveDown(1);
+}
+
+// Digitale Annahme über den Kundenlink: Name, Zeitpunkt, Unterschrift und Prüfsumme der angenommenen Fassung
+function drawAcceptance(doc, a) {
+  if (doc.y > 640) doc.addPage();
+  doc.font("Helvetica-Bold").fontSize(11).fillColor("#000").text("Auftragserteilung (digital)", 50, doc.y, { width: 500 });
+  doc.font("Helvetica").fontSize(9).fillColor("#333");
+  doc.text(`Angenommen von ${a.name} am ${new Date(a.ts).toLocaleString("de-DE")} (Version ${a.version})`, { width: 500 });
+  if (a.signature) {
+    try {
+      doc.image(Buffer.from(a.signature.split(",")[1], "base64"), 50, doc.y + 4, { fit: [200, 60] });
+      doc.y += 68;
+    } catch {}
+  }
+  doc.fontSize(8).fillColor("#6b7280").text(`SHA-256: ${a.hash}`, 50, doc.y, { width: 500 });
+  doc.fillColor("#000");
+  doc.moveDown(1);
+}
+
+// Summenblock; lines = [[Bezeichnung, Betrag, fett?], ...]
+function drawTotalsBox(doc, y, lines) {
+  const boxY = y + 20;
+  if (boxY + lines.length * 17 + 15 > 750) {
+    doc.addPage();
+    return drawTotalsBox(doc, 30, lines);
+  }
+  doc.rect(300, boxY, 250, lines.length * 17 + 15).fill("#f8fafc").stroke("#e5e7eb");
+  doc.fillColor("#000").font("Helvetica").fontSize(10);
+  doc.y = boxY + 5;
+  for (const [label, val, bold] of lines) {
+    if (bold) doc.font("Helvetica-Bold");
+    doc.text(label, 310, doc.y + 5, { continued: true });
+    doc.text(fmtEUR(val), 300, doc.y, { width: 240, align: "right" });
+    if (bold) doc.font("Helvetica");
+  }
+}
+
+// Absender für Briefkopf und Fußzeile aus den Einstellungen; name ersetzt den Firmennamen (z. B. aus der Rechnung)
+function companyProfile(tenant, name) {
+  const s = tenant.settings.get({});
+  const fields = [
+    "street", "zip", "city", "address", "phone", "email", "website", "contactName",
+    "bankName", "iban", "bic", "managingDirector", "registerCourt", "registerNumber", "vatId", "taxNumber",
+  ];
+  return {
+    name: name || s.companyName || "Ihr Handwerksbetrieb",
+    ...Object.fromEntries(fields.map((k) => [k, String(s[k] || "")])),
+  };
+}
+
+// Fußzeile auf allen gepufferten Seiten: Kontakt-, Bank- und Registerangaben aus den Einstellungen, Seitenzahl
+function drawPageFooters(doc, company) {
+  const columns = footerColumns(company);
+  const width = 500 / Math.max(columns.length, 1);
+  const range = doc.bufferedPageRange();
+  for (let i = 0; i < range.count; i++) {
+    doc.switchToPage(i);
+    // unterhalb des Satzspiegels würde pdfkit sonst eine neue Seite beginnen
+    const { bottom } = doc.page.margins;
+    doc.page.margins.bottom = 0;
+    const top = doc.page.height - 74;
+    doc.moveTo(50, top - 5).lineTo(550, top - 5).lineWidth(0.5).stroke("#d1d5db");
+    doc.font("Helvetica").fontSize(7).fillColor("#6b7280");
+    columns.forEach((lines, c) => doc.text(lines.join("\n"), 50 + c * width, top, { width: width - 8 }));
+    doc.text(`Seite ${i + 1} von ${range.count}`, 50, doc.page.height - 24, { width: 500, align: "right" });
+    doc.page.margins.bottom = bottom;
+  }
+  doc.fillColor("#000");
+}
+
+// Schriftdateien einer Vorlage (uploads/tenants/<id>/fonts); gelöschte Dateien fallen auf Helvetica zurück
+const fontsDir = (tenantId) => uploadsDir(tenantId, "fonts");
+function templateFonts(tenant, template) {
+  const file = (name) => {
+    const p = name && path.join(fontsDir(tenant.id), path.basename(name));
+    return p && fs.existsSync(p) ? p : undefined;
+  };
+  const regular = file(template.font);
+  return regular ? { regular, bold: file(template.fontBold) || regular } : undefined;
+}
+
+const offerTemplate = (tenant, templateId) => pickTemplate(tenant.templates.list(), templateId);
+
+// Briefkopf nach DIN 5008: Firmenname und Logo, Falz- und Lochmarken, Rücksendeangabe und Anschrift im
+// Anschriftfeld, rechts daneben der Informationsblock; liefert die y-Position für den Brieftext
+function drawLetterhead(doc, { template, company, tenant, recipient, info }) {
+  const g = letterGeometry(template.form);
+  const logoPath = tenantLogo(tenant.id);
+  if (template.logo.show && fs.existsSync(logoPath)) {
+    try { doc.image(logoPath, 550 - template.logo.width, 30, { fit: [template.logo.width, g.addressField.y - 40] }); } catch {}
+  }
+  doc.font("Helvetica-Bold").fontSize(16).fillColor(template.accentColor)
+    .text(company.name, 50, 36, { width: template.logo.show ? 490 - template.logo.width : 500 });
+
+  for (const y of [...g.foldMarks, g.punchMark]) {
+    doc.moveTo(0, y).lineTo(y === g.punchMark ? 20 : 14, y).lineWidth(0.5).stroke("#9ca3af");
+  }
+
+  doc.font("Helvetica").fontSize(7).fillColor("#4b5563")
+    .text(template.senderLine || senderLine(company), g.senderLine.x, g.senderLine.y, {
+      width: g.senderLine.width, height: 9, lineBreak: false, ellipsis: true, underline: true,
+    });
+  doc.fontSize(10).fillColor("#000")
+    .text(recipient.join("\n"), g.recipient.x, g.recipient.y, { width: g.recipient.width, height: g.recipient.height, ellipsis: true });
+
+  let y = g.info.y;
+  for (const [label, value] of info) {
+    doc.font("Helvetica").fontSize(8).fillColor("#6b7280").text(label, g.info.x, y, { width: 70 });
+    doc.fontSize(9).fillColor("#000").text(value, g.info.x + 72, y, { width: g.info.width - 72 });
+    y = Math.max(doc.y, y + 12);
+  }
+  doc.x = 50;
+  return Math.max(g.bodyTop, y + 20);
+}
+
+// Angebot als Brief nach der Dokumentvorlage (pickTemplate); mit inMemory (Vorschau, Kundenansicht) ohne Ablage,
+// done liefert dann den Buffer
+function exportOfferToPDF(offer, tenant, { template = offerTemplate(tenant, offer.templateId), inMemory = false } = {}) {
+  const customer = safeName(offer?.customer?.name || "Kunde");
   const date = new Date().toISOString().slice(0, 10);
-  const filename = `Angebot_${company}_${customer}_${date}_${Date.now()}.pdf`;
-  const filePath = path.join(GENERATED_DIR, filename);
+  const filename = offer?.number
+    ? `Angebot_${safeName(offer.number)}_v${offer.version || 1}_${customer}_${Date.now()}.pdf`
+    : `Angebot_${safeName(offer?.company?.name || "Firma")}_${customer}_${date}_${Date.now()}.pdf`;
+
+  const company = companyProfile(tenant, tenant.settings.get({}).companyName || offer?.company?.name);
+  const customerName = offer?.customer?.name || "Kunde";
+  const today = new Date().toLocaleDateString("de-DE");
+  const validUntil = offer?.validUntil || defaultValidUntil();
+  const values = {
+    kunde: customerName,
+    projekt: offer?.title || offer?.project?.title || "Ihr Bauvorhaben",
+    gueltigBis: fmtDate(validUntil),
+    angebotNr: offer?.number || "",
+    datum: today,
+    firma: company.name,
+  };
+
+  const { doc, id, filePath, done } = createPdf({ tenant, fonts: templateFonts(tenant, template), logo: false, inMemory });
+
+  const info = [
+    ["Angebots-Nr.", offer?.number ? `${offer.number}${offer.version > 1 ? ` (Version ${offer.version})` : ""}` : "Entwurf"],
+    ["Datum", today],
+    ["Gültig bis", values.gueltigBis],
+    ["Ansprechpartner", company.contactName],
+    ["Telefon", company.phone],
+    ["E-Mail", company.email],
+  ].filter(([, value]) => value);
+  const recipient = recipientLines(offer?.customer, offer?.customerId && findCustomer(tenant, offer.customerId));
+  const top = drawLetterhead(doc, { template, company, tenant, recipient, info });
+
+  doc.font("Helvetica-Bold").fontSize(12).fillColor(template.accentColor)
+    .text(`Angebot${offer?.number ? ` ${offer.number}` : ""} – ${values.projekt}`, 50, top, { width: 500 });
+  doc.moveDown(1);
+  doc.font("Helvetica").fontSize(10).fillColor("#000").text(fillPlaceholders(template.introText, values), { width: 500 });
+
+  const y = drawItemsTable(doc, offer.items, { sections: offer.sections, accent: template.accentColor });
+  drawTotalsBox(doc, y, amountLines(offer));
+
+  doc.moveDown(3);
+  if (offer.extraItems?.length) {
+    if (doc.y > 640) doc.addPage();
+    doc.font("Helvetica-Bold").fontSize(11).fillColor(template.accentColor)
+      .text("Bedarfs- und Wahlpositionen (nicht in der Angebotssumme enthalten)", 50, doc.y, { width: 500 });
+    doc.y = drawItemsTable(doc, offer.extraItems, { accent: template.accentColor });
+    doc.x = 50;
+    doc.moveDown(1);
+  }
+  drawLabourCosts(doc, offer);
+  if (offer.acceptance) drawAcceptance(doc, offer.acceptance);
+
+  const closing = fillPlaceholders(template.closingText, values).trim();
+  if (closing) {
+    if (doc.y > 680) doc.addPage();
+    doc.font("Helvetica").fontSize(10).fillColor("#000").text(closing, 50, doc.y, { width: 500 });
+    doc.moveDown(1.5);
+  }
+
+  // Hinweise
+  const terms = [fillPlaceholders(template.termsText, values).trim(), ...paymentNotes(offer).map((n) => `• ${n}`)].filter(Boolean);
+  if (terms.length) {
+    if (doc.y > 680) doc.addPage();
+    doc.font("Helvetica-Bold").fontSize(11).fillColor(template.accentColor).text("Hinweise / AGB (Kurzfassung)", 50, doc.y, { width: 500 });
+    doc.font("Helvetica").fontSize(9).fillColor("#333").text(terms.join("\n"), { width: 500 });
+  }
+
+  drawPageFooters(doc, company);
+
+  doc.end();
+  return { id, filename, absPath: filePath, done };
+}
+
+// Angebot berechnen
+function calculateOfferPreview(req, res) {
+  try {
+    const input = parseOfferInput(req.body);
+    res.json({ ...generateOffer(req.tenant, input), input });
+  } catch (e) {
+    inputError(res, e);
+  }
+}
+app.post("/api/offers/generate", requirePermission("offers.edit"), calculateOfferPreview);
+
+// Verfügbare Gewerke inkl. Eingabefelder (für den Angebots-Editor)
+app.get("/api/offers/trades", requirePermission("offers.view"), (_req, res) => {
+  res.json({ items: listTrades() });
+});
+
+// GAEB-LV (X83/D83) hochladen → mit Katalog bepreiste Positionen, Antwort wie /api/offers/generate
+const uploadGaeb = multer({ storage: multer.memoryStorage(), limits: { fileSize: 10 * 1024 * 1024 } });
+app.post("/api/offers/gaeb/import", requireCsrf, requirePermission("offers.edit"), uploadGaeb.single("file"), (req, res) => {
+  if (!req.file) return res.status(400).json({ error: "Keine Datei hochgeladen" });
+  try {
+    const lv = parseGaeb(req.file.buffer, req.file.originalname);
+    const catalog = currentCatalog(req.tenant);
+    const segment = req.body?.segment || undefined;
+    const laborRatePerHour = Number(req.body?.laborRatePerHour || 0);
+    const priced = priceGaebItems(lv, { catalog, segment, laborRatePerHour });
+    const company = { name: req.tenant.settings.get().companyName || "" };
+    const input = parseOfferInput(gaebToOfferInput(lv, priced, { company, laborRatePerHour, segment }));
+    audit(req, "offer.gaeb.import", { file: req.file.originalname, format: lv.format, items: priced.length });
+    res.json({
+      ...generateOffer(req.tenant, input, catalog),
+      input,
+      import: {
+        format: lv.format,
+        items: priced.length,
+        extraItems: input.gaeb.extraItems.length,
+        unpriced: priced.filter((p) => !p.unitPrice).map((p) => p.oz),
+        matches: priced.map((p) => ({ oz: p.oz, ...p.match })),
+      },
+    });
+  } catch (e) {
+    // Lesefehler der Datei als Meldung, ungültige Eingaben mit Feldpfad
+    inputError(res, e);
+  }
+});
+
+// PDF-Auftrag für die Ablage (202 mit Job). Beträge werden aus der Eingabe neu berechnet, nicht aus dem
+// Request übernommen; app.html schickt das Ergebnis von /api/offers/generate samt `input` zurück.
+// templateId wählt die Dokumentvorlage, sonst gilt die Standardvorlage.
+function exportOfferPdf(req, res) {
+  let offer;
+  let template;
+  try {
+    const body = req.body || {};
+    const input = parseOfferInput(body.input ?? body);
+    template = offerTemplate(req.tenant, body.templateId);
+    offer = { ...input, ...generateOffer(req.tenant, input) };
+  } catch (e) {
+    return inputError(res, e);
+  }
+  const title = ["Angebot", offer.project?.title || offer.title, offer.customer?.name].filter(Boolean).join(" – ");
+  queuePdf(req, res, { type: "angebot", title }, () => exportOfferToPDF(offer, req.tenant, { template }));
+}
+app.post("/api/offers/export-pdf", requireCsrf, requirePermission("offers.export"), exportOfferPdf);
+
+// ============= DOKUMENTVORLAGEN =============
+// Layout des Angebots-PDF je Mandant (templates.mjs); Schriften liegen unter uploads/tenants/<id>/fonts
+function listTemplates(req, res) {
+  const items = req.tenant.templates.list().sort((a, b) => a.name.localeCompare(b.name, "de"));
+  res.json({ items, total: items.length, page: 1, size: items.length, placeholders: PLACEHOLDERS });
+}
+app.get("/api/pdf-templates", requirePermission("offers.export"), listTemplates);
+
+// Vorlage prüfen: Schema, Platzhalter und vorhandene Schriftdateien
+function parseTemplate(tenant, body) {
+  const data = TemplateSchema.parse(body || {});
+  const issues = ["font", "fontBold"]
+    .filter((key) => data[key] && !fs.existsSync(path.join(fontsDir(tenant.id), data[key])))
+    .map((key) => ({ path: `body.${key}`, message: `Schrift ${data[key]} ist nicht hochgeladen` }));
+  if (issues.length) throw Object.assign(new Error(issues[0].message), { issues });
+  return data;
+}
+
+// Nur eine Standardvorlage je Mandant
+function saveTemplate(tenant, item, isNew) {
+  store.transaction(() => {
+    if (item.isDefault) {
+      for (const t of tenant.templates.list()) {
+        if (t.id !== item.id && t.isDefault) tenant.templates.update({ ...t, isDefault: false });
+      }
+    }
+    if (isNew) tenant.templates.insert(item);
+    else tenant.templates.update(item);
+  });
+  return item;
+}
+
+function createTemplate(req, res) {
+  let data;
+  try {
+    data = parseTemplate(req.tenant, req.body);
+  } catch (e) {
+    return inputError(res, e);
+  }
+  const now = Date.now();
+  const item = saveTemplate(req.tenant, { id: uid(), ...data, createdAt: now, updatedAt: now, createdBy: req.session.user.username }, true);
+  audit(req, "template.create", { id: item.id, name: item.name });
+  res.json(item);
+}
+app.post("/api/pdf-templates", requireCsrf, requirePermission("settings.edit"), createTemplate);
+
+function updateTemplate(req, res) {
+  const current = req.tenant.templates.get(req.params.id);
+  if (!current) return res.status(404).json({ error: "Not found" });
+  const { id, createdAt, createdBy, updatedAt, ...fields } = current;
+  let data;
+  try {
+    data = parseTemplate(req.tenant, { ...fields, ...(req.body || {}) });
+  } catch (e) {
+    return inputError(res, e);
+  }
+  const item = saveTemplate(req.tenant, { id, ...data, createdAt, createdBy, updatedAt: Date.now() });
+  audit(req, "template.update", { id, name: item.name });
+  res.json(item);
+}
+app.put("/api/pdf-templates/:id", requireCsrf, requirePermission("settings.edit"), updateTemplate);
+
+// Angebote mit dieser Vorlage fallen auf die Standardvorlage zurück
+function deleteTemplate(req, res) {
+  const item = req.tenant.templates.get(req.params.id);
+  if (!item) return res.status(404).json({ error: "Not found" });
+  req.tenant.templates.remove(item.id);
+  audit(req, "template.delete", { id: item.id, name: item.name });
+  res.json({ ok: true });
+}
+app.delete("/api/pdf-templates/:id", requireCsrf, requirePermission("settings.edit"), deleteTemplate);
+
+// Schriften: TTF/OTF mit deutschen Umlauten, € und typografischen Anführungszeichen
+const uploadFont = multer({ storage: multer.memoryStorage(), limits: { fileSize: 10 * 1024 * 1024 } });
+app.get("/api/pdf-templates/fonts", requirePermission("offers.export"), (req, res) => {
+  const items = fs.readdirSync(fontsDir(req.tenant.id)).filter((f) => FONT_NAME.test(f)).sort();
+  res.json({ items, total: items.length, page: 1, size: items.length });
+});
+app.post("/api/pdf-templates/fonts", requireCsrf, requirePermission("settings.edit"), uploadFont.single("font"), (req, res) => {
+  if (!req.file) return res.status(400).json({ error: "No file" });
+  const name = path.basename(req.file.originalname).replace(/[^\w.-]+/g, "_");
+  if (!FONT_NAME.test(name)) return res.status(400).json({ error: "Nur .ttf oder .otf (Dateiname aus Buchstaben, Ziffern, - und _)" });
+  let font;
+  try {
+    font = inspectFont(req.file.buffer);
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+  if (font.missing.length) {
+    return res.status(400).json({ error: `Der Schrift fehlen Zeichen: ${font.missing.join(" ")}` });
+  }
+  fs.writeFileSync(path.join(fontsDir(req.tenant.id), name), req.file.buffer);
+  audit(req, "template.font.upload", { file: name, family: font.family });
+  res.json({ ok: true, file: name, family: font.family, style: font.style });
+});
+
+// Vorschau als PDF (nur im Speicher): mit einem gespeicherten Angebot oder einem Beispielangebot
+async function sendTemplatePreview(req, res, template, offerId) {
+  let offer;
+  if (offerId) {
+    const item = loadOffers(req.tenant).find((o) => o.id === offerId && !o.deletedAt);
+    if (!item) return res.status(404).json({ error: "Angebot nicht gefunden" });
+    offer = { ...item.input, ...item };
+  } else {
+    const input = parseOfferInput(PREVIEW_INPUT);
+    offer = { ...input, ...generateOffer(req.tenant, input) };
+  }
+  const { done } = pdfJobs.add({ tenantId: req.tenant.id, type: "vorschau" }, () => exportOfferToPDF(offer, req.tenant, { template, inMemory: true }).done);
+  const pdf = await done;
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader("Content-Disposition", `inline; filename="Vorschau_${safeName(template.name)}.pdf"`);
+  res.send(pdf);
+}
+
+// Ungespeicherte Vorlage aus dem Editor
+async function previewTemplate(req, res) {
+  let template;
+  try {
+    template = parseTemplate(req.tenant, req.body?.template);
+  } catch (e) {
+    return inputError(res, e);
+  }
+  try {
+    await sendTemplatePreview(req, res, template, req.body?.offerId);
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+}
+app.post("/api/pdf-templates/preview", requireCsrf, requirePermission("settings.edit"), previewTemplate);
+
+async function previewStoredTemplate(req, res) {
+  const template = req.tenant.templates.get(req.params.id);
+  if (!template) return res.status(404).json({ error: "Not found" });
+  try {
+    await sendTemplatePreview(req, res, template, req.query.offerId && String(req.query.offerId));
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+}
+app.get("/api/pdf-templates/:id/preview", requirePermission("offers.export"), previewStoredTemplate);
+
+// ============= ANGEBOTE (Ablage, Nummernkreis, Versionen) =============
+// Nummernkreis, Status und Versionen in offers.mjs
+
+// Versendete Angebote nach Ablauf der Gültigkeit auf "abgelaufen" setzen
+function expireOffers(tenant, list) {
+  const today = new Date().toISOString().slice(0, 10);
+  if (!list.some((o) => isExpired(o, today))) return list;
+  return store.transaction(() => list.map((o) => {
+    if (!isExpired(o, today)) return o;
+    const expired = withStatus(o, "abgelaufen", null);
+    tenant.offers.update(expired);
+    return expired;
+  }));
+}
+
+function loadOffers(tenant) {
+  return expireOffers(tenant, tenant.offers.list());
+}
+
+// Kunde/Projekt müssen existieren, falls verknüpft
+function checkOfferLinks(tenant, meta) {
+  if (meta.customerId && !tenant.customers.get(meta.customerId))
+    return "Kunde nicht gefunden";
+  if (meta.projectId && !tenant.projects.get(meta.projectId))
+    return "Projekt nicht gefunden";
+  if (meta.templateId && !tenant.templates.get(meta.templateId))
+    return "Vorlage nicht gefunden";
+  return null;
+}
+
+// Eingabe in Meta-Daten (Verknüpfungen) und Kalkulationseingabe trennen.
+// base = bisherige Eingabe beim Bearbeiten, die übergebenen Felder ersetzen deren Werte.
+function splitOfferBody(body, base) {
+  const { customerId, projectId, title, validUntil, segment, updatePrices, templateId, ...raw } = body || {};
+  const meta = OfferMetaSchema.parse({ customerId, projectId, title, validUntil, segment, updatePrices, templateId });
+  const input = parseOfferInput(base ? { ...base, ...normalizeOfferBody(raw) } : raw);
+  return { meta, input };
+}
+
+// Mit der gemerkten Katalogversion und dem Kundensegment des Angebots rechnen
+function calculateStoredOffer(tenant, input, segment, version) {
+  return generateOffer(tenant, { ...input, segment }, catalogVersion(tenant, version) || currentCatalog(tenant));
+}
+
+function customerSegment(tenant, customerId) {
+  const c = customerId ? tenant.customers.get(customerId) : null;
+  return c?.segment || currentCatalog(tenant).segments[0].key;
+}
+
+function listOffers(req, res) {
+  const q = String(req.query.q || "").toLowerCase();
+  const page = Math.max(1, Number(req.query.page || 1));
+  const size = Math.min(100, Math.max(1, Number(req.query.size || 20)));
+  let list = loadOffers(req.tenant).filter((o) => !o.deletedAt);
+  for (const key of ["status", "customerId", "projectId"]) {
+    if (req.query[key]) list = list.filter((o) => o[key] === String(req.query[key]));
+  }
+  if (q) {
+    list = list.filter((o) =>
+      [o.number, o.title, o.input?.customer?.name].some((f) => String(f || "").toLowerCase().includes(q))
+    );
+  }
+  list.sort((a, b) => b.createdAt - a.createdAt);
+  const total = list.length;
+  const prices = can(req, "prices.view");
+  const items = list
+    .slice((page - 1) * size, page * size)
+    .map(({ revisions, ...o }) => ({ ...(prices ? o : stripPrices(o)), revisionCount: revisions.length }));
+  res.json({ items, total, page, size });
+}
+app.get("/api/offers", requirePermission("offers.view"), listOffers);
 
-  const companyName = offer?.company?.name || "Ihr Handwerksbetrieb";
-  const customerName = offer?.customer?.name || "Kunde";
-  const trade = offer?.trade || "-";
-  const today = new Date().toLocaleDateString("de-DE");
-  const fmt = (n) => Number(n || 0).toLocaleString("de-DE", { style: "currency", currency: "EUR" });
+function getOffer(req, res) {
+  const item = loadOffers(req.tenant).find((o) => o.id === req.params.id && !o.deletedAt);
+  if (!item) return res.status(404).json({ error: "Not found" });
+  res.json(can(req, "prices.view") ? item : stripPrices(item));
+}
+app.get("/api/offers/:id", requirePermission("offers.view"), getOffer);
 
-  const doc = new PDFDocument({ size: "A4", margin: 50, bufferPages: true });
-  doc.pipe(fs.createWriteStream(filePath));
+function createOffer(req, res) {
+  let parts;
+  try {
+    parts = splitOfferBody(req.body);
+  } catch (e) {
+    return inputError(res, e);
+  }
+  const linkError = checkOfferLinks(req.tenant, parts.meta);
+  if (linkError) return res.status(400).json({ error: linkError });
 
-  const logoPath = path.join(PUBLIC_DIR, "logo.png");
-  if (fs.existsSync(logoPath)) {
-    try { doc.image(logoPath, 430, 40, { width: 140 }); } catch {}
+  const list = loadOffers(req.tenant);
+  const segment = parts.meta.segment || customerSegment(req.tenant, parts.meta.customerId);
+  const version = currentCatalog(req.tenant).version;
+  let calc;
+  try {
+    calc = calculateStoredOffer(req.tenant, parts.input, segment, version);
+  } catch (e) {
+    return inputError(res, e);
   }
+  const item = newOffer({
+    id: uid(),
+    number: nextNumber(list, OFFER_PREFIX),
+    meta: parts.meta,
+    segment,
+    catalogVersion: version,
+    input: parts.input,
+    calc,
+    user: req.session.user.username,
+  });
+  req.tenant.offers.insert(item);
+  audit(req, "offer.create", { id: item.id, number: item.number });
+  res.json(item);
+}
+app.post("/api/offers", requireCsrf, requirePermission("offers.edit"), createOffer);
 
-  doc.fontSize(20).font("Helvetica-Bold").text("Angebot", 50, 50);
-  doc.moveDown(1);
-  doc.font("Helvetica").fontSize(12).text(`Firma: ${companyName}`);
-  doc.text(`Kunde: ${customerName}`);
-  doc.text(`Gewerk: ${trade}`);
-  doc.text(`Datum: ${today}`);
-  doc.moveDown(1.5);
+// Bearbeiten legt eine neue Version an; die bisherige bleibt als Revision erhalten.
+// Angenommene Angebote sind eingefroren.
+function updateOffer(req, res) {
+  const list = loadOffers(req.tenant);
+  const idx = list.findIndex((o) => o.id === req.params.id && !o.deletedAt);
+  if (idx < 0) return res.status(404).json({ error: "Not found" });
+  const prev = list[idx];
+  if (prev.status === "angenommen")
+    return res.status(409).json({ error: "Angenommene Angebote können nicht geändert werden" });
 
-  const drawHeader = (y) => {
-    doc.font("Helvetica-Bold").fontSize(11);
-    doc.text("Beschreibung", 50, y);
-    doc.text("Menge", 250, y);
-    doc.text("Einheit", 310, y);
-    doc.text("Einzelpreis", 380, y);
-    doc.text("Gesamt", 470, y);
-    doc.moveTo(50, y + 15).lineTo(550, y + 15).stroke("#000");
+  let parts;
+  try {
+    parts = splitOfferBody(req.body, prev.input);
+  } catch (e) {
+    return inputError(res, e);
+  }
+  const meta = {
+    customerId: parts.meta.customerId ?? prev.customerId,
+    projectId: parts.meta.projectId ?? prev.projectId,
+    title: parts.meta.title ?? prev.title,
+    validUntil: parts.meta.validUntil ?? prev.validUntil,
+    segment: parts.meta.segment ?? prev.segment,
+    templateId: parts.meta.templateId ?? prev.templateId ?? null,
+    // Preise bleiben auf der ursprünglichen Katalogversion, außer es wird ausdrücklich aktualisiert
+    catalogVersion: parts.meta.updatePrices ? currentCatalog(req.tenant).version : prev.catalogVersion,
   };
+  const linkError = checkOfferLinks(req.tenant, meta);
+  if (linkError) return res.status(400).json({ error: linkError });
+  let calc;
+  try {
+    calc = calculateStoredOffer(req.tenant, parts.input, meta.segment, meta.catalogVersion);
+  } catch (e) {
+    return inputError(res, e);
+  }
 
-  let y = doc.y + 20;
-  drawHeader(y);
-  y += 25;
-  doc.font("Helvetica").fontSize(10);
+  const next = reviseOffer(prev, { meta, input: parts.input, calc, user: req.session.user.username });
+  req.tenant.offers.update(next);
+  audit(req, "offer.update", { id: next.id, number: next.number, version: next.version });
+  res.json(next);
+}
+app.put("/api/offers/:id", requireCsrf, requirePermission("offers.edit"), updateOffer);
 
-  (offer.items || []).forEach((it, i) => {
-    if (y > 700) {
-      doc.addPage();
-      y = 50;
-      drawHeader(y);
-      y += 25;
-    }
-    const qty = Number(it.qty || 0);
-    const unitPrice = Number(it.unitPrice || 0);
-    const lineTotal = qty * unitPrice;
+function getOfferRevision(req, res) {
+  const item = loadOffers(req.tenant).find((o) => o.id === req.params.id && !o.deletedAt);
+  if (!item) return res.status(404).json({ error: "Not found" });
+  const data = offerRevision(item, Number(req.params.version));
+  if (!data) return res.status(404).json({ error: "Version nicht gefunden" });
+  res.json(can(req, "prices.view") ? data : stripPrices(data));
+}
+app.get("/api/offers/:id/revisions/:version", requirePermission("offers.view"), getOfferRevision);
 
-    if (i % 2 === 0) {
-      doc.rect(50, y - 3, 500, 20).fill("#f3f4f6").fillColor("#000");
+function setOfferStatus(req, res) {
+  const status = String(req.body?.status || "");
+  const list = loadOffers(req.tenant);
+  const idx = list.findIndex((o) => o.id === req.params.id && !o.deletedAt);
+  if (idx < 0) return res.status(404).json({ error: "Not found" });
+  if (!canChangeStatus(list[idx].status, status))
+    return res.status(409).json({ error: `Statuswechsel ${list[idx].status} → ${status || "?"} nicht erlaubt` });
+
+  const item = withStatus(list[idx], status, req.session.user.username);
+  req.tenant.offers.update(item);
+  audit(req, "offer.status", { id: item.id, number: item.number, status });
+  res.json(item);
+}
+app.post("/api/offers/:id/status", requireCsrf, requirePermission("offers.edit"), setOfferStatus);
+
+// Nur Entwürfe dürfen entfernt werden; die Nummer bleibt belegt (kein Loch im Nummernkreis)
+function deleteOffer(req, res) {
+  const list = loadOffers(req.tenant);
+  const idx = list.findIndex((o) => o.id === req.params.id && !o.deletedAt);
+  if (idx < 0) return res.status(404).json({ error: "Not found" });
+  if (list[idx].status !== "entwurf")
+    return res.status(409).json({ error: "Nur Entwürfe können gelöscht werden" });
+  list[idx].deletedAt = Date.now();
+  req.tenant.offers.update(list[idx]);
+  audit(req, "offer.delete", { id: list[idx].id, number: list[idx].number });
+  res.json({ ok: true });
+}
+app.delete("/api/offers/:id", requireCsrf, requirePermission("offers.delete"), deleteOffer);
+
+// Gespeichertes Angebot (aktuelle Version) als PDF-Auftrag; templateId im Body überschreibt die Vorlage des Angebots
+function storedOfferPdf(req, res) {
+  const item = loadOffers(req.tenant).find((o) => o.id === req.params.id && !o.deletedAt);
+  if (!item) return res.status(404).json({ error: "Not found" });
+  const template = offerTemplate(req.tenant, req.body?.templateId || item.templateId);
+  const meta = {
+    type: "angebot", title: `Angebot ${item.number} – ${item.title || item.input?.customer?.name || ""}`.replace(/ – $/, ""),
+    number: item.number, version: item.version, offerId: item.id, customerId: item.customerId, projectId: item.projectId,
+  };
+  queuePdf(req, res, meta, () => exportOfferToPDF({ ...item.input, ...item }, req.tenant, { template }));
+}
+app.post("/api/offers/:id/pdf", requireCsrf, requirePermission("offers.export"), storedOfferPdf);
+
+// Angebotsabgabe als GAEB DA XML X84 (Aufschlag/Rabatt in den Einheitspreisen)
+app.get("/api/offers/:id/gaeb", requirePermission("offers.export"), (req, res) => {
+  const item = loadOffers(req.tenant).find((o) => o.id === req.params.id && !o.deletedAt);
+  if (!item) return res.status(404).json({ error: "Not found" });
+  const s = req.tenant.settings.get();
+  const company = { name: s.companyName || item.input?.company?.name, street: s.street, zip: s.zip, city: s.city };
+  audit(req, "offer.gaeb.export", { id: item.id, number: item.number });
+  res.setHeader("Content-Type", "application/xml; charset=utf-8");
+  res.setHeader("Content-Disposition", `attachment; filename="Angebot_${safeName(item.number)}.x84"`);
+  res.send(toX84(item, { company }));
+});
+
+// ============= KUNDENFREIGABE (öffentlicher Angebotslink) =============
+// Ein aktiver Link je Angebot; ein neuer Link ersetzt den alten. Die öffentlichen Routen unter /api/portal/offer
+// erwarten das Token im Header X-Portal-Token – portal.html liest es aus dem #-Teil der URL, so landet es
+// weder in Zugriffslogs noch im Referer. Angenommen wird immer die Fassung, die der Kunde gesehen hat (version).
+const portalLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  limit: 300,
+  standardHeaders: "draft-7",
+  legacyHeaders: false,
+});
+
+const offerLinkInfo = (l) => ({
+  id: l.id,
+  hint: l.hint,
+  createdAt: l.createdAt,
+  createdBy: l.createdBy,
+  expiresAt: l.expiresAt,
+  firstViewedAt: l.firstViewedAt ?? null,
+  lastViewedAt: l.lastViewedAt ?? null,
+  revokedAt: l.revokedAt ?? null,
+  active: !l.revokedAt && Date.now() <= l.expiresAt,
+});
+
+const offerLinksOf = (tenant, offerId) => store.offerLinks.listBy("offerId", offerId).filter((l) => l.tenant === tenant.id);
+
+function revokeOfferLinks(tenant, offerId, now = Date.now()) {
+  const open = offerLinksOf(tenant, offerId).filter((l) => !l.revokedAt);
+  for (const l of open) store.offerLinks.update({ ...l, revokedAt: now });
+  return open.length;
+}
+
+// Briefkopf für die Kundenansicht
+function portalCompany(tenant) {
+  const s = tenant.settings.get({});
+  return {
+    name: s.companyName || "",
+    street: s.street || "",
+    zip: s.zip || "",
+    city: s.city || "",
+    email: s.email || "",
+    phone: s.phone || "",
+  };
+}
+
+// Link anlegen; ein Entwurf gilt damit als versendet. Das Token steht nur in dieser Antwort.
+function createOfferLink(req, res) {
+  let item = loadOffers(req.tenant).find((o) => o.id === req.params.id && !o.deletedAt);
+  if (!item) return res.status(404).json({ error: "Not found" });
+  if (!["entwurf", "versendet"].includes(item.status))
+    return res.status(409).json({ error: `Angebot ist ${item.status} – kein Freigabelink möglich` });
+
+  const now = Date.now();
+  const user = req.session.user.username;
+  const { token, hash, hint } = generatePortalToken();
+  const link = {
+    id: uid(), hash, hint, tenant: req.tenant.id, offerId: item.id,
+    createdAt: now, createdBy: user, expiresAt: portalLinkExpiry(item.validUntil, now),
+  };
+  store.transaction(() => {
+    revokeOfferLinks(req.tenant, item.id, now);
+    store.offerLinks.insert(link);
+    if (item.status === "entwurf") {
+      item = withStatus(item, "versendet", user, now);
+      req.tenant.offers.update(item);
     }
-    doc.text(it.desc || "", 55, y, { width: 180 });
-    doc.text(String(qty), 250, y);
-    doc.text(it.unit || "", 310, y);
-    doc.text(fmt(unitPrice), 380, y);
-    doc.text(fmt(lineTotal), 470, y);
-    y += 22;
   });
+  audit(req, "offer.portal.link", { id: item.id, number: item.number, version: item.version, linkId: link.id });
+  res.json({ ...offerLinkInfo(link), url: `${req.protocol}://${req.get("host")}/portal.html#${token}`, token, status: item.status });
+}
+app.post("/api/offers/:id/portal", requireCsrf, requirePermission("offers.edit"), createOfferLink);
 
-  const boxY = y + 20;
-  doc.rect(300, boxY, 250, 100).fill("#f8fafc").stroke("#e5e7eb");
-  doc.fillColor("#000").font("Helvetica").fontSize(10);
-  const line = (label, val, bold = false) => {
-    if (bold) doc.font("Helvetica-Bold");
-    doc.text(label, 310, doc.y + 5, { continued: true });
-    doc.text(fmt(val), 300, doc.y, { width: 240, align: "right" });
-    if (bold) doc.font("Helvetica");
-  };
-  doc.y = boxY + 5;
-  line("Zwischensumme", offer.subtotal);
-  line("Aufschlag (10%)", offer.margin);
-  line("Netto", offer.totalBeforeTax);
-  line("MwSt (19%)", offer.tax);
-  line("Gesamtsumme", offer.total, true);
+// Stand der Freigabe: aktiver Link, Annahme bzw. Ablehnung durch den Kunden
+function getOfferLink(req, res) {
+  const item = loadOffers(req.tenant).find((o) => o.id === req.params.id && !o.deletedAt);
+  if (!item) return res.status(404).json({ error: "Not found" });
+  const links = offerLinksOf(req.tenant, item.id).map(offerLinkInfo);
+  res.json({
+    link: links.find((l) => l.active) || null,
+    links,
+    acceptance: item.acceptance || null,
+    rejection: item.rejection || null,
+  });
+}
+app.get("/api/offers/:id/portal", requirePermission("offers.view"), getOfferLink);
 
-  // Hinweise
-  doc.moveDown(3);
-  doc.font("Helvetica-Bold").fontSize(11).text("Hinweise / AGB (Kurzfassung)");
-  doc.font("Helvetica").fontSize(9).fillColor("#333").text(
-    "• Dieses Angebot ist 30 Tage gültig. Alle Preise verstehen sich in EUR zzgl. gesetzlicher MwSt.\n" +
-    "• Abweichungen oder Zusatzleistungen werden gesondert berechnet.\n" +
-    "• Zahlungsziel: 14 Tage netto ohne Abzug.\n" +
-    "• Es gelten unsere allgemeinen Geschäftsbedingungen.",
-    { width: 500 }
-  );
+function revokeOfferLink(req, res) {
+  const item = loadOffers(req.tenant).find((o) => o.id === req.params.id && !o.deletedAt);
+  if (!item) return res.status(404).json({ error: "Not found" });
+  const revoked = revokeOfferLinks(req.tenant, item.id);
+  if (revoked) audit(req, "offer.portal.revoke", { id: item.id, number: item.number });
+  res.json({ ok: true, revoked });
+}
+app.delete("/api/offers/:id/portal", requireCsrf, requirePermission("offers.edit"), revokeOfferLink);
 
-  // Footer/Seitenzahlen
-  const range = doc.bufferedPageRange();
-  for (let i = 0; i < range.count; i++) {
-    doc.switchToPage(i);
-    doc.fontSize(8).fillColor("#6b7280")
-      .text(`${companyName} • kontakt@example.com • 01234 / 567890`,
-            50, doc.page.height - 60, { width: 500, align: "center" });
-    doc.text(`Seite ${i+1} von ${range.count}`,
-            50, doc.page.height - 45, { width: 500, align: "right" });
+// ---------- Öffentliche Routen (ohne Anmeldung) ----------
+// Token → Mandant und Angebot; req.tenant wird gesetzt, damit audit() im richtigen Mandanten protokolliert
+function portalAccess(req, res, next) {
+  const token = req.get("x-portal-token");
+  const link = token ? store.offerLinks.findBy("hash", hashPortalToken(token)) : null;
+  if (!link || link.revokedAt || Date.now() > link.expiresAt)
+    return res.status(404).json({ error: "Link ungültig oder abgelaufen" });
+  const tenant = store.tenants.get(link.tenant) ? store.tenant(link.tenant) : null;
+  const offer = tenant && loadOffers(tenant).find((o) => o.id === link.offerId && !o.deletedAt);
+  if (!offer) return res.status(404).json({ error: "Link ungültig oder abgelaufen" });
+  req.tenant = tenant;
+  req.portal = { link, offer };
+  next();
+}
+app.use("/api/portal", portalLimiter);
+
+function viewPortalOffer(req, res) {
+  const { link, offer } = req.portal;
+  // Öffnungen höchstens einmal pro Minute schreiben
+  const now = Date.now();
+  if (!link.lastViewedAt || now - link.lastViewedAt > 60 * 1000) {
+    store.offerLinks.update({ ...link, firstViewedAt: link.firstViewedAt ?? now, lastViewedAt: now });
   }
+  res.json(portalOffer(offer, portalCompany(req.tenant)));
+}
+app.get("/api/portal/offer", portalAccess, viewPortalOffer);
 
-  doc.end();
-  audit({ ip: "n/a", session: {} }, "pdf.create", { file: filename });
-  return { url: `/generated/${filename}`, filename, absPath: filePath };
+// Summen für eine Auswahl, bevor der Kunde annimmt
+function quotePortalOffer(req, res) {
+  const { offer } = req.portal;
+  let input;
+  try {
+    input = applyChoices(offer, ChoicesSchema.parse(req.body?.choices || {}));
+  } catch (e) {
+    return inputError(res, e);
+  }
+  const calc = input === offer.input ? offer : calculateStoredOffer(req.tenant, input, offer.segment, offer.catalogVersion);
+  const { subtotal, margin, discountAmount, totalBeforeTax, taxes, tax, total, skonto, labourCosts } = calc;
+  res.json({ subtotal, margin, discountAmount, totalBeforeTax, taxes, tax, total, skonto, labourCosts });
 }
+app.post("/api/portal/offer/quote", portalAccess, quotePortalOffer);
 
-// Angebot berechnen
-app.post("/api/offers/generate", (req, res) => {
+async function portalOfferPdf(req, res) {
+  const { offer } = req.portal;
   try {
-    const input = offerschemaParse(req.body);
-    const offer = generateOffer(input);
-    res.json(offer);
+    let filename;
+    const { done } = pdfJobs.add({ tenantId: req.tenant.id, type: "angebot" }, () => {
+      const out = exportOfferToPDF({ ...offer.input, ...offer }, req.tenant, { inMemory: true });
+      filename = out.filename;
+      return out.done;
+    });
+    const pdf = await done;
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+    res.send(pdf);
   } catch (e) {
     res.status(400).json({ error: e.message });
   }
-});
+}
+app.get("/api/portal/offer/pdf", portalAccess, portalOfferPdf);
 
-// PDF erzeugen & Pfad zurückgeben (speichern)
-app.post("/api/offers/export-pdf", requireCsrf, (req, res) => {
-  if (!req.session?.user) return res.status(401).json({ error: "Unauthorized" });
+// Nur versendete Angebote in der angezeigten Fassung lassen sich annehmen oder ablehnen
+function portalDecisionConflict(res, offer, version) {
+  if (offer.status !== "versendet") {
+    res.status(409).json({ error: `Angebot ist bereits ${offer.status}` });
+    return true;
+  }
+  if (version !== offer.version) {
+    res.status(409).json({ error: "Das Angebot wurde inzwischen geändert – bitte die Seite neu laden" });
+    return true;
+  }
+  return false;
+}
+
+// Annahme: Auswahl übernehmen (neue Fassung, die gezeigte bleibt als Revision), Prüfsumme über die angenommene
+// Fassung, Name, Unterschrift, Zeitpunkt und IP festhalten. Danach ist das Angebot wie jedes angenommene eingefroren.
+function acceptPortalOffer(req, res) {
+  const { link, offer } = req.portal;
+  let body;
+  let input;
   try {
-    const { url, filename } = exportOfferToPDF(req.body || {});
-    res.json({ ok: true, path: url, filename });
+    body = AcceptSchema.parse(req.body);
+    input = applyChoices(offer, body.choices);
   } catch (e) {
-    res.status(400).json({ error: e.message });
+    return inputError(res, e);
   }
-});
+  if (portalDecisionConflict(res, offer, body.version)) return;
+
+  const now = Date.now();
+  let accepted = offer;
+  if (input !== offer.input) {
+    accepted = {
+      ...offer,
+      input,
+      ...calculateStoredOffer(req.tenant, input, offer.segment, offer.catalogVersion),
+      version: offer.version + 1,
+      revisions: [...offer.revisions, revisionOf(offer, now, null)],
+    };
+  }
+  const hash = offerHash(accepted);
+  const next = {
+    ...accepted,
+    status: "angenommen",
+    updatedAt: now,
+    acceptance: {
+      name: body.name,
+      signature: body.signature,
+      ts: now,
+      ip: req.ip,
+      userAgent: String(req.get("user-agent") || "").slice(0, 300),
+      version: accepted.version,
+      shownVersion: offer.version,
+      choices: body.choices,
+      hash,
+      linkId: link.id,
+    },
+    statusHistory: [...offer.statusHistory, { status: "angenommen", ts: now, user: null, via: "portal", name: body.name }],
+  };
+  req.tenant.offers.update(next);
+  audit(req, "offer.portal.accept", { id: next.id, number: next.number, version: next.version, hash, name: body.name });
+  res.json(portalOffer(next, portalCompany(req.tenant)));
+}
+app.post("/api/portal/offer/accept", portalAccess, acceptPortalOffer);
 
-// PDF-Center: Liste / Delete / Rename
-app.get("/api/pdfs/list", (req, res) => {
-  if (!fs.existsSync(GENERATED_DIR)) return res.json({ items: [] });
+function rejectPortalOffer(req, res) {
+  const { link, offer } = req.portal;
+  let body;
   try {
-    const items = fs.readdirSync(GENERATED_DIR)
-      .filter((f) => f.toLowerCase().endsWith(".pdf"))
-      .map((name) => {
-        const full = path.join(GENERATED_DIR, name);
-        const st = fs.statSync(full);
-        return { name, url: `/generated/${name}`, size: st.size, mtime: st.mtimeMs };
-      })
-      .sort((a, b) => b.mtime - a.mtime);
-    res.json({ items });
+    body = RejectSchema.parse(req.body);
   } catch (e) {
-    res.status(500).json({ error: String(e?.message || e) });
+    return inputError(res, e);
   }
-});
+  if (portalDecisionConflict(res, offer, body.version)) return;
 
-app.delete("/api/pdfs", requireCsrf, (req, res) => {
-  if (!req.session?.user) return res.status(401).json({ error: "Unauthorized" });
-  const name = String(req.query.name || "");
-  if (!name || name.includes("..") || name.includes("/") || name.includes("\\")) {
-    return res.status(400).json({ error: "Ungültiger Dateiname" });
+  const now = Date.now();
+  const next = {
+    ...offer,
+    status: "abgelehnt",
+    updatedAt: now,
+    rejection: { comment: body.comment, ts: now, ip: req.ip, version: offer.version, linkId: link.id },
+    statusHistory: [...offer.statusHistory, { status: "abgelehnt", ts: now, user: null, via: "portal" }],
+  };
+  req.tenant.offers.update(next);
+  audit(req, "offer.portal.reject", { id: next.id, number: next.number, version: next.version, comment: body.comment });
+  res.json(portalOffer(next, portalCompany(req.tenant)));
+}
+app.post("/api/portal/offer/reject", portalAccess, rejectPortalOffer);
+
+// ============= RECHNUNGEN (GoBD: unveränderlich, fortlaufend nummeriert) =============
+// Beträge, Storno und Prüfsumme in invoices.mjs
+
+// facturX: CII-XML für ZUGFeRD; wird eingebettet und zusätzlich als <Datei>.xml neben dem PDF abgelegt
+function exportInvoiceToPDF(inv, { facturX, tenant } = {}) {
+  const title = INVOICE_TITLES[inv.type] || "Rechnung";
+  const customer = safeName(inv.customer?.name || "Kunde");
+  const filename = `${title}_${safeName(inv.number)}_${customer}_${Date.now()}.pdf`;
+  const companyName = inv.company?.name || "Ihr Handwerksbetrieb";
+
+  const { doc, id, filePath, done } = createPdf({ pdfa: !!facturX, tenant });
+
+  doc.fontSize(20).font("Helvetica-Bold").text(title, 50, 50);
+  doc.moveDown(1);
+  doc.font("Helvetica").fontSize(12).text(`Firma: ${companyName}`);
+  doc.text(`Kunde: ${inv.customer?.name || "Kunde"}`);
+  if (inv.customer?.address) doc.text(inv.customer.address);
+  doc.text(`Rechnungs-Nr.: ${inv.number}`);
+  doc.text(`Rechnungsdatum: ${fmtDate(inv.invoiceDate)}`);
+  const period = inv.serviceTo && inv.serviceTo !== inv.serviceFrom
+    ? `${fmtDate(inv.serviceFrom)} – ${fmtDate(inv.serviceTo)}`
+    : fmtDate(inv.serviceFrom);
+  doc.text(`Leistungszeitraum: ${period}`);
+  if (inv.offerNumber) doc.text(`Bezug: Angebot ${inv.offerNumber}`);
+  if (inv.cancelsNumber) doc.text(`Storno zu Rechnung ${inv.cancelsNumber}`);
+  doc.moveDown(1.5);
+
+  const y = drawItemsTable(doc, inv.items);
+  const lines = amountLines(inv);
+  for (const d of inv.deductions || []) lines.push([`abzgl. Abschlag ${d.number}`, -d.gross]);
+  if ((inv.deductions || []).length) lines.push(["Zahlbetrag", inv.amountDue, true]);
+  drawTotalsBox(doc, y, lines);
+
+  doc.moveDown(3);
+  drawLabourCosts(doc, inv);
+  doc.font("Helvetica").fontSize(10).fillColor("#333");
+  if (inv.type === "storno") {
+    doc.text(`Diese Stornorechnung hebt die Rechnung ${inv.cancelsNumber} vollständig auf.`, 50, doc.y, { width: 500 });
+  } else {
+    doc.text(
+      `Bitte überweisen Sie den Betrag von ${fmtEUR(inv.amountDue)} bis zum ${fmtDate(inv.dueDate)} ohne Abzug.`,
+      50, doc.y, { width: 500 }
+    );
   }
-  const p = path.join(GENERATED_DIR, name);
-  fs.unlink(p, (err) => {
-    if (err) return res.status(404).json({ error: "Datei nicht gefunden" });
-    audit(req, "pdf.delete", { name });
-    res.json({ ok: true });
+  for (const note of paymentNotes(inv)) doc.moveDown(0.5).text(note, 50, doc.y, { width: 500 });
+
+  drawPageFooters(doc, companyProfile(tenant, companyName));
+
+  if (facturX) {
+    attachFacturX(doc, facturX, {
+      title: `${title} ${inv.number}`,
+      author: companyName,
+      iccProfile: PDFA.iccProfile && fs.existsSync(PDFA.iccProfile) ? fs.readFileSync(PDFA.iccProfile) : undefined,
+    });
+    fs.writeFileSync(filePath.replace(/\.pdf$/i, ".xml"), facturX, "utf8");
+  }
+  doc.end();
+  return { id, filename, absPath: filePath, done, xml: !!facturX };
+}
+
+function listInvoices(req, res) {
+  const page = Math.max(1, Number(req.query.page || 1));
+  const size = Math.min(100, Math.max(1, Number(req.query.size || 20)));
+  const all = req.tenant.invoices.list();
+  let list = all;
+  for (const key of ["type", "offerId", "customerId", "projectId"]) {
+    if (req.query[key]) list = list.filter((x) => x[key] === String(req.query[key]));
+  }
+  list = [...list].sort((a, b) => b.createdAt - a.createdAt);
+  const total = list.length;
+  const items = list.slice((page - 1) * size, page * size).map((x) => withInvoiceState(x, all));
+  res.json({ items, total, page, size });
+}
+app.get("/api/invoices", requirePermission("invoices.view"), listInvoices);
+
+function getInvoice(req, res) {
+  const all = req.tenant.invoices.list();
+  const inv = all.find((x) => x.id === req.params.id);
+  if (!inv) return res.status(404).json({ error: "Not found" });
+  res.json(withInvoiceState(inv, all));
+}
+app.get("/api/invoices/:id", requirePermission("invoices.view"), getInvoice);
+
+// Rechnung aus angenommenem Angebot: voll, Abschlag oder Schlussrechnung
+function createInvoice(req, res) {
+  const parsed = InvoiceCreateSchema.safeParse(req.body || {});
+  if (!parsed.success) return inputError(res, parsed.error);
+  const data = parsed.data;
+
+  const offer = loadOffers(req.tenant).find((o) => o.id === data.offerId && !o.deletedAt);
+  if (!offer) return res.status(404).json({ error: "Angebot nicht gefunden" });
+  if (offer.status !== "angenommen")
+    return res.status(409).json({ error: "Nur angenommene Angebote können abgerechnet werden" });
+
+  const all = req.tenant.invoices.list();
+  let amounts;
+  try {
+    amounts = buildInvoiceAmounts(offer, data, activeInvoicesForOffer(all, offer.id));
+  } catch (e) {
+    return res.status(409).json({ error: e.message });
+  }
+
+  const inv = newInvoice({
+    id: uid(), number: nextNumber(all, INVOICE_PREFIX), offer, data, amounts, user: req.session.user.username,
   });
+  req.tenant.invoices.insert(inv);
+  all.push(inv);
+  audit(req, "invoice.create", { id: inv.id, number: inv.number, type: inv.type, offerId: offer.id });
+  res.json(withInvoiceState(inv, all));
+}
+app.post("/api/invoices", requireCsrf, requirePermission("invoices.create"), createInvoice);
+
+// Storno: neue Rechnung mit negativen Beträgen, das Original bleibt unverändert
+function cancelInvoice(req, res) {
+  const all = req.tenant.invoices.list();
+  const orig = all.find((x) => x.id === req.params.id);
+  if (!orig) return res.status(404).json({ error: "Not found" });
+  const conflict = cancellationConflict(orig, all);
+  if (conflict) return res.status(409).json({ error: conflict });
+
+  const inv = stornoInvoice(orig, {
+    id: uid(), number: nextNumber(all, INVOICE_PREFIX), reason: req.body?.reason || "", user: req.session.user.username,
+  });
+  req.tenant.invoices.insert(inv);
+  all.push(inv);
+  audit(req, "invoice.cancel", { id: orig.id, number: orig.number, storno: inv.number });
+  res.json(withInvoiceState(inv, all));
+}
+app.post("/api/invoices/:id/cancel", requireCsrf, requirePermission("invoices.cancel"), cancelInvoice);
+
+// PDF-Auftrag; mit { zugferd: true } als ZUGFeRD/Factur-X (PDF/A-3 mit eingebetteter CII-XML, Profil EN 16931).
+// Die XML liegt dann unter /api/pdfs/:id/xml.
+app.post("/api/invoices/:id/pdf", requireCsrf, requirePermission("invoices.export"), (req, res) => {
+  const inv = req.tenant.invoices.get(req.params.id);
+  if (!inv) return res.status(404).json({ error: "Not found" });
+  let facturX;
+  let warnings = [];
+  if (req.body?.zugferd) {
+    const model = eInvoiceModel(req.tenant, inv, EN16931_ID);
+    const check = validateEN16931(model, { xrechnung: false });
+    if (!check.valid) return res.status(422).json({ error: "Rechnung verletzt EN-16931-Regeln", ...check });
+    facturX = toCII(model);
+    warnings = check.warnings;
+  }
+  const meta = {
+    type: "rechnung", title: `${INVOICE_TITLES[inv.type] || "Rechnung"} ${inv.number}`, number: inv.number,
+    invoiceId: inv.id, offerId: inv.offerId, customerId: inv.customerId, projectId: inv.projectId,
+  };
+  queuePdf(req, res, meta, () => exportInvoiceToPDF(inv, { facturX, tenant: req.tenant }), facturX ? { warnings } : {});
 });
 
-app.post("/api/pdfs/rename", requireCsrf, (req, res) => {
+// ---------- E-Rechnung (XRechnung / ZUGFeRD) ----------
+// Verkäuferdaten aus den Einstellungen, Käufer aus dem Kundenstamm mit Rechnungsanschrift (Fallback: Daten der Rechnung)
+function eInvoiceModel(tenant, inv, specification) {
+  const customer = findCustomer(tenant, inv.customerId);
+  const buyer = customer ? { ...customer, ...billingAddress(customer) } : {};
+  return buildInvoiceModel(inv, { seller: tenant.settings.get(), buyer, specification });
+}
+
+// Offline-Prüfung gegen EN 16931; profile=zugferd ohne die nationalen XRechnung-Regeln (BR-DE-*)
+app.get("/api/invoices/:id/validate", requirePermission("invoices.view"), (req, res) => {
+  const inv = req.tenant.invoices.get(req.params.id);
+  if (!inv) return res.status(404).json({ error: "Not found" });
+  const xrechnung = req.query.profile !== "zugferd";
+  res.json(validateEN16931(eInvoiceModel(req.tenant, inv, xrechnung ? XRECHNUNG_ID : EN16931_ID), { xrechnung }));
+});
+
+// XRechnung als CII (Standard) oder UBL (?syntax=ubl); ungültige Rechnungen werden mit 422 abgelehnt
+app.get("/api/invoices/:id/xrechnung", requirePermission("invoices.export"), (req, res) => {
+  const inv = req.tenant.invoices.get(req.params.id);
+  if (!inv) return res.status(404).json({ error: "Not found" });
+  const syntax = req.query.syntax === "ubl" ? "ubl" : "cii";
+  const model = eInvoiceModel(req.tenant, inv, XRECHNUNG_ID);
+  const check = validateEN16931(model);
+  if (!check.valid) return res.status(422).json({ error: "Rechnung verletzt EN-16931-/XRechnung-Regeln", ...check });
+  audit(req, "invoice.xrechnung", { id: inv.id, number: inv.number, syntax });
+  res.setHeader("Content-Type", "application/xml; charset=utf-8");
+  res.setHeader("Content-Disposition", `attachment; filename="XRechnung_${safeName(inv.number)}_${syntax}.xml"`);
+  if (check.warnings.length) res.setHeader("X-Validation-Warnings", String(check.warnings.length));
+  res.send(syntax === "ubl" ? toUBL(model) : toCII(model));
+});
+
+// ---------- PDF-Center ----------
+// Dateien liegen unter data/documents/<mandant>/<id>.pdf, Metadaten in `documents`. Wer ein Dokument erzeugt hat,
+// darf es laden (per API-Token nur mit Scope pdfs.view); sonst braucht es pdfs.view und die Rechte der Dokumentart (DOCUMENT_TYPES).
+const documentFile = (tenantId, d, ext = "pdf") => path.join(documentsDir(tenantId), `${d.id}.${ext}`);
+
+function canOpenDocument(req, d) {
+  // API-Tokens ohne pdfs.view bekommen auch die eigenen Dokumente ihres Benutzers nicht
+  const own = d.createdBy && d.createdBy === req.session?.user?.username;
+  if (own && (!req.apiToken || can(req, "pdfs.view"))) return true;
+  return can(req, "pdfs.view") && (DOCUMENT_TYPES[d.type]?.permissions || []).every((p) => can(req, p));
+}
+
+function documentView(d) {
+  return {
+    ...d,
+    name: d.filename,
+    mtime: d.createdAt,
+    url: `/api/pdfs/${d.id}/download`,
+    ...(d.xml ? { xmlUrl: `/api/pdfs/${d.id}/xml` } : {}),
+  };
+}
+
+// Dokumente ohne Leserecht verhalten sich wie nicht vorhandene
+function documentAccess(req, res, next) {
+  if (!req.session?.user) return res.status(401).json({ error: "Unauthorized" });
+  const d = req.tenant.documents.get(req.params.id);
+  if (!d || !canOpenDocument(req, d)) return res.status(404).json({ error: "Not found" });
+  req.document = d;
+  next();
+}
+
+// Alte Links auf public/generated/<mandant>/<datei>: übernommene Dateien per Weiterleitung, sonst 404
+function legacyPdfLink(req, res) {
+  const [tenantId, name] = req.path.split("/").filter(Boolean).map((p) => decodeURIComponent(p));
+  if (!req.session?.user || req.session.tenantId !== tenantId) return res.status(403).json({ error: "Forbidden" });
+  const d = name && store.tenant(tenantId).documents.listBy("legacyName", name)[0];
+  if (!d) return res.status(404).json({ error: "Not found" });
+  res.redirect(301, `/api/pdfs/${d.id}/download`);
+}
+
+// Status eines Auftrags; nur für den Auftraggeber im selben Mandanten
+function getPdfJob(req, res) {
   if (!req.session?.user) return res.status(401).json({ error: "Unauthorized" });
-  const { oldName, newName } = req.body || {};
-  const isBad = (n) => !n || /[\/\\]/.test(n) || /\.\./.test(n) || !n.toLowerCase().endsWith(".pdf");
-  if (isBad(oldName) || isBad(newName)) return res.status(400).json({ error: "Bad name" });
-
-  const oldP = path.join(GENERATED_DIR, oldName);
-  const newP = path.join(GENERATED_DIR, newName);
-  if (!fs.existsSync(oldP)) return res.status(404).json({ error: "Not found" });
-  fs.renameSync(oldP, newP);
-  audit(req, "pdf.rename", { oldName, newName });
+  const job = pdfJobs.get(req.params.id);
+  if (!job || job.tenantId !== req.tenant.id || job.createdBy !== req.session.user.username) {
+    return res.status(404).json({ error: "Not found" });
+  }
+  res.json({ ...jobView(job), ...(job.status === "fertig" ? { document: documentView(job.result) } : {}) });
+}
+app.get("/api/pdfs/jobs/:id", getPdfJob);
+
+// Suche: ?type=&customerId=&projectId=&offerId=&invoiceId=&from=&to=&q=&page=&size=
+function listDocuments(req, res) {
+  const parsed = DocumentQuerySchema.safeParse(req.query);
+  if (!parsed.success) {
+    const issues = issuesOf(parsed.error, "query");
+    return res.status(400).json(errorBody(400, issues.map((i) => `${i.path}: ${i.message}`).join("; "), issues));
+  }
+  const { page, size, ...query } = parsed.data;
+  const all = filterDocuments(req.tenant.documents.list(), query).filter((d) => canOpenDocument(req, d));
+  const items = all.slice((page - 1) * size, page * size).map(documentView);
+  res.json({ items, total: all.length, page, size });
+}
+app.get("/api/pdfs/list", requirePermission("pdfs.view"), listDocuments);
+
+app.get("/api/pdfs/:id", documentAccess, (req, res) => res.json(documentView(req.document)));
+
+// ?inline=1 zeigt das PDF im Browser statt es herunterzuladen
+app.get("/api/pdfs/:id/download", documentAccess, (req, res) => {
+  const d = req.document;
+  const file = documentFile(req.tenant.id, d);
+  if (!fs.existsSync(file)) return res.status(404).json({ error: "Datei nicht gefunden" });
+  res.setHeader("ETag", `"${d.checksum}"`);
+  if (req.headers["if-none-match"] === `"${d.checksum}"`) return res.status(304).end();
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader("Content-Disposition", `${req.query.inline ? "inline" : "attachment"}; filename="${safeName(d.filename.replace(/\.pdf$/i, ""))}.pdf"`);
+  res.sendFile(file);
+});
+
+// E-Rechnungs-XML zu einem ZUGFeRD-PDF (liegt als <id>.xml daneben)
+app.get("/api/pdfs/:id/xml", documentAccess, (req, res) => {
+  const file = documentFile(req.tenant.id, req.document, "xml");
+  if (!req.document.xml || !fs.existsSync(file)) return res.status(404).json({ error: "Keine E-Rechnung zu dieser Datei" });
+  res.download(file, req.document.filename.replace(/\.pdf$/i, ".xml"));
+});
+
+app.delete("/api/pdfs/:id", requireCsrf, requirePermission("pdfs.delete"), documentAccess, (req, res) => {
+  const d = req.document;
+  req.tenant.documents.remove(d.id);
+  fs.rmSync(documentFile(req.tenant.id, d), { force: true });
+  fs.rmSync(documentFile(req.tenant.id, d, "xml"), { force: true });
+  audit(req, "pdf.delete", { id: d.id, name: d.filename });
   res.json({ ok: true });
 });
 
-// PDF per E-Mail senden (optional – SMTP nötig)
-app.post("/api/pdfs/send", requireCsrf, async (req, res) => {
-  if (!req.session?.user) return res.status(401).json({ error: "Unauthorized" });
-  const { name, to, subject, text } = req.body || {};
+// Umbenennen ändert nur den angezeigten Dateinamen; die Ablage bleibt <id>.pdf
+app.put("/api/pdfs/:id", requireCsrf, requirePermission("pdfs.edit"), documentAccess, (req, res) => {
+  const filename = String(req.body?.filename || "").trim();
+  if (!filename || /[\/\\]/.test(filename) || filename.length > 200 || !filename.toLowerCase().endsWith(".pdf")) {
+    return res.status(400).json({ error: "Ungültiger Dateiname" });
+  }
+  const d = { ...req.document, filename };
+  req.tenant.documents.update(d);
+  audit(req, "pdf.rename", { id: d.id, oldName: req.document.filename, newName: filename });
+  res.json(documentView(d));
+});
+
+// PDF per E-Mail senden (optional – SMTP nötig); ohne customerId gilt der Kunde des Dokuments
+app.post("/api/pdfs/send", requireCsrf, requirePermission("mail.send"), async (req, res) => {
+  const { id, to, subject, text } = req.body || {};
   if (!SMTP.host || !SMTP.user || !SMTP.pass)
     return res.status(501).json({ error: "E-Mail nicht konfiguriert" });
 
-  const absPath = path.join(GENERATED_DIR, String(name || ""));
-  if (!fs.existsSync(absPath)) return res.status(404).json({ error: "Datei nicht gefunden" });
+  const d = id && req.tenant.documents.get(String(id));
+  const absPath = d && documentFile(req.tenant.id, d);
+  if (!d || !canOpenDocument(req, d) || !fs.existsSync(absPath)) return res.status(404).json({ error: "Datei nicht gefunden" });
+  const customerId = req.body?.customerId || d.customerId;
 
   const transporter = nodemailer.createTransport({
     host: SMTP.host,
@@ -835,9 +3427,10 @@ app.post("/api/pdfs/send", requireCsrf, async (req, res) => {
       to: String(to || ""),
       subject: String(subject || "Angebot"),
       text: String(text || "Guten Tag,\nanbei das Angebot."),
-      attachments: [{ filename: String(name), path: absPath }],
+      attachments: [{ filename: d.filename, path: absPath }],
     });
-    audit(req, "pdf.mail", { to, name });
+    // customerId ordnet die E-Mail dem Kundenverlauf zu; sonst zählt die Empfängeradresse
+    audit(req, "pdf.mail", { to, id: d.id, name: d.filename, subject, ...(customerId ? { customerId: String(customerId) } : {}) });
     res.json({ ok: true, messageId: info.messageId });
   } catch (e) {
     res.status(500).json({ error: String(e?.message || e) });
@@ -845,7 +3438,7 @@ app.post("/api/pdfs/send", requireCsrf, async (req, res) => {
 });
 
 // ============= KI-Parsing (OpenAI) =============
-app.post("/api/invoice/parse", async (req, res) => {
+app.post("/api/invoice/parse", requirePermission("offers.edit"), async (req, res) => {
   const apiKey = process.env.OPENAI_API_KEY;
   if (!apiKey) return res.status(500).json({ error: "OPENAI_API_KEY fehlt." });
 
@@ -890,54 +3483,697 @@ app.post("/api/invoice/parse", async (req, res) => {
 });
 
 // ============= BACKUPS (JSON) =============
-// Exportiert settings, users, customers, projects als ein JSON-Paket
-app.get("/api/backups/export", (req, res) => {
-  if (req.session?.user?.role !== "admin")
-    return res.status(403).json({ error: "Forbidden" });
-
-  const payload = {
-    ts: Date.now(),
-    settings: readJson("settings.json", {}),
-    users: readJson("users.json", []),
-    customers: readJson("customers.json", []),
-    projects: readJson("projects.json", []),
-  };
+// Exportiert settings, Preiskatalog und alle Sammlungen des aktuellen Mandanten (customers, projects, offers, invoices,
+// bookings, diary, media, templates, documents) als ein JSON-Paket. media und documents enthalten nur die Einträge:
+// PDF-Dateien (DOCUMENTS_DIR), Fotos, Logo und Schriften (public/uploads/tenants) sind nicht enthalten und separat zu sichern.
+// Benutzer sind mandantenübergreifend und nicht Teil des Backups.
+app.get("/api/backups/export", requirePermission("backups.export"), (req, res) => {
+  const payload = { ts: Date.now(), ...req.tenant.dump() };
   res.setHeader("Content-Type", "application/json; charset=utf-8");
-  res.setHeader("Content-Disposition", `attachment; filename="backup_${new Date().toISOString().slice(0,10)}.json"`);
+  res.setHeader("Content-Disposition", `attachment; filename="backup_${req.tenant.id}_${new Date().toISOString().slice(0,10)}.json"`);
   res.send(JSON.stringify(payload, null, 2));
 });
 
 // Import (überschreibt!)
-app.post("/api/backups/import", requireCsrf, (req, res) => {
-  if (req.session?.user?.role !== "admin")
-    return res.status(403).json({ error: "Forbidden" });
-
+app.post("/api/backups/import", requireCsrf, requirePermission("backups.import"), (req, res) => {
   const b = req.body || {};
   if (!b || typeof b !== "object") return res.status(400).json({ error: "Bad payload" });
 
-  if (b.settings) writeJson("settings.json", b.settings);
-  if (Array.isArray(b.users)) writeJson("users.json", b.users);
-  if (Array.isArray(b.customers)) writeJson("customers.json", b.customers);
-  if (Array.isArray(b.projects)) writeJson("projects.json", b.projects);
+  if (b.tenant && b.tenant !== req.tenant.id)
+    return res.status(409).json({ error: `Backup gehört zu Mandant ${b.tenant}` });
 
-  audit(req, "backup.import", { keys: Object.keys(b) });
-  res.json({ ok: true });
+  // In einer Transaktion: ein fehlerhafter Datensatz lässt den Bestand unverändert
+  try {
+    req.tenant.restore(b);
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+
+  // Ältere Gesamt-Backups enthalten noch Benutzer; die bleiben unangetastet
+  const ignored = ["users"].filter((k) => k in b);
+  audit(req, "backup.import", { keys: Object.keys(b), ignored });
+  res.json({ ok: true, ignored });
+});
+
+// ============= REST-API v1 =============
+// Versionierte API mit denselben Handlern wie /api/*. Pfad, Query und Body werden vor dem Handler gegen
+// die zod-Schemas geprüft, jede erfolgreiche Antwort danach. Fehler haben immer die Form
+// { error, code, issues: [{ path, message }] }. /api/v1/openapi.json wird aus denselben Schemas erzeugt.
+const v1 = express.Router();
+const V1_ROUTES = [];
+
+const IdParams = z.object({ id: z.string().min(1) });
+const PageQuery = z.object({
+  q: z.string().optional(),
+  page: z.coerce.number().int().min(1).default(1),
+  size: z.coerce.number().int().min(1).max(100).default(20),
+});
+const pageOf = (item) => z.object({
+  items: z.array(item),
+  total: z.number().int(),
+  page: z.number().int(),
+  size: z.number().int(),
+});
+const OkOut = z.object({ ok: z.literal(true) });
+const PdfJobOut = z.object({
+  id: z.string(),
+  type: z.string(),
+  createdBy: z.string(),
+  status: z.enum(JOB_STATUS),
+  createdAt: z.number(),
+  startedAt: z.number().optional(),
+  finishedAt: z.number().optional(),
+  error: z.string().optional(),
+  documentId: z.string().optional(),
+});
+// PDF-Routen antworten mit 202: Status unter statusUrl abfragen, fertig mit documentId
+const PdfOut = z.object({ ok: z.literal(true), job: PdfJobOut, statusUrl: z.string() });
+const stored = { id: z.string(), createdAt: z.number() };
+
+const DocumentOut = z.object({
+  ...stored,
+  type: z.enum(Object.keys(DOCUMENT_TYPES)),
+  filename: z.string(),
+  title: z.string().optional(),
+  number: z.string().optional(),
+  version: z.number().int().optional(),
+  offerId: z.string().optional(),
+  invoiceId: z.string().optional(),
+  customerId: z.string().optional(),
+  projectId: z.string().optional(),
+  size: z.number().int(),
+  checksum: z.string(),
+  xml: z.boolean(),
+  createdBy: z.string().optional(),
+  url: z.string(),
+  xmlUrl: z.string().optional(),
+}).passthrough();
+
+const CustomerOut = CustomerSchema.extend({ ...stored, mergedIds: z.array(z.string()).optional() }).passthrough();
+const DuplicateOut = z.object({ a: CustomerOut, b: CustomerOut, score: z.number().int(), reasons: z.array(z.string()) });
+const CustomerMergeBody = z.object({ sourceId: z.string().min(1) });
+const CustomerMergeOut = z.object({
+  ok: z.literal(true),
+  customer: CustomerOut,
+  moved: z.object({ projects: z.number().int(), offers: z.number().int(), invoices: z.number().int(), documents: z.number().int() }),
+});
+const TimelineEventOut = z.object({
+  ts: z.number(),
+  type: z.enum(["customer", "project", "offer", "invoice", "mail"]),
+  title: z.string(),
+  detail: z.string().optional(),
+  user: z.string().nullable().optional(),
+  amount: z.number().optional(),
+  ref: z.object({ kind: z.string(), id: z.string() }).optional(),
+});
+const ProjectOut = ProjectSchema.extend(stored).passthrough();
+
+// Beträge fehlen für Rollen ohne prices.view (stripPrices), daher optional
+const OfferItemOut = z.object({
+  description: z.string(),
+  quantity: z.number(),
+  unit: z.string(),
+  unitPrice: z.number().optional(),
+  total: z.number().optional(),
+  kind: z.enum(COST_KINDS).optional(),
+  pos: z.string().optional(),
+  section: z.array(z.string()).optional(),
+  longText: z.string().optional(),
+}).passthrough();
+// Bedarfs- und Wahlpositionen: nicht in der Summe; ref = Herkunft in der Eingabe
+const OfferExtraItemOut = OfferItemOut.extend({
+  type: z.enum(["optional", "alternative"]),
+  altGroup: z.string().optional(),
+  alternativeTo: z.array(z.string()).optional(),
+  ref: z.string(),
+});
+const OfferSectionOut = z.object({
+  pos: z.string(),
+  title: z.string(),
+  level: z.number().int(),
+  path: z.array(z.string()),
+  subtotal: z.number().optional(),
+});
+const offerOutline = {
+  extraItems: z.array(OfferExtraItemOut).optional(), // fehlt bei Angeboten von vor der Gliederung
+  sections: z.array(OfferSectionOut).optional(),
+};
+const offerAmounts = {
+  subtotal: z.number().optional(),
+  margin: z.number().optional(),
+  totalBeforeTax: z.number().optional(),
+  tax: z.number().optional(),
+  total: z.number().optional(),
+};
+const CalculationOut = z.object({
+  items: z.array(OfferItemOut),
+  ...offerOutline,
+  ...offerAmounts,
+  input: OfferSchema.optional(),
+}).passthrough();
+const OfferOut = z.object({
+  id: z.string(),
+  number: z.string(),
+  version: z.number().int(),
+  status: z.enum(OFFER_STATUS),
+  customerId: z.string().nullable(),
+  projectId: z.string().nullable(),
+  title: z.string(),
+  validUntil: z.string(),
+  templateId: z.string().nullable().optional(),
+  segment: z.string().optional(),
+  catalogVersion: z.number().int().optional(),
+  items: z.array(OfferItemOut),
+  ...offerOutline,
+  ...offerAmounts,
+  createdAt: z.number(),
+  updatedAt: z.number(),
+  createdBy: z.string().optional(),
+  statusHistory: z.array(z.object({ status: z.enum(OFFER_STATUS), ts: z.number(), user: z.string().nullable() })).optional(),
+}).passthrough();
+const OfferSummaryOut = OfferOut.extend({ revisionCount: z.number().int() });
+const OfferCreateBody = OfferSchema.merge(OfferMetaSchema.omit({ updatePrices: true }));
+const OfferUpdateBody = OfferSchema.partial().merge(OfferMetaSchema);
+const OfferStatusBody = z.object({ status: z.enum(OFFER_STATUS) });
+const OfferLinkOut = z.object({
+  id: z.string(),
+  hint: z.string(),
+  createdAt: z.number(),
+  createdBy: z.string(),
+  expiresAt: z.number(),
+  firstViewedAt: z.number().nullable(),
+  lastViewedAt: z.number().nullable(),
+  revokedAt: z.number().nullable(),
+  active: z.boolean(),
+});
+const OfferLinkCreatedOut = OfferLinkOut.extend({ url: z.string(), token: z.string(), status: z.enum(OFFER_STATUS) });
+const OfferApprovalOut = z.object({
+  link: OfferLinkOut.nullable(),
+  links: z.array(OfferLinkOut),
+  acceptance: z.object({
+    name: z.string(),
+    signature: z.string(),
+    ts: z.number(),
+    ip: z.string().nullable(),
+    version: z.number().int(),
+    shownVersion: z.number().int(),
+    choices: ChoicesSchema,
+    hash: z.string(),
+  }).passthrough().nullable(),
+  rejection: z.object({ comment: z.string(), ts: z.number(), ip: z.string().nullable(), version: z.number().int() }).passthrough().nullable(),
+});
+
+const InvoiceOut = z.object({
+  id: z.string(),
+  number: z.string(),
+  type: z.enum(Object.keys(INVOICE_TITLES)),
+  offerId: z.string(),
+  offerNumber: z.string(),
+  items: z.array(OfferItemOut),
+  totalBeforeTax: z.number(),
+  tax: z.number(),
+  total: z.number(),
+  amountDue: z.number(),
+  invoiceDate: z.string(),
+  serviceFrom: z.string(),
+  serviceTo: z.string(),
+  dueDate: z.string(),
+  cancels: z.string().optional(),
+  cancelledBy: z.string().nullable(),
+  intact: z.boolean(),
+  checksum: z.string(),
+  createdAt: z.number(),
+}).passthrough();
+const InvoiceCancelBody = z.object({ reason: z.string().max(500).optional() });
+
+const DiaryParams = IdParams.extend({ entryId: z.string().min(1) });
+const DiaryEntryOut = DiaryEntrySchema.extend({
+  ...stored,
+  projectId: z.string(),
+  number: z.number().int(),
+  createdBy: z.string(),
+  totalHours: z.number(),
+  locked: z.boolean(),
+  signedAt: z.number().optional(),
+  signedBy: z.string().optional(),
+  signerName: z.string().optional(),
+  checksum: z.string().optional(),
+  intact: z.boolean().optional(),
+}).passthrough();
+const PhotoParams = IdParams.extend({ photoId: z.string().min(1) });
+const PhotoOut = PhotoUpdateSchema.extend({
+  ...stored,
+  projectId: z.string(),
+  url: z.string(),
+  thumbUrl: z.string(),
+  type: z.string(),
+  size: z.number(),
+  width: z.number(),
+  height: z.number(),
+  originalName: z.string().optional(),
+  tags: z.array(z.string()),
+  takenAt: z.string().optional(),
+  gps: z.object({ lat: z.number(), lng: z.number(), altitude: z.number().optional() }).optional(),
+  camera: z.string().optional(),
+  createdBy: z.string(),
+  annotation: AnnotationSchema.extend({ updatedAt: z.number(), updatedBy: z.string() }).optional(),
+  annotatedUrl: z.string().optional(),
+}).passthrough();
+const PhotoGroupOut = z.object({
+  group: z.string(),
+  ...Object.fromEntries(Object.keys(PHASES).map((k) => [k, z.array(PhotoOut)])),
+  ohnePhase: z.array(PhotoOut),
+  complete: z.boolean(),
+});
+
+const DiaryPdfBody = z.object({ from: z.string().optional(), to: z.string().optional(), signedOnly: z.boolean().optional() });
+
+const BookingParams = IdParams.extend({ bookingId: z.string().min(1) });
+// Ohne costs.view fehlen Sätze und Beträge
+const BookingOut = z.object({
+  ...stored,
+  projectId: z.string(),
+  kind: z.enum(Object.keys(BOOKING_KINDS)),
+  date: z.string(),
+  createdBy: z.string(),
+  cost: z.number().optional(),
+}).passthrough();
+const BookingUpdateBody = TimeBookingSchema.merge(MaterialBookingSchema).merge(SubcontractBookingSchema)
+  .omit({ kind: true }).partial();
+const CompareOut = z.object({ planned: z.number(), actual: z.number(), diff: z.number(), percent: z.number().nullable() });
+const PostCalculationOut = z.object({
+  projectId: z.string(),
+  budget: z.number(),
+  budgetUsed: z.number().nullable(),
+  planned: z.object({
+    offers: z.array(z.string()),
+    revenue: z.number(),
+    hours: z.number(),
+    labour: z.number(),
+    material: z.number(),
+    other: z.number(),
+    total: z.number(),
+    materials: z.array(z.object({ unit: z.string(), quantity: z.number(), value: z.number() })),
+  }),
+  actual: z.object({
+    hours: z.number(),
+    labour: z.number(),
+    material: z.number(),
+    subcontract: z.number(),
+    total: z.number(),
+    materials: z.array(z.object({ unit: z.string(), quantity: z.number(), cost: z.number() })),
+    byEmployee: z.array(z.object({ employee: z.string(), hours: z.number(), cost: z.number() })),
+    byDay: z.array(z.object({ date: z.string(), employee: z.string(), hours: z.number() })),
+  }),
+  hours: CompareOut,
+  materials: z.array(CompareOut.extend({ unit: z.string() })),
+  margin: z.object({ amount: z.number(), percent: z.number().nullable() }).nullable(),
+  warnings: z.array(z.object({ code: z.string(), level: z.enum(["info", "warn", "error"]), message: z.string() })),
+});
+
+// Jede Fehlerantwort unter /api/v1 (auch aus Token-Prüfung, requirePermission, requireCsrf) ins
+// einheitliche Format bringen; Zusatzfelder wie permission bleiben erhalten
+function v1Errors(_req, res, next) {
+  const json = res.json.bind(res);
+  res.json = (data) => {
+    if (res.statusCode < 400 || (data?.code && Array.isArray(data.issues))) return json(data);
+    const { error, ...extra } = data || {};
+    return json({ ...extra, ...errorBody(res.statusCode, error) });
+  };
+  next();
+}
+
+// Antwort gegen das Schema prüfen; eine Abweichung ist ein Serverfehler, kein Fehler des Clients
+function v1Response(schema) {
+  return (req, res, next) => {
+    const json = res.json.bind(res);
+    res.json = (data) => {
+      if (res.statusCode >= 400) return json(data);
+      const checked = schema.safeParse(data);
+      if (checked.success) return json(data);
+      console.error(`v1 ${req.method} ${req.originalUrl}: Antwort passt nicht zum Schema`, checked.error.issues);
+      res.status(500);
+      return json(errorBody(500, "Antwort entspricht nicht dem Schema", issuesOf(checked.error, "response")));
+    };
+    next();
+  };
+}
+
+// Pfad, Query und Body prüfen; Query und Body werden durch die geparsten Werte (inkl. Standardwerte) ersetzt
+function v1Validate({ params, query, body }) {
+  return (req, res, next) => {
+    const issues = [];
+    const parts = [["params", params], ["query", query], ["body", body]];
+    for (const [key, schema] of parts) {
+      if (!schema) continue;
+      const parsed = schema.safeParse(req[key] ?? {});
+      if (!parsed.success) issues.push(...issuesOf(parsed.error, key));
+      else if (key !== "params") req[key] = parsed.data;
+    }
+    if (issues.length) return res.status(400).json(errorBody(400, "Ungültige Eingabe", issues));
+    next();
+  };
+}
+
+// Registriert eine v1-Route und merkt sie für das OpenAPI-Dokument
+function v1Route(method, routePath, spec, handler) {
+  V1_ROUTES.push({ method, path: routePath, operationId: handler.name, ...spec });
+  v1[method](
+    routePath,
+    v1Response(spec.response),
+    ...(method === "get" ? [] : [requireCsrf]),
+    ...(spec.permission ? [requirePermission(spec.permission)] : []),
+    v1Validate(spec),
+    handler
+  );
+}
+
+function getProject(req, res) {
+  const item = req.tenant.projects.get(req.params.id);
+  if (!item) return res.status(404).json({ error: "Not found" });
+  res.json(item);
+}
+
+v1Route("get", "/customers", {
+  summary: "Kunden auflisten", tags: ["Kunden"], permission: "customers.view",
+  query: PageQuery, response: pageOf(CustomerOut),
+}, listCustomers);
+v1Route("get", "/customers/duplicates", {
+  summary: "Mögliche Dubletten", tags: ["Kunden"], permission: "customers.view",
+  query: z.object({ id: z.string().optional() }), response: z.object({ items: z.array(DuplicateOut) }),
+}, listCustomerDuplicates);
+v1Route("get", "/customers/:id", {
+  summary: "Kunde lesen", tags: ["Kunden"], permission: "customers.view",
+  params: IdParams, response: CustomerOut,
+}, getCustomer);
+v1Route("post", "/customers", {
+  summary: "Kunde anlegen", tags: ["Kunden"], permission: "customers.edit",
+  body: CustomerSchema, response: CustomerOut,
+}, createCustomer);
+v1Route("put", "/customers/:id", {
+  summary: "Kunde ändern", tags: ["Kunden"], permission: "customers.edit",
+  params: IdParams, body: CustomerSchema.partial(), response: OkOut,
+}, updateCustomer);
+v1Route("delete", "/customers/:id", {
+  summary: "Kunde löschen", tags: ["Kunden"], permission: "customers.delete",
+  params: IdParams, response: OkOut,
+}, deleteCustomer);
+v1Route("post", "/customers/:id/merge", {
+  summary: "Dublette zusammenführen", tags: ["Kunden"], permission: "customers.delete",
+  description: "sourceId geht in :id auf; Projekte und Angebote werden umgehängt, Rechnungen bleiben unverändert.",
+  params: IdParams, body: CustomerMergeBody, response: CustomerMergeOut,
+}, mergeCustomer);
+v1Route("get", "/customers/:id/timeline", {
+  summary: "Verlauf des Kunden", tags: ["Kunden"], permission: "customers.view",
+  params: IdParams, response: z.object({ items: z.array(TimelineEventOut) }),
+}, getCustomerTimeline);
+
+v1Route("get", "/projects", {
+  summary: "Projekte auflisten", tags: ["Projekte"], permission: "projects.view",
+  query: PageQuery, response: pageOf(ProjectOut),
+}, listProjects);
+v1Route("get", "/projects/:id", {
+  summary: "Projekt lesen", tags: ["Projekte"], permission: "projects.view",
+  params: IdParams, response: ProjectOut,
+}, getProject);
+v1Route("post", "/projects", {
+  summary: "Projekt anlegen", tags: ["Projekte"], permission: "projects.edit",
+  body: ProjectSchema, response: ProjectOut,
+}, createProject);
+v1Route("put", "/projects/:id", {
+  summary: "Projekt ändern", tags: ["Projekte"], permission: "projects.edit",
+  params: IdParams, body: ProjectSchema.partial(), response: OkOut,
+}, updateProject);
+v1Route("delete", "/projects/:id", {
+  summary: "Projekt löschen", tags: ["Projekte"], permission: "projects.delete",
+  description: "Löscht Buchungen, offene Bautagebuch-Einträge und Fotos mit.",
+  params: IdParams, response: OkOut, conflict: "Projekt hat unterschriebene Bautagebuch-Einträge",
+}, deleteProject);
+v1Route("get", "/projects/:id/diary", {
+  summary: "Bautagebuch des Projekts", tags: ["Bautagebuch"], permission: "projects.view",
+  description: "Neueste zuerst.",
+  params: IdParams,
+  query: PageQuery.extend({ from: z.string().optional(), to: z.string().optional() }),
+  response: pageOf(DiaryEntryOut),
+}, listDiary);
+v1Route("post", "/projects/:id/diary", {
+  summary: "Tagebucheintrag anlegen", tags: ["Bautagebuch"], permission: "projects.edit",
+  description: "photos: URLs aus POST /api/projects/:id/photos (url oder annotatedUrl).",
+  params: IdParams, body: DiaryEntrySchema, response: DiaryEntryOut,
+}, createDiaryEntry);
+v1Route("post", "/projects/:id/diary/notes", {
+  summary: "Notiz zum Tag erfassen", tags: ["Bautagebuch"], permission: "projects.edit",
+  description: "Hängt an den offenen Eintrag des Tages an oder legt einen an. Header Idempotency-Key verhindert Doppelte beim erneuten Senden.",
+  params: IdParams, body: DiaryNoteSchema,
+  response: z.object({ action: z.enum(["created", "appended", "replayed"]), entry: DiaryEntryOut }),
+  conflict: "Tag ist bereits unterschrieben (asNew: true legt einen Nachtrag an)",
+}, addDiaryNote);
+v1Route("put", "/projects/:id/diary/:entryId", {
+  summary: "Tagebucheintrag ändern", tags: ["Bautagebuch"], permission: "projects.edit",
+  params: DiaryParams, body: DiaryEntrySchema.partial(), response: DiaryEntryOut, conflict: "Eintrag ist unterschrieben",
+}, updateDiaryEntry);
+v1Route("delete", "/projects/:id/diary/:entryId", {
+  summary: "Tagebucheintrag löschen", tags: ["Bautagebuch"], permission: "projects.edit",
+  params: DiaryParams, response: OkOut, conflict: "Eintrag ist unterschrieben",
+}, deleteDiaryEntry);
+v1Route("post", "/projects/:id/diary/:entryId/sign", {
+  summary: "Tagebucheintrag unterschreiben (sperrt ihn)", tags: ["Bautagebuch"], permission: "diary.sign",
+  params: DiaryParams, body: z.object({ name: z.string().max(120).optional() }), response: DiaryEntryOut,
+  conflict: "Eintrag ist bereits unterschrieben",
+}, signDiary);
+v1Route("post", "/projects/:id/diary/pdf", {
+  summary: "Bautagebuch als PDF mit Foto-Anlage", tags: ["Bautagebuch"], permission: "projects.view",
+  params: IdParams, body: DiaryPdfBody, response: PdfOut, accepted: true,
+}, diaryPdf);
+v1Route("get", "/projects/:id/photos", {
+  summary: "Fotos des Projekts", tags: ["Projektfotos"], permission: "projects.view",
+  description: "Neueste Aufnahme zuerst. Hochladen (multipart) über POST /api/projects/:id/photos.",
+  params: IdParams,
+  query: PageQuery.extend({
+    tag: z.string().optional(), phase: z.enum(Object.keys(PHASES)).optional(), group: z.string().optional(), q: z.string().optional(),
+  }),
+  response: pageOf(PhotoOut),
+}, listPhotos);
+v1Route("get", "/projects/:id/photos/groups", {
+  summary: "Vorher/Nachher-Gruppen", tags: ["Projektfotos"], permission: "projects.view",
+  params: IdParams, response: z.object({ items: z.array(PhotoGroupOut), total: z.number().int() }),
+}, listPhotoGroups);
+v1Route("get", "/projects/:id/photos/:photoId", {
+  summary: "Foto lesen", tags: ["Projektfotos"], permission: "projects.view",
+  params: PhotoParams, response: PhotoOut,
+}, getPhoto);
+v1Route("put", "/projects/:id/photos/:photoId", {
+  summary: "Beschriftung, Schlagworte, Phase und Gruppe ändern", tags: ["Projektfotos"], permission: "photos.upload",
+  params: PhotoParams, body: PhotoUpdateSchema, response: PhotoOut,
+}, updatePhoto);
+v1Route("put", "/projects/:id/photos/:photoId/annotation", {
+  summary: "Markierungen speichern", tags: ["Projektfotos"], permission: "photos.upload",
+  description: "Koordinaten relativ zur gedrehten Bildgröße (0–1); das markierte Bild liegt unter annotatedUrl, das Original bleibt unverändert.",
+  params: PhotoParams, body: AnnotationSchema, response: PhotoOut,
+  conflict: "Markiertes Foto gehört zu einem unterschriebenen Bautagebuch-Eintrag",
+}, annotatePhoto);
+v1Route("delete", "/projects/:id/photos/:photoId/annotation", {
+  summary: "Markierungen entfernen", tags: ["Projektfotos"], permission: "photos.upload",
+  params: PhotoParams, response: PhotoOut,
+  conflict: "Markiertes Foto gehört zu einem unterschriebenen Bautagebuch-Eintrag",
+}, deleteAnnotation);
+v1Route("delete", "/projects/:id/photos/:photoId", {
+  summary: "Foto löschen", tags: ["Projektfotos"], permission: "photos.upload",
+  description: "Eigene Fotos; fremde nur mit photos.delete. Wird aus offenen Bautagebuch-Einträgen entfernt.",
+  params: PhotoParams, response: OkOut, conflict: "Foto gehört zu einem unterschriebenen Bautagebuch-Eintrag",
+}, deletePhoto);
+v1Route("get", "/projects/:id/bookings", {
+  summary: "Buchungen des Projekts", tags: ["Projektkosten"], permission: "costs.book",
+  description: "Neueste zuerst; ohne costs.view fehlen Sätze und Beträge.",
+  params: IdParams,
+  query: PageQuery.extend({
+    kind: z.enum(Object.keys(BOOKING_KINDS)).optional(),
+    employee: z.string().optional(),
+    from: z.string().optional(),
+    to: z.string().optional(),
+  }),
+  response: pageOf(BookingOut),
+}, listBookings);
+v1Route("post", "/projects/:id/bookings", {
+  summary: "Zeit, Material oder Fremdleistung buchen", tags: ["Projektkosten"], permission: "costs.book",
+  description: "Ohne costRate gilt der interne Stundensatz aus den Einstellungen, ohne unitCost der Einkaufspreis des Katalogartikels (sku).",
+  params: IdParams, body: BookingSchema, response: BookingOut,
+}, createBooking);
+v1Route("put", "/projects/:id/bookings/:bookingId", {
+  summary: "Buchung ändern", tags: ["Projektkosten"], permission: "costs.book",
+  params: BookingParams, body: BookingUpdateBody, response: BookingOut,
+}, updateBooking);
+v1Route("delete", "/projects/:id/bookings/:bookingId", {
+  summary: "Buchung löschen", tags: ["Projektkosten"], permission: "costs.book",
+  params: BookingParams, response: OkOut,
+}, deleteBooking);
+v1Route("get", "/projects/:id/costs", {
+  summary: "Nachkalkulation (Soll/Ist, Marge, Warnungen)", tags: ["Projektkosten"], permission: "costs.view",
+  params: IdParams, response: PostCalculationOut,
+}, getProjectCosts);
+
+v1Route("post", "/offers/calculate", {
+  summary: "Angebot berechnen (ohne Speichern)", tags: ["Angebote"], permission: "offers.edit",
+  body: OfferSchema, response: CalculationOut,
+}, calculateOfferPreview);
+v1Route("post", "/offers/export-pdf", {
+  summary: "Angebot aus Eingabe als PDF", tags: ["Angebote"], permission: "offers.export",
+  description: "Beträge werden serverseitig aus der Eingabe berechnet; templateId wählt die Dokumentvorlage.",
+  body: OfferSchema.extend({ templateId: z.string().optional() }), response: PdfOut, accepted: true,
+}, exportOfferPdf);
+v1Route("get", "/offers", {
+  summary: "Angebote auflisten", tags: ["Angebote"], permission: "offers.view",
+  description: "Ohne prices.view fehlen alle Beträge.",
+  query: PageQuery.extend({
+    status: z.enum(OFFER_STATUS).optional(),
+    customerId: z.string().optional(),
+    projectId: z.string().optional(),
+  }),
+  response: pageOf(OfferSummaryOut),
+}, listOffers);
+v1Route("get", "/offers/:id", {
+  summary: "Angebot lesen", tags: ["Angebote"], permission: "offers.view",
+  params: IdParams, response: OfferOut,
+}, getOffer);
+v1Route("post", "/offers", {
+  summary: "Angebot anlegen", tags: ["Angebote"], permission: "offers.edit",
+  body: OfferCreateBody, response: OfferOut,
+}, createOffer);
+v1Route("put", "/offers/:id", {
+  summary: "Angebot bearbeiten (neue Version)", tags: ["Angebote"], permission: "offers.edit",
+  params: IdParams, body: OfferUpdateBody, response: OfferOut, conflict: "Angebot ist angenommen",
+}, updateOffer);
+v1Route("get", "/offers/:id/revisions/:version", {
+  summary: "Frühere Version lesen", tags: ["Angebote"], permission: "offers.view",
+  params: IdParams.extend({ version: z.string().regex(/^\d+$/, "Versionsnummer erwartet") }), response: OfferOut,
+}, getOfferRevision);
+v1Route("post", "/offers/:id/status", {
+  summary: "Status setzen", tags: ["Angebote"], permission: "offers.edit",
+  params: IdParams, body: OfferStatusBody, response: OfferOut, conflict: "Statuswechsel nicht erlaubt",
+}, setOfferStatus);
+v1Route("delete", "/offers/:id", {
+  summary: "Entwurf löschen", tags: ["Angebote"], permission: "offers.delete",
+  params: IdParams, response: OkOut, conflict: "Nur Entwürfe können gelöscht werden",
+}, deleteOffer);
+v1Route("post", "/offers/:id/pdf", {
+  summary: "Gespeichertes Angebot als PDF", tags: ["Angebote"], permission: "offers.export",
+  description: "templateId überschreibt die Dokumentvorlage des Angebots.",
+  params: IdParams, body: z.object({ templateId: z.string().optional() }), response: PdfOut, accepted: true,
+}, storedOfferPdf);
+v1Route("post", "/offers/:id/portal", {
+  summary: "Freigabelink für den Kunden erzeugen", tags: ["Angebote"], permission: "offers.edit",
+  description: "Ersetzt einen bestehenden Link; ein Entwurf wird damit versendet. Das Token steht nur in dieser Antwort.",
+  params: IdParams, response: OfferLinkCreatedOut, conflict: "Angebot bereits angenommen, abgelehnt oder abgelaufen",
+}, createOfferLink);
+v1Route("get", "/offers/:id/portal", {
+  summary: "Stand der Kundenfreigabe", tags: ["Angebote"], permission: "offers.view",
+  params: IdParams, response: OfferApprovalOut,
+}, getOfferLink);
+v1Route("delete", "/offers/:id/portal", {
+  summary: "Freigabelink sperren", tags: ["Angebote"], permission: "offers.edit",
+  params: IdParams, response: OkOut.extend({ revoked: z.number().int() }),
+}, revokeOfferLink);
+
+v1Route("get", "/invoices", {
+  summary: "Rechnungen auflisten", tags: ["Rechnungen"], permission: "invoices.view",
+  query: PageQuery.omit({ q: true }).extend({
+    type: z.enum(Object.keys(INVOICE_TITLES)).optional(),
+    offerId: z.string().optional(),
+    customerId: z.string().optional(),
+    projectId: z.string().optional(),
+  }),
+  response: pageOf(InvoiceOut),
+}, listInvoices);
+v1Route("get", "/invoices/:id", {
+  summary: "Rechnung lesen", tags: ["Rechnungen"], permission: "invoices.view",
+  params: IdParams, response: InvoiceOut,
+}, getInvoice);
+v1Route("post", "/invoices", {
+  summary: "Rechnung aus angenommenem Angebot", tags: ["Rechnungen"], permission: "invoices.create",
+  body: InvoiceCreateSchema, response: InvoiceOut, conflict: "Angebot nicht angenommen oder bereits abgerechnet",
+}, createInvoice);
+v1Route("post", "/invoices/:id/cancel", {
+  summary: "Rechnung stornieren", tags: ["Rechnungen"], permission: "invoices.cancel",
+  params: IdParams, body: InvoiceCancelBody, response: InvoiceOut, conflict: "Bereits storniert oder verrechnet",
+}, cancelInvoice);
+
+v1Route("get", "/pdfs", {
+  summary: "PDF-Ablage durchsuchen", tags: ["PDF-Center"], permission: "pdfs.view",
+  description: "Download über url (/api/pdfs/:id/download). Angebote brauchen zusätzlich offers.view und prices.view, Rechnungen invoices.view.",
+  query: DocumentQuerySchema, response: pageOf(DocumentOut),
+}, listDocuments);
+v1Route("get", "/pdfs/jobs/:id", {
+  summary: "Status eines PDF-Auftrags", tags: ["PDF-Center"],
+  description: "Nur für den Auftraggeber; mit Status fertig steht das Dokument in document.",
+  params: IdParams, response: PdfJobOut.extend({ document: DocumentOut.optional() }),
+}, getPdfJob);
+
+// OpenAPI-Dokument und Doku-Seite sind ohne Anmeldung abrufbar; das Dokument wird einmal erzeugt
+let openApiCache = null;
+v1.get("/openapi.json", (_req, res) => {
+  openApiCache ||= openApiDocument({
+    info: { title: "MeisterKI API", version: "1.0.0", description: "REST-API v1. Anmeldung per Session (Browser) oder API-Token." },
+    servers: [{ url: "/api/v1" }],
+    routes: V1_ROUTES,
+    schemas: {
+      Customer: CustomerOut,
+      CustomerInput: CustomerSchema,
+      Contact: ContactSchema,
+      Address: AddressSchema,
+      TimelineEvent: TimelineEventOut,
+      Project: ProjectOut,
+      ProjectInput: ProjectSchema,
+      DiaryEntry: DiaryEntryOut,
+      DiaryEntryInput: DiaryEntrySchema,
+      DiaryStaff: StaffSchema,
+      Photo: PhotoOut,
+      PhotoAnnotation: AnnotationSchema,
+      Booking: BookingOut,
+      BookingInput: BookingSchema,
+      PostCalculation: PostCalculationOut,
+      OfferInput: OfferSchema,
+      Offer: OfferOut,
+      OfferSummary: OfferSummaryOut,
+      OfferApproval: OfferApprovalOut,
+      OfferItem: OfferItemOut,
+      Calculation: CalculationOut,
+      Invoice: InvoiceOut,
+      InvoiceCreate: InvoiceCreateSchema,
+      Ok: OkOut,
+      Pdf: PdfOut,
+      PdfJob: PdfJobOut,
+      Document: DocumentOut,
+      Error: ErrorSchema,
+    },
+  });
+  res.json(openApiCache);
+});
+v1.get("/docs", (_req, res) => res.sendFile(path.join(PUBLIC_DIR, "api-docs.html")));
+
+app.use("/api/v1", v1);
+app.use("/api/v1", (_req, res) => res.status(404).json({ error: "Not found" }));
+// Auch kaputtes JSON im Body und unerwartete Fehler als JSON im v1-Format
+app.use("/api/v1", (err, _req, res, _next) => {
+  const status = err.status || err.statusCode || 500;
+  if (status >= 500) console.error(err);
+  res.status(status).json(errorBody(status, status >= 500 ? "Interner Fehler" : err.message));
 });
 
 // ============= HEALTH / METRICS =============
 app.get("/healthz", (_req, res) => res.json({ ok: true }));
 app.get("/readyz", (_req, res) => {
-  const ok = fs.existsSync(PUBLIC_DIR) && fs.existsSync(DATA_DIR);
+  let ok = fs.existsSync(PUBLIC_DIR);
+  try {
+    store.db.prepare("SELECT 1").get();
+  } catch {
+    ok = false;
+  }
   res.status(ok ? 200 : 500).json({ ok });
 });
+// Kennzahlen über alle Mandanten
 app.get("/metrics", (_req, res) => {
-  const users = readJson("users.json", []).length;
-  const customers = readJson("customers.json", []).length;
-  const projects = readJson("projects.json", []).length;
-  const pdfs = fs.existsSync(GENERATED_DIR)
-    ? fs.readdirSync(GENERATED_DIR).filter((f) => f.endsWith(".pdf")).length
-    : 0;
-  res.json({ users, customers, projects, pdfs, ts: Date.now() });
+  const stats = store.stats();
+  res.json({ ...stats, pdfs: stats.documents, pdfQueue: pdfJobs.stats(), ts: Date.now() });
 });
 
 // ============= LANDING & START =============
@@ -3,7 +3,10 @@ import cors from "cors";
 import fs from "fs";
 import path from "path";
 import PDFDocument from "pdfkit";
-import { z } from "zod";
+import { listTrades } from "./trades/index.mjs";
+import { DEFAULT_CATALOG, priceContext } from "./catalog.mjs";
+import { calculateOffer, parseOfferInput, ratesFromSettings } from "./offerEngine.mjs";
+import { DEFAULT_TENANT, openStore } from "./store.mjs";
 
 // --- Setup
 const app = express();
@@ -18,11 +21,18 @@ if (!fs.existsSync(GENERATED)) fs.mkdirSync(GENERATED, { recursive: true });
 app.use("/uploads", express.static(UPLOADS));
 app.use("/generated", express.static(GENERATED));
 
-// --- Types & simple engine (NICHTS importieren!)
+// --- Types & engine (Kalkulation kommt aus ./offerEngine.mjs)
 type Trade = "maler" | "elektro" | "sanitär" | "boden" | "dach";
-interface OfferItem { description: string; quantity: number; unit: string; unitPrice: number; total: number; }
+interface Discount { type: "percent" | "amount"; value: number; }
+type CostKind = "labour" | "material" | "machine" | "travel";
+interface CostAmounts { net: number; tax: number; gross: number; }
+interface OfferItem {
+  description: string; quantity: number; unit: string; unitPrice: number; total: number;
+  taxRate?: number; reverseCharge?: boolean; discount?: Discount; discountAmount?: number; kind: CostKind;
+}
+interface TaxLine { rate: number; reverseCharge: boolean; net: number; tax: number; }
 interface OfferInput {
-  trade: Trade;
+  trade?: Trade;
   company: { name: string; address?: string; email?: string; phone?: string };
   customer: { name: string; address?: string; email?: string; phone?: string };
   project: {
@@ -30,88 +40,38 @@ interface OfferInput {
     rooms?: { name: string; width_m: number; length_m: number; height_m?: number }[];
     materials?: { name: string; unitPrice: number; quantity: number; unit: string }[];
     notes?: string;
+    boden?: Record<string, number>; dach?: Record<string, number>;
+    elektro?: Record<string, number>; sanitaer?: Record<string, number>;
   };
+  items?: {
+    description: string; quantity: number; unit: string; unitPrice: number;
+    taxRate?: number; reverseCharge?: boolean; discount?: Discount; kind?: CostKind;
+  }[];
   laborRatePerHour: number;
+  segment?: string;
   marginPercentage?: number;
   taxRatePercentage?: number;
+  discount?: Discount;
+  reverseCharge?: boolean;
+  skonto?: { percent: number; days: number };
 }
+// Katalog und Einstellungen des Mandanten (tenant.catalog.latest(), tenant.settings.get())
+interface Pricing { catalog?: any; settings?: Record<string, any>; }
 interface Offer {
   id: string; createdAt: string; input: OfferInput; items: OfferItem[];
-  subtotal: number; margin: number; totalBeforeTax: number; tax: number; total: number; currency: string;
+  subtotal: number; marginPercentage: number; margin: number;
+  discount?: Discount; discountAmount?: number; totalBeforeTax: number;
+  taxRatePercentage: number; taxes: TaxLine[]; tax: number; total: number; currency: string;
+  reverseCharge?: boolean; skonto?: { percent: number; days: number; amount: number; total: number };
+  costTypes: Record<CostKind, CostAmounts>; labourCosts: CostAmounts;
 }
-const OfferSchema = z.object({
-  trade: z.enum(["maler","elektro","sanitär","boden","dach"]),
-  company: z.object({ name: z.string(), address: z.string().optional(), email: z.string().optional(), phone: z.string().optional() }),
-  customer: z.object({ name: z.string(), address: z.string().optional(), email: z.string().optional(), phone: z.string().optional() }),
-  project: z.object({
-    title: z.string(),
-    description: z.string().optional(),
-    rooms: z.array(z.object({ name: z.string(), width_m: z.number(), length_m: z.number(), height_m: z.number().optional() })).optional(),
-    materials: z.array(z.object({ name: z.string(), unitPrice: z.number(), quantity: z.number(), unit: z.string() })).optional(),
-    notes: z.string().optional()
-  }),
-  laborRatePerHour: z.number(),
-  marginPercentage: z.number().optional(),
-  taxRatePercentage: z.number().optional()
-});
 
-function round2(n: number) { return Math.round(n * 100) / 100; }
-
-function generateOffer(input: OfferInput): Offer {
-  const items: OfferItem[] = [];
-  if (input.trade === "maler" && input.project.rooms?.length) {
-    for (const room of input.project.rooms) {
-      const h = room.height_m ?? 2.6;
-      const wallArea = 2 * (room.width_m + room.length_m) * h;
-      const ceilingArea = room.width_m * room.length_m;
-      const wallHours = wallArea / 20;
-      const ceilingHours = ceilingArea / 25;
-      const prepHours = (wallArea + ceilingArea) / 60;
-      const hours = wallHours + ceilingHours + prepHours;
-
-      items.push({
-        description: `Malerarbeiten ${room.name}: Wände & Decke streichen (${round2(wallArea + ceilingArea)} m²)`,
-        quantity: round2(hours),
-        unit: "Std",
-        unitPrice: input.laborRatePerHour,
-        total: round2(hours * input.laborRatePerHour),
-      });
-
-      const paintLiters = (wallArea + ceilingArea) / 8;
-      const paintPrice = 6.0;
-      items.push({
-        description: `Material: Qualitätsfarbe (${round2(paintLiters)} l)`,
-        quantity: round2(paintLiters),
-        unit: "l",
-        unitPrice: paintPrice,
-        total: round2(paintLiters * paintPrice),
-      });
-    }
-  }
-  if (input.project.materials) {
-    for (const m of input.project.materials) {
-      items.push({
-        description: `Material: ${m.name}`,
-        quantity: m.quantity,
-        unit: m.unit,
-        unitPrice: m.unitPrice,
-        total: round2(m.unitPrice * m.quantity),
-      });
-    }
-  }
-  const subtotal = round2(items.reduce((s, it) => s + it.total, 0));
-  const marginPct = input.marginPercentage ?? 15;
-  const margin = round2((subtotal * marginPct) / 100);
-  const totalBeforeTax = round2(subtotal + margin);
-  const taxRate = input.taxRatePercentage ?? 19;
-  const tax = round2((totalBeforeTax * taxRate) / 100);
-  const total = round2(totalBeforeTax + tax);
-
-  return {
-    id: `OF-${Date.now()}`,
-    createdAt: new Date().toISOString(),
-    input, items, subtotal, margin, totalBeforeTax, tax, total, currency: "EUR"
-  };
+function generateOffer(input: OfferInput, { catalog, settings }: Pricing): Offer {
+  const calc = calculateOffer(input, {
+    ctx: priceContext(catalog || DEFAULT_CATALOG, input.segment),
+    ...ratesFromSettings(settings)
+  });
+  return { id: `OF-${Date.now()}`, createdAt: new Date().toISOString(), input, ...calc };
 }
 
 function exportOfferToPDF(offer: Offer): string {
@@ -156,37 +116,66 @@ function exportOfferToPDF(offer: Offer): string {
 
   doc.moveDown();
   doc.text(`Zwischensumme: ${offer.subtotal.toFixed(2)} €`, { align: "right" });
-  doc.text(`Aufschlag (${offer.input.marginPercentage ?? 15}%): ${offer.margin.toFixed(2)} €`, { align: "right" });
+  doc.text(`Aufschlag (${offer.marginPercentage}%): ${offer.margin.toFixed(2)} €`, { align: "right" });
+  if (offer.discountAmount) doc.text(`Rabatt: -${offer.discountAmount.toFixed(2)} €`, { align: "right" });
   doc.text(`Summe (netto): ${offer.totalBeforeTax.toFixed(2)} €`, { align: "right" });
-  doc.text(`MwSt (${offer.input.taxRatePercentage ?? 19}%): ${offer.tax.toFixed(2)} €`, { align: "right" });
+  for (const t of offer.taxes) {
+    const label = t.reverseCharge ? "USt (§ 13b UStG)" : `MwSt ${t.rate}% auf ${t.net.toFixed(2)} €`;
+    doc.text(`${label}: ${t.tax.toFixed(2)} €`, { align: "right" });
+  }
   doc.font("Helvetica-Bold").text(`Gesamtsumme: ${offer.total.toFixed(2)} €`, { align: "right" });
+  doc.font("Helvetica");
+  if (offer.reverseCharge) doc.moveDown().text("Steuerschuldnerschaft des Leistungsempfängers (§ 13b UStG).");
+  else {
+    const l = offer.labourCosts;
+    doc.moveDown().text(
+      `Lohnanteil nach § 35a EStG: netto ${l.net.toFixed(2)} € + MwSt ${l.tax.toFixed(2)} € = brutto ${l.gross.toFixed(2)} €`
+    );
+  }
+  if (offer.skonto) {
+    doc.moveDown().text(
+      `Bei Zahlung innerhalb von ${offer.skonto.days} Tagen ${offer.skonto.percent}% Skonto ` +
+      `(${offer.skonto.amount.toFixed(2)} €), Zahlbetrag ${offer.skonto.total.toFixed(2)} €.`
+    );
+  }
   doc.end();
 
   return filePath;
 }
 
-// --- API
-app.post("/api/offers/generate", (req, res) => {
-  try {
-    const input = OfferSchema.parse(req.body);
-    const offer = generateOffer(input);
-    res.json(offer);
-  } catch (e: any) {
-    res.status(400).json({ error: e.message });
-  }
-});
-
-app.post("/api/offers/export-pdf", (req, res) => {
-  try {
-    const offer = req.body as Offer;
-    const file = exportOfferToPDF(offer);
-    res.json({ ok: true, path: file.replace(process.cwd(), "") });
-  } catch (e: any) {
-    res.status(400).json({ error: e.message });
-  }
-});
+// --- API (pricing liefert Katalog und Einstellungen für die Kalkulation)
+function registerRoutes(pricing: () => Pricing) {
+  app.get("/api/offers/trades", (_req, res) => {
+    res.json({ items: listTrades() });
+  });
+
+  app.post("/api/offers/generate", (req, res) => {
+    try {
+      const input = parseOfferInput(req.body);
+      const offer = generateOffer(input, pricing());
+      res.json(offer);
+    } catch (e: any) {
+      res.status(400).json({ error: e.message });
+    }
+  });
+
+  app.post("/api/offers/export-pdf", (req, res) => {
+    try {
+      const offer = req.body as Offer;
+      const file = exportOfferToPDF(offer);
+      res.json({ ok: true, path: file.replace(process.cwd(), "") });
+    } catch (e: any) {
+      res.status(400).json({ error: e.message });
+    }
+  });
+}
 
 // --- Start
+// Die Datenbank wird erst hier geöffnet; Katalog und Sätze kommen aus dem Mandanten TENANT (Standard: default)
+const store = openStore(process.env.DB_FILE || path.join(process.cwd(), "data", "meisterki.db"));
+const tenant = store.tenant(process.env.TENANT || DEFAULT_TENANT);
+registerRoutes(() => ({ catalog: tenant.catalog.latest(), settings: tenant.settings.get() }));
+
 const PORT = process.env.PORT || 4000;
 app.listen(PORT, () => {
   console.log(`MeisterKI server listening on port ${PORT}`);
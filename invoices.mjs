@@ -0,0 +1,226 @@
+// ==============================
+// Rechnungen (GoBD: unveränderlich, fortlaufend nummeriert)
+// Rechnung, Abschlags- und Schlussrechnung aus einem angenommenen Angebot, Storno als eigene Rechnung
+// mit negativen Beträgen. Rechnungen werden nie geändert oder gelöscht; der Status (storniert, intakt)
+// wird abgeleitet. Nummernkreis wie bei Angeboten (offers.mjs), Routen, PDF und Audit liegen in index.mjs.
+// ==============================
+import crypto from "crypto";
+import { z } from "zod";
+import { splitByTaxes, splitCostTypes } from "./offerEngine.mjs";
+
+export const INVOICE_PREFIX = "RE";
+export const INVOICE_TITLES = {
+  rechnung: "Rechnung",
+  abschlag: "Abschlagsrechnung",
+  schluss: "Schlussrechnung",
+  storno: "Stornorechnung",
+};
+
+// Kalendertag als JJJJ-MM-TT; 2026-02-30 o. Ä. wird abgelehnt statt verschoben
+const ISO_DAY = /^\d{4}-\d{2}-\d{2}$/;
+const calendarDate = z.string()
+  .regex(ISO_DAY, "Datum im Format JJJJ-MM-TT")
+  .refine((d) => !ISO_DAY.test(d) || (!Number.isNaN(Date.parse(d)) && new Date(d).toISOString().slice(0, 10) === d), "Ungültiges Datum");
+
+export const InvoiceCreateSchema = z.object({
+  offerId: z.string().min(1),
+  type: z.enum(["rechnung", "abschlag", "schluss"]).default("rechnung"),
+  percent: z.number().positive().max(100).optional(),
+  amount: z.number().positive().optional(),
+  serviceFrom: calendarDate,
+  serviceTo: calendarDate.optional(),
+  invoiceDate: calendarDate.optional(),
+  paymentTermDays: z.number().int().min(0).default(14),
+});
+
+const round2 = (n) => Math.round(n * 100) / 100;
+const isoDate = (d) => new Date(d).toISOString().slice(0, 10);
+
+// Prüfsumme über den Rechnungsinhalt – macht nachträgliche Änderungen an der Datei sichtbar
+export function invoiceChecksum(inv) {
+  const { checksum, ...content } = inv;
+  return crypto.createHash("sha256").update(JSON.stringify(content)).digest("hex");
+}
+
+// Status wird abgeleitet statt gespeichert, damit die Rechnung selbst unverändert bleibt
+export function withInvoiceState(inv, all) {
+  const storno = all.find((x) => x.type === "storno" && x.cancels === inv.id);
+  return {
+    ...inv,
+    cancelledBy: storno ? storno.number : null,
+    intact: invoiceChecksum(inv) === inv.checksum,
+  };
+}
+
+// Verweis auf einen anderen Kunden (Dubletten zusammenführen): Anschrift und Beträge bleiben wie gedruckt,
+// nur customerId wechselt. Die Prüfsumme wird nur bei intakter Rechnung neu gebildet, damit eine bereits
+// veränderte Rechnung dabei nicht wieder als intakt gilt.
+export function withCustomerId(inv, customerId) {
+  const next = { ...inv, customerId };
+  return { ...next, checksum: invoiceChecksum(inv) === inv.checksum ? invoiceChecksum(next) : inv.checksum };
+}
+
+// Bisherige, nicht stornierte Rechnungen zu einem Angebot
+export function activeInvoicesForOffer(all, offerId) {
+  const cancelled = new Set(all.filter((x) => x.type === "storno").map((x) => x.cancels));
+  return all.filter((x) => x.offerId === offerId && x.type !== "storno" && !cancelled.has(x.id));
+}
+
+// Beträge je Rechnungsart aus dem angenommenen Angebot ableiten
+export function buildInvoiceAmounts(offer, data, prior) {
+  if (prior.some((x) => x.type !== "abschlag"))
+    throw new Error("Zu diesem Angebot existiert bereits eine Rechnung/Schlussrechnung");
+
+  if (data.type === "rechnung" && prior.length)
+    throw new Error("Es existieren Abschlagsrechnungen – bitte Schlussrechnung erstellen");
+
+  if (data.type === "abschlag") {
+    if (!data.percent && !data.amount) throw new Error("percent oder amount erforderlich");
+    const net = round2(data.percent ? (offer.totalBeforeTax * data.percent) / 100 : data.amount);
+    const billed = prior.reduce((s, x) => s + x.totalBeforeTax, 0);
+    if (round2(billed + net) > round2(offer.totalBeforeTax))
+      throw new Error("Abschläge übersteigen die Angebotssumme");
+    const taxRatePercentage = offer.taxRatePercentage ??
+      (offer.totalBeforeTax ? round2((offer.tax / offer.totalBeforeTax) * 100) : 19);
+    // Abschlag anteilig auf die Steuersätze des Angebots verteilen
+    const taxes = splitByTaxes(net, offer.taxes || [{ rate: taxRatePercentage, net: offer.totalBeforeTax }]);
+    const tax = round2(taxes.reduce((s, t) => s + t.tax, 0));
+    const costs = offer.costTypes ? splitCostTypes(net, tax, offer.costTypes) : {};
+    const label = data.percent ? ` (${data.percent} %)` : "";
+    return {
+      items: [{
+        description: `${prior.length + 1}. Abschlag gem. Angebot ${offer.number}${label}`,
+        quantity: 1,
+        unit: "psch",
+        unitPrice: net,
+        total: net,
+      }],
+      subtotal: net,
+      margin: 0,
+      totalBeforeTax: net,
+      taxRatePercentage,
+      taxes,
+      ...(offer.reverseCharge ? { reverseCharge: true } : {}),
+      tax,
+      ...costs,
+      total: round2(net + tax),
+      deductions: [],
+    };
+  }
+
+  const deductions = data.type === "schluss"
+    ? prior.map((x) => ({ invoiceId: x.id, number: x.number, net: x.totalBeforeTax, tax: x.tax, gross: x.total }))
+    : [];
+  return {
+    items: offer.items,
+    subtotal: offer.subtotal,
+    marginPercentage: offer.marginPercentage,
+    margin: offer.margin,
+    ...(offer.discountAmount ? { discount: offer.discount, discountAmount: offer.discountAmount } : {}),
+    totalBeforeTax: offer.totalBeforeTax,
+    taxRatePercentage: offer.taxRatePercentage,
+    ...(offer.taxes ? { taxes: offer.taxes } : {}),
+    ...(offer.reverseCharge ? { reverseCharge: true } : {}),
+    tax: offer.tax,
+    ...(offer.costTypes ? { costTypes: offer.costTypes, labourCosts: offer.labourCosts } : {}),
+    total: offer.total,
+    deductions,
+  };
+}
+
+// Neue Rechnung zu amounts aus buildInvoiceAmounts(); data wie InvoiceCreateSchema
+export function newInvoice({ id, number, offer, data, amounts, user, now = Date.now() }) {
+  const invoiceDate = data.invoiceDate ? isoDate(data.invoiceDate) : isoDate(now);
+  const inv = {
+    id,
+    number,
+    type: data.type,
+    offerId: offer.id,
+    offerNumber: offer.number,
+    offerVersion: offer.version,
+    customerId: offer.customerId,
+    projectId: offer.projectId,
+    company: offer.input?.company || {},
+    customer: offer.input?.customer || {},
+    trade: offer.input?.trade || "",
+    ...amounts,
+    amountDue: round2(amounts.total - amounts.deductions.reduce((s, d) => s + d.gross, 0)),
+    invoiceDate,
+    serviceFrom: isoDate(data.serviceFrom),
+    serviceTo: isoDate(data.serviceTo || data.serviceFrom),
+    paymentTermDays: data.paymentTermDays,
+    dueDate: isoDate(new Date(invoiceDate).getTime() + data.paymentTermDays * 86400000),
+    createdAt: now,
+    createdBy: user,
+  };
+  // Skonto bezieht sich auf den tatsächlichen Zahlbetrag dieser Rechnung
+  if (offer.skonto?.percent && inv.amountDue > 0) {
+    const amount = round2((inv.amountDue * offer.skonto.percent) / 100);
+    inv.skonto = { percent: offer.skonto.percent, days: offer.skonto.days, amount, total: round2(inv.amountDue - amount) };
+  }
+  inv.checksum = invoiceChecksum(inv);
+  return inv;
+}
+
+// Grund, warum orig nicht storniert werden kann; null = Storno möglich
+export function cancellationConflict(orig, all) {
+  if (orig.type === "storno" || all.some((x) => x.type === "storno" && x.cancels === orig.id))
+    return "Rechnung ist bereits storniert bzw. selbst ein Storno";
+  if (orig.type === "abschlag" && all.some((x) =>
+    x.type === "schluss" && x.deductions.some((d) => d.invoiceId === orig.id) &&
+    !all.some((s) => s.type === "storno" && s.cancels === x.id)))
+    return "Abschlag ist in einer Schlussrechnung verrechnet – zuerst diese stornieren";
+  return null;
+}
+
+// Storno: neue Rechnung mit negativen Beträgen, das Original bleibt unverändert
+export function stornoInvoice(orig, { id, number, reason = "", user, now = Date.now() }) {
+  const neg = (n) => round2(-n);
+  const today = isoDate(now);
+  const inv = {
+    id,
+    number,
+    type: "storno",
+    cancels: orig.id,
+    cancelsNumber: orig.number,
+    reason: String(reason),
+    offerId: orig.offerId,
+    offerNumber: orig.offerNumber,
+    offerVersion: orig.offerVersion,
+    customerId: orig.customerId,
+    projectId: orig.projectId,
+    company: orig.company,
+    customer: orig.customer,
+    trade: orig.trade,
+    items: orig.items.map((it) => ({
+      ...it,
+      unitPrice: neg(it.unitPrice),
+      ...(it.total != null ? { total: neg(it.total) } : {}),
+      ...(it.discountAmount ? { discountAmount: neg(it.discountAmount) } : {}),
+    })),
+    subtotal: neg(orig.subtotal),
+    margin: neg(orig.margin),
+    ...(orig.discountAmount ? { discount: orig.discount, discountAmount: neg(orig.discountAmount) } : {}),
+    totalBeforeTax: neg(orig.totalBeforeTax),
+    ...(orig.taxes ? { taxes: orig.taxes.map((t) => ({ ...t, net: neg(t.net), tax: neg(t.tax) })) } : {}),
+    ...(orig.reverseCharge ? { reverseCharge: true } : {}),
+    tax: neg(orig.tax),
+    ...(orig.costTypes ? {
+      costTypes: Object.fromEntries(Object.entries(orig.costTypes)
+        .map(([k, c]) => [k, { net: neg(c.net), tax: neg(c.tax), gross: neg(c.gross) }])),
+      labourCosts: { net: neg(orig.labourCosts.net), tax: neg(orig.labourCosts.tax), gross: neg(orig.labourCosts.gross) },
+    } : {}),
+    total: neg(orig.total),
+    deductions: orig.deductions.map((d) => ({ ...d, net: neg(d.net), tax: neg(d.tax), gross: neg(d.gross) })),
+    amountDue: neg(orig.amountDue),
+    invoiceDate: today,
+    serviceFrom: orig.serviceFrom,
+    serviceTo: orig.serviceTo,
+    paymentTermDays: 0,
+    dueDate: today,
+    createdAt: now,
+    createdBy: user,
+  };
+  inv.checksum = invoiceChecksum(inv);
+  return inv;
+}
@@ -0,0 +1,185 @@
+// ==============================
+// Projektfotos
+// Mediathek je Projekt: Metadaten (Projekt, Hochlader, Aufnahmezeit und GPS aus dem EXIF, Beschriftung,
+// Schlagworte), Vorher/Nachher-Gruppen und Markierungen. Markierungen werden als Vektordaten mit
+// relativen Koordinaten (0–1) gespeichert und als eigene Bilddatei neben dem Original gerendert;
+// das Original bleibt unverändert. Bildverarbeitung (Vorschaubilder, Rendern) liegt in index.mjs.
+// ==============================
+import { z } from "zod";
+
+// Erlaubte Bildtypen und Dateiendung der Ablage
+export const PHOTO_TYPES = { "image/jpeg": ".jpg", "image/png": ".png", "image/webp": ".webp" };
+export const MAX_PHOTO_BYTES = 20 * 1024 * 1024;
+export const THUMB_SIZE = 400;
+
+export const PHASES = { vorher: "Vorher", waehrend: "Während", nachher: "Nachher" };
+
+export const PhotoUpdateSchema = z.object({
+  caption: z.string().max(500).optional(),
+  tags: z.array(z.string().min(1).max(40)).max(20).optional(),
+  phase: z.enum(Object.keys(PHASES)).nullable().optional(),
+  group: z.string().max(100).nullable().optional(), // z. B. "Bad, Wand Nord" – verbindet Vorher- und Nachher-Fotos
+});
+
+// Schlagworte aus Formularfeldern ("Bad, Fliesen") oder Arrays; klein, ohne Dubletten
+export function normalizeTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || "").split(",");
+  return [...new Set(list.map((t) => String(t).trim().toLowerCase()).filter(Boolean))];
+}
+
+export const SHAPES = {
+  linie: "Linie",
+  pfeil: "Pfeil",
+  rechteck: "Rechteck",
+  ellipse: "Ellipse",
+  freihand: "Freihand",
+  text: "Text",
+};
+
+const Point = z.tuple([z.number().min(0).max(1), z.number().min(0).max(1)]);
+
+export const AnnotationShapeSchema = z.object({
+  type: z.enum(Object.keys(SHAPES)),
+  points: z.array(Point).min(1).max(2000),
+  color: z.string().regex(/^#[0-9a-fA-F]{6}$/, "Farbe als #RRGGBB").default("#e11d48"),
+  width: z.number().min(1).max(50).default(4), // Strichstärke bei 1000 px Bildbreite
+  text: z.string().max(200).optional(),
+}).superRefine((s, ctx) => {
+  const need = s.type === "text" ? 1 : 2;
+  if (s.points.length < need) ctx.addIssue({ code: "custom", path: ["points"], message: `${SHAPES[s.type]} braucht ${need} Punkte` });
+  if (s.type === "text" && !s.text) ctx.addIssue({ code: "custom", path: ["text"], message: "Text fehlt" });
+});
+
+export const AnnotationSchema = z.object({
+  shapes: z.array(AnnotationShapeSchema).min(1).max(200),
+});
+
+const xml = (s) => String(s).replace(/[&<>"]/g, (m) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[m]);
+const num = (n) => Math.round(n * 10) / 10;
+
+// SVG-Ebene in Bildgröße; wird in index.mjs über das (gedrehte) Original gelegt
+export function annotationSvg(shapes, width, height) {
+  const scale = width / 1000;
+  const px = ([x, y]) => [num(x * width), num(y * height)];
+  const body = shapes.map((s) => {
+    const stroke = `stroke="${s.color}" stroke-width="${num(s.width * scale)}" fill="none" stroke-linecap="round" stroke-linejoin="round"`;
+    const [a, b] = s.points.map(px);
+    switch (s.type) {
+      case "linie":
+        return `<line x1="${a[0]}" y1="${a[1]}" x2="${b[0]}" y2="${b[1]}" ${stroke}/>`;
+      case "pfeil": {
+        const angle = Math.atan2(b[1] - a[1], b[0] - a[0]);
+        const head = Math.max(12, s.width * scale * 4);
+        const wing = (d) => `${num(b[0] - head * Math.cos(angle + d))},${num(b[1] - head * Math.sin(angle + d))}`;
+        return `<line x1="${a[0]}" y1="${a[1]}" x2="${b[0]}" y2="${b[1]}" ${stroke}/>`
+          + `<polygon points="${b[0]},${b[1]} ${wing(0.45)} ${wing(-0.45)}" fill="${s.color}"/>`;
+      }
+      case "rechteck":
+        return `<rect x="${Math.min(a[0], b[0])}" y="${Math.min(a[1], b[1])}" width="${num(Math.abs(b[0] - a[0]))}" height="${num(Math.abs(b[1] - a[1]))}" ${stroke}/>`;
+      case "ellipse":
+        return `<ellipse cx="${num((a[0] + b[0]) / 2)}" cy="${num((a[1] + b[1]) / 2)}" rx="${num(Math.abs(b[0] - a[0]) / 2)}" ry="${num(Math.abs(b[1] - a[1]) / 2)}" ${stroke}/>`;
+      case "freihand":
+        return `<polyline points="${s.points.map((p) => px(p).join(",")).join(" ")}" ${stroke}/>`;
+      default:
+        return `<text x="${a[0]}" y="${a[1]}" fill="${s.color}" font-family="sans-serif" font-weight="bold" font-size="${num(Math.max(14, 32 * scale))}" stroke="#ffffff" stroke-width="${num(Math.max(1, 2 * scale))}" paint-order="stroke">${xml(s.text)}</text>`;
+    }
+  });
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">${body.join("")}</svg>`;
+}
+
+// ---- EXIF (TIFF-Struktur, wie sie sharp als metadata().exif liefert, mit oder ohne "Exif\0\0") ----
+const TYPE_SIZE = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+function readIfd(buf, offset, le) {
+  const u16 = (o) => (le ? buf.readUInt16LE(o) : buf.readUInt16BE(o));
+  const u32 = (o) => (le ? buf.readUInt32LE(o) : buf.readUInt32BE(o));
+  const i32 = (o) => (le ? buf.readInt32LE(o) : buf.readInt32BE(o));
+  const tags = {};
+  if (offset + 2 > buf.length) return tags;
+  const count = u16(offset);
+  for (let i = 0; i < count; i += 1) {
+    const e = offset + 2 + i * 12;
+    if (e + 12 > buf.length) break;
+    const tag = u16(e);
+    const type = u16(e + 2);
+    const n = u32(e + 4);
+    const size = (TYPE_SIZE[type] || 0) * n;
+    if (!size) continue;
+    const at = size <= 4 ? e + 8 : u32(e + 8);
+    if (at + size > buf.length) continue;
+    const values = [];
+    for (let k = 0; k < n; k += 1) {
+      if (type === 3) values.push(u16(at + k * 2));
+      else if (type === 4) values.push(u32(at + k * 4));
+      else if (type === 9) values.push(i32(at + k * 4));
+      else if (type === 5) values.push(u32(at + k * 8) / (u32(at + k * 8 + 4) || 1));
+      else if (type === 10) values.push(i32(at + k * 8) / (i32(at + k * 8 + 4) || 1));
+    }
+    tags[tag] = type === 2
+      ? buf.toString("latin1", at, at + n).replace(/\0.*$/s, "").trim()
+      : type === 1 || type === 7 ? buf.subarray(at, at + n) : values.length === 1 ? values[0] : values;
+  }
+  return tags;
+}
+
+// "2026:03:02 14:05:00" → "2026-03-02T14:05:00" (Ortszeit der Kamera, ohne Zeitzone)
+function exifDate(s) {
+  const m = /^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/.exec(s || "");
+  return m && m[1] !== "0000" ? `${m[1]}-${m[2]}-${m[3]}T${m[4]}:${m[5]}:${m[6]}` : undefined;
+}
+
+const degrees = (dms, ref) => {
+  if (!Array.isArray(dms) || dms.length < 3 || dms.some((v) => !Number.isFinite(v))) return undefined;
+  const d = dms[0] + dms[1] / 60 + dms[2] / 3600;
+  return Math.round((ref === "S" || ref === "W" ? -d : d) * 1e6) / 1e6;
+};
+
+// Aufnahmezeit, GPS-Position, Kamera und Ausrichtung; fehlende oder kaputte Daten ergeben ein leeres Objekt
+export function parseExif(buf) {
+  if (!buf?.length) return {};
+  const tiff = buf.subarray(0, 6).toString("latin1") === "Exif\0\0" ? buf.subarray(6) : buf;
+  try {
+    const order = tiff.toString("latin1", 0, 2);
+    if (order !== "II" && order !== "MM") return {};
+    const le = order === "II";
+    if ((le ? tiff.readUInt16LE(2) : tiff.readUInt16BE(2)) !== 42) return {};
+    const ifd0 = readIfd(tiff, le ? tiff.readUInt32LE(4) : tiff.readUInt32BE(4), le);
+    const exif = ifd0[0x8769] ? readIfd(tiff, ifd0[0x8769], le) : {};
+    const gpsIfd = ifd0[0x8825] ? readIfd(tiff, ifd0[0x8825], le) : {};
+    const out = {};
+    const takenAt = exifDate(exif[0x9003]) || exifDate(ifd0[0x0132]);
+    if (takenAt) out.takenAt = takenAt;
+    const lat = degrees(gpsIfd[2], gpsIfd[1]);
+    const lng = degrees(gpsIfd[4], gpsIfd[3]);
+    if (lat != null && lng != null && Math.abs(lat) <= 90 && Math.abs(lng) <= 180) {
+      out.gps = { lat, lng };
+      if (typeof gpsIfd[6] === "number") {
+        const below = gpsIfd[5]?.[0] === 1;
+        out.gps.altitude = Math.round((below ? -gpsIfd[6] : gpsIfd[6]) * 10) / 10;
+      }
+    }
+    const camera = [ifd0[0x010f], ifd0[0x0110]].filter((s) => typeof s === "string" && s).join(" ");
+    if (camera) out.camera = camera;
+    if (typeof ifd0[0x0112] === "number") out.orientation = ifd0[0x0112];
+    return out;
+  } catch {
+    return {};
+  }
+}
+
+// Aufnahmezeit vor Upload-Zeit; ältere Fotos zuerst
+const photoTime = (p) => p.takenAt || new Date(p.createdAt).toISOString().slice(0, 19);
+export const byPhotoTime = (a, b) => photoTime(a).localeCompare(photoTime(b)) || a.createdAt - b.createdAt;
+
+// Vorher/Nachher-Gruppen: Fotos mit gleicher Gruppe nebeneinander, je Phase chronologisch
+export function groupBeforeAfter(photos) {
+  const groups = new Map();
+  for (const p of [...photos].sort(byPhotoTime)) {
+    if (!p.group) continue;
+    if (!groups.has(p.group)) groups.set(p.group, { group: p.group, ...Object.fromEntries(Object.keys(PHASES).map((k) => [k, []])), ohnePhase: [] });
+    groups.get(p.group)[p.phase && PHASES[p.phase] ? p.phase : "ohnePhase"].push(p);
+  }
+  return [...groups.values()]
+    .map((g) => ({ ...g, complete: g.vorher.length > 0 && g.nachher.length > 0 }))
+    .sort((a, b) => a.group.localeCompare(b.group, "de"));
+}
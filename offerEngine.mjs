@@ -0,0 +1,411 @@
+// ==============================
+// Angebotskalkulation (eine Engine für alle Routen)
+// Gewerke-Positionen aus trades/ + freie Positionen, Aufschlag, Rabatte, MwSt je Satz, Skonto,
+// Aufteilung nach Kostenart (Lohnanteil nach § 35a EStG). Gliederung in Titel mit Zwischensummen,
+// Positionsnummern sowie Bedarfs- und Wahlpositionen (angeboten, aber nicht in der Summe).
+// Sätze: Eingabe > Einstellungen (settings.json) > Standardwerte.
+// Gerechnet wird in ganzen Cent, damit Positionen, MwSt-Aufstellung und Summe exakt aufgehen.
+// ==============================
+import { z } from "zod";
+import { DEFAULT_CATALOG, priceContext } from "./catalog.mjs";
+import { GaebSourceSchema } from "./gaeb.mjs";
+import { estimateTrade, getTrade, projectExtensions } from "./trades/index.mjs";
+import { item, round2 } from "./trades/util.mjs";
+
+export const DEFAULT_MARGIN_RATE = 10;
+export const DEFAULT_TAX_RATE = 19;
+
+const PartySchema = z.object({
+  name: z.string(),
+  address: z.string().optional(),
+  email: z.string().optional(),
+  phone: z.string().optional(),
+});
+
+// Rabatt in Prozent oder als fester Betrag (€)
+export const DiscountSchema = z.object({
+  type: z.enum(["percent", "amount"]),
+  value: z.number().min(0),
+}).refine((d) => d.type !== "percent" || d.value <= 100, { message: "Rabatt über 100 %" });
+
+// Kostenarten; Lohn, Maschinen und Fahrt zählen als Arbeitskosten nach § 35a EStG
+export const COST_KINDS = ["labour", "material", "machine", "travel"];
+export const LABOUR_KINDS = ["labour", "machine", "travel"];
+
+// Art der Position: Bedarfsposition (optional) und Wahlposition (alternative) zählen nicht zur Summe
+export const ITEM_TYPES = ["normal", "optional", "alternative"];
+
+// Freie Position (ohne Gewerke-Berechnung)
+export const FreeItemSchema = z.object({
+  description: z.string(),
+  quantity: z.number(),
+  unit: z.string().default(""),
+  unitPrice: z.number(),
+  taxRate: z.number().min(0).max(100).optional(), // leer = Standardsatz
+  reverseCharge: z.boolean().optional(), // § 13b UStG
+  discount: DiscountSchema.optional(),
+  kind: z.enum(COST_KINDS).optional(), // leer = aus Einheit/Bezeichnung ableiten
+  oz: z.string().optional(), // Ordnungszahl aus einem GAEB-LV
+  longText: z.string().optional(),
+  altGroup: z.string().optional(), // Wahlgruppe (GAEB ALNGroupNo); eine gewählte Wahlposition ersetzt die Grundpositionen der Gruppe
+  type: z.enum(ITEM_TYPES).optional(), // leer = normal
+  section: z.array(z.string().trim().min(1).max(120)).min(1).max(3).optional(), // Titel und Untertitel, z. B. ["Wohnzimmer", "Decke"]
+});
+
+export const OfferSchema = z.object({
+  trade: z.enum(["maler", "elektro", "sanitär", "boden", "dach"]).optional(),
+  company: PartySchema,
+  customer: PartySchema,
+  project: z.object({
+    title: z.string(),
+    description: z.string().optional(),
+    rooms: z.array(z.object({
+      name: z.string(),
+      width_m: z.number(),
+      length_m: z.number(),
+      height_m: z.number().optional(),
+    })).optional(),
+    // Material mit sku kommt zum aktuellen Katalogpreis, sonst mit eingetragenem Preis
+    materials: z.array(z.object({
+      sku: z.string().optional(),
+      name: z.string().optional(),
+      unitPrice: z.number().optional(),
+      quantity: z.number(),
+      unit: z.string().optional(),
+    }).refine((m) => m.sku || (m.name && m.unitPrice != null && m.unit), {
+      message: "Material braucht sku oder name, unitPrice und unit",
+    })).optional(),
+    notes: z.string().optional(),
+  }).extend(projectExtensions()),
+  items: z.array(FreeItemSchema).optional(),
+  laborRatePerHour: z.number(),
+  segment: z.string().optional(),
+  marginPercentage: z.number().min(0).optional(),
+  taxRatePercentage: z.number().min(0).optional(),
+  discount: DiscountSchema.optional(),
+  reverseCharge: z.boolean().optional(), // alle Positionen nach § 13b UStG
+  skonto: z.object({
+    percent: z.number().min(0).max(100),
+    days: z.number().int().min(0),
+  }).optional(),
+  gaeb: GaebSourceSchema.optional(), // Herkunft bei GAEB-Import (für den X84-Export)
+});
+
+// Altes Format aus app.html: { items:[{desc,qty,unit,unitPrice}], company, customer, trade, laborRatePerHour }
+export function isLegacyPayload(body) {
+  return !!body && typeof body === "object" && !body.project && Array.isArray(body.items);
+}
+
+// Übersetzt nur die vorhandenen Felder, damit das Ergebnis auch als Teil-Update taugt
+export function fromLegacyPayload(body) {
+  const out = {};
+  if (getTrade(body.trade)) out.trade = body.trade;
+  for (const party of ["company", "customer"]) {
+    if (body[party]) out[party] = { ...body[party], name: String(body[party].name ?? "") };
+  }
+  if (body.title != null) out.project = { title: String(body.title) };
+  out.items = body.items.map((it) => ({
+    description: String(it.description ?? it.desc ?? ""),
+    quantity: Number(it.quantity ?? it.qty ?? 0),
+    unit: String(it.unit ?? ""),
+    unitPrice: Number(it.unitPrice ?? 0),
+    ...(it.taxRate != null ? { taxRate: Number(it.taxRate) } : {}),
+    ...(it.reverseCharge ? { reverseCharge: true } : {}),
+    ...(it.discount ? { discount: it.discount } : {}),
+    ...(it.kind ? { kind: it.kind } : {}),
+    ...(it.oz ? { oz: String(it.oz) } : {}),
+    ...(it.longText ? { longText: String(it.longText) } : {}),
+    ...(it.altGroup ? { altGroup: String(it.altGroup) } : {}),
+    ...(it.type ? { type: it.type } : {}),
+    ...(it.section ? { section: it.section } : {}),
+  }));
+  if (body.laborRatePerHour != null) out.laborRatePerHour = Number(body.laborRatePerHour) || 0;
+  if (body.segment) out.segment = body.segment;
+  for (const rate of ["marginPercentage", "taxRatePercentage"]) {
+    if (body[rate] != null) out[rate] = Number(body[rate]);
+  }
+  for (const key of ["discount", "reverseCharge", "skonto", "gaeb"]) {
+    if (body[key] != null) out[key] = body[key];
+  }
+  return out;
+}
+
+// Altformat ins kanonische Format heben, kanonische Eingaben unverändert lassen
+export function normalizeOfferBody(body) {
+  return isLegacyPayload(body) ? fromLegacyPayload(body) : body;
+}
+
+// Beide Formate annehmen, immer das kanonische OfferInput liefern (wirft ZodError)
+export function parseOfferInput(body) {
+  if (!isLegacyPayload(body)) return OfferSchema.parse(body);
+  return OfferSchema.parse({
+    company: { name: "" },
+    customer: { name: "" },
+    project: { title: "" },
+    laborRatePerHour: 0,
+    ...fromLegacyPayload(body),
+  });
+}
+
+// Gewerke-Positionen nur, wenn Räume oder Gewerke-Eingaben vorhanden sind –
+// sonst würden Schema-Standardwerte (z. B. Dachmaße) ungefragt Positionen erzeugen
+function hasTradeInput(input) {
+  const mod = getTrade(input.trade);
+  if (!mod) return false;
+  return mod.usesRooms ? !!input.project.rooms?.length : input.project[mod.key] != null;
+}
+
+// ------- Cent-Arithmetik -------
+export const toCents = (n) => Math.round(Number((Number(n || 0) * 100).toPrecision(12)));
+export const fromCents = (c) => c / 100;
+
+// Betrag nach Gewichten aufteilen (größter Rest), die Summe der Teile ist exakt der Betrag
+export function allocateCents(total, weights) {
+  const sum = weights.reduce((s, w) => s + w, 0);
+  if (!sum) return weights.map((_, i) => (i === 0 ? total : 0));
+  const raw = weights.map((w) => (total * w) / sum);
+  const parts = raw.map(Math.floor);
+  let rest = total - parts.reduce((s, p) => s + p, 0);
+  const order = raw.map((r, i) => [r - Math.floor(r), i]).sort((a, b) => b[0] - a[0]);
+  for (const [, i] of order) {
+    if (rest <= 0) break;
+    parts[i] += 1;
+    rest -= 1;
+  }
+  return parts;
+}
+
+function discountCents(baseCents, discount) {
+  if (!discount) return 0;
+  const cents = discount.type === "percent"
+    ? Math.round((baseCents * discount.value) / 100)
+    : toCents(discount.value);
+  return Math.min(cents, Math.max(baseCents, 0));
+}
+
+// Kostenart für Positionen ohne Angabe: Stunden = Lohn, Anfahrt/km = Fahrt, Geräte = Maschine, sonst Material
+export function inferKind(it) {
+  const unit = String(it.unit || "").toLowerCase().replace(/\.$/, "");
+  const text = String(it.description || "").toLowerCase();
+  if (["std", "h", "stunde", "stunden"].includes(unit)) return "labour";
+  if (unit === "km" || /anfahrt|fahrtkosten|fahrzeit/.test(text)) return "travel";
+  if (/maschine|gerät|geraet|gerüst|geruest|container|arbeitsbühne/.test(text)) return "machine";
+  return "material";
+}
+
+const taxKey = (t) => (t.reverseCharge ? "rc" : String(t.rate));
+
+// Netto je Steuersatz (Gewichte = Positionsnetto) und die darauf entfallende Steuer
+function taxBreakdown(netCents, groups) {
+  const shares = allocateCents(netCents, groups.map((g) => g.weight));
+  return groups.map((g, i) => ({
+    rate: g.rate,
+    reverseCharge: g.reverseCharge,
+    netCents: shares[i],
+    taxCents: g.reverseCharge ? 0 : Math.round((shares[i] * g.rate) / 100),
+  }));
+}
+
+// Teilbetrag (z. B. Abschlag) anteilig auf die Steuersätze einer Kalkulation verteilen
+export function splitByTaxes(net, taxes) {
+  const groups = taxes.map((t) => ({ rate: t.rate, reverseCharge: !!t.reverseCharge, weight: toCents(t.net) }));
+  return taxBreakdown(toCents(net), groups).map(publicTax);
+}
+
+function publicTax(t) {
+  return { rate: t.rate, reverseCharge: t.reverseCharge, net: fromCents(t.netCents), tax: fromCents(t.taxCents) };
+}
+
+export function calculateOffer(input, { ctx, marginRate, taxRate } = {}) {
+  const raw = [];
+  const prices = ctx || priceContext(DEFAULT_CATALOG, input.segment);
+  if (hasTradeInput(input)) {
+    raw.push(...estimateTrade(input, prices));
+  }
+  for (const m of input.project.materials || []) {
+    if (m.sku) {
+      const a = prices.article(m.sku);
+      raw.push(item(`Material: ${m.name || a.name}`, m.quantity, m.unit || a.unit, prices.price(m.sku), "material"));
+    } else {
+      raw.push(item(`Material: ${m.name}`, m.quantity, m.unit, m.unitPrice, "material"));
+    }
+  }
+  raw.push(...(input.items || []));
+  // Bedarfs- und Wahlpositionen aus einem GAEB-LV; ref = Herkunft in der Eingabe (für die Auswahl im Kundenportal)
+  raw.push(...(input.gaeb?.extraItems || []));
+  const refs = new Map([
+    ...(input.items || []).map((it, i) => [it, `items.${i}`]),
+    ...(input.gaeb?.extraItems || []).map((it, i) => [it, `gaeb.extraItems.${i}`]),
+  ]);
+
+  const marginPercentage = input.marginPercentage ?? marginRate ?? DEFAULT_MARGIN_RATE;
+  const taxRatePercentage = input.taxRatePercentage ?? taxRate ?? DEFAULT_TAX_RATE;
+
+  // Positionen: Menge wie angezeigt (2 Nachkommastellen) × Einzelpreis in Cent, abzgl. Positionsrabatt
+  const groups = new Map();
+  const lines = raw.map((it) => {
+    const quantity = round2(it.quantity);
+    const unitPriceCents = toCents(it.unitPrice);
+    const grossCents = Math.round(quantity * unitPriceCents);
+    const discCents = discountCents(grossCents, it.discount);
+    const netCents = grossCents - discCents;
+    const line = {
+      ...(it.oz ? { oz: it.oz } : {}),
+      description: it.description,
+      ...(it.longText ? { longText: it.longText } : {}),
+      quantity,
+      unit: it.unit ?? "",
+      unitPrice: fromCents(unitPriceCents),
+      taxRate: input.reverseCharge || it.reverseCharge ? 0 : it.taxRate ?? taxRatePercentage,
+      ...(input.reverseCharge || it.reverseCharge ? { reverseCharge: true } : {}),
+      ...(it.discount ? { discount: it.discount, discountAmount: fromCents(discCents) } : {}),
+      kind: it.kind ?? inferKind(it),
+      total: fromCents(netCents),
+    };
+    const extra = it.type === "optional" || it.type === "alternative";
+    if (extra) return { it, line: { ...line, type: it.type, ref: refs.get(it) }, netCents, extra };
+
+    const key = taxKey({ rate: line.taxRate, reverseCharge: !!line.reverseCharge });
+    const g = groups.get(key) ||
+      { rate: line.taxRate, reverseCharge: !!line.reverseCharge, weight: 0, kinds: Object.fromEntries(COST_KINDS.map((k) => [k, 0])) };
+    g.weight += netCents;
+    g.kinds[line.kind] += netCents;
+    groups.set(key, g);
+    return { it, line, netCents, extra };
+  });
+  const { ordered, sections } = outline(lines);
+  const items = ordered.filter((x) => !x.extra);
+  const extras = ordered.filter((x) => x.extra);
+  // Wahlposition ersetzt bei Auswahl die Grundpositionen ihrer Gruppe
+  for (const x of extras) {
+    if (x.line.type !== "alternative" || !x.it.altGroup) continue;
+    x.line.altGroup = x.it.altGroup;
+    x.line.alternativeTo = items.filter((b) => b.it.altGroup === x.it.altGroup).map((b) => b.line.pos);
+  }
+
+  const subtotalCents = items.reduce((s, x) => s + x.netCents, 0);
+  const marginCents = Math.round((subtotalCents * marginPercentage) / 100);
+  const discountAmountCents = discountCents(subtotalCents + marginCents, input.discount);
+  const netCents = subtotalCents + marginCents - discountAmountCents;
+
+  // Aufschlag und Gesamtrabatt anteilig auf die Steuersätze verteilen
+  const sorted = [...groups.values()].sort((a, b) => b.rate - a.rate || a.reverseCharge - b.reverseCharge);
+  const taxes = taxBreakdown(netCents, sorted);
+  const taxCents = taxes.reduce((s, t) => s + t.taxCents, 0);
+  const totalCents = netCents + taxCents;
+
+  // Netto und Steuer je Steuersatz weiter nach Kostenart aufteilen
+  const kinds = Object.fromEntries(COST_KINDS.map((k) => [k, { netCents: 0, taxCents: 0 }]));
+  sorted.forEach((g, i) => {
+    const weights = COST_KINDS.map((k) => g.kinds[k]);
+    const nets = allocateCents(taxes[i].netCents, weights);
+    const tax = allocateCents(taxes[i].taxCents, weights);
+    COST_KINDS.forEach((k, j) => {
+      kinds[k].netCents += nets[j];
+      kinds[k].taxCents += tax[j];
+    });
+  });
+
+  const offer = {
+    items: items.map((x) => x.line),
+    extraItems: extras.map((x) => x.line),
+    sections,
+    subtotal: fromCents(subtotalCents),
+    marginPercentage,
+    margin: fromCents(marginCents),
+    ...(input.discount ? { discount: input.discount, discountAmount: fromCents(discountAmountCents) } : {}),
+    totalBeforeTax: fromCents(netCents),
+    taxRatePercentage,
+    taxes: taxes.map(publicTax),
+    tax: fromCents(taxCents),
+    total: fromCents(totalCents),
+    currency: "EUR",
+    ...costSummary(kinds),
+  };
+  if (taxes.some((t) => t.reverseCharge)) offer.reverseCharge = true;
+  if (input.skonto) {
+    const skontoCents = Math.round((totalCents * input.skonto.percent) / 100);
+    offer.skonto = {
+      ...input.skonto,
+      amount: fromCents(skontoCents),
+      total: fromCents(totalCents - skontoCents),
+    };
+  }
+  return offer;
+}
+
+// ---------- Gliederung ----------
+export const OTHER_SECTION = "Weitere Leistungen";
+
+// Titel in der Reihenfolge ihres ersten Auftretens; Untertitel und Positionen eines Titels werden gemeinsam
+// gezählt (1, 1.1, 1.1.1 …). Ohne Titel wird fortlaufend nummeriert, sonst stehen Positionen ohne Titel am
+// Ende unter OTHER_SECTION. Eine OZ aus dem GAEB-LV bleibt die Positionsnummer.
+// Zwischensummen je Titel nur aus Positionen, die zur Summe zählen (vor Aufschlag und Gesamtrabatt).
+function outline(lines) {
+  const root = { children: [], titles: new Map() };
+  const child = (parent, title, path) => {
+    if (!parent.titles.has(title)) {
+      const node = { title, path, children: [], titles: new Map() };
+      parent.titles.set(title, node);
+      parent.children.push(node);
+    }
+    return parent.titles.get(title);
+  };
+  const loose = [];
+  for (const x of lines) {
+    const path = x.it.section || [];
+    if (!path.length) {
+      loose.push(x);
+      continue;
+    }
+    let node = root;
+    path.forEach((title, i) => { node = child(node, title, path.slice(0, i + 1)); });
+    node.children.push(x);
+  }
+  if (root.titles.size && loose.length) child(root, OTHER_SECTION, [OTHER_SECTION]).children.push(...loose);
+  else root.children.push(...loose);
+
+  const ordered = [];
+  const sections = [];
+  const walk = (node, prefix, parents) => node.children.forEach((c, i) => {
+    const pos = prefix ? `${prefix}.${i + 1}` : String(i + 1);
+    if (c.titles) {
+      const s = { pos, title: c.title, level: c.path.length, path: c.path, cents: 0 };
+      sections.push(s);
+      walk(c, pos, [...parents, s]);
+      return;
+    }
+    c.line.pos = c.it.oz || pos;
+    if (parents.length) c.line.section = parents.at(-1).path;
+    if (!c.extra) parents.forEach((s) => { s.cents += c.netCents; });
+    ordered.push(c);
+  });
+  walk(root, "", []);
+  return { ordered, sections: sections.map(({ cents, ...s }) => ({ ...s, subtotal: fromCents(cents) })) };
+}
+
+function costSummary(kinds) {
+  const amounts = (netCents, taxCents) =>
+    ({ net: fromCents(netCents), tax: fromCents(taxCents), gross: fromCents(netCents + taxCents) });
+  const sum = (field) => LABOUR_KINDS.reduce((s, k) => s + kinds[k][field], 0);
+  return {
+    costTypes: Object.fromEntries(COST_KINDS.map((k) => [k, amounts(kinds[k].netCents, kinds[k].taxCents)])),
+    labourCosts: amounts(sum("netCents"), sum("taxCents")),
+  };
+}
+
+// Kostenarten für einen Teilbetrag (Abschlag) im Verhältnis der Gesamtkalkulation
+export function splitCostTypes(net, tax, costTypes) {
+  const weights = (field) => COST_KINDS.map((k) => toCents(costTypes?.[k]?.[field] ?? 0));
+  const nets = allocateCents(toCents(net), weights("net"));
+  const taxes = allocateCents(toCents(tax), weights("tax"));
+  return costSummary(Object.fromEntries(COST_KINDS.map((k, i) => [k, { netCents: nets[i], taxCents: taxes[i] }])));
+}
+
+export function ratesFromSettings(s = {}) {
+  const num = (v, d) => (v === "" || v == null || !Number.isFinite(Number(v)) ? d : Number(v));
+  return {
+    marginRate: num(s.marginRate, DEFAULT_MARGIN_RATE),
+    taxRate: num(s.taxRate, DEFAULT_TAX_RATE),
+  };
+}
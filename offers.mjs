@@ -0,0 +1,106 @@
+// ==============================
+// Angebotsablage
+// Nummernkreis je Jahr (AN-2026-0042), Status-Lebenszyklus und Versionen gespeicherter Angebote.
+// Jeder Mandant hat seine eigene Ablage und damit seinen eigenen Nummernkreis. Kalkulation in
+// offerEngine.mjs; Routen, Verknüpfungen und Audit liegen in index.mjs.
+// ==============================
+import { z } from "zod";
+
+export const OFFER_PREFIX = "AN";
+export const OFFER_VALID_DAYS = 30;
+
+// Status-Lebenszyklus: Entwurf → versendet → angenommen/abgelehnt/abgelaufen
+export const OFFER_TRANSITIONS = {
+  entwurf: ["versendet"],
+  versendet: ["angenommen", "abgelehnt", "abgelaufen"],
+  angenommen: [],
+  abgelehnt: [],
+  abgelaufen: [],
+};
+export const OFFER_STATUS = Object.keys(OFFER_TRANSITIONS);
+
+export const OfferMetaSchema = z.object({
+  customerId: z.string().optional(),
+  projectId: z.string().optional(),
+  title: z.string().optional(),
+  validUntil: z.string().optional(),
+  segment: z.string().optional(),
+  updatePrices: z.boolean().optional(), // bei Bearbeitung auf aktuellen Katalog umstellen
+  templateId: z.string().optional(), // Dokumentvorlage für das PDF; ohne = Standardvorlage
+});
+
+// Fortlaufende Nummer je Jahr (AN-2026-0042). Angebote und Rechnungen werden nie physisch
+// gelöscht, daher ergibt max+1 aus dem Bestand eine lückenlose Folge.
+export function nextNumber(list, prefix, date = new Date()) {
+  const head = `${prefix}-${date.getFullYear()}-`;
+  const max = list
+    .filter((x) => String(x.number || "").startsWith(head))
+    .reduce((m, x) => Math.max(m, Number(x.number.slice(head.length)) || 0), 0);
+  return head + String(max + 1).padStart(4, "0");
+}
+
+export const defaultValidUntil = (now = Date.now()) => new Date(now + OFFER_VALID_DAYS * 86400000).toISOString().slice(0, 10);
+
+// Versendete Angebote laufen nach dem Gültigkeitstag ab (today als JJJJ-MM-TT)
+export const isExpired = (offer, today) => offer.status === "versendet" && !!offer.validUntil && offer.validUntil < today;
+
+export const canChangeStatus = (from, to) => (OFFER_TRANSITIONS[from] || []).includes(to);
+
+export function withStatus(offer, status, user, now = Date.now()) {
+  return { ...offer, status, updatedAt: now, statusHistory: [...offer.statusHistory, { status, ts: now, user }] };
+}
+
+// Neues Angebot als Entwurf in Version 1; meta wie OfferMetaSchema, calc aus der Kalkulation
+export function newOffer({ id, number, meta, segment, catalogVersion, input, calc, user, now = Date.now() }) {
+  return {
+    id,
+    number,
+    version: 1,
+    status: "entwurf",
+    customerId: meta.customerId || null,
+    projectId: meta.projectId || null,
+    title: meta.title || "",
+    validUntil: meta.validUntil || defaultValidUntil(now),
+    templateId: meta.templateId || null,
+    segment,
+    catalogVersion,
+    input,
+    ...calc,
+    createdAt: now,
+    updatedAt: now,
+    createdBy: user,
+    statusHistory: [{ status: "entwurf", ts: now, user }],
+    revisions: [],
+  };
+}
+
+// Gespeicherte Fassung für revisions (ohne eigene Revisionen und Statusverlauf)
+export function revisionOf(offer, savedAt, savedBy) {
+  const { revisions, statusHistory, ...snapshot } = offer;
+  return { ...snapshot, savedAt, savedBy };
+}
+
+// Bearbeiten legt eine neue Version als Entwurf an; die bisherige bleibt als Revision erhalten
+export function reviseOffer(prev, { meta, input, calc, user, now = Date.now() }) {
+  return {
+    ...prev,
+    ...meta,
+    input,
+    ...calc,
+    version: prev.version + 1,
+    status: "entwurf",
+    updatedAt: now,
+    revisions: [...prev.revisions, revisionOf(prev, now, user)],
+    statusHistory: prev.status === "entwurf"
+      ? prev.statusHistory
+      : [...prev.statusHistory, { status: "entwurf", ts: now, user }],
+  };
+}
+
+// Aktuelle oder frühere Version ohne Revisionen und Statusverlauf; null, wenn es sie nicht gibt
+export function offerRevision(offer, version) {
+  const rev = version === offer.version ? offer : offer.revisions.find((r) => r.version === version);
+  if (!rev) return null;
+  const { revisions, statusHistory, ...data } = rev;
+  return data;
+}
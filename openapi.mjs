@@ -0,0 +1,204 @@
+// ==============================
+// OpenAPI 3.1 aus den zod-Schemas der REST-API v1
+// zodToJsonSchema() übersetzt die im Projekt verwendeten zod-Typen in JSON Schema; refine/superRefine
+// lassen sich nicht abbilden und werden nur zur Laufzeit geprüft. openApiDocument() baut aus der
+// Routenliste das Dokument für /api/v1/openapi.json. Dazu das einheitliche Fehlerobjekt der v1-Routen.
+// ==============================
+import { z } from "zod";
+
+// ---------- Fehler ----------
+export const ErrorSchema = z.object({
+  error: z.string(),
+  code: z.string(),
+  issues: z.array(z.object({ path: z.string(), message: z.string() })),
+});
+
+const ERROR_CODES = {
+  400: "bad_request",
+  401: "unauthorized",
+  403: "forbidden",
+  404: "not_found",
+  409: "conflict",
+  413: "payload_too_large",
+  422: "unprocessable",
+  429: "too_many_requests",
+};
+
+// Feldpfade als "items.0.quantity"; prefix kennzeichnet den Teil der Anfrage (body, query, params)
+export function issuesOf(error, prefix) {
+  return error.issues.map((i) => ({
+    path: [prefix, ...i.path].filter((x) => x !== undefined && x !== "").join("."),
+    message: i.message,
+  }));
+}
+
+export function errorBody(status, message, issues = []) {
+  const code = issues.length && status === 400
+    ? "validation_error"
+    : ERROR_CODES[status] || (status >= 500 ? "internal_error" : "error");
+  return { error: String(message || code), code, issues };
+}
+
+// ---------- zod → JSON Schema ----------
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+// refs: Map Schema → Komponentenname; benannte Schemas werden als $ref eingesetzt
+export function zodToJsonSchema(schema, refs = new Map()) {
+  if (refs.has(schema)) return ref(refs.get(schema));
+  const out = convert(schema, refs);
+  if (schema.description && !out.$ref) out.description = schema.description;
+  return out;
+}
+
+function convert(schema, refs) {
+  const def = schema._def;
+  const inner = (s) => zodToJsonSchema(s, refs);
+  switch (def.typeName) {
+    case "ZodString": {
+      const out = { type: "string" };
+      for (const c of def.checks) {
+        if (c.kind === "min") out.minLength = c.value;
+        else if (c.kind === "max") out.maxLength = c.value;
+        else if (c.kind === "length") out.minLength = out.maxLength = c.value;
+        else if (c.kind === "regex") out.pattern = c.regex.source;
+        else if (c.kind === "email") out.format = "email";
+        else if (c.kind === "url") out.format = "uri";
+        else if (c.kind === "datetime") out.format = "date-time";
+        else if (c.kind === "date") out.format = "date";
+        else if (c.kind === "uuid") out.format = "uuid";
+      }
+      return out;
+    }
+    case "ZodNumber": {
+      const out = { type: def.checks.some((c) => c.kind === "int") ? "integer" : "number" };
+      for (const c of def.checks) {
+        if (c.kind === "min") out[c.inclusive ? "minimum" : "exclusiveMinimum"] = c.value;
+        else if (c.kind === "max") out[c.inclusive ? "maximum" : "exclusiveMaximum"] = c.value;
+        else if (c.kind === "multipleOf") out.multipleOf = c.value;
+      }
+      return out;
+    }
+    case "ZodBoolean":
+      return { type: "boolean" };
+    case "ZodDate":
+      return { type: "string", format: "date-time" };
+    case "ZodLiteral":
+      return { const: def.value, ...(def.value === null ? {} : { type: typeof def.value }) };
+    case "ZodEnum":
+      return { type: "string", enum: [...def.values] };
+    case "ZodNativeEnum":
+      return { enum: Object.values(def.values) };
+    case "ZodArray": {
+      const out = { type: "array", items: inner(def.type) };
+      if (def.minLength) out.minItems = def.minLength.value;
+      if (def.maxLength) out.maxItems = def.maxLength.value;
+      if (def.exactLength) out.minItems = out.maxItems = def.exactLength.value;
+      return out;
+    }
+    case "ZodTuple":
+      return { type: "array", prefixItems: def.items.map(inner), ...(def.rest ? { items: inner(def.rest) } : { items: false }) };
+    case "ZodObject": {
+      const shape = def.shape();
+      const out = { type: "object", properties: {} };
+      const required = [];
+      for (const [key, value] of Object.entries(shape)) {
+        out.properties[key] = inner(value);
+        if (!value.isOptional()) required.push(key);
+      }
+      if (required.length) out.required = required;
+      if (def.catchall && def.catchall._def.typeName !== "ZodNever") out.additionalProperties = inner(def.catchall);
+      else if (def.unknownKeys === "strict") out.additionalProperties = false;
+      return out;
+    }
+    case "ZodRecord":
+      return { type: "object", additionalProperties: inner(def.valueType) };
+    case "ZodUnion":
+    case "ZodDiscriminatedUnion":
+      return { anyOf: [...def.options].map(inner) };
+    case "ZodIntersection":
+      return { allOf: [inner(def.left), inner(def.right)] };
+    case "ZodOptional":
+      return inner(def.innerType);
+    case "ZodNullable":
+      return { anyOf: [inner(def.innerType), { type: "null" }] };
+    case "ZodDefault":
+      return { ...inner(def.innerType), default: def.defaultValue() };
+    case "ZodCatch":
+    case "ZodReadonly":
+      return inner(def.innerType);
+    case "ZodBranded":
+      return inner(def.type);
+    case "ZodEffects":
+      return inner(def.schema);
+    case "ZodPipeline":
+      return inner(def.in);
+    default:
+      // ZodAny, ZodUnknown und Exoten: ohne Einschränkung
+      return {};
+  }
+}
+
+// ---------- Dokument ----------
+// routes: [{ method, path ("/customers/:id"), operationId, summary, tags, permission, params, query, body, response }]
+// schemas: { Name: zodSchema } – werden unter components.schemas abgelegt und per $ref verwendet
+export function openApiDocument({ info, servers = [], routes, schemas = {} }) {
+  const refs = new Map();
+  const components = { schemas: {} };
+  for (const [name, schema] of Object.entries(schemas)) {
+    components.schemas[name] = zodToJsonSchema(schema, refs);
+    refs.set(schema, name);
+  }
+  if (!components.schemas.Error) {
+    components.schemas.Error = zodToJsonSchema(ErrorSchema, refs);
+    refs.set(ErrorSchema, "Error");
+  }
+  components.securitySchemes = {
+    bearer: { type: "http", scheme: "bearer", description: "Persönlicher API-Token (mk_…)" },
+    session: { type: "apiKey", in: "cookie", name: "connect.sid", description: "Browser-Session; schreibende Anfragen zusätzlich mit x-csrf-token" },
+  };
+  const errorResponse = (description) => ({ description, content: { "application/json": { schema: ref("Error") } } });
+
+  const paths = {};
+  for (const r of routes) {
+    const path = r.path.replace(/:(\w+)/g, "{$1}");
+    const parameters = [];
+    for (const [where, schema] of [["path", r.params], ["query", r.query]]) {
+      if (!schema) continue;
+      for (const [name, s] of Object.entries(schema.shape)) {
+        parameters.push({ name, in: where, required: where === "path" || !s.isOptional(), schema: zodToJsonSchema(s, refs) });
+      }
+    }
+    const op = {
+      operationId: r.operationId,
+      summary: r.summary,
+      ...(r.description || r.permission
+        ? { description: [r.description, r.permission ? `Recht: \`${r.permission}\`` : ""].filter(Boolean).join("\n\n") }
+        : {}),
+      tags: r.tags,
+      ...(parameters.length ? { parameters } : {}),
+      ...(r.body ? { requestBody: { required: true, content: { "application/json": { schema: zodToJsonSchema(r.body, refs) } } } } : {}),
+      responses: {
+        // accepted: Auftrag läuft im Hintergrund (202 mit Job)
+        [r.accepted ? 202 : 200]: {
+          description: r.accepted ? "Angenommen" : "OK",
+          content: { "application/json": { schema: zodToJsonSchema(r.response, refs) } },
+        },
+        400: errorResponse("Ungültige Eingabe (issues mit Feldpfaden)"),
+        401: errorResponse("Nicht angemeldet"),
+        403: errorResponse("Recht fehlt oder CSRF-Token ungültig"),
+        ...(r.params ? { 404: errorResponse("Nicht gefunden") } : {}),
+        ...(r.conflict ? { 409: errorResponse(r.conflict) } : {}),
+      },
+      ...(r.permission ? { "x-permission": r.permission } : {}),
+    };
+    paths[path] = { ...paths[path], [r.method]: op };
+  }
+  return {
+    openapi: "3.1.0",
+    info,
+    servers,
+    security: [{ bearer: [] }, { session: [] }],
+    paths,
+    components,
+  };
+}
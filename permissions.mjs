@@ -0,0 +1,104 @@
+// ==============================
+// Rollen & Berechtigungen
+// Berechtigungen sind "<ressource>.<aktion>"; jede Rolle ist eine feste Liste davon.
+// Die Routen prüfen über requirePermission() in index.mjs, nie über den Rollennamen.
+// ==============================
+
+export const PERMISSIONS = {
+  "customers.view": "Kunden ansehen",
+  "customers.edit": "Kunden anlegen/bearbeiten",
+  "customers.delete": "Kunden löschen",
+  "customers.export": "Kunden exportieren (CSV)",
+  "projects.view": "Projekte ansehen",
+  "projects.edit": "Projekte anlegen/bearbeiten, Dateien hochladen",
+  "projects.delete": "Projekte löschen",
+  "diary.sign": "Bautagebuch-Einträge unterschreiben",
+  "photos.upload": "Projektfotos hochladen, beschriften und markieren",
+  "photos.delete": "Fremde Projektfotos löschen",
+  "costs.book": "Zeiten, Material und Fremdleistungen auf Projekte buchen",
+  "costs.view": "Nachkalkulation ansehen (Kosten, Marge)",
+  "offers.view": "Angebote ansehen",
+  "offers.edit": "Angebote erstellen/bearbeiten, Status setzen",
+  "offers.delete": "Angebotsentwürfe löschen",
+  "offers.export": "Angebote als PDF/GAEB exportieren",
+  "prices.view": "Preise sehen (Angebote, Katalog)",
+  "invoices.view": "Rechnungen ansehen",
+  "invoices.create": "Rechnungen erstellen",
+  "invoices.cancel": "Rechnungen stornieren",
+  "invoices.export": "Rechnungen als PDF/E-Rechnung exportieren",
+  "catalog.view": "Preiskatalog ansehen",
+  "catalog.edit": "Preiskatalog pflegen, Datanorm-Import",
+  "pdfs.view": "PDF-Center ansehen",
+  "pdfs.edit": "PDFs umbenennen",
+  "pdfs.delete": "PDFs löschen",
+  "mail.send": "E-Mails versenden",
+  "settings.edit": "Firmendaten und Logo ändern",
+  "users.manage": "Benutzer und Rollen verwalten",
+  "tenants.manage": "Mandanten anlegen",
+  "audit.view": "Audit-Log ansehen",
+  "backups.export": "Backup exportieren",
+  "backups.import": "Backup einspielen",
+};
+
+const ALL = Object.keys(PERMISSIONS);
+const pick = (...prefixes) => ALL.filter((p) => prefixes.some((x) => p === x || p.startsWith(`${x}.`)));
+
+export const ROLES = {
+  inhaber: { label: "Inhaber", permissions: ALL },
+  buero: {
+    label: "Büro",
+    permissions: [
+      ...pick("customers", "projects", "diary", "photos", "costs", "offers", "prices", "invoices", "catalog", "pdfs", "mail"),
+      "settings.edit",
+    ],
+  },
+  meister: {
+    label: "Meister",
+    permissions: [
+      ...pick("customers.view", "customers.edit", "projects", "diary", "photos", "costs", "offers", "prices", "catalog.view", "pdfs.view", "mail"),
+      "invoices.view",
+    ],
+  },
+  geselle: {
+    label: "Geselle",
+    permissions: pick("customers.view", "projects.view", "projects.edit", "photos.upload", "costs.book", "offers.view", "pdfs.view"),
+  },
+  azubi: {
+    label: "Azubi",
+    permissions: pick("customers.view", "projects.view", "photos.upload", "costs.book"),
+  },
+};
+
+// Rollen aus der Zeit vor dem Rollenmodell
+const ROLE_ALIASES = { admin: "inhaber", user: "meister" };
+
+export function normalizeRole(role) {
+  const r = ROLE_ALIASES[role] || role;
+  return ROLES[r] ? r : null;
+}
+
+export function hasPermission(role, permission) {
+  const r = normalizeRole(role);
+  return !!r && ROLES[r].permissions.includes(permission);
+}
+
+export const permissionsOf = (role) => ROLES[normalizeRole(role)]?.permissions || [];
+
+// Beträge aus Angeboten/Positionen/Katalog entfernen – für Rollen ohne prices.view.
+// Kalkulationseingabe (Stundensatz, Materialpreise) und frühere Versionen entfallen ganz.
+const PRICE_FIELDS = [
+  "subtotal", "margin", "marginPercentage", "discountAmount", "totalBeforeTax", "tax", "taxes",
+  "total", "costTypes", "labourCosts", "skonto", "input", "revisions",
+];
+const ITEM_PRICE_FIELDS = ["unitPrice", "total", "discountAmount", "purchasePrice", "salePrice", "listPrice"];
+
+const omit = (obj, keys) => Object.fromEntries(Object.entries(obj).filter(([k]) => !keys.includes(k)));
+
+export function stripPrices(doc) {
+  const out = omit(doc, PRICE_FIELDS);
+  if (Array.isArray(doc.items)) out.items = doc.items.map((it) => omit(it, ITEM_PRICE_FIELDS));
+  if (Array.isArray(doc.extraItems)) out.extraItems = doc.extraItems.map((it) => omit(it, ITEM_PRICE_FIELDS));
+  if (Array.isArray(doc.sections)) out.sections = doc.sections.map((s) => omit(s, ["subtotal"]));
+  if (Array.isArray(doc.articles)) out.articles = doc.articles.map((a) => omit(a, ITEM_PRICE_FIELDS));
+  return out;
+}
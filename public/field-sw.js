@@ -0,0 +1,46 @@
+// Service Worker der Baustellen-App: App-Hülle kommt offline aus dem Cache, API-Aufrufe gehen immer
+// ans Netz (die Warteschlange liegt in IndexedDB und wird von field.js gesendet).
+const CACHE = "field-v1";
+const SHELL = ["/field.html", "/field.js", "/field.webmanifest", "/icons/field-192.png", "/icons/field-512.png"];
+
+// Nur echte Antworten cachen – ohne Anmeldung leitet /field.html auf die Login-Seite um
+async function cacheShell(cache, url) {
+  const res = await fetch(url, { credentials: "same-origin" });
+  if (res.ok && !res.redirected) await cache.put(url, res);
+}
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(caches.open(CACHE).then((cache) => Promise.all(SHELL.map((url) => cacheShell(cache, url).catch(() => {})))));
+  self.skipWaiting();
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil((async () => {
+    for (const key of await caches.keys()) if (key !== CACHE) await caches.delete(key);
+    await self.clients.claim();
+  })());
+});
+
+// Netz zuerst (damit Updates sofort ankommen), offline der Cache
+self.addEventListener("fetch", (event) => {
+  const url = new URL(event.request.url);
+  if (event.request.method !== "GET" || url.origin !== self.location.origin || !SHELL.includes(url.pathname)) return;
+  event.respondWith((async () => {
+    const cache = await caches.open(CACHE);
+    try {
+      const res = await fetch(event.request);
+      if (res.ok && !res.redirected) await cache.put(url.pathname, res.clone());
+      return res;
+    } catch {
+      return (await cache.match(url.pathname)) || Response.error();
+    }
+  })());
+});
+
+// Background Sync (wo unterstützt): geöffnete App-Fenster senden die Warteschlange
+self.addEventListener("sync", (event) => {
+  if (event.tag !== "field-sync") return;
+  event.waitUntil(self.clients.matchAll({ type: "window" }).then((clients) => {
+    for (const c of clients) c.postMessage({ type: "sync" });
+  }));
+});
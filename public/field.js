@@ -0,0 +1,326 @@
+// ==============================
+// Baustellen-App (PWA)
+// Fotos, Notizen und Arbeitszeiten werden zuerst in IndexedDB gespeichert und gesendet, sobald
+// das Gerät wieder Netz hat. Jeder Eintrag geht mit seiner id als Idempotency-Key raus, damit
+// eine Wiederholung nach abgebrochener Verbindung nichts doppelt anlegt. Was der Server ablehnt
+// (409 Konflikt, 404 Projekt weg, 400 ungültig), bleibt mit Meldung stehen und wird hier gelöst.
+// ==============================
+const f = (id) => document.getElementById(id);
+const escape = (s) => String(s ?? "").replace(/[&<>"']/g, (m) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[m]);
+const today = () => new Date().toLocaleDateString("sv-SE");
+const nowTime = () => new Date().toTimeString().slice(0, 5);
+const KIND_LABELS = { photo: "Foto", note: "Notiz", time: "Zeit" };
+const STATE_LABELS = { wartet: "wartet", konflikt: "Konflikt", fehler: "abgelehnt" };
+
+// ---- IndexedDB: Warteschlange, Projektliste, Sitzungsdaten ----
+let dbPromise = null;
+function db() {
+  dbPromise ??= new Promise((resolve, reject) => {
+    const req = indexedDB.open("meisterki-field", 1);
+    req.onupgradeneeded = () => {
+      req.result.createObjectStore("queue", { keyPath: "id" });
+      req.result.createObjectStore("meta");
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+  return dbPromise;
+}
+async function tx(store, mode, fn) {
+  const d = await db();
+  return new Promise((resolve, reject) => {
+    const t = d.transaction(store, mode);
+    const result = fn(t.objectStore(store));
+    t.oncomplete = () => resolve(result?.result ?? result);
+    t.onerror = () => reject(t.error);
+  });
+}
+const queueAll = async () => (await tx("queue", "readonly", (s) => s.getAll())).sort((a, b) => a.createdAt - b.createdAt);
+const queuePut = (item) => tx("queue", "readwrite", (s) => s.put(item));
+const queueDelete = (id) => tx("queue", "readwrite", (s) => s.delete(id));
+const metaGet = (key) => tx("meta", "readonly", (s) => s.get(key));
+const metaSet = (key, value) => tx("meta", "readwrite", (s) => s.put(value, key));
+
+// ---- Projekte (offline aus dem Cache) ----
+let projects = [];
+let session = { tenant: null, permissions: null };
+
+async function loadProjects({ refresh = false } = {}) {
+  const cached = await metaGet("projects");
+  if (cached) projects = cached.items;
+  if (refresh || !cached) {
+    try {
+      const items = [];
+      for (let page = 1; ; page += 1) {
+        const res = await fetch(`/api/projects?size=100&page=${page}`);
+        if (res.status === 401) return showLogin(true);
+        if (!res.ok) break;
+        const data = await res.json();
+        items.push(...data.items.map(({ id, title, status }) => ({ id, title, status })));
+        if (items.length >= data.total || !data.items.length) break;
+      }
+      projects = items.filter((p) => p.status !== "abgeschlossen");
+      await metaSet("projects", { items: projects, at: Date.now() });
+      await loadSession();
+    } catch {
+      // offline: Cache bleibt
+    }
+  }
+  const at = (await metaGet("projects"))?.at;
+  f("projectsAge").textContent = at ? `Stand ${new Date(at).toLocaleString("de-DE", { dateStyle: "short", timeStyle: "short" })}` : "";
+  renderProjects();
+}
+function renderProjects() {
+  const q = f("projectSearch").value.trim().toLowerCase();
+  const selected = localStorage.getItem("field.project");
+  f("project").innerHTML = projects
+    .filter((p) => !q || p.title.toLowerCase().includes(q))
+    .map((p) => `<option value="${escape(p.id)}" ${p.id === selected ? "selected" : ""}>${escape(p.title)}</option>`)
+    .join("") || "<option disabled>Keine Projekte (einmal online öffnen)</option>";
+}
+const selectedProject = () => projects.find((p) => p.id === f("project").value);
+
+// Mandant und eigene Rechte der Sitzung; offline die zuletzt bekannten
+async function loadSession() {
+  try {
+    const [t, r] = await Promise.all([fetch("/api/tenants"), fetch("/api/roles")]);
+    if (t.ok && r.ok) {
+      session = { tenant: (await t.json()).current, permissions: (await r.json()).own.permissions };
+      await metaSet("session", session);
+    }
+  } catch {
+    session = (await metaGet("session")) || session;
+  }
+  const may = (p) => !session.permissions || session.permissions.includes(p);
+  for (const [tab, perm] of [["photo", "photos.upload"], ["note", "projects.edit"], ["time", "costs.book"]]) {
+    document.querySelector(`[data-tab="${tab}"]`).style.display = may(perm) ? "" : "none";
+  }
+}
+
+// ---- Erfassen ----
+async function enqueue(kind, payload, extra = {}) {
+  const project = selectedProject();
+  if (!project) return alert("Bitte zuerst ein Projekt wählen");
+  localStorage.setItem("field.project", project.id);
+  await queuePut({
+    id: crypto.randomUUID(),
+    kind,
+    tenant: session.tenant,
+    projectId: project.id,
+    projectTitle: project.title,
+    payload,
+    ...extra,
+    state: "wartet",
+    attempts: 0,
+    createdAt: Date.now(),
+  });
+  await renderQueue();
+  sync();
+}
+
+// Vorschaubild als data:-URL (blob:-URLs erlaubt die Content-Security-Policy nicht)
+async function thumbnail(file) {
+  try {
+    const bmp = await createImageBitmap(file);
+    const scale = 160 / Math.max(bmp.width, bmp.height);
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.round(bmp.width * scale);
+    canvas.height = Math.round(bmp.height * scale);
+    canvas.getContext("2d").drawImage(bmp, 0, 0, canvas.width, canvas.height);
+    return canvas.toDataURL("image/jpeg", 0.7);
+  } catch {
+    return null;
+  }
+}
+// Ortszeit des Geräts im Format der Mediathek (ohne Zeitzone)
+const localStamp = (d) => `${d.toLocaleDateString("sv-SE")}T${d.toTimeString().slice(0, 8)}`;
+
+async function queuePhotos() {
+  const files = [...f("photoFile").files];
+  if (!files.length) return alert("Bitte ein Foto aufnehmen oder auswählen");
+  for (const file of files) {
+    await enqueue("photo", {
+      caption: f("photoCaption").value,
+      phase: f("photoPhase").value,
+      group: f("photoGroup").value,
+      takenAt: localStamp(new Date(file.lastModified || Date.now())),
+    }, { blob: file, name: file.name, type: file.type, thumb: await thumbnail(file) });
+  }
+  f("photoFile").value = "";
+  f("photoCaption").value = "";
+  f("photoPreview").style.display = "none";
+}
+async function queueNote() {
+  const text = f("noteText").value.trim();
+  if (!text) return alert("Bitte Text eingeben");
+  await enqueue("note", { date: f("noteDate").value || today(), time: f("noteTime").value || nowTime(), text });
+  f("noteText").value = "";
+  f("noteTime").value = "";
+}
+async function queueTime() {
+  const hours = Number(f("timeHours").value);
+  if (!(hours > 0)) return alert("Bitte Stunden eingeben");
+  const employee = f("timeEmployee").value.trim();
+  localStorage.setItem("field.employee", employee);
+  await enqueue("time", {
+    kind: "zeit", date: f("timeDate").value || today(), hours, ...(employee ? { employee } : {}), ...(f("timeNote").value ? { note: f("timeNote").value } : {}),
+  });
+  f("timeHours").value = "";
+  f("timeNote").value = "";
+}
+
+// ---- Synchronisieren ----
+let syncing = false;
+function showLogin(on) {
+  f("loginHint").style.display = on ? "block" : "none";
+}
+
+function request(item, csrf) {
+  const base = `/api/projects/${encodeURIComponent(item.projectId)}`;
+  const headers = { "x-csrf-token": csrf, "Idempotency-Key": item.id };
+  if (item.kind === "photo") {
+    const fd = new FormData();
+    fd.append("photos", item.blob, item.name);
+    for (const [k, v] of Object.entries(item.payload)) if (v) fd.append(k, v);
+    return fetch(`${base}/photos`, { method: "POST", headers, body: fd });
+  }
+  const url = item.kind === "note" ? `${base}/diary/notes` : `${base}/bookings`;
+  return fetch(url, { method: "POST", headers: { ...headers, "Content-Type": "application/json" }, body: JSON.stringify(item.payload) });
+}
+
+async function sync() {
+  if (syncing || !navigator.onLine) return renderQueue();
+  syncing = true;
+  f("syncState").textContent = "Sende …";
+  let sent = 0;
+  try {
+    const csrfRes = await fetch("/api/auth/csrf");
+    const { csrf } = await csrfRes.json();
+    await loadSession();
+    for (const item of await queueAll()) {
+      if (item.state !== "wartet") continue;
+      if (session.tenant && item.tenant && item.tenant !== session.tenant) continue; // anderer Mandant gewählt
+      const res = await request(item, csrf);
+      if (res.ok) {
+        await queueDelete(item.id);
+        sent += 1;
+        continue;
+      }
+      if (res.status === 401) {
+        showLogin(true);
+        break;
+      }
+      if (res.status >= 500) break; // später erneut
+      const body = await res.json().catch(() => ({}));
+      await queuePut({
+        ...item,
+        state: res.status === 409 || res.status === 404 ? "konflikt" : "fehler",
+        error: res.status === 404 ? "Projekt gibt es nicht mehr oder gehört zu einem anderen Mandanten" : body.error || `Fehler ${res.status}`,
+        server: body.entry,
+        attempts: item.attempts + 1,
+      });
+    }
+    showLogin(false);
+  } catch {
+    // Verbindung weg – beim nächsten "online" weiter
+  } finally {
+    syncing = false;
+    f("syncState").textContent = `${sent ? `${sent} gesendet · ` : ""}zuletzt ${new Date().toLocaleTimeString("de-DE")}`;
+    renderQueue();
+  }
+}
+
+// Aktionen je Eintrag: Nachtrag bei unterschriebenem Tag, Stunden korrigieren, erneut versuchen, verwerfen
+function actionsFor(item) {
+  if (item.state === "wartet") return [["discard", "Verwerfen"]];
+  const list = [];
+  if (item.kind === "note" && item.server?.locked) list.push(["asNew", "Als Nachtrag senden"]);
+  if (item.kind === "time") list.push(["hours", "Stunden ändern"]);
+  list.push(["retry", "Erneut senden"], ["discard", "Verwerfen"]);
+  return list;
+}
+async function resolve(id, action) {
+  const item = (await queueAll()).find((i) => i.id === id);
+  if (!item) return;
+  if (action === "discard") {
+    if (!confirm(`${KIND_LABELS[item.kind]} endgültig verwerfen?`)) return;
+    await queueDelete(id);
+    return renderQueue();
+  }
+  const next = { ...item, state: "wartet", error: undefined, server: undefined };
+  if (action === "asNew") next.payload = { ...item.payload, asNew: true };
+  if (action === "hours") {
+    const hours = Number(String(prompt("Stunden:", item.payload.hours) || "").replace(",", "."));
+    if (!(hours > 0)) return;
+    next.payload = { ...item.payload, hours };
+  }
+  await queuePut(next);
+  sync();
+}
+
+function describe(item) {
+  const p = item.payload;
+  if (item.kind === "photo") return escape(p.caption || item.name);
+  if (item.kind === "note") return `${escape(p.date)} ${escape(p.time || "")} – ${escape(p.text)}`;
+  return `${escape(p.employee || "ich")}: ${String(p.hours).replace(".", ",")} Std am ${escape(p.date)}`;
+}
+async function renderQueue() {
+  const items = await queueAll();
+  f("queueCount").textContent = items.length ? `${items.length} offen` : "alles gesendet";
+  f("queue").innerHTML = items.map((i) => `<div class="q">
+      ${i.thumb ? `<img src="${i.thumb}" alt="">` : ""}
+      <div class="body">
+        <div><b>${KIND_LABELS[i.kind]}</b> · ${escape(i.projectTitle)} <span class="state ${i.state}">${STATE_LABELS[i.state]}</span></div>
+        <div>${describe(i)}</div>
+        ${i.error ? `<div class="muted">${escape(i.error)}</div>` : ""}
+        ${session.tenant && i.tenant && i.tenant !== session.tenant ? `<div class="muted">Wird im Mandanten „${escape(i.tenant)}“ gesendet</div>` : ""}
+        <div class="actions">${actionsFor(i).map(([a, label]) => `<button class="ghost" data-id="${i.id}" data-action="${a}">${label}</button>`).join("")}</div>
+      </div>
+    </div>`).join("") || "<div class='muted'>Nichts zu senden</div>";
+}
+
+function updateNetState() {
+  f("netState").textContent = navigator.onLine ? "online" : "offline";
+  f("netState").classList.toggle("off", !navigator.onLine);
+}
+
+// ---- Start ----
+document.querySelectorAll("[data-tab]").forEach((b) => b.addEventListener("click", () => {
+  document.querySelectorAll("[data-tab]").forEach((x) => x.classList.toggle("active", x === b));
+  document.querySelectorAll("[data-panel]").forEach((p) => { p.style.display = p.dataset.panel === b.dataset.tab ? "" : "none"; });
+}));
+f("projectSearch").addEventListener("input", renderProjects);
+f("project").addEventListener("change", () => localStorage.setItem("field.project", f("project").value));
+f("refreshProjects").addEventListener("click", () => loadProjects({ refresh: true }));
+f("photoFile").addEventListener("change", async () => {
+  const file = f("photoFile").files[0];
+  const src = file && await thumbnail(file);
+  f("photoPreview").src = src || "";
+  f("photoPreview").style.display = src ? "block" : "none";
+});
+f("queuePhoto").addEventListener("click", queuePhotos);
+f("queueNote").addEventListener("click", queueNote);
+f("queueTime").addEventListener("click", queueTime);
+f("syncNow").addEventListener("click", sync);
+f("queue").addEventListener("click", (e) => {
+  const b = e.target.closest("button[data-action]");
+  if (b) resolve(b.dataset.id, b.dataset.action);
+});
+window.addEventListener("online", () => { updateNetState(); sync(); });
+window.addEventListener("offline", updateNetState);
+document.addEventListener("visibilitychange", () => { if (document.visibilityState === "visible") sync(); });
+setInterval(sync, 60_000);
+
+f("noteDate").value = today();
+f("timeDate").value = today();
+f("timeEmployee").value = localStorage.getItem("field.employee") || "";
+updateNetState();
+
+if ("serviceWorker" in navigator) {
+  navigator.serviceWorker.register("/field-sw.js", { scope: "/field" }).then((reg) => reg.sync?.register("field-sync")).catch(() => {});
+  navigator.serviceWorker.addEventListener("message", (e) => { if (e.data?.type === "sync") sync(); });
+}
+
+session = (await metaGet("session")) || session;
+await loadProjects({ refresh: navigator.onLine });
+sync();
@@ -0,0 +1,264 @@
+// ==============================
+// Kundenfreigabe (öffentlich, ohne Anmeldung)
+// Das Token steht im #-Teil der URL und geht nur als Header X-Portal-Token an den Server.
+// Der Kunde sieht das Angebot, wählt Bedarfs-/Wahlpositionen (Summen rechnet der Server),
+// lädt das PDF und nimmt mit Namen und Unterschrift an oder lehnt mit Kommentar ab.
+// ==============================
+const f = (id) => document.getElementById(id);
+const escape = (s) => String(s ?? "").replace(/[&<>"']/g, (m) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[m]);
+const euro = (n) => Number(n || 0).toLocaleString("de-DE", { style: "currency", currency: "EUR" });
+const qty = (n) => Number(n || 0).toLocaleString("de-DE", { maximumFractionDigits: 3 });
+const date = (d) => new Date(d).toLocaleDateString("de-DE");
+const STATUS_TEXT = {
+  entwurf: "Dieses Angebot wird gerade überarbeitet. Sie erhalten in Kürze eine neue Fassung.",
+  angenommen: "Vielen Dank – das Angebot ist angenommen.",
+  abgelehnt: "Das Angebot wurde abgelehnt.",
+  abgelaufen: "Die Gültigkeit dieses Angebots ist abgelaufen. Bitte sprechen Sie uns an.",
+};
+
+const token = decodeURIComponent(location.hash.slice(1));
+let offer = null;
+
+async function api(path, { method = "GET", body } = {}) {
+  const res = await fetch(`/api/portal/offer${path}`, {
+    method,
+    headers: { "X-Portal-Token": token, ...(body ? { "Content-Type": "application/json" } : {}) },
+    ...(body ? { body: JSON.stringify(body) } : {}),
+  });
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    throw Object.assign(new Error(data.error || `Fehler ${res.status}`), { status: res.status });
+  }
+  return res;
+}
+
+function showState(text, kind = "") {
+  f("state").textContent = text;
+  f("state").className = `msg ${kind}`;
+  f("state").classList.toggle("hidden", !text);
+}
+
+// ---- Anzeige ----
+function render() {
+  const c = offer.company;
+  f("companyName").textContent = c.name || "Angebot";
+  f("companyLine").textContent = [[c.street, [c.zip, c.city].filter(Boolean).join(" ")].filter(Boolean).join(", "), c.phone, c.email]
+    .filter(Boolean).join(" · ");
+  document.title = `Angebot ${offer.number}`;
+  f("offerTitle").textContent = `Angebot ${offer.number}${offer.title ? ` – ${offer.title}` : ""}`;
+  f("offerMeta").textContent = [
+    offer.customer?.name && `für ${offer.customer.name}`,
+    offer.project?.title,
+    offer.version > 1 && `Version ${offer.version}`,
+    offer.validUntil && `gültig bis ${date(offer.validUntil)}`,
+  ].filter(Boolean).join(" · ");
+
+  f("items").innerHTML = itemRows();
+
+  renderChoices();
+  renderTotals(offer);
+
+  const open = offer.status === "versendet";
+  f("decision").classList.toggle("hidden", !open);
+  if (offer.acceptance) {
+    showState(`Angenommen von ${offer.acceptance.name} am ${new Date(offer.acceptance.ts).toLocaleString("de-DE")}. `
+      + `Prüfsumme der angenommenen Fassung: ${offer.acceptance.hash.slice(0, 16)}…`, "ok");
+  } else if (offer.rejection) {
+    showState(`Abgelehnt am ${new Date(offer.rejection.ts).toLocaleString("de-DE")}.`, "bad");
+  } else {
+    showState(open ? "" : STATUS_TEXT[offer.status] || "", open ? "" : "bad");
+  }
+  f("offer").classList.remove("hidden");
+}
+
+// Positionen mit Titelzeilen; Zwischensumme beim Verlassen eines Titels
+function itemRows() {
+  const sections = new Map((offer.sections || []).map((s) => [s.path.join("/"), s]));
+  const open = [];
+  const rows = [];
+  const closeTo = (depth) => {
+    while (open.length > depth) {
+      const s = open.pop();
+      rows.push(`<tr class="subtotal"><td></td><td colspan="3">Summe ${escape(s.pos)} ${escape(s.title)}</td><td class="num">${euro(s.subtotal)}</td></tr>`);
+    }
+  };
+  offer.items.forEach((it, i) => {
+    const path = it.section || [];
+    let depth = 0;
+    while (depth < open.length && open[depth].title === path[depth]) depth += 1;
+    closeTo(depth);
+    for (let d = open.length; d < path.length; d++) {
+      const s = sections.get(path.slice(0, d + 1).join("/"));
+      if (!s) break;
+      rows.push(`<tr class="section level${s.level}"><td>${escape(s.pos)}</td><td colspan="4">${escape(s.title)}</td></tr>`);
+      open.push(s);
+    }
+    rows.push(`
+    <tr>
+      <td>${escape(it.pos || it.oz || i + 1)}</td>
+      <td>${escape(it.description)}${it.longText ? `<div class="long">${escape(it.longText)}</div>` : ""}</td>
+      <td class="num">${qty(it.quantity)} ${escape(it.unit)}</td>
+      <td class="num">${euro(it.unitPrice)}</td>
+      <td class="num">${euro(it.total)}</td>
+    </tr>`);
+  });
+  closeTo(0);
+  return rows.join("");
+}
+
+function choiceRow({ type, name, value, checked, item, disabled }) {
+  return `<label class="choice">
+    <input type="${type}" name="${escape(name)}" value="${escape(value)}" ${checked ? "checked" : ""} ${disabled ? "disabled" : ""}>
+    <span class="body">${item ? `<b>${escape(item.pos)}</b> ${escape(item.description)}
+      ${item.section ? `<div class="muted">${escape(item.section.join(" / "))}</div>` : ""}
+      <div class="muted">${qty(item.quantity)} ${escape(item.unit)} × ${euro(item.unitPrice)}</div>
+      ${item.longText ? `<div class="long">${escape(item.longText)}</div>` : ""}` : "Keine Wahlposition (wie angeboten)"}</span>
+    ${item ? `<span class="price">${euro(item.total)}</span>` : ""}
+  </label>`;
+}
+
+function renderChoices() {
+  const { optional, alternatives } = offer.choices;
+  const chosen = offer.acceptance?.choices || { optional: [], alternatives: {} };
+  const disabled = offer.status !== "versendet";
+  f("choicesCard").classList.toggle("hidden", !optional.length && !alternatives.length);
+  f("optional").innerHTML = optional.length
+    ? `<label>Bedarfspositionen</label>${optional.map((item) => choiceRow({
+      type: "checkbox", name: "optional", value: item.pos, checked: chosen.optional.includes(item.pos), item, disabled,
+    })).join("")}`
+    : "";
+  f("alternatives").innerHTML = alternatives.map((g) => `
+    <label>Wahlpositionen${g.replaces.length ? ` (statt Pos. ${g.replaces.map(escape).join(", ")})` : ""}</label>
+    ${choiceRow({ type: "radio", name: `alt:${g.group}`, value: "", checked: !chosen.alternatives[g.group], disabled })}
+    ${g.options.map((item) => choiceRow({
+      type: "radio", name: `alt:${g.group}`, value: item.pos, checked: chosen.alternatives[g.group] === item.pos, item, disabled,
+    })).join("")}`).join("");
+}
+
+function renderTotals(x) {
+  const rows = [["Zwischensumme", x.subtotal]];
+  if (x.margin) rows.push(["Aufschlag", x.margin]);
+  if (x.discountAmount) rows.push(["Rabatt", -x.discountAmount]);
+  rows.push(["Netto", x.totalBeforeTax]);
+  for (const t of x.taxes || []) rows.push([t.reverseCharge ? "USt (§ 13b UStG)" : `MwSt ${t.rate} %`, t.tax]);
+  f("totals").innerHTML = rows.map(([label, value]) => `<tr><td>${escape(label)}</td><td class="num">${euro(value)}</td></tr>`).join("")
+    + `<tr class="sum"><td>Gesamtsumme</td><td class="num">${euro(x.total)}</td></tr>`
+    + (x.skonto ? `<tr><td class="muted">bei Zahlung innerhalb ${x.skonto.days} Tagen (${x.skonto.percent} % Skonto)</td><td class="num">${euro(x.skonto.total)}</td></tr>` : "");
+  f("labour").textContent = x.labourCosts?.gross
+    ? `Darin enthaltene Arbeitskosten nach § 35a EStG: ${euro(x.labourCosts.gross)} brutto` : "";
+}
+
+function currentChoices() {
+  const optional = [...document.querySelectorAll("input[name=optional]:checked")].map((i) => i.value);
+  const alternatives = {};
+  for (const g of offer.choices.alternatives) {
+    const picked = document.querySelector(`input[name="alt:${CSS.escape(g.group)}"]:checked`);
+    if (picked?.value) alternatives[g.group] = picked.value;
+  }
+  return { optional, alternatives };
+}
+
+async function requote() {
+  try {
+    const res = await api("/quote", { method: "POST", body: { choices: currentChoices() } });
+    renderTotals(await res.json());
+  } catch (e) {
+    showState(e.message, "bad");
+  }
+}
+f("choicesCard").addEventListener("change", requote);
+
+// ---- Unterschrift ----
+const pad = f("signature");
+const ctx = pad.getContext("2d");
+let drawing = false;
+let signed = false;
+function clearPad() {
+  ctx.fillStyle = "#fff";
+  ctx.fillRect(0, 0, pad.width, pad.height);
+  signed = false;
+}
+const padPoint = (e) => {
+  const r = pad.getBoundingClientRect();
+  return [(e.clientX - r.left) * (pad.width / r.width), (e.clientY - r.top) * (pad.height / r.height)];
+};
+pad.addEventListener("pointerdown", (e) => {
+  drawing = true;
+  pad.setPointerCapture(e.pointerId);
+  ctx.beginPath();
+  ctx.moveTo(...padPoint(e));
+});
+pad.addEventListener("pointermove", (e) => {
+  if (!drawing) return;
+  ctx.lineWidth = 3;
+  ctx.lineCap = "round";
+  ctx.strokeStyle = "#0b1220";
+  ctx.lineTo(...padPoint(e));
+  ctx.stroke();
+  signed = true;
+});
+pad.addEventListener("pointerup", () => { drawing = false; });
+pad.addEventListener("pointercancel", () => { drawing = false; });
+f("clearSignature").addEventListener("click", clearPad);
+
+// ---- Aktionen ----
+f("pdfBtn").addEventListener("click", async () => {
+  f("pdfBtn").disabled = true;
+  try {
+    const res = await api("/pdf");
+    const url = URL.createObjectURL(await res.blob());
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `Angebot_${offer.number}.pdf`;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 10000);
+  } catch (e) {
+    showState(e.message, "bad");
+  } finally {
+    f("pdfBtn").disabled = false;
+  }
+});
+
+async function decide(path, body) {
+  try {
+    const res = await api(path, { method: "POST", body: { version: offer.version, ...body } });
+    offer = await res.json();
+    render();
+    window.scrollTo({ top: 0, behavior: "smooth" });
+  } catch (e) {
+    showState(e.message, "bad");
+    if (e.status === 409) load();
+  }
+}
+
+f("acceptBtn").addEventListener("click", async () => {
+  const name = f("signerName").value.trim();
+  if (name.length < 2) return showState("Bitte Ihren vollständigen Namen eintragen.", "bad");
+  if (!signed) return showState("Bitte im Feld unterschreiben.", "bad");
+  if (!f("consent").checked) return showState("Bitte die Beauftragung bestätigen.", "bad");
+  f("acceptBtn").disabled = true;
+  await decide("/accept", { name, signature: pad.toDataURL("image/png"), choices: currentChoices() });
+  f("acceptBtn").disabled = false;
+});
+
+f("rejectBtn").addEventListener("click", async () => {
+  if (!confirm("Angebot wirklich ablehnen?")) return;
+  f("rejectBtn").disabled = true;
+  await decide("/reject", { comment: f("rejectComment").value.trim() });
+  f("rejectBtn").disabled = false;
+});
+
+async function load() {
+  if (!token) return showState("Der Link ist unvollständig. Bitte öffnen Sie ihn erneut aus der E-Mail.", "bad");
+  try {
+    offer = await (await api("")).json();
+    render();
+  } catch (e) {
+    showState(e.status === 404 ? "Dieser Link ist ungültig oder abgelaufen. Bitte sprechen Sie uns an." : e.message, "bad");
+  }
+}
+
+clearPad();
+load();
@@ -0,0 +1,495 @@
+// ==============================
+// Datenhaltung: SQLite (better-sqlite3) mit Migrationen
+// Jede Sammlung ist eine Tabelle mit einer Zeile je Datensatz (JSON in `data`);
+// Schlüsselfelder (Benutzername, Beleg-Nummern) sind über Indizes eindeutig.
+// Schreibvorgänge laufen in Transaktionen – kein Überschreiben ganzer Dateien mehr.
+// Kunden, Projekte, Angebote, Rechnungen, Projektbuchungen, Bautagebuch, Projektfotos, Dokumentvorlagen, PDF-Ablage,
+// Preiskatalog, Einstellungen und Audit gehören einem Mandanten (tenant_id); Benutzer und Mandanten sind
+// mandantenübergreifend.
+// ==============================
+import fs from "fs";
+import path from "path";
+import Database from "better-sqlite3";
+
+// Bestand ohne eigenen Mandanten (Altdaten, Einzelbetrieb) landet hier
+export const DEFAULT_TENANT = "default";
+
+// Sammlungen je Mandant; Benutzer sind global und verweisen über `tenants: [{ id, role }]` auf ihre Mandanten
+export const TENANT_COLLECTIONS = ["customers", "projects", "offers", "invoices", "bookings", "diary", "media", "templates", "documents"];
+
+// Stand der Mandanten-Sammlungen zu Migration 2 (spätere Sammlungen legen eigene Migrationen an)
+const V2_COLLECTIONS = ["customers", "projects", "offers", "invoices"];
+
+// Neue Schemaänderungen immer hinten anhängen, bestehende nie ändern
+export const MIGRATIONS = [
+  {
+    version: 1,
+    name: "Grundschema",
+    sql: `
+      CREATE TABLE meta (key TEXT PRIMARY KEY, value TEXT);
+      CREATE TABLE settings (id INTEGER PRIMARY KEY CHECK (id = 1), data TEXT NOT NULL CHECK (json_valid(data)));
+      CREATE TABLE users (id TEXT PRIMARY KEY, data TEXT NOT NULL CHECK (json_valid(data)));
+      CREATE UNIQUE INDEX users_username ON users (json_extract(data, '$.username'));
+      CREATE TABLE customers (id TEXT PRIMARY KEY, data TEXT NOT NULL CHECK (json_valid(data)));
+      CREATE TABLE projects (id TEXT PRIMARY KEY, data TEXT NOT NULL CHECK (json_valid(data)));
+      CREATE TABLE offers (id TEXT PRIMARY KEY, data TEXT NOT NULL CHECK (json_valid(data)));
+      CREATE UNIQUE INDEX offers_number ON offers (json_extract(data, '$.number'));
+      CREATE TABLE invoices (id TEXT PRIMARY KEY, data TEXT NOT NULL CHECK (json_valid(data)));
+      CREATE UNIQUE INDEX invoices_number ON invoices (json_extract(data, '$.number'));
+      CREATE TABLE catalog_versions (version INTEGER PRIMARY KEY, data TEXT NOT NULL CHECK (json_valid(data)));
+      CREATE TABLE audit (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        ts INTEGER NOT NULL,
+        ip TEXT,
+        user TEXT,
+        action TEXT NOT NULL,
+        meta TEXT
+      );
+      CREATE INDEX audit_ts ON audit (ts);
+    `,
+  },
+  {
+    version: 2,
+    name: "Mandanten",
+    sql: `
+      CREATE TABLE tenants (id TEXT PRIMARY KEY, data TEXT NOT NULL CHECK (json_valid(data)));
+      INSERT INTO tenants (id, data) SELECT 'default', json_object(
+        'id', 'default',
+        'name', COALESCE(NULLIF((SELECT json_extract(data, '$.companyName') FROM settings WHERE id = 1), ''), 'Hauptbetrieb'),
+        'createdAt', CAST(strftime('%s', 'now') AS INTEGER) * 1000
+      );
+
+      CREATE TABLE settings_new (
+        tenant_id TEXT PRIMARY KEY REFERENCES tenants (id),
+        data TEXT NOT NULL CHECK (json_valid(data))
+      );
+      INSERT INTO settings_new (tenant_id, data) SELECT 'default', data FROM settings;
+      DROP TABLE settings;
+      ALTER TABLE settings_new RENAME TO settings;
+
+      ${V2_COLLECTIONS.map((t) => `
+      CREATE TABLE ${t}_new (
+        tenant_id TEXT NOT NULL DEFAULT 'default' REFERENCES tenants (id),
+        id TEXT NOT NULL,
+        data TEXT NOT NULL CHECK (json_valid(data)),
+        PRIMARY KEY (tenant_id, id)
+      );
+      INSERT INTO ${t}_new (id, data) SELECT id, data FROM ${t} ORDER BY rowid;
+      DROP TABLE ${t};
+      ALTER TABLE ${t}_new RENAME TO ${t};`).join("\n")}
+      -- Nummernkreise je Mandant
+      CREATE UNIQUE INDEX offers_number ON offers (tenant_id, json_extract(data, '$.number'));
+      CREATE UNIQUE INDEX invoices_number ON invoices (tenant_id, json_extract(data, '$.number'));
+
+      UPDATE users SET data = json_set(data, '$.tenants', json_array('default'))
+        WHERE json_extract(data, '$.tenants') IS NULL;
+
+      ALTER TABLE audit ADD COLUMN tenant_id TEXT;
+      UPDATE audit SET tenant_id = 'default';
+      CREATE INDEX audit_tenant ON audit (tenant_id, id);
+    `,
+  },
+  {
+    version: 3,
+    name: "Anmeldesperren",
+    sql: `
+      CREATE TABLE login_failures (
+        key TEXT PRIMARY KEY,
+        count INTEGER NOT NULL,
+        locked_until INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL
+      );
+    `,
+  },
+  {
+    version: 4,
+    name: "API-Tokens",
+    sql: `
+      CREATE TABLE api_tokens (id TEXT PRIMARY KEY, data TEXT NOT NULL CHECK (json_valid(data)));
+      CREATE UNIQUE INDEX api_tokens_hash ON api_tokens (json_extract(data, '$.hash'));
+    `,
+  },
+  {
+    version: 5,
+    name: "Projektbuchungen",
+    sql: `
+      CREATE TABLE bookings (
+        tenant_id TEXT NOT NULL REFERENCES tenants (id),
+        id TEXT NOT NULL,
+        data TEXT NOT NULL CHECK (json_valid(data)),
+        PRIMARY KEY (tenant_id, id)
+      );
+      CREATE INDEX bookings_project ON bookings (tenant_id, json_extract(data, '$.projectId'));
+    `,
+  },
+  {
+    version: 6,
+    name: "Bautagebuch",
+    sql: `
+      CREATE TABLE diary (
+        tenant_id TEXT NOT NULL REFERENCES tenants (id),
+        id TEXT NOT NULL,
+        data TEXT NOT NULL CHECK (json_valid(data)),
+        PRIMARY KEY (tenant_id, id)
+      );
+      CREATE INDEX diary_project ON diary (tenant_id, json_extract(data, '$.projectId'));
+    `,
+  },
+  {
+    version: 7,
+    name: "Projektfotos",
+    sql: `
+      CREATE TABLE media (
+        tenant_id TEXT NOT NULL REFERENCES tenants (id),
+        id TEXT NOT NULL,
+        data TEXT NOT NULL CHECK (json_valid(data)),
+        PRIMARY KEY (tenant_id, id)
+      );
+      CREATE INDEX media_project ON media (tenant_id, json_extract(data, '$.projectId'));
+    `,
+  },
+  {
+    version: 8,
+    name: "Kundenfreigabe",
+    sql: `
+      CREATE TABLE offer_links (id TEXT PRIMARY KEY, data TEXT NOT NULL CHECK (json_valid(data)));
+      CREATE UNIQUE INDEX offer_links_hash ON offer_links (json_extract(data, '$.hash'));
+    `,
+  },
+  {
+    version: 9,
+    name: "Dokumentvorlagen",
+    sql: `
+      CREATE TABLE templates (
+        tenant_id TEXT NOT NULL REFERENCES tenants (id),
+        id TEXT NOT NULL,
+        data TEXT NOT NULL CHECK (json_valid(data)),
+        PRIMARY KEY (tenant_id, id)
+      );
+    `,
+  },
+  {
+    version: 10,
+    name: "Dokumentenablage",
+    sql: `
+      CREATE TABLE documents (
+        tenant_id TEXT NOT NULL REFERENCES tenants (id),
+        id TEXT NOT NULL,
+        data TEXT NOT NULL CHECK (json_valid(data)),
+        PRIMARY KEY (tenant_id, id)
+      );
+      CREATE INDEX documents_customer ON documents (tenant_id, json_extract(data, '$.customerId'));
+      CREATE INDEX documents_project ON documents (tenant_id, json_extract(data, '$.projectId'));
+    `,
+  },
+  {
+    version: 11,
+    name: "Preiskatalog je Mandant",
+    // Bisher teilten sich alle Mandanten einen Katalog: jeder bekommt alle Versionen, damit die in Angeboten
+    // gemerkten Versionsnummern weiter stimmen
+    sql: `
+      CREATE TABLE catalog_versions_new (
+        tenant_id TEXT NOT NULL REFERENCES tenants (id),
+        version INTEGER NOT NULL,
+        data TEXT NOT NULL CHECK (json_valid(data)),
+        PRIMARY KEY (tenant_id, version)
+      );
+      INSERT INTO catalog_versions_new (tenant_id, version, data)
+        SELECT t.id, c.version, c.data FROM tenants t CROSS JOIN catalog_versions c ORDER BY t.id, c.version;
+      DROP TABLE catalog_versions;
+      ALTER TABLE catalog_versions_new RENAME TO catalog_versions;
+    `,
+  },
+  {
+    version: 12,
+    name: "Rolle je Mandant",
+    // tenants: ["a", "b"] + role → tenants: [{ id: "a", role }, { id: "b", role }]; die globale Rolle entfällt
+    sql: `
+      UPDATE users SET data = json_remove(json_set(data, '$.tenants', json(
+        CASE WHEN json_array_length(data, '$.tenants') > 0
+          THEN (SELECT json_group_array(json_object('id', t.value, 'role', json_extract(users.data, '$.role')))
+                FROM json_each(users.data, '$.tenants') t)
+          ELSE json_array(json_object('id', 'default', 'role', json_extract(data, '$.role')))
+        END
+      )), '$.role');
+    `,
+  },
+];
+
+// Benutzer aus dem Altbestand: die globale Rolle gilt in jedem zugeordneten Mandanten
+function legacyUser({ role, tenants, ...user }) {
+  const ids = tenants?.length ? tenants : [DEFAULT_TENANT];
+  return { ...user, tenants: ids.map((t) => (typeof t === "string" ? { id: t, role } : t)) };
+}
+
+// JSON-Dateien des Altbestands mit id-Schlüssel
+export const COLLECTIONS = ["users", "customers", "projects", "offers", "invoices"];
+
+function migrate(db, migrations) {
+  db.exec("CREATE TABLE IF NOT EXISTS schema_migrations (version INTEGER PRIMARY KEY, name TEXT NOT NULL, applied_at INTEGER NOT NULL)");
+  const done = new Set(db.prepare("SELECT version FROM schema_migrations").pluck().all());
+  const applied = [];
+  for (const m of [...migrations].sort((a, b) => a.version - b.version)) {
+    if (done.has(m.version)) continue;
+    db.transaction(() => {
+      if (m.sql) db.exec(m.sql);
+      if (m.up) m.up(db);
+      db.prepare("INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)").run(m.version, m.name, Date.now());
+    })();
+    applied.push(m.version);
+  }
+  return applied;
+}
+
+// Repository für eine Tabelle mit JSON-Datensätzen; Reihenfolge = Anlagereihenfolge.
+// Mit tenantId sieht und schreibt das Repository nur Zeilen dieses Mandanten.
+function collection(db, table, tenantId) {
+  const parse = (row) => (row ? JSON.parse(row.data) : null);
+  const scoped = tenantId != null;
+  const where = scoped ? "tenant_id = @tenant" : "1";
+  const q = {
+    all: db.prepare(`SELECT data FROM ${table} WHERE ${where} ORDER BY rowid`),
+    get: db.prepare(`SELECT data FROM ${table} WHERE id = @id AND ${where}`),
+    findBy: db.prepare(`SELECT data FROM ${table} WHERE json_extract(data, @path) = @value AND ${where} ORDER BY rowid LIMIT 1`),
+    listBy: db.prepare(`SELECT data FROM ${table} WHERE json_extract(data, @path) = @value AND ${where} ORDER BY rowid`),
+    insert: db.prepare(scoped
+      ? `INSERT INTO ${table} (tenant_id, id, data) VALUES (@tenant, @id, @data)`
+      : `INSERT INTO ${table} (id, data) VALUES (@id, @data)`),
+    update: db.prepare(`UPDATE ${table} SET data = @data WHERE id = @id AND ${where}`),
+    remove: db.prepare(`DELETE FROM ${table} WHERE id = @id AND ${where}`),
+    count: db.prepare(`SELECT COUNT(*) FROM ${table} WHERE ${where}`).pluck(),
+    clear: db.prepare(`DELETE FROM ${table} WHERE ${where}`),
+  };
+  const p = (params = {}) => (scoped ? { ...params, tenant: tenantId } : params);
+  const repo = {
+    list: () => q.all.all(p()).map(parse),
+    get: (id) => parse(q.get.get(p({ id: String(id) }))),
+    // Suche über ein Feld des Datensatzes (nutzt die Indizes für username/number)
+    findBy: (field, value) => parse(q.findBy.get(p({ path: `$.${field}`, value }))),
+    // Alle Datensätze mit diesem Feldwert (z. B. Buchungen eines Projekts)
+    listBy: (field, value) => q.listBy.all(p({ path: `$.${field}`, value })).map(parse),
+    insert(item) {
+      if (!item?.id) throw new Error(`${table}: id fehlt`);
+      q.insert.run(p({ id: String(item.id), data: JSON.stringify(item) }));
+      return item;
+    },
+    // Ersetzt den gespeicherten Datensatz vollständig
+    update(item) {
+      if (q.update.run(p({ id: String(item.id), data: JSON.stringify(item) })).changes === 0)
+        throw new Error(`${table}: ${item.id} nicht gefunden`);
+      return item;
+    },
+    remove: (id) => q.remove.run(p({ id: String(id) })).changes > 0,
+    count: () => q.count.get(p()),
+    replaceAll: db.transaction((items) => {
+      q.clear.run(p());
+      for (const item of items) repo.insert(item);
+    }),
+  };
+  return repo;
+}
+
+function settingsRepo(db, tenantId) {
+  const get = db.prepare("SELECT data FROM settings WHERE tenant_id = ?");
+  const set = db.prepare("INSERT INTO settings (tenant_id, data) VALUES (?, ?) ON CONFLICT (tenant_id) DO UPDATE SET data = excluded.data");
+  return {
+    get: (fallback = {}) => {
+      const row = get.get(tenantId);
+      return row ? JSON.parse(row.data) : fallback;
+    },
+    set: (data) => { set.run(tenantId, JSON.stringify(data)); return data; },
+  };
+}
+
+// Preiskatalog des Mandanten: jede Version eine Zeile
+function catalogRepo(db, tenantId) {
+  const all = db.prepare("SELECT data FROM catalog_versions WHERE tenant_id = ? ORDER BY version");
+  const one = db.prepare("SELECT data FROM catalog_versions WHERE tenant_id = ? AND version = ?");
+  const latest = db.prepare("SELECT data FROM catalog_versions WHERE tenant_id = ? ORDER BY version DESC LIMIT 1");
+  const insert = db.prepare("INSERT INTO catalog_versions (tenant_id, version, data) VALUES (?, ?, ?)");
+  const clear = db.prepare("DELETE FROM catalog_versions WHERE tenant_id = ?");
+  const parse = (row) => (row ? JSON.parse(row.data) : null);
+  const repo = {
+    versions: () => all.all(tenantId).map(parse),
+    get: (version) => parse(one.get(tenantId, Number(version))),
+    latest: () => parse(latest.get(tenantId)),
+    append: (entry) => { insert.run(tenantId, entry.version, JSON.stringify(entry)); return entry; },
+    replaceAll: db.transaction((versions) => {
+      clear.run(tenantId);
+      for (const v of versions) repo.append(v);
+    }),
+  };
+  return repo;
+}
+
+// Fehlversuche je Schlüssel (IP|Benutzer) mit Sperrfrist – überstehen einen Neustart
+function lockoutRepo(db) {
+  const get = db.prepare("SELECT count, locked_until AS lockedUntil, updated_at AS updatedAt FROM login_failures WHERE key = ?");
+  const upsert = db.prepare(`INSERT INTO login_failures (key, count, locked_until, updated_at) VALUES (@key, 1, @until, @now)
+    ON CONFLICT (key) DO UPDATE SET count = count + 1, locked_until = @until, updated_at = @now
+    RETURNING count`);
+  const setUntil = db.prepare("UPDATE login_failures SET locked_until = ? WHERE key = ?");
+  const clear = db.prepare("DELETE FROM login_failures WHERE key = ?");
+  const purge = db.prepare("DELETE FROM login_failures WHERE locked_until < ? AND updated_at < ?");
+  return {
+    get: (key) => get.get(key) ?? null,
+    // Zählt einen Fehlversuch; lockSeconds(count) bestimmt die Sperrfrist
+    fail: db.transaction((key, lockSeconds, now = Date.now()) => {
+      const count = upsert.pluck().get({ key, until: now, now });
+      const lockSec = lockSeconds(count);
+      setUntil.run(now + lockSec * 1000, key);
+      return { count, lockSec };
+    }),
+    clear: (key) => { clear.run(key); },
+    // Abgelaufene Einträge ohne Fehlversuch seit maxAge entfernen
+    purge: (maxAgeMs, now = Date.now()) => purge.run(now, now - maxAgeMs).changes,
+  };
+}
+
+// Ohne tenantId: Gesamtprotokoll, der Mandant kommt dann aus dem Eintrag (e.tenant)
+function auditRepo(db, tenantId) {
+  const insert = db.prepare("INSERT INTO audit (ts, ip, user, action, meta, tenant_id) VALUES (?, ?, ?, ?, ?, ?)");
+  const scope = tenantId != null ? "tenant_id = @tenant" : "1";
+  const recent = db.prepare(`SELECT ts, ip, user, action, meta, tenant_id FROM audit
+    WHERE ${scope} ORDER BY id DESC LIMIT @limit`);
+  const byAction = db.prepare(`SELECT ts, ip, user, action, meta, tenant_id FROM audit
+    WHERE ${scope} AND action IN (SELECT value FROM json_each(@actions)) ORDER BY id DESC LIMIT @limit`);
+  const entry = (r) => ({
+    ts: r.ts, ip: r.ip, user: r.user ? JSON.parse(r.user) : null, action: r.action, meta: JSON.parse(r.meta || "{}"),
+    tenant: r.tenant_id,
+  });
+  return {
+    append: (e) => {
+      insert.run(
+        e.ts ?? Date.now(), e.ip ?? null, e.user ? JSON.stringify(e.user) : null, e.action, JSON.stringify(e.meta ?? {}),
+        tenantId ?? e.tenant ?? null,
+      );
+    },
+    // Neueste zuerst
+    list: (limit = 1000) => recent.all({ limit, tenant: tenantId }).map(entry),
+    // Nur bestimmte Aktionen (z. B. für den Kundenverlauf), ebenfalls neueste zuerst
+    ofActions: (actions, limit = 5000) =>
+      byAction.all({ actions: JSON.stringify(actions), limit, tenant: tenantId }).map(entry),
+  };
+}
+
+// Sicht auf einen Mandanten: eigene Einstellungen, Sammlungen, Preiskatalog, Audit und Backup
+function tenantView(db, tenantId) {
+  const view = {
+    id: tenantId,
+    settings: settingsRepo(db, tenantId),
+    catalog: catalogRepo(db, tenantId),
+    audit: auditRepo(db, tenantId),
+    ...Object.fromEntries(TENANT_COLLECTIONS.map((name) => [name, collection(db, name, tenantId)])),
+  };
+  view.dump = () => ({
+    tenant: tenantId,
+    settings: view.settings.get({}),
+    catalog: view.catalog.versions(),
+    ...Object.fromEntries(TENANT_COLLECTIONS.map((name) => [name, view[name].list()])),
+  });
+  view.restore = (b) => db.transaction(() => {
+    if (b.settings) view.settings.set(b.settings);
+    if (Array.isArray(b.catalog)) view.catalog.replaceAll(b.catalog);
+    for (const name of TENANT_COLLECTIONS) if (Array.isArray(b[name])) view[name].replaceAll(b[name]);
+  }).immediate();
+  return view;
+}
+
+export function openStore(file, { migrations = MIGRATIONS, readonly = false } = {}) {
+  if (file !== ":memory:") fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new Database(file, { readonly });
+  if (!readonly) {
+    db.pragma("journal_mode = WAL");
+    db.pragma("busy_timeout = 5000");
+    migrate(db, migrations);
+  }
+  const meta = {
+    get: (key) => db.prepare("SELECT value FROM meta WHERE key = ?").pluck().get(key) ?? null,
+    set: (key, value) => db.prepare("INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value").run(key, String(value)),
+  };
+  const views = new Map();
+  const tenants = collection(db, "tenants");
+  const store = {
+    db,
+    meta,
+    // Ohne Mandantenangabe arbeiten settings/customers/… auf dem Standardmandanten
+    ...tenantView(db, DEFAULT_TENANT),
+    users: collection(db, "users"),
+    // Persönliche API-Tokens (nur Hash gespeichert), global wie die Benutzer
+    apiTokens: collection(db, "api_tokens"),
+    // Freigabelinks für Kunden (nur Hash gespeichert); global, weil der Link ohne Anmeldung zum Mandanten führt
+    offerLinks: collection(db, "offer_links"),
+    tenants,
+    audit: auditRepo(db),
+    lockouts: lockoutRepo(db),
+    tenant(id) {
+      if (!views.has(id)) {
+        if (!tenants.get(id)) throw new Error(`Mandant ${id} nicht gefunden`);
+        views.set(id, tenantView(db, id));
+      }
+      return views.get(id);
+    },
+    // Anzahl je Tabelle über alle Mandanten (gelöschte Angebote zählen nicht)
+    stats: () => ({
+      tenants: tenants.count(),
+      users: db.prepare("SELECT COUNT(*) FROM users").pluck().get(),
+      ...Object.fromEntries(TENANT_COLLECTIONS.map((name) => [name, db.prepare(
+        `SELECT COUNT(*) FROM ${name}${name === "offers" ? " WHERE json_extract(data, '$.deletedAt') IS NULL" : ""}`,
+      ).pluck().get()])),
+    }),
+    // fn läuft atomar (Schreibsperre ab Beginn); wirft fn, wird alles zurückgerollt
+    transaction: (fn) => db.transaction(fn).immediate(),
+    migrations: () => db.prepare("SELECT version, name, applied_at AS appliedAt FROM schema_migrations ORDER BY version").all(),
+    close: () => db.close(),
+  };
+  return store;
+}
+
+// Einmalige Übernahme der bisherigen JSON-Dateien (users.json, customers.json, …, audit.log)
+// in den Standardmandanten. Die Dateien bleiben als Sicherung liegen; ein zweiter Lauf importiert nichts mehr.
+export function importLegacyJson(store, dir) {
+  if (store.meta.get("legacy_import")) return null;
+  const read = (name) => {
+    const p = path.join(dir, name);
+    if (!fs.existsSync(p)) return undefined;
+    const text = fs.readFileSync(p, "utf-8");
+    if (!text.trim()) return undefined; // leere Datei wie bisher als "keine Daten"
+    try {
+      return JSON.parse(text);
+    } catch (e) {
+      throw new Error(`${name} ist kein gültiges JSON: ${e.message}`);
+    }
+  };
+  const counts = {};
+  store.transaction(() => {
+    const settings = read("settings.json");
+    if (settings && typeof settings === "object") {
+      store.settings.set(settings);
+      counts.settings = 1;
+    }
+    for (const name of COLLECTIONS) {
+      const list = read(`${name}.json`);
+      if (!Array.isArray(list)) continue;
+      for (const item of list) store[name].insert(name === "users" ? legacyUser(item) : item);
+      counts[name] = list.length;
+    }
+    const catalog = read("catalog.json");
+    if (Array.isArray(catalog)) {
+      for (const v of catalog) store.catalog.append(v);
+      counts.catalog = catalog.length;
+    }
+    const auditFile = path.join(dir, "audit.log");
+    if (fs.existsSync(auditFile)) {
+      const lines = fs.readFileSync(auditFile, "utf-8").split("\n").filter(Boolean);
+      for (const line of lines) {
+        try {
+          store.audit.append({ ...JSON.parse(line), tenant: DEFAULT_TENANT });
+        } catch {} // angefangene Zeile nach Absturz
+      }
+      counts.audit = lines.length;
+    }
+    store.meta.set("legacy_import", JSON.stringify({ ts: Date.now(), counts }));
+  });
+  return counts;
+}
@@ -0,0 +1,164 @@
+// ==============================
+// Dokumentvorlagen (Angebots-PDF)
+// Briefkopf mit Logo, Anschriftfeld nach DIN 5008 (Form A oder B), Einleitungs- und Schlusstext mit Platzhaltern,
+// eigene Schriften (TTF/OTF, müssen Umlaute enthalten) und eine Fußzeile mit Kontakt-, Bank- und Registerangaben
+// aus den Einstellungen. Gezeichnet wird in index.mjs (exportOfferToPDF); hier liegen Schema, Maße und Texte.
+// ==============================
+import PDFDocument from "pdfkit";
+import { z } from "zod";
+
+// ---------- Platzhalter ----------
+export const PLACEHOLDERS = {
+  kunde: "Name des Kunden",
+  projekt: "Projekt bzw. Angebotstitel",
+  gueltigBis: "Gültig bis (TT.MM.JJJJ)",
+  angebotNr: "Angebotsnummer",
+  datum: "Datum des Dokuments",
+  firma: "eigener Firmenname",
+};
+
+// Unbekannte Platzhalter bleiben stehen, damit ein Tippfehler im PDF auffällt
+export function fillPlaceholders(text, values) {
+  return String(text || "").replace(/\{(\w+)\}/g, (m, key) => (key in PLACEHOLDERS ? String(values[key] ?? "") : m));
+}
+
+function knownPlaceholders(text, ctx) {
+  for (const [, key] of String(text).matchAll(/\{(\w+)\}/g)) {
+    if (!(key in PLACEHOLDERS)) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, message: `Unbekannter Platzhalter {${key}} – möglich: ${Object.keys(PLACEHOLDERS).map((k) => `{${k}}`).join(", ")}` });
+    }
+  }
+}
+const templateText = (max) => z.string().max(max).superRefine(knownPlaceholders);
+
+// ---------- Vorlage ----------
+export const DEFAULT_INTRO = "Sehr geehrte Damen und Herren,\n\nvielen Dank für Ihre Anfrage. Für {projekt} bieten wir Ihnen die folgenden Leistungen an:";
+export const DEFAULT_CLOSING = "Wir würden uns freuen, den Auftrag für Sie auszuführen. Bei Fragen sind wir gern für Sie da.\n\nMit freundlichen Grüßen\n{firma}";
+export const DEFAULT_TERMS = [
+  "• Dieses Angebot ist gültig bis {gueltigBis}. Alle Preise verstehen sich in EUR zzgl. gesetzlicher MwSt.",
+  "• Abweichungen oder Zusatzleistungen werden gesondert berechnet.",
+  "• Zahlungsziel: 14 Tage netto ohne Abzug.",
+  "• Es gelten unsere allgemeinen Geschäftsbedingungen.",
+].join("\n");
+
+export const FONT_NAME = /^[\w-]{1,60}\.(ttf|otf)$/i;
+
+export const TemplateSchema = z.object({
+  name: z.string().trim().min(1).max(80),
+  isDefault: z.boolean().default(false), // gilt für Angebote ohne eigene Vorlage
+  form: z.enum(["A", "B"]).default("B"), // DIN 5008 Form A (hochgestelltes Anschriftfeld) oder B
+  accentColor: z.string().regex(/^#[0-9a-fA-F]{6}$/, "Farbe als #RRGGBB").default("#1f2937"),
+  logo: z.object({
+    show: z.boolean().default(true),
+    width: z.number().min(40).max(220).default(140), // pt
+  }).default({}),
+  font: z.string().regex(FONT_NAME, "Schrift: Dateiname einer hochgeladenen TTF/OTF").optional(),
+  fontBold: z.string().regex(FONT_NAME, "Schrift: Dateiname einer hochgeladenen TTF/OTF").optional(),
+  senderLine: z.string().max(120).optional(), // Rücksendeangabe über der Anschrift; leer = aus den Firmendaten
+  introText: templateText(4000).default(DEFAULT_INTRO),
+  closingText: templateText(4000).default(DEFAULT_CLOSING),
+  termsText: templateText(8000).default(DEFAULT_TERMS),
+});
+
+// Ohne gespeicherte Vorlage: Standardlayout
+export const DEFAULT_TEMPLATE = TemplateSchema.parse({ name: "Standard" });
+
+// Vorlage für ein Angebot: eigene (templateId), sonst die Standardvorlage des Mandanten, sonst DEFAULT_TEMPLATE
+export function pickTemplate(templates, templateId) {
+  return templates.find((t) => t.id === templateId) || templates.find((t) => t.isDefault) || DEFAULT_TEMPLATE;
+}
+
+// ---------- DIN 5008 ----------
+export const MM = 72 / 25.4;
+// Anschriftfeld 20 mm vom linken Rand, 85 × 45 mm; die oberen 17,7 mm sind Zusatz- und Vermerkzone
+// (Rücksendeangabe an deren Unterkante), darunter die Anschrift ab 25 mm. Form A beginnt 27 mm, Form B 45 mm
+// unter der Blattkante; Falzmarken bei 87/192 mm (A) bzw. 105/210 mm (B), Lochmarke bei 148,5 mm.
+const FORMS = {
+  A: { addressTop: 27, infoTop: 32, foldMarks: [87, 192] },
+  B: { addressTop: 45, infoTop: 50, foldMarks: [105, 210] },
+};
+
+export function letterGeometry(form = "B") {
+  const f = FORMS[form] || FORMS.B;
+  const top = f.addressTop * MM;
+  return {
+    addressField: { x: 20 * MM, y: top, width: 85 * MM, height: 45 * MM },
+    senderLine: { x: 25 * MM, y: top + 17.7 * MM - 10, width: 75 * MM },
+    recipient: { x: 25 * MM, y: top + 17.7 * MM, width: 75 * MM, height: 27.3 * MM },
+    info: { x: 125 * MM, y: f.infoTop * MM, width: 65 * MM },
+    foldMarks: f.foldMarks.map((mm) => mm * MM),
+    punchMark: 148.5 * MM,
+    bodyTop: top + 45 * MM + 8.46 * MM, // zwei Leerzeilen unter dem Anschriftfeld
+  };
+}
+
+// ---------- Firmendaten ----------
+const cityLine = (c) => [c.zip, c.city].filter(Boolean).join(" ");
+
+// IBAN in Vierergruppen
+export const formatIban = (iban) => String(iban || "").replace(/\s+/g, "").replace(/(.{4})(?=.)/g, "$1 ");
+
+// Rücksendeangabe: „Maler GmbH · Hauptstr. 1 · 12345 Musterstadt“
+export function senderLine(c) {
+  const parts = [c.name, ...(c.street || c.zip || c.city ? [c.street, cityLine(c)] : [c.address])];
+  return parts.filter(Boolean).join(" · ");
+}
+
+// Fußzeile in Spalten: Kontakt, Bank, Register/Steuer; leere Spalten entfallen
+export function footerColumns(c) {
+  const columns = [
+    [c.name, ...(c.street || c.zip || c.city ? [c.street, cityLine(c)] : [c.address]), c.phone && `Tel. ${c.phone}`, c.email, c.website],
+    [c.bankName, c.iban && `IBAN ${formatIban(c.iban)}`, c.bic && `BIC ${c.bic}`],
+    [
+      c.managingDirector && `Geschäftsführung: ${c.managingDirector}`,
+      [c.registerCourt, c.registerNumber].filter(Boolean).join(" "),
+      c.vatId && `USt-IdNr. ${c.vatId}`,
+      c.taxNumber && `St.-Nr. ${c.taxNumber}`,
+    ],
+  ];
+  return columns.map((col) => col.filter(Boolean)).filter((col) => col.length);
+}
+
+// Empfänger aus dem Kundenstamm (Straße, PLZ, Ort) oder aus der Freitext-Adresse der Angebotseingabe
+export function recipientLines(customer = {}, crm) {
+  const name = crm?.name || customer.name || "";
+  if (crm && (crm.street || crm.zip || crm.city)) return [name, crm.street, cityLine(crm)].filter(Boolean);
+  return [name, ...String(customer.address || "").split(/\n|,\s*/)].map((l) => l.trim()).filter(Boolean);
+}
+
+// ---------- Schriften ----------
+// Zeichen, die eine hochgeladene Schrift mindestens darstellen muss
+export const REQUIRED_GLYPHS = "ÄÖÜäöüß€„“–";
+
+// Liest eine TTF/OTF über pdfkit (fontkit); wirft bei unlesbaren Dateien
+export function inspectFont(buffer) {
+  const doc = new PDFDocument({ autoFirstPage: false });
+  try {
+    doc.font(buffer);
+  } catch {
+    throw new Error("Keine lesbare TrueType-/OpenType-Schrift");
+  }
+  const font = doc._font.font;
+  return {
+    family: font.familyName || "",
+    style: font.subfamilyName || "",
+    missing: [...REQUIRED_GLYPHS].filter((ch) => !font.hasGlyphForCodePoint(ch.codePointAt(0))),
+  };
+}
+
+// ---------- Vorschau ----------
+// Beispielangebot, wenn die Vorschau ohne echtes Angebot angefordert wird
+export const PREVIEW_INPUT = {
+  trade: "maler",
+  company: { name: "" },
+  customer: { name: "Erika Mustermann", address: "Musterweg 12\n12345 Musterstadt" },
+  project: {
+    title: "Renovierung Wohnung Musterweg",
+    rooms: [{ name: "Wohnzimmer", width_m: 4.5, length_m: 5, height_m: 2.5 }, { name: "Flur", width_m: 1.5, length_m: 6 }],
+  },
+  items: [
+    { description: "Heizkörper lackieren", quantity: 2, unit: "Stk", unitPrice: 45, section: ["Wohnzimmer"], longText: "Schleifen, grundieren, zweifach lackieren" },
+    { description: "Schimmelbehandlung", quantity: 3, unit: "m²", unitPrice: 28, section: ["Flur"], type: "optional" },
+  ],
+  laborRatePerHour: 55,
+};
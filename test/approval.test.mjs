@@ -0,0 +1,126 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  AcceptSchema, applyChoices, ChoicesSchema, generatePortalToken, hashPortalToken, offerChoices, offerHash, portalLinkExpiry, portalOffer,
+} from "../approval.mjs";
+import { calculateOffer, parseOfferInput } from "../offerEngine.mjs";
+
+// Angebot aus einem GAEB-LV: Grundposition 01.0010 (Wahlgruppe 1), Bedarfsposition 01.0020, Wahlpositionen 01.0030/01.0040
+const input = () => parseOfferInput({
+  company: { name: "Maler GmbH" },
+  customer: { name: "Stadt Musterhausen" },
+  project: { title: "Schule" },
+  laborRatePerHour: 60,
+  items: [
+    { oz: "01.0010", description: "Wände streichen", quantity: 100, unit: "m²", unitPrice: 3, altGroup: "1" },
+    { oz: "01.0050", description: "Abdecken", quantity: 1, unit: "psch", unitPrice: 50 },
+  ],
+  gaeb: {
+    format: "X83",
+    extraItems: [
+      { oz: "01.0020", description: "Stundenlohnarbeiten", quantity: 10, unit: "Std", unitPrice: 60, type: "optional" },
+      { oz: "01.0030", description: "Wände tapezieren", quantity: 100, unit: "m²", unitPrice: 8, type: "alternative", altGroup: "1", altSerNo: "1" },
+      { oz: "01.0040", description: "Wände spachteln", quantity: 100, unit: "m²", unitPrice: 5, type: "alternative", altGroup: "1", altSerNo: "2" },
+      { oz: "01.0060", description: "Sockelleisten", quantity: 20, unit: "m", unitPrice: 4, type: "alternative" },
+    ],
+  },
+});
+
+const offerOf = (inp) => ({ input: inp, ...calculateOffer(inp, { marginRate: 0, taxRate: 19 }) });
+
+test("Wählbare Positionen: Bedarfspositionen und Wahlgruppen mit ersetzter Grundposition", () => {
+  const { optional, alternatives } = offerChoices(offerOf(input()));
+  assert.deepEqual(optional.map((o) => [o.pos, o.total]), [["01.0020", 600]]);
+  assert.deepEqual(alternatives.map((g) => [g.group, g.replaces, g.options.map((o) => o.pos)]), [
+    ["1", ["01.0010"], ["01.0030", "01.0040"]],
+    ["01.0060", [], ["01.0060"]],
+  ]);
+  assert.deepEqual(offerChoices({ items: [] }), { optional: [], alternatives: [] });
+  // vor der Gliederung gespeichert: ohne extraItems, Auswahl aus dem GAEB-LV
+  const { extraItems, ...stored } = offerOf(input());
+  assert.deepEqual(offerChoices(stored), { optional, alternatives });
+});
+
+test("Auswahl des Kunden ergibt die beauftragten Positionen", () => {
+  const base = offerOf(input());
+  assert.equal(applyChoices(base, ChoicesSchema.parse({})), base.input);
+
+  const chosen = applyChoices(base, ChoicesSchema.parse({ optional: ["01.0020"], alternatives: { 1: "01.0040", "01.0060": "01.0060" } }));
+  assert.deepEqual(chosen.items.map((it) => it.oz), ["01.0050", "01.0020", "01.0040", "01.0060"]);
+  assert.equal(chosen.items.some((it) => "type" in it || "altSerNo" in it), false);
+  assert.deepEqual(chosen.gaeb.extraItems.map((it) => it.oz), ["01.0030"]);
+  const calc = calculateOffer(parseOfferInput(chosen), { marginRate: 0, taxRate: 19 });
+  assert.equal(calc.subtotal, 50 + 600 + 500 + 80);
+
+  let error;
+  try {
+    applyChoices(base, ChoicesSchema.parse({ optional: ["01.0030"], alternatives: { 1: "01.0020", 9: "01.0030" } }));
+  } catch (e) {
+    error = e;
+  }
+  assert.deepEqual(error.issues.map((i) => i.path), ["choices.optional.0", "choices.alternatives.1", "choices.alternatives.9"]);
+});
+
+test("Freie Bedarfs- und Wahlpositionen: Auswahl wird an Ort und Stelle zur normalen Position", () => {
+  const inp = parseOfferInput({
+    company: { name: "Maler GmbH" },
+    customer: { name: "Erika Muster" },
+    project: { title: "Wohnung" },
+    laborRatePerHour: 60,
+    items: [
+      { description: "Wände weiß", quantity: 40, unit: "m²", unitPrice: 4, section: ["Wohnzimmer"], altGroup: "farbe" },
+      { description: "Wände farbig", quantity: 40, unit: "m²", unitPrice: 6, section: ["Wohnzimmer"], altGroup: "farbe", type: "alternative" },
+      { description: "Schimmel behandeln", quantity: 2, unit: "m²", unitPrice: 30, section: ["Bad"], type: "optional" },
+      { description: "Decke", quantity: 20, unit: "m²", unitPrice: 3, section: ["Bad"] },
+    ],
+  });
+  const offer = offerOf(inp);
+  const { optional, alternatives } = offerChoices(offer);
+  assert.deepEqual(optional.map((o) => [o.pos, o.section]), [["2.1", ["Bad"]]]);
+  assert.deepEqual(alternatives.map((g) => [g.group, g.replaces, g.options.map((o) => o.pos)]), [["farbe", ["1.1"], ["1.2"]]]);
+
+  const chosen = applyChoices(offer, { optional: ["2.1"], alternatives: { farbe: "1.2" } });
+  assert.deepEqual(chosen.items.map((it) => [it.description, it.type]), [
+    ["Wände farbig", undefined], ["Schimmel behandeln", undefined], ["Decke", undefined],
+  ]);
+  assert.equal(calculateOffer(parseOfferInput(chosen), { marginRate: 0 }).subtotal, 240 + 60 + 60);
+});
+
+test("Prüfsumme: unabhängig von der Feldreihenfolge, ohne Status und Verlauf", () => {
+  const offer = { number: "AN-2026-0001", version: 2, input: { a: 1, b: [1, { c: 2 }] }, total: 119 };
+  const hash = offerHash(offer);
+  assert.match(hash, /^[0-9a-f]{64}$/);
+  assert.equal(offerHash({ total: 119, input: { b: [1, { c: 2 }], a: 1 }, version: 2, number: "AN-2026-0001" }), hash);
+  assert.equal(offerHash({ ...offer, status: "angenommen", statusHistory: [1], acceptance: { name: "X" } }), hash);
+  assert.notEqual(offerHash({ ...offer, total: 120 }), hash);
+  assert.notEqual(offerHash({ ...offer, version: 3 }), hash);
+});
+
+test("Token, Laufzeit, Annahme und Kundenansicht", () => {
+  const { token, hash, hint } = generatePortalToken();
+  assert.match(token, /^ak_[\w-]{43}$/);
+  assert.equal(hash, hashPortalToken(token));
+  assert.equal(hint, token.slice(0, 8));
+
+  const now = Date.parse("2026-03-01T10:00:00Z");
+  assert.equal(portalLinkExpiry("2026-03-31", now), Date.parse("2026-03-31T23:59:59Z"));
+  assert.equal(portalLinkExpiry("2026-02-01", now), now + 30 * 86400000);
+  assert.equal(portalLinkExpiry(undefined, now), now + 30 * 86400000);
+
+  const png = "data:image/png;base64,iVBORw0KGgo=";
+  assert.equal(AcceptSchema.safeParse({ version: 1, name: "Erika Muster", signature: png }).success, true);
+  const bad = AcceptSchema.safeParse({ version: 0, name: " E ", signature: "data:image/svg+xml;base64,PHN2Zz4=" });
+  assert.deepEqual(bad.error.issues.map((i) => i.path.join(".")), ["version", "name", "signature"]);
+
+  const calc = calculateOffer(input(), { marginRate: 10, taxRate: 19 });
+  const view = portalOffer({
+    id: "o1", number: "AN-2026-0001", version: 1, status: "abgelehnt", title: "Schule", input: input(), ...calc, createdBy: "chef",
+    revisions: [], acceptance: { name: "Erika", ts: 1, version: 1, hash: "h", choices: {}, ip: "10.0.0.1", signature: png },
+    rejection: { ts: 2, comment: "zu teuer", ip: "10.0.0.1" },
+  }, { name: "Maler GmbH" });
+  assert.equal(view.items.some((it) => "kind" in it), false);
+  assert.deepEqual(Object.keys(view.acceptance), ["name", "ts", "version", "hash", "choices"]);
+  assert.deepEqual(view.rejection, { ts: 2, comment: "zu teuer" });
+  assert.equal(["id", "createdBy", "revisions", "costTypes"].some((k) => k in view), false);
+  assert.equal(view.choices.optional.length, 1);
+});
@@ -0,0 +1,77 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  base32Decode, base32Encode, checkPassword, findRecoveryCode, generateApiToken, generateRecoveryCodes, generateSecret, hashApiToken,
+  otpauthUrl, totp, verifyTotp,
+} from "../auth.mjs";
+
+// RFC 6238, Anhang B: Schlüssel "12345678901234567890" (SHA-1); 6 Stellen = letzte 6 der 8-stelligen Werte
+const RFC_SECRET = base32Encode(Buffer.from("12345678901234567890"));
+
+test("TOTP: Testvektoren aus RFC 6238", () => {
+  assert.equal(RFC_SECRET, "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ");
+  assert.equal(totp(RFC_SECRET, 59 * 1000), "287082");
+  assert.equal(totp(RFC_SECRET, 1111111109 * 1000), "081804");
+  assert.equal(totp(RFC_SECRET, 1234567890 * 1000), "005924");
+  assert.equal(totp(RFC_SECRET, 2000000000 * 1000), "279037");
+});
+
+test("TOTP: Toleranz ein Zeitschritt, verbrauchte Schritte zählen nicht", () => {
+  const now = 1234567890 * 1000;
+  const step = Math.floor(now / 30000);
+  assert.equal(verifyTotp(RFC_SECRET, "005924", { now }), step);
+  assert.equal(verifyTotp(RFC_SECRET, "005 924", { now: now + 30000 }), step);
+  assert.equal(verifyTotp(RFC_SECRET, "005924", { now: now + 90000 }), null);
+  assert.equal(verifyTotp(RFC_SECRET, "005924", { now, afterStep: step }), null);
+  assert.equal(verifyTotp(RFC_SECRET, "abc", { now }), null);
+  assert.equal(verifyTotp(RFC_SECRET, "", { now }), null);
+});
+
+test("Base32 und Geheimnis", () => {
+  const secret = generateSecret();
+  assert.match(secret, /^[A-Z2-7]{32}$/);
+  assert.equal(base32Decode(secret).length, 20);
+  assert.deepEqual(base32Decode("gezd gnbv-gy3t qojq"), Buffer.from("1234567890"));
+  assert.throws(() => base32Decode("ABC1"), /Ungültiges Base32-Zeichen: 1/);
+  assert.equal(
+    otpauthUrl({ secret: "ABC", account: "anna", issuer: "Maler & Söhne" }),
+    "otpauth://totp/Maler%20%26%20S%C3%B6hne%3Aanna?secret=ABC&issuer=Maler%20%26%20S%C3%B6hne&algorithm=SHA1&digits=6&period=30",
+  );
+});
+
+test("Wiederherstellungscodes: nur Hashes gespeichert, Schreibweise egal", () => {
+  const { codes, hashes } = generateRecoveryCodes();
+  assert.equal(codes.length, 10);
+  assert.equal(new Set(codes).size, 10);
+  for (const c of codes) assert.match(c, /^[a-z2-7]{5}-[a-z2-7]{5}$/);
+  assert.ok(!hashes.includes(codes[0]));
+  assert.equal(findRecoveryCode(hashes, codes[3]), 3);
+  assert.equal(findRecoveryCode(hashes, ` ${codes[3].toUpperCase().replace("-", "")} `), 3);
+  assert.equal(findRecoveryCode(hashes, "aaaaa-aaaaa"), -1);
+  assert.equal(findRecoveryCode(hashes, ""), -1);
+});
+
+test("Passwort-Richtlinie", () => {
+  assert.deepEqual(checkPassword("Farbeimer-42"), []);
+  assert.deepEqual(checkPassword("admin"), [
+    "mindestens 10 Zeichen",
+    "mindestens drei von: Kleinbuchstaben, Großbuchstaben, Ziffern, Sonderzeichen",
+    "zu häufig verwendet",
+  ]);
+  assert.deepEqual(checkPassword(""), checkPassword(undefined));
+  assert.deepEqual(checkPassword("nurkleinbuchstaben"), ["mindestens drei von: Kleinbuchstaben, Großbuchstaben, Ziffern, Sonderzeichen"]);
+  assert.deepEqual(checkPassword("Meister-Anna1", { username: "anna" }), ["darf den Benutzernamen nicht enthalten"]);
+  assert.deepEqual(checkPassword("Passwort123"), ["zu häufig verwendet"]);
+  assert.deepEqual(checkPassword("Ümlaut-ärger9"), []);
+});
+
+test("API-Token: Klartext nur einmal, gespeichert wird der Hash", () => {
+  const a = generateApiToken();
+  const b = generateApiToken();
+  assert.match(a.token, /^mk_[A-Za-z0-9_-]{43}$/);
+  assert.notEqual(a.token, b.token);
+  assert.equal(a.hash, hashApiToken(a.token));
+  assert.equal(a.hash.length, 64);
+  assert.equal(a.hint, a.token.slice(0, 8));
+  assert.notEqual(hashApiToken(""), a.hash);
+});
@@ -0,0 +1,92 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { actualCosts, bookingCost, bookingInput, BookingSchema, dayHours, offerEstimate, postCalculation } from "../costs.mjs";
+
+const offer = {
+  number: "AN-2026-0001",
+  totalBeforeTax: 1100,
+  items: [
+    { description: "Malerarbeiten Bad", quantity: 10, unit: "Std", unitPrice: 50, kind: "labour", total: 500 },
+    { description: "Material: Dispersionsfarbe (12 l)", quantity: 12, unit: "l", unitPrice: 25, kind: "material", total: 300 },
+    { description: "Gerüst", quantity: 1, unit: "psch", unitPrice: 200, kind: "machine", total: 200 },
+  ],
+};
+
+test("Buchungen: Arten und Pflichtfelder", () => {
+  assert.ok(BookingSchema.safeParse({ kind: "zeit", date: "2026-03-02", employee: "geselle", hours: 7.5 }).success);
+  assert.ok(BookingSchema.safeParse({ kind: "material", date: "2026-03-02", description: "Farbe", quantity: 5, unit: "l" }).success);
+  assert.ok(BookingSchema.safeParse({ kind: "fremdleistung", date: "2026-03-02", vendor: "Gerüstbau Nord", amount: 250 }).success);
+  const bad = BookingSchema.safeParse({ kind: "zeit", date: "2.3.2026", employee: "geselle", hours: 30 });
+  assert.deepEqual(bad.error.issues.map((i) => i.path.join(".")), ["date", "hours"]);
+  assert.equal(BookingSchema.safeParse({ kind: "urlaub", date: "2026-03-02" }).success, false);
+
+  assert.equal(bookingCost({ kind: "zeit", hours: 1.5, costRate: 38.9 }), 58.35);
+  assert.equal(bookingCost({ kind: "zeit", hours: 2 }, 40), 80);
+  assert.equal(bookingCost({ kind: "material", quantity: 3, unitCost: 0.1 }), 0.3);
+  assert.equal(bookingCost({ kind: "fremdleistung", amount: 99.99 }), 99.99);
+});
+
+test("Buchen ohne costs.view: keine eigenen Sätze, nur auf sich selbst", () => {
+  const body = { kind: "zeit", date: "2026-03-02", employee: "meister", hours: 8, costRate: 0 };
+  assert.deepEqual(bookingInput(body, { employee: "azubi", seesCosts: false }), { kind: "zeit", date: "2026-03-02", employee: "azubi", hours: 8 });
+  assert.deepEqual(bookingInput(body, { employee: "buero", seesCosts: true }), body);
+
+  const material = bookingInput({ kind: "material", sku: "MAL-FARBE", quantity: 5, unit: "l", unitCost: 0.01 }, { employee: "azubi", seesCosts: false });
+  assert.ok(!("unitCost" in material));
+  // Fremdleistungen bucht man mit dem Rechnungsbetrag
+  assert.equal(bookingInput({ kind: "fremdleistung", vendor: "Gerüstbau", amount: 250 }, { employee: "azubi", seesCosts: false }).amount, 250);
+});
+
+test("Soll aus dem Angebot, Ist je Mitarbeiter und Tag", () => {
+  assert.deepEqual(offerEstimate([offer]), {
+    offers: ["AN-2026-0001"], revenue: 1100, hours: 10, labour: 500, material: 300, other: 200, total: 1000,
+    materials: [{ unit: "l", quantity: 12, value: 300 }],
+  });
+  const bookings = [
+    { kind: "zeit", date: "2026-03-03", employee: "tom", hours: 4, costRate: 40 },
+    { kind: "zeit", date: "2026-03-02", employee: "tom", hours: 3, costRate: 40 },
+    { kind: "zeit", date: "2026-03-02", employee: "ali", hours: 8 },
+    { kind: "material", date: "2026-03-02", description: "Farbe", quantity: 10, unit: "Liter", unitCost: 8 },
+  ];
+  const actual = actualCosts(bookings, 30);
+  assert.equal(actual.labour, 520);
+  assert.deepEqual(actual.materials, [{ unit: "l", quantity: 10, cost: 80 }]);
+  assert.deepEqual(actual.byEmployee, [{ employee: "ali", hours: 8, cost: 240 }, { employee: "tom", hours: 7, cost: 280 }]);
+  assert.deepEqual(actual.byDay.map((d) => `${d.date} ${d.employee} ${d.hours}`), [
+    "2026-03-02 ali 8", "2026-03-02 tom 3", "2026-03-03 tom 4",
+  ]);
+  assert.equal(dayHours([...bookings, { kind: "zeit", date: "2026-03-02", employee: "tom", hours: 2.5 }], "tom", "2026-03-02"), 5.5);
+  assert.equal(dayHours(bookings, "ali", "2026-03-03"), 0);
+});
+
+test("Nachkalkulation: Marge, Budget und Warnungen", () => {
+  const project = { id: "p1", budget: 1000 };
+  const bookings = [
+    { kind: "zeit", date: "2026-03-02", employee: "tom", hours: 12 },
+    { kind: "material", date: "2026-03-02", description: "Farbe", quantity: 14, unit: "l", unitCost: 9 },
+    { kind: "fremdleistung", date: "2026-03-04", vendor: "Gerüstbau Nord", amount: 150 },
+  ];
+  // ohne internen Satz: Satz aus dem Angebot (500 € / 10 Std)
+  const calc = postCalculation({ project, offers: [offer], bookings });
+  assert.equal(calc.actual.labour, 600);
+  assert.equal(calc.actual.total, 876);
+  assert.deepEqual(calc.hours, { planned: 10, actual: 12, diff: 2, percent: 120 });
+  assert.deepEqual(calc.materials, [{ unit: "l", planned: 12, actual: 14, diff: 2, percent: 116.67 }]);
+  assert.deepEqual(calc.margin, { amount: 224, percent: 20.36 });
+  assert.equal(calc.budgetUsed, 87.6);
+  assert.deepEqual(calc.warnings.map((w) => w.code), ["hours_exceeded", "material_exceeded", "no_cost_rate"]);
+
+  const over = postCalculation({ project, offers: [offer], bookings, costRate: 60 });
+  assert.equal(over.actual.total, 996);
+  assert.deepEqual(over.warnings.map((w) => [w.code, w.level]), [
+    ["budget_warning", "warn"], ["hours_exceeded", "warn"], ["material_exceeded", "warn"],
+  ]);
+  const lost = postCalculation({ project: { id: "p1" }, offers: [offer], bookings, costRate: 80 });
+  assert.equal(lost.budget, 1100);
+  assert.deepEqual(lost.warnings.map((w) => w.code), ["budget_exceeded", "hours_exceeded", "material_exceeded", "negative_margin"]);
+
+  const none = postCalculation({ project: { id: "p2" }, bookings: [] });
+  assert.equal(none.margin, null);
+  assert.equal(none.budgetUsed, null);
+  assert.deepEqual(none.warnings.map((w) => w.code), ["no_offer"]);
+});
@@ -0,0 +1,172 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  billingAddress, customerProblems, customersFromCsv, customersFromVcards, customerTimeline, decodeText, findDuplicates,
+  matchCustomer, mergeCustomers, normalizeName, normalizePhone, parseCsv, reassignCustomer,
+} from "../customers.mjs";
+import { invoiceChecksum, withInvoiceState } from "../invoices.mjs";
+
+test("Namen und Telefonnummern werden für den Vergleich vereinheitlicht", () => {
+  assert.equal(normalizeName("Müller, Anna"), normalizeName("Anna Mueller"));
+  assert.equal(normalizeName("Maler Schmidt GmbH & Co. KG"), "maler schmidt");
+  assert.equal(normalizePhone("+49 (221) 123 456"), "0221123456");
+  assert.equal(normalizePhone("0049 221/123456"), "0221123456");
+  assert.equal(normalizePhone("110"), "");
+});
+
+test("Dubletten über E-Mail, Telefon, USt-IdNr. und ähnliche Namen", () => {
+  const list = [
+    { id: "1", name: "Anna Müller", email: "anna@example.de", zip: "50667" },
+    { id: "2", name: "Müller, Anna", phone: "0221 1234567" },
+    { id: "3", name: "Hausverwaltung Nord", contacts: [{ name: "Herr Kurz", email: "ANNA@example.de" }] },
+    { id: "4", name: "Bau Schmitz GmbH", zip: "50667", vatId: "DE 123456789" },
+    { id: "5", name: "Bau Schmidt", zip: "50667" },
+    { id: "6", name: "Schmitz Bau AG", vatId: "de123456789" },
+    { id: "7", name: "Bernd Berg", phone: "+49 221 1234567" },
+  ];
+  const pairs = findDuplicates(list).map((p) => [p.a, p.b, p.reasons.join("+")]);
+  assert.deepEqual(pairs, [
+    ["4", "6", "USt-IdNr.+Name"],
+    ["1", "3", "E-Mail"],
+    ["1", "2", "Name"],
+    ["2", "7", "Telefon"],
+    ["4", "5", "Name ähnlich, gleiche PLZ"],
+  ]);
+  assert.deepEqual(matchCustomer({ name: "Anna Mueller" }, list).map((m) => m.id), ["1", "2"]);
+  assert.deepEqual(matchCustomer({ name: "Ganz Neu" }, list), []);
+});
+
+test("Zusammenführen übernimmt fehlende Daten und erhält Abweichendes", () => {
+  const target = {
+    id: "t", name: "Anna Müller", email: "anna@example.de", street: "Ring 1", zip: "50667", city: "Köln",
+    contacts: [{ id: "c1", name: "Anna", email: "anna@example.de", primary: true }], note: "Stammkundin", createdAt: 200,
+  };
+  const source = {
+    id: "s", name: "Müller, Anna", email: "a.mueller@firma.de", phone: "0221 1", vatId: "DE1", street: "Weg 2", city: "Bonn",
+    contacts: [{ id: "c2", name: "Buchhaltung", email: "buha@firma.de", primary: true }],
+    addresses: [{ id: "a1", kind: "rechnung", street: "Postfach 9", city: "Bonn" }], note: "Rechnung per Post",
+    mergedIds: ["alt"], createdAt: 100,
+  };
+  const m = mergeCustomers(target, source);
+  assert.equal(m.id, "t");
+  assert.equal(m.name, "Anna Müller");
+  assert.equal(m.phone, "0221 1");
+  assert.equal(m.type, "gewerblich");
+  assert.equal(m.createdAt, 100);
+  assert.deepEqual(m.mergedIds, ["s", "alt"]);
+  assert.equal(m.note, "Stammkundin\nRechnung per Post");
+  assert.deepEqual(m.contacts.map((c) => [c.name, c.email, !!c.primary]), [
+    ["Anna", "anna@example.de", true],
+    ["Buchhaltung", "buha@firma.de", false],
+    ["Müller, Anna", "a.mueller@firma.de", false],
+  ]);
+  assert.deepEqual(m.addresses.map((a) => [a.kind, a.street]), [["rechnung", "Postfach 9"], ["baustelle", "Weg 2"]]);
+  assert.deepEqual(customerProblems(m), []);
+  assert.deepEqual(billingAddress(m), { street: "Postfach 9", zip: undefined, city: "Bonn", countryCode: undefined });
+  assert.deepEqual(billingAddress(target), { street: "Ring 1", zip: "50667", city: "Köln", countryCode: undefined });
+});
+
+test("Zusammenführen hängt Projekte, Angebote, Rechnungen und Dokumente um", () => {
+  const sealed = (inv) => ({ ...inv, checksum: invoiceChecksum(inv) });
+  const invoice = sealed({ id: "i1", number: "RE-2026-0001", customerId: "s", customer: { name: "Müller, Anna" }, total: 119 });
+  const tampered = { ...sealed({ id: "i2", customerId: "s", total: 238 }), total: 1 };
+  const lists = {
+    projects: [{ id: "p1", customerId: "s" }, { id: "p2", customerId: "x" }],
+    offers: [{ id: "o1", customerId: "s" }, { id: "o2", customerId: null }],
+    invoices: [invoice, tampered, sealed({ id: "i3", customerId: "t" })],
+    documents: [{ id: "d1", customerId: "s" }, { id: "d2" }],
+  };
+  const changes = reassignCustomer(lists, "s", "t");
+  assert.deepEqual(Object.fromEntries(Object.entries(changes).map(([k, l]) => [k, l.map((x) => [x.id, x.customerId])])), {
+    projects: [["p1", "t"]],
+    offers: [["o1", "t"]],
+    invoices: [["i1", "t"], ["i2", "t"]],
+    documents: [["d1", "t"]],
+  });
+  // Gedruckter Inhalt bleibt, die Rechnung gilt weiter als intakt; eine veränderte bleibt auffällig
+  const [moved, stillTampered] = changes.invoices;
+  assert.deepEqual(moved.customer, { name: "Müller, Anna" });
+  assert.equal(withInvoiceState(moved, []).intact, true);
+  assert.equal(withInvoiceState(stillTampered, []).intact, false);
+  assert.equal(lists.invoices[0].customerId, "s");
+});
+
+test("Regeln über mehrere Felder", () => {
+  assert.deepEqual(customerProblems({ type: "privat", vatId: "DE1" }).map((i) => i.path), ["body.vatId"]);
+  assert.deepEqual(customerProblems({
+    contacts: [{ name: "a", primary: true }, { name: "b", primary: true }],
+    addresses: [{ kind: "rechnung" }, { kind: "rechnung" }, { kind: "baustelle" }],
+  }).map((i) => i.path), ["body.contacts", "body.addresses"]);
+});
+
+test("CSV: Trenner, Anführungszeichen, Spaltennamen und Zeichensatz", () => {
+  assert.deepEqual(parseCsv('a,b\n"x, y","z ""q"""\n'), [["a", "b"], ["x, y", 'z "q"']]);
+  assert.deepEqual(parseCsv('a;b\r\n"zwei\nZeilen";2\r\n\r\n'), [["a", "b"], ["zwei\nZeilen", "2"]]);
+
+  const csv = "Vorname;Nachname;E-Mail;Straße;PLZ;Ort;Land;USt-IdNr.;Typ\n" +
+    "Anna;Müller;anna@example.de;Ring 1;50667;Köln;Deutschland;;privat\n" +
+    ";Bau GmbH;;;;;AT;ATU1;Firma\n";
+  assert.deepEqual(customersFromCsv(csv), [
+    { row: 2, data: { email: "anna@example.de", street: "Ring 1", zip: "50667", city: "Köln", name: "Anna Müller", type: "privat", countryCode: "DE" } },
+    { row: 3, data: { vatId: "ATU1", name: "Bau GmbH", type: "gewerblich", countryCode: "AT" } },
+  ]);
+  // eigener Export (id/createdAt werden ignoriert)
+  const own = 'id;name;email;phone;street;city;note;createdAt\n"x1";"Anna";"";"";"";"Köln";"";"2026-01-01T00:00:00.000Z"\n';
+  assert.deepEqual(customersFromCsv(own)[0].data, { name: "Anna", city: "Köln" });
+  assert.throws(() => customersFromCsv("email;ort\na@b.de;Köln"), /Spalte Name/);
+
+  assert.equal(decodeText(Buffer.from("Straße", "latin1")), "Straße");
+  assert.equal(decodeText(Buffer.from("\uFEFFStraße", "utf8")), "Straße");
+});
+
+test("vCard: Privatperson, Firma mit Ansprechpartner, Quoted-Printable", () => {
+  const vcf = [
+    "BEGIN:VCARD", "VERSION:3.0", "N:Müller;Anna;;;", "FN:Anna Müller", "EMAIL;TYPE=HOME:anna@example.de",
+    "TEL;TYPE=CELL:+49 170 1234567", "ADR;TYPE=HOME:;;Ring 1;Köln;;50667;Deutschland", "NOTE:Schlüssel beim\\nNachbarn", "END:VCARD",
+    "BEGIN:VCARD", "VERSION:4.0", "FN:Karl Kurz", "ORG:Hausverwaltung Nord GmbH;Technik", "TITLE:Objektbetreuer",
+    "EMAIL:kurz@hv-nord.de", "EMAIL;TYPE=WORK:technik@hv-nord.de", "TEL;VALUE=uri:tel:+49-40-123456", "END:VCARD",
+    "BEGIN:VCARD", "VERSION:2.1", "N;CHARSET=UTF-8;ENCODING=QUOTED-PRINTABLE:B=C3=B6hm;J=C3=BC", "rgen;;;", "END:VCARD",
+  ].join("\r\n").replace("J=C3=BC\r\nrgen", "J=C3=BC=\r\nrgen");
+  const [anna, hv, boehm] = customersFromVcards(vcf).map((r) => r.data);
+  assert.deepEqual(anna, {
+    name: "Anna Müller", type: "privat", email: "anna@example.de", phone: "+49 170 1234567",
+    street: "Ring 1", city: "Köln", zip: "50667", countryCode: "DE", note: "Schlüssel beim\nNachbarn",
+  });
+  assert.equal(hv.name, "Hausverwaltung Nord GmbH");
+  assert.equal(hv.type, "gewerblich");
+  assert.equal(hv.email, "technik@hv-nord.de");
+  assert.deepEqual(hv.contacts, [{ name: "Karl Kurz", role: "Objektbetreuer", email: "technik@hv-nord.de", phone: "+49-40-123456", primary: true }]);
+  assert.equal(boehm.name, "Jürgen Böhm");
+});
+
+test("Verlauf eines Kunden aus Projekten, Angeboten, Rechnungen und Audit", () => {
+  const customer = { id: "c1", name: "Anna", email: "anna@example.de", mergedIds: ["c0"] };
+  const events = customerTimeline({
+    customer,
+    projects: [{ id: "p1", title: "Bad", createdAt: 10 }],
+    offers: [{
+      id: "o1", number: "AN-1", title: "Bad fliesen", total: 1190,
+      statusHistory: [{ status: "entwurf", ts: 20, user: "meister" }, { status: "versendet", ts: 30, user: "meister" }],
+    }],
+    invoices: [{ id: "i1", number: "RE-1", type: "rechnung", total: 1190, createdAt: 50, createdBy: "buero" }],
+    audit: [
+      { ts: 5, action: "customer.create", meta: { id: "c0" }, user: { username: "buero" } },
+      { ts: 60, action: "customer.merge", meta: { id: "c1", sourceId: "c0", sourceName: "A. Müller" }, user: { username: "buero" } },
+      { ts: 40, action: "pdf.mail", meta: { to: "Anna@Example.de", name: "Angebot.pdf" }, user: { username: "meister" } },
+      { ts: 45, action: "pdf.mail", meta: { to: "fremd@example.de", name: "x.pdf" } },
+      { ts: 46, action: "customer.update", meta: { id: "c9" } },
+    ],
+    prices: false,
+  });
+  assert.deepEqual(events.map((e) => [e.ts, e.type, e.title]), [
+    [60, "customer", "Dublette zusammengeführt"],
+    [50, "invoice", "Rechnung RE-1 erstellt"],
+    [40, "mail", "E-Mail an Anna@Example.de"],
+    [30, "offer", "Angebot AN-1 versendet"],
+    [20, "offer", "Angebot AN-1 erstellt"],
+    [10, "project", "Projekt „Bad“ angelegt"],
+    [5, "customer", "Kunde angelegt"],
+  ]);
+  assert.equal(events.find((e) => e.ts === 20).amount, undefined);
+  assert.equal(events.find((e) => e.ts === 50).amount, 1190);
+});
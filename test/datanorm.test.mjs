@@ -0,0 +1,93 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { CatalogSchema, DEFAULT_CATALOG } from "../catalog.mjs";
+import { applyDatanorm, parseDatanorm, purchasePrice } from "../datanorm.mjs";
+
+// Datanorm 4: V-Satz spaltenfest, übrige Sätze mit Semikolon; Preise mit zwei impliziten Nachkommastellen
+const v4 = `V 010326${"Elektro Großhandel Nord".padEnd(40)}${"".padEnd(75)}04EUR`;
+const DATANORM = [
+  v4,
+  "A;N;4711;00;Leitung NYM-J 3x1,5;Ring 100 m;1;2;M;8500;E1;ELT;",
+  "B;N;4711;NYM315;;;;;4012345678901;",
+  "A;N;5001;00;Steckdose UP;reinweiß;2;0;STK;489;E2;ELT;",
+  "A;N;6002;00;Abzweigdose AP;;2;0;ST;215;E2;ELT;",
+  "A;L;7003;00;Auslaufartikel;;2;0;STK;100;;;",
+  "A;N;8004;00;Farbe weiß 10 l;;2;0;EIM;3990;;;",
+].join("\r\n");
+const RABATT = "R;E1;1;4000;Kabel und Leitungen\r\nR;E2;2;0850;Installationsmaterial";
+const PREISE = "P;A;5001;2;499;;;;;;;6002;1;300;1;1000;;;;;";
+
+const catalog = () => ({
+  ...DEFAULT_CATALOG,
+  articles: [
+    ...DEFAULT_CATALOG.articles,
+    { sku: "ELE-DOSE", name: "Abzweigdose", unit: "Stk", purchasePrice: 2, salePrice: 3.2, supplierSku: "6002" },
+    { sku: "GH-7003", name: "Auslaufartikel", unit: "Stk", purchasePrice: 1, salePrice: 2 },
+    { sku: "MAL-WEISS", name: "Farbe weiß", unit: "l", purchasePrice: 3.5, salePrice: 5.5, supplierSku: "8004" },
+  ].map((a) => (a.sku === "ELE-NYM-3X15" ? { ...a, supplierSku: "4711" } : a)),
+});
+
+test("Datanorm 4: Kopf, A-/B-Sätze, Preiseinheit und Rabattgruppen", () => {
+  const dn = parseDatanorm([Buffer.from(DATANORM, "latin1"), RABATT]);
+  assert.equal(dn.version, 4);
+  assert.equal(dn.supplier, "Elektro Großhandel Nord");
+  assert.equal(dn.date, "20260301");
+  const nym = dn.articles.find((a) => a.artNr === "4711");
+  assert.deepEqual(
+    { name: nym.name, unit: nym.unit, price: nym.price, priceUnit: nym.priceUnit, priceKind: nym.priceKind, ean: nym.ean },
+    { name: "Leitung NYM-J 3x1,5 Ring 100 m", unit: "m", price: 85, priceUnit: 100, priceKind: "list", ean: "4012345678901" },
+  );
+  assert.deepEqual(dn.rebates, { E1: { percent: 40, label: "Kabel und Leitungen" }, E2: { factor: 0.85, label: "Installationsmaterial" } });
+  // 85,00 € je 100 m Listenpreis, 40 % Rabattgruppe E1
+  assert.equal(purchasePrice(nym, dn.rebates), 0.51);
+  assert.equal(dn.articles.find((a) => a.artNr === "7003").mode, "L");
+});
+
+test("CP850-codierte Dateien behalten ihre Umlaute", () => {
+  const dos = Buffer.from("A;N;1;00;Kabelbinder schwarz;f\x81r au\xe1en;2;0;STK;10;;;", "latin1");
+  assert.equal(parseDatanorm(dos).articles[0].name, "Kabelbinder schwarz für außen");
+  assert.throws(() => parseDatanorm("irgendwas"), /Keine Datanorm-Sätze/);
+});
+
+test("P-Sätze ändern Preise; Positionsrabatte gehen vor Rabattgruppe", () => {
+  const dn = parseDatanorm([DATANORM, RABATT, PREISE]);
+  const dose = dn.articles.find((a) => a.artNr === "5001");
+  assert.equal(purchasePrice(dose, dn.rebates), 4.99);
+  // Listenpreis 3,00 € mit 10 % aus dem P-Satz statt Faktor 0,85 der Gruppe E2
+  assert.equal(purchasePrice(dn.articles.find((a) => a.artNr === "6002"), dn.rebates), 2.7);
+});
+
+test("Katalog-Abgleich: Änderungsbericht, Aufschlag bleibt, Einheitenkonflikte und Auslistungen", () => {
+  const dn = parseDatanorm([DATANORM, RABATT, PREISE]);
+  const { articles, report } = applyDatanorm(catalog(), dn, { prefix: "GH-" });
+
+  const nym = articles.find((a) => a.sku === "ELE-NYM-3X15");
+  assert.equal(nym.purchasePrice, 0.51);
+  // VK 1,20 bei EK 0,75 → Aufschlag 60 % bleibt erhalten
+  assert.equal(nym.salePrice, 0.82);
+  assert.equal(nym.supplier, "Elektro Großhandel Nord");
+  assert.equal(nym.listPrice, 0.85);
+  assert.equal(nym.rebateGroup, "E1");
+
+  assert.deepEqual(report.changed.map((c) => [c.sku, c.purchasePrice.old, c.purchasePrice.new, c.changePercent]), [
+    ["ELE-NYM-3X15", 0.75, 0.51, -32],
+    ["ELE-DOSE", 2, 2.7, 35],
+  ]);
+  assert.deepEqual(report.discontinued, [{ sku: "GH-7003", name: "Auslaufartikel" }]);
+  assert.deepEqual(report.conflicts, [{ sku: "MAL-WEISS", name: "Farbe weiß", unit: "l", datanormUnit: "EIM" }]);
+  assert.equal(report.added.length, 0);
+  assert.equal(report.skipped, 1);
+  assert.ok(CatalogSchema.safeParse({ ...catalog(), articles }).success);
+});
+
+test("Neue Artikel nur auf Wunsch, mit Präfix und Standardaufschlag", () => {
+  const dn = parseDatanorm(DATANORM);
+  const { articles, report } = applyDatanorm(catalog(), dn, { prefix: "GH-", addNew: true, markupPercent: 25 });
+  assert.deepEqual(report.added, [{ sku: "GH-5001", name: "Steckdose UP reinweiß", unit: "Stk", purchasePrice: 4.89, salePrice: 6.11 }]);
+  assert.equal(articles.find((a) => a.sku === "GH-5001").group, "ELT");
+  // Zweiter Lauf mit gleichen Preisen ändert nichts
+  const again = applyDatanorm({ ...catalog(), articles }, dn, { prefix: "GH-", addNew: true, markupPercent: 25 });
+  assert.equal(again.report.added.length, 0);
+  assert.equal(again.report.changed.length, 0);
+  assert.equal(again.report.unchanged, 3);
+});
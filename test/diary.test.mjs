@@ -0,0 +1,55 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  byDiaryOrder, diaryChecksum, diaryHours, DiaryEntrySchema, DiaryNoteSchema, diaryNoteTarget, nextDiaryNumber, noteLine, signDiaryEntry,
+  withDiaryState,
+} from "../diary.mjs";
+
+test("Eintrag: Pflichtfelder, Wetter und Standardwerte", () => {
+  const parsed = DiaryEntrySchema.parse({ date: "2026-03-02", workDone: "Wände gespachtelt" });
+  assert.deepEqual(parsed, { date: "2026-03-02", weather: {}, staff: [], workDone: "Wände gespachtelt", photos: [] });
+
+  const bad = DiaryEntrySchema.safeParse({
+    date: "02.03.2026", weather: { condition: "heiß" }, staff: [{ name: "Tom", hours: 25 }], workDone: "",
+  });
+  assert.deepEqual(bad.error.issues.map((i) => i.path.join(".")), ["date", "weather.condition", "staff.0.hours", "workDone"]);
+  assert.equal(diaryHours({ staff: [{ name: "Tom", hours: 7.5 }, { name: "Ali", hours: 4.25 }] }), 11.75);
+});
+
+test("Unterschrift sperrt den Eintrag, Änderungen fallen über die Prüfsumme auf", () => {
+  const entry = { id: "d1", projectId: "p1", number: 1, date: "2026-03-02", workDone: "Grundierung", staff: [], photos: [] };
+  assert.deepEqual(withDiaryState(entry), { ...entry, totalHours: 0, locked: false });
+
+  const signed = signDiaryEntry(entry, { user: "meister", name: "Max Meister", ts: 1000 });
+  assert.equal(signed.signerName, "Max Meister");
+  assert.equal(signed.checksum, diaryChecksum(signed));
+  assert.deepEqual([withDiaryState(signed).locked, withDiaryState(signed).intact], [true, true]);
+  assert.equal(withDiaryState({ ...signed, workDone: "Endanstrich" }).intact, false);
+  assert.throws(() => signDiaryEntry(signed, { user: "meister" }), /bereits unterschrieben/);
+  assert.equal(signDiaryEntry(entry, { user: "meister" }).signerName, "meister");
+});
+
+test("Nummern je Projekt und chronologische Reihenfolge", () => {
+  assert.equal(nextDiaryNumber([]), 1);
+  assert.equal(nextDiaryNumber([{ number: 1 }, { number: 3 }]), 4);
+  const entries = [
+    { number: 3, date: "2026-03-02" }, { number: 1, date: "2026-03-03" }, { number: 2, date: "2026-03-02" },
+  ];
+  assert.deepEqual(entries.sort(byDiaryOrder).map((e) => e.number), [2, 3, 1]);
+});
+
+test("Notizen der Baustellen-App: an offenen Eintrag anhängen, unterschriebener Tag ist ein Konflikt", () => {
+  const entries = [
+    { id: "a", number: 1, date: "2026-03-02", signedAt: 1 },
+    { id: "b", number: 2, date: "2026-03-02" },
+    { id: "c", number: 3, date: "2026-03-03", signedAt: 2 },
+  ];
+  assert.deepEqual(diaryNoteTarget(entries, "2026-03-02"), { action: "append", entry: entries[1] });
+  assert.deepEqual(diaryNoteTarget(entries, "2026-03-03"), { action: "conflict", entry: entries[2] });
+  assert.deepEqual(diaryNoteTarget(entries, "2026-03-04"), { action: "create" });
+
+  assert.equal(noteLine({ time: "07:30", text: "Estrich noch feucht" }), "[07:30] Estrich noch feucht");
+  assert.equal(noteLine({ text: "Material da" }), "Material da");
+  const bad = DiaryNoteSchema.safeParse({ date: "2026-03-02", time: "7 Uhr", text: "" });
+  assert.deepEqual(bad.error.issues.map((i) => i.path.join(".")), ["time", "text"]);
+});
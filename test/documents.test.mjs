@@ -0,0 +1,74 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { createJobQueue, DocumentQuerySchema, fileChecksum, filterDocuments, jobView, legacyDocument } from "../documents.mjs";
+
+test("Warteschlange: Aufträge nacheinander, Status und Fehler im Job", async () => {
+  const queue = createJobQueue({ concurrency: 1 });
+  const order = [];
+  const slow = () => new Promise((resolve) => setTimeout(() => { order.push("a"); resolve({ id: "d1" }); }, 20));
+  const a = queue.add({ tenantId: "t1", type: "angebot" }, slow);
+  const b = queue.add({ tenantId: "t1", type: "rechnung" }, () => { order.push("b"); throw new Error("kaputt"); });
+
+  assert.equal(a.job.status, "aktiv");
+  assert.equal(b.job.status, "wartend");
+  assert.deepEqual(queue.stats(), { waiting: 1, running: 1 });
+
+  assert.deepEqual(await a.done, { id: "d1" });
+  await assert.rejects(b.done, /kaputt/);
+  assert.deepEqual(order, ["a", "b"]);
+  assert.equal(queue.get(a.job.id).status, "fertig");
+  assert.deepEqual([b.job.status, b.job.error], ["fehler", "kaputt"]);
+
+  const view = jobView(a.job);
+  assert.equal(view.documentId, "d1");
+  assert.ok(!("tenantId" in view) && !("result" in view));
+  assert.equal(jobView(b.job).documentId, undefined);
+});
+
+test("Warteschlange: abgeschlossene Jobs verfallen nach keep", async () => {
+  let clock = 1000;
+  const queue = createJobQueue({ keep: 500, now: () => clock });
+  const { job, done } = queue.add({}, () => "ok");
+  await done;
+  await new Promise((resolve) => setImmediate(resolve));
+  clock += 501;
+  queue.add({}, () => "ok");
+  assert.equal(queue.get(job.id), undefined);
+});
+
+test("Suche: Art, Verknüpfungen, Zeitraum und Text", () => {
+  const day = (iso) => Date.parse(`${iso}T10:00:00Z`);
+  const docs = [
+    { id: "1", type: "angebot", filename: "Angebot_AN-2026-0001_v1_Erika.pdf", number: "AN-2026-0001", customerId: "c1", createdAt: day("2026-03-01") },
+    { id: "2", type: "rechnung", filename: "Rechnung_RE-2026-0001.pdf", customerId: "c1", projectId: "p1", createdAt: day("2026-03-15") },
+    { id: "3", type: "bautagebuch", filename: "Bautagebuch_Bad.pdf", title: "Bautagebuch Bad", projectId: "p1", createdAt: day("2026-04-02") },
+  ];
+  const ids = (query) => filterDocuments(docs, DocumentQuerySchema.parse(query)).map((d) => d.id);
+  assert.deepEqual(ids({}), ["3", "2", "1"]);
+  assert.deepEqual(ids({ customerId: "c1" }), ["2", "1"]);
+  assert.deepEqual(ids({ projectId: "p1", type: "rechnung" }), ["2"]);
+  assert.deepEqual(ids({ from: "2026-03-15", to: "2026-03-31" }), ["2"]);
+  assert.deepEqual(ids({ q: "an-2026" }), ["1"]);
+  assert.deepEqual(ids({ q: "bad" }), ["3"]);
+
+  assert.equal(DocumentQuerySchema.safeParse({ type: "brief" }).success, false);
+  assert.equal(DocumentQuerySchema.safeParse({ from: "01.03.2026" }).success, false);
+});
+
+test("Altbestand: Art, Belegnummer und Version aus dem Dateinamen", () => {
+  assert.deepEqual(legacyDocument("Angebot_AN-2026-0004_v2_Erika_1767225600000.pdf"), { type: "angebot", number: "AN-2026-0004", version: 2 });
+  assert.deepEqual(legacyDocument("Angebot_Maler_Erika_2026-01-01_1767225600000.pdf"), { type: "angebot", number: null, version: null });
+  assert.deepEqual(legacyDocument("Schlussrechnung_RE-2026-0012_Erika_1767225600000.pdf"), { type: "rechnung", number: "RE-2026-0012", version: null });
+  assert.equal(legacyDocument("Bautagebuch_Bad_1767225600000.pdf").type, "bautagebuch");
+  assert.equal(legacyDocument("scan.pdf").type, "sonstiges");
+});
+
+test("Prüfsumme: SHA-256 der Datei", () => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "docs-")), "a.pdf");
+  fs.writeFileSync(file, "abc");
+  assert.equal(fileChecksum(file), "ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad");
+  fs.rmSync(path.dirname(file), { recursive: true });
+});
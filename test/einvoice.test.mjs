@@ -0,0 +1,215 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import PDFDocument from "pdfkit";
+import { calculateOffer, parseOfferInput, splitByTaxes } from "../offerEngine.mjs";
+import {
+  attachFacturX,
+  buildInvoiceModel,
+  EN16931_ID,
+  parseAddress,
+  toCII,
+  toUBL,
+  unitCode,
+  validateEN16931,
+} from "../einvoice.mjs";
+
+const seller = {
+  companyName: "Maler GmbH",
+  email: "info@maler.example",
+  phone: "030 123456",
+  street: "Farbweg 1",
+  zip: "10115",
+  city: "Berlin",
+  vatId: "DE123456789",
+  contactName: "Petra Pinsel",
+  iban: "DE02 1203 0000 0000 2020 51",
+  bic: "BYLADEM1001",
+};
+const buyer = { name: "Max Muster", email: "max@example.org", street: "Hauptstr. 5", zip: "80331", city: "München" };
+
+// Rechnung wie sie index.mjs aus einem angenommenen Angebot speichert
+function invoice(extra = {}, offerInput = {}) {
+  const offer = calculateOffer(parseOfferInput({
+    company: { name: "Maler GmbH" },
+    customer: { name: "Max Muster", address: "Hauptstr. 5, 80331 München" },
+    laborRatePerHour: 50,
+    items: [
+      { description: "Streichen", quantity: 10, unit: "Std", unitPrice: 50, discount: { type: "percent", value: 10 } },
+      { description: "Fachbuch", quantity: 1, unit: "Stk", unitPrice: 30, taxRate: 7 },
+    ],
+    discount: { type: "amount", value: 20 },
+    ...offerInput,
+  }), { marginRate: 10, taxRate: 19 });
+  return {
+    number: "RE-2026-0001",
+    type: "rechnung",
+    offerNumber: "AN-2026-0001",
+    company: { name: "Maler GmbH" },
+    customer: { name: "Max Muster", address: "Hauptstr. 5, 80331 München" },
+    ...offer,
+    deductions: [],
+    amountDue: offer.total,
+    invoiceDate: "2026-03-01",
+    serviceFrom: "2026-02-20",
+    serviceTo: "2026-02-24",
+    dueDate: "2026-03-15",
+    ...extra,
+  };
+}
+
+test("Rechnung mit zwei Steuersätzen, Aufschlag und Rabatten ist gültig und geht auf", () => {
+  const m = buildInvoiceModel(invoice(), { seller, buyer });
+  const check = validateEN16931(m);
+  assert.deepEqual(check.errors, []);
+  assert.equal(m.typeCode, "380");
+  assert.deepEqual(m.taxes.map((t) => [t.category, t.rate]), [["S", 19], ["S", 7]]);
+  assert.equal(m.lines[0].unitCode, "HUR");
+  assert.equal(m.lines[0].allowance, 50);
+  assert.ok(m.charges.length && m.allowances.length);
+  assert.equal(m.totals.grand, invoice().total);
+  assert.equal(m.buyerReference, "AN-2026-0001");
+});
+
+test("CII enthält Spezifikation, Summen und Steueraufschlüsselung", () => {
+  const inv = invoice();
+  const xml = toCII(buildInvoiceModel(inv, { seller, buyer }));
+  assert.match(xml, /<ram:ID>urn:cen\.eu:en16931:2017#compliant#urn:xeinkauf\.de:kosit:xrechnung_3\.0<\/ram:ID>/);
+  assert.match(xml, /<udt:DateTimeString format="102">20260301<\/udt:DateTimeString>/);
+  assert.match(xml, new RegExp(`<ram:GrandTotalAmount>${inv.total.toFixed(2)}</ram:GrandTotalAmount>`));
+  assert.match(xml, /<ram:IBANID>DE02120300000000202051<\/ram:IBANID>/);
+  assert.equal((xml.match(/<ram:ApplicableTradeTax><ram:CalculatedAmount>/g) || []).length, 2);
+  assert.match(xml, /München/);
+});
+
+test("UBL: Rechnung und Storno als Gutschrift mit positiven Beträgen", () => {
+  const inv = invoice();
+  const ubl = toUBL(buildInvoiceModel(inv, { seller, buyer }));
+  assert.match(ubl, /^<\?xml[^>]*>\n<Invoice xmlns="urn:oasis:names:specification:ubl:schema:xsd:Invoice-2"/);
+  assert.match(ubl, /<cbc:InvoiceTypeCode>380<\/cbc:InvoiceTypeCode>/);
+
+  const neg = (n) => Math.round(-n * 100) / 100;
+  const storno = {
+    ...inv,
+    type: "storno",
+    number: "RE-2026-0002",
+    cancelsNumber: inv.number,
+    items: inv.items.map((it) => ({ ...it, unitPrice: neg(it.unitPrice), total: neg(it.total), ...(it.discountAmount ? { discountAmount: neg(it.discountAmount) } : {}) })),
+    subtotal: neg(inv.subtotal),
+    margin: neg(inv.margin),
+    discountAmount: neg(inv.discountAmount),
+    totalBeforeTax: neg(inv.totalBeforeTax),
+    taxes: inv.taxes.map((t) => ({ ...t, net: neg(t.net), tax: neg(t.tax) })),
+    tax: neg(inv.tax),
+    total: neg(inv.total),
+    amountDue: neg(inv.amountDue),
+  };
+  const m = buildInvoiceModel(storno, { seller, buyer });
+  assert.deepEqual(validateEN16931(m).errors, []);
+  assert.equal(m.typeCode, "381");
+  assert.equal(m.totals.due, inv.total);
+  assert.deepEqual(m.precedingInvoices, ["RE-2026-0001"]);
+  const xml = toUBL(m);
+  assert.match(xml, /<CreditNote xmlns="urn:oasis:names:specification:ubl:schema:xsd:CreditNote-2"/);
+  assert.match(xml, /<cbc:CreditedQuantity unitCode="HUR">10<\/cbc:CreditedQuantity>/);
+  assert.doesNotMatch(xml, />-\d/);
+});
+
+test("Abschlag über zwei Steuersätze wird je Satz als Position übertragen", () => {
+  const full = invoice();
+  const taxes = splitByTaxes(100, full.taxes);
+  const tax = taxes.reduce((s, t) => s + t.tax, 0);
+  const inv = {
+    ...full,
+    type: "abschlag",
+    items: [{ description: "1. Abschlag gem. Angebot AN-2026-0001", quantity: 1, unit: "psch", unitPrice: 100, total: 100 }],
+    subtotal: 100, margin: 0, discountAmount: undefined, totalBeforeTax: 100, taxes, tax,
+    total: Math.round((100 + tax) * 100) / 100,
+    amountDue: Math.round((100 + tax) * 100) / 100,
+  };
+  const m = buildInvoiceModel(inv, { seller, buyer });
+  assert.deepEqual(validateEN16931(m).errors, []);
+  assert.equal(m.typeCode, "326");
+  assert.equal(m.lines.length, 2);
+  assert.equal(m.lines[0].unitCode, "LS");
+  assert.equal(m.lines.reduce((s, l) => s + l.net, 0), 100);
+});
+
+test("Schlussrechnung weist Abschläge als Vorauszahlung aus", () => {
+  const full = invoice();
+  const inv = invoice({
+    type: "schluss",
+    deductions: [{ number: "RE-2026-0000", net: 100, tax: 19, gross: 119 }],
+    amountDue: Math.round((full.total - 119) * 100) / 100,
+  });
+  const m = buildInvoiceModel(inv, { seller, buyer });
+  assert.deepEqual(validateEN16931(m).errors, []);
+  assert.equal(m.totals.prepaid, 119);
+  assert.match(toCII(m), /<ram:TotalPrepaidAmount>119\.00<\/ram:TotalPrepaidAmount>/);
+  assert.deepEqual(m.precedingInvoices, ["RE-2026-0000"]);
+});
+
+test("§ 13b: Kategorie AE mit Befreiungsgrund, USt-IdNr. des Käufers ist Pflicht", () => {
+  const inv = invoice({}, { reverseCharge: true });
+  const without = validateEN16931(buildInvoiceModel(inv, { seller, buyer }));
+  assert.ok(without.errors.some((e) => e.rule === "BR-AE-02"));
+
+  const m = buildInvoiceModel(inv, { seller, buyer: { ...buyer, vatId: "DE987654321" } });
+  assert.deepEqual(validateEN16931(m).errors, []);
+  assert.deepEqual(m.taxes.map((t) => [t.category, t.amount]), [["AE", 0]]);
+  assert.match(toCII(m), /<ram:ExemptionReasonCode>VATEX-EU-AE<\/ram:ExemptionReasonCode>/);
+});
+
+test("Skonto im XRechnung-Format in den Zahlungsbedingungen", () => {
+  const inv = invoice({ skonto: { percent: 2, days: 10, amount: 1, total: 1 } });
+  const m = buildInvoiceModel(inv, { seller, buyer });
+  assert.match(m.payment.terms, new RegExp(`^Zahlbar bis 15\\.03\\.2026 ohne Abzug\\.\\n#SKONTO#TAGE=10#PROZENT=2\\.00#BASISBETRAG=${inv.total.toFixed(2)}#\\n$`));
+  assert.deepEqual(validateEN16931(m).errors, []);
+});
+
+test("Fehlende Firmendaten: XRechnung-Regeln schlagen an, ZUGFeRD (EN 16931) nicht", () => {
+  const inv = invoice();
+  const m = buildInvoiceModel(inv, { seller: { companyName: "Maler GmbH", vatId: "DE123456789" }, buyer: {} });
+  const rules = validateEN16931(m).errors.map((e) => e.rule);
+  for (const r of ["BR-DE-3", "BR-DE-4", "BR-DE-5", "BR-DE-6", "BR-DE-7", "BR-DE-23-a"]) assert.ok(rules.includes(r), r);
+  // Käuferadresse kommt aus dem Freitext der Rechnung
+  assert.equal(m.buyer.zip, "80331");
+
+  const zugferd = buildInvoiceModel(inv, { seller: { companyName: "Maler GmbH", vatId: "DE123456789" }, specification: EN16931_ID });
+  assert.deepEqual(validateEN16931(zugferd, { xrechnung: false }).errors, []);
+});
+
+test("Summenfehler werden erkannt", () => {
+  const m = buildInvoiceModel(invoice(), { seller, buyer });
+  m.totals.grand += 0.01;
+  const rules = validateEN16931(m).errors.map((e) => e.rule);
+  assert.ok(rules.includes("BR-CO-15"));
+  assert.ok(rules.includes("BR-CO-16"));
+});
+
+test("Hilfsfunktionen: Einheiten und Freitext-Adressen", () => {
+  assert.equal(unitCode("m²"), "MTK");
+  assert.equal(unitCode("Stk"), "H87");
+  assert.equal(unitCode("Eimer"), "C62");
+  assert.deepEqual(parseAddress("Farbweg 1, 10115 Berlin"), { street: "Farbweg 1", zip: "10115", city: "Berlin" });
+  assert.deepEqual(parseAddress("irgendwo"), { street: "irgendwo" });
+});
+
+test("ZUGFeRD: XML wird mit AFRelationship und PDF/A-3-Metadaten eingebettet", async () => {
+  const doc = new PDFDocument({ pdfVersion: "1.7", compress: false });
+  const chunks = [];
+  doc.on("data", (c) => chunks.push(c));
+  const done = new Promise((resolve) => doc.on("end", resolve));
+  doc.text("Rechnung");
+  attachFacturX(doc, toCII(buildInvoiceModel(invoice(), { seller, buyer, specification: EN16931_ID })), { title: "Rechnung RE-2026-0001" });
+  doc.end();
+  await done;
+  const pdf = Buffer.concat(chunks).toString("latin1");
+  assert.match(pdf, /^%PDF-1\.7/);
+  assert.match(pdf, /\/AFRelationship \/Alternative/);
+  assert.match(pdf, /\/Subtype \/text#2Fxml/);
+  assert.match(pdf, /\(factur-x\.xml\)/);
+  assert.match(pdf, /<pdfaid:part>3<\/pdfaid:part>/);
+  assert.match(pdf, /<fx:ConformanceLevel>EN 16931<\/fx:ConformanceLevel>/);
+  assert.match(pdf, /\/AF \[\d+ 0 R\]/);
+  assert.match(pdf, /CrossIndustryInvoice/);
+});
@@ -0,0 +1,161 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_CATALOG } from "../catalog.mjs";
+import { calculateOffer, parseOfferInput } from "../offerEngine.mjs";
+import { gaebToOfferInput, normalizeUnit, parseGaeb, priceGaebItems, toX84 } from "../gaeb.mjs";
+
+const X83 = `\uFEFF<?xml version="1.0" encoding="UTF-8"?>
+<GAEB xmlns="http://www.gaeb.de/GAEB_DA_XML/DA83/3.2">
+  <GAEBInfo><Version>3.2</Version></GAEBInfo>
+  <PrjInfo><NamePrj>P-4711</NamePrj><LblPrj>Sanierung Schulstraße</LblPrj><Cur>EUR</Cur></PrjInfo>
+  <Award>
+    <DP>83</DP>
+    <OWN><Address><Name1>Stadt Musterhausen</Name1></Address></OWN>
+    <BoQ ID="B1">
+      <BoQInfo>
+        <Name>Malerarbeiten</Name>
+        <BoQBkdn><Type>BoQLevel</Type><Length>2</Length></BoQBkdn>
+        <BoQBkdn><Type>Item</Type><Length>4</Length></BoQBkdn>
+      </BoQInfo>
+      <BoQBody>
+        <BoQCtgy ID="C1" RNoPart="01">
+          <LblTx><p><span>Innenwände &amp; Decken</span></p></LblTx>
+          <BoQBody>
+            <Itemlist>
+              <Item ID="I1" RNoPart="0010">
+                <Qty>120,500</Qty><QU>m2</QU>
+                <Description><CompleteText>
+                  <DetailTxt><Text><p><span>Wände mit Dispersionsfarbe streichen,</span></p><p><span>zweimal deckend.</span></p></Text></DetailTxt>
+                  <OutlineText><OutlTxt><TextOutlTxt><p><span>Wände streichen</span></p></TextOutlTxt></OutlTxt></OutlineText>
+                </CompleteText></Description>
+              </Item>
+              <Item ID="I2" RNoPart="0020">
+                <Provis>WithoutTotal</Provis>
+                <Qty>10</Qty><QU>Std</QU>
+                <Description><CompleteText><OutlineText><OutlTxt><TextOutlTxt>Stundenlohnarbeiten</TextOutlTxt></OutlTxt></OutlineText></CompleteText></Description>
+              </Item>
+              <Item ID="I3" RNoPart="0030">
+                <ALNGroupNo>1</ALNGroupNo><ALNSerNo>1</ALNSerNo>
+                <Qty>120.5</Qty><QU>qm</QU>
+                <Description><CompleteText><OutlineText><OutlTxt><TextOutlTxt>Wände tapezieren</TextOutlTxt></OutlTxt></OutlineText></CompleteText></Description>
+              </Item>
+            </Itemlist>
+          </BoQBody>
+        </BoQCtgy>
+      </BoQBody>
+    </BoQ>
+  </Award>
+</GAEB>`;
+
+// GAEB 90 mit festen Spalten: OZ Sp. 3–11, Menge Sp. 24–34, Einheit Sp. 35–38
+const rec = (type, oz = "", rest = "") => `${type}${oz.padEnd(9)}${rest}`.padEnd(80);
+const pos = (oz, qty, unit) => `21${oz.padEnd(9)}${" ".repeat(12)}${qty.padStart(11)}${unit.padEnd(4)}`.padEnd(80);
+const D83 = [
+  rec("11", "01"),
+  rec("12", "", "Decken"),
+  pos("010010", "45000", "m2"),
+  `25${"Decke streichen".padEnd(70)}`,
+  `26${"Dispersionsfarbe, weiß".padEnd(70)}`,
+  rec("31", "01"),
+].join("\r\n");
+
+const lv = () => parseGaeb(Buffer.from(X83), "schule.x83");
+
+test("X83: Bereiche, OZ, Kurz-/Langtext, Menge und Einheit", () => {
+  const parsed = lv();
+  assert.equal(parsed.format, "X83");
+  assert.equal(parsed.version, "3.2");
+  assert.equal(parsed.owner, "Stadt Musterhausen");
+  assert.deepEqual(parsed.breakdown, [2, 4]);
+  assert.deepEqual(parsed.categories, [{ oz: "01", label: "Innenwände & Decken" }]);
+  const [wall, hourly, alt] = parsed.items;
+  assert.equal(wall.oz, "01.0010");
+  assert.equal(wall.shortText, "Wände streichen");
+  assert.equal(wall.longText, "Wände mit Dispersionsfarbe streichen,\nzweimal deckend.");
+  assert.equal(wall.quantity, 120.5);
+  assert.equal(wall.unit, "m²");
+  assert.equal(wall.type, "normal");
+  assert.equal(hourly.type, "optional");
+  assert.equal(alt.type, "alternative");
+  assert.equal(alt.unit, "m²");
+});
+
+test("GAEB 90 (D83): Satzarten 11/12/21/25/26/31", () => {
+  const parsed = parseGaeb(Buffer.from(D83, "latin1"), "decken.d83");
+  assert.equal(parsed.format, "D83");
+  assert.deepEqual(parsed.categories, [{ oz: "01", label: "Decken" }]);
+  assert.equal(parsed.items.length, 1);
+  assert.deepEqual(
+    { ...parsed.items[0] },
+    { oz: "01.0010", shortText: "Decke streichen", longText: "Dispersionsfarbe, weiß", quantity: 45, unit: "m²", type: "normal" },
+  );
+});
+
+test("Ungültige Dateien werden abgelehnt", () => {
+  assert.throws(() => parseGaeb("<foo/>", "x.x83"), /GAEB/);
+  assert.throws(() => parseGaeb("99 nichts", "x.d83"), /Keine Positionen/);
+});
+
+test("Bepreisung: Zeitwert × Stundensatz plus Material über Ergiebigkeit", () => {
+  const priced = priceGaebItems(lv(), { catalog: DEFAULT_CATALOG, laborRatePerHour: 60 });
+  const wall = priced[0];
+  assert.deepEqual(wall.match, { norm: "maler.wand" });
+  // 3 min/m² × 60 €/h
+  assert.equal(wall.unitPrice, 3);
+  assert.equal(wall.kind, "labour");
+  assert.equal(wall.longText.startsWith("Wände mit"), true);
+
+  // Farbe in l, Position in m²: 6,00 €/l ÷ 8 m²/l
+  const [paint] = priceGaebItems(
+    { items: [{ oz: "1", shortText: "Qualitätsfarbe liefern", quantity: 10, unit: "m²", type: "normal" }] },
+    { catalog: DEFAULT_CATALOG, laborRatePerHour: 60 },
+  );
+  assert.deepEqual(paint.match, { sku: "MAL-FARBE" });
+  assert.equal(paint.unitPrice, 0.75);
+  assert.equal(paint.kind, "material");
+});
+
+test("Importiertes LV rechnet über die Engine und behält die OZ", () => {
+  const parsed = lv();
+  const input = gaebToOfferInput(parsed, priceGaebItems(parsed, { catalog: DEFAULT_CATALOG, laborRatePerHour: 60 }), {
+    company: { name: "Maler GmbH" },
+    laborRatePerHour: 60,
+  });
+  assert.equal(input.items.length, 1);
+  assert.equal(input.gaeb.extraItems.length, 2);
+  assert.equal(input.customer.name, "Stadt Musterhausen");
+  assert.equal(input.project.title, "Sanierung Schulstraße");
+  const offer = calculateOffer(parseOfferInput(input), { marginRate: 10, taxRate: 19 });
+  assert.equal(offer.items[0].oz, "01.0010");
+  assert.equal(offer.subtotal, 361.5);
+});
+
+test("X84: Einheitspreise inkl. Aufschlag, Summen, Bedarfs- und Wahlpositionen", () => {
+  const parsed = lv();
+  const input = gaebToOfferInput(parsed, priceGaebItems(parsed, { catalog: DEFAULT_CATALOG, laborRatePerHour: 60 }), { laborRatePerHour: 60 });
+  const parsedInput = parseOfferInput(input);
+  const offer = { number: "AN-2026-0007", input: parsedInput, ...calculateOffer(parsedInput, { marginRate: 10, taxRate: 19 }) };
+  const xml = toX84(offer, { company: { name: "Maler GmbH", city: "Berlin" }, date: new Date("2026-03-01") });
+
+  assert.match(xml, /<GAEB xmlns="http:\/\/www\.gaeb\.de\/GAEB_DA_XML\/DA84\/3\.2">/);
+  assert.match(xml, /<DP>84<\/DP>/);
+  assert.match(xml, /<BoQCtgy ID="CTGY_\d+" RNoPart="01"><LblTx><p><span>Innenwände &amp; Decken<\/span><\/p><\/LblTx>/);
+  assert.match(xml, /<Item ID="ITEM_\d+" RNoPart="0010"><Qty>120\.500<\/Qty><QU>m2<\/QU><UP>3\.30<\/UP><IT>397\.65<\/IT>/);
+  assert.match(xml, /<Provis>WithoutTotal<\/Provis>/);
+  assert.match(xml, /<ALNGroupNo>1<\/ALNGroupNo><ALNSerNo>1<\/ALNSerNo>/);
+  const total = Number(/<BoQInfo>.*?<Totals><Total>([\d.]+)<\/Total>/.exec(xml)[1]);
+  assert.equal(total, offer.totalBeforeTax);
+
+  // Rundreise: eigene Abgabe lässt sich wieder einlesen
+  const back = parseGaeb(xml, "abgabe.x84");
+  assert.equal(back.format, "X84");
+  assert.deepEqual(back.items.map((it) => [it.oz, it.type]), [["01.0010", "normal"], ["01.0020", "optional"], ["01.0030", "alternative"]]);
+  assert.equal(back.items[0].longText, parsed.items[0].longText);
+});
+
+test("Einheiten werden vereinheitlicht", () => {
+  assert.equal(normalizeUnit("qm"), "m²");
+  assert.equal(normalizeUnit("St"), "Stk");
+  assert.equal(normalizeUnit("h"), "Std");
+  assert.equal(normalizeUnit("Psch"), "psch");
+});
@@ -0,0 +1,95 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  activeInvoicesForOffer, buildInvoiceAmounts, cancellationConflict, InvoiceCreateSchema, invoiceChecksum, newInvoice, stornoInvoice,
+  withInvoiceState,
+} from "../invoices.mjs";
+import { nextNumber } from "../offers.mjs";
+
+const offer = {
+  id: "o1",
+  number: "AN-2026-0001",
+  version: 2,
+  status: "angenommen",
+  customerId: "c1",
+  projectId: "p1",
+  input: { company: { name: "Maler GmbH" }, customer: { name: "Erika" }, trade: "maler" },
+  items: [{ description: "Streichen", quantity: 20, unit: "Std", unitPrice: 50, total: 1000 }],
+  subtotal: 1000,
+  margin: 0,
+  totalBeforeTax: 1000,
+  taxRatePercentage: 19,
+  taxes: [{ rate: 19, net: 1000, tax: 190 }],
+  tax: 190,
+  total: 1190,
+};
+
+const data = (over) => InvoiceCreateSchema.parse({ offerId: "o1", serviceFrom: "2026-03-02", ...over });
+let seq = 0;
+// Rechnung wie createInvoice: Nummer aus dem Bestand, Beträge aus den nicht stornierten Vorgängern
+function bill(all, over) {
+  const d = data(over);
+  const amounts = buildInvoiceAmounts(offer, d, activeInvoicesForOffer(all, offer.id));
+  const inv = newInvoice({ id: `i${++seq}`, number: nextNumber(all, "RE", new Date("2026-03-20")), offer, data: d, amounts, user: "buero", now: Date.parse("2026-03-20T09:00:00Z") });
+  all.push(inv);
+  return inv;
+}
+
+test("Rechnungsdaten: Kalendertage im Format JJJJ-MM-TT", () => {
+  assert.equal(data({ invoiceDate: "2026-02-28" }).invoiceDate, "2026-02-28");
+  const issues = (over) => InvoiceCreateSchema.safeParse({ offerId: "o1", serviceFrom: "2026-03-02", ...over }).error.issues.map((i) => [i.path.join("."), i.message]);
+  assert.deepEqual(issues({ invoiceDate: "2026-02-30" }), [["invoiceDate", "Ungültiges Datum"]]);
+  assert.deepEqual(issues({ serviceFrom: "02.03.2026" }), [["serviceFrom", "Datum im Format JJJJ-MM-TT"]]);
+  assert.deepEqual(issues({ serviceTo: "2026-13-01" }), [["serviceTo", "Ungültiges Datum"]]);
+});
+
+test("Rechnung: ganzes Angebot, Fälligkeit und Prüfsumme", () => {
+  const all = [];
+  const inv = bill(all, { invoiceDate: "2026-03-20", paymentTermDays: 10 });
+  assert.deepEqual([inv.number, inv.type, inv.total, inv.amountDue, inv.dueDate], ["RE-2026-0001", "rechnung", 1190, 1190, "2026-03-30"]);
+  assert.deepEqual([inv.offerNumber, inv.offerVersion, inv.customer.name, inv.serviceTo], ["AN-2026-0001", 2, "Erika", "2026-03-02"]);
+  assert.equal(inv.checksum, invoiceChecksum(inv));
+  assert.equal(withInvoiceState({ ...inv, total: 1 }, all).intact, false);
+  assert.throws(() => bill(all, {}), /existiert bereits eine Rechnung/);
+});
+
+test("Abschläge und Schlussrechnung: Schluss zieht die Abschläge ab", () => {
+  const all = [];
+  const first = bill(all, { type: "abschlag", percent: 30 });
+  const second = bill(all, { type: "abschlag", amount: 200 });
+  assert.deepEqual([first.totalBeforeTax, first.tax, first.total], [300, 57, 357]);
+  assert.equal(first.items[0].description, "1. Abschlag gem. Angebot AN-2026-0001 (30 %)");
+  assert.deepEqual([second.total, second.items[0].description], [238, "2. Abschlag gem. Angebot AN-2026-0001"]);
+  assert.throws(() => bill(all, { type: "abschlag", percent: 60 }), /übersteigen die Angebotssumme/);
+  assert.throws(() => bill(all, { type: "abschlag" }), /percent oder amount/);
+  assert.throws(() => bill(all, {}), /Schlussrechnung erstellen/);
+
+  const schluss = bill(all, { type: "schluss" });
+  assert.equal(schluss.total, 1190);
+  assert.deepEqual(schluss.deductions.map((d) => [d.number, d.gross]), [["RE-2026-0001", 357], ["RE-2026-0002", 238]]);
+  assert.equal(schluss.amountDue, 595);
+  assert.equal(schluss.number, "RE-2026-0003");
+});
+
+test("Storno: negative Beträge, eigene Nummer, Nummernkreis bleibt lückenlos", () => {
+  const all = [];
+  const abschlag = bill(all, { type: "abschlag", percent: 50 });
+  const schluss = bill(all, { type: "schluss" });
+  assert.equal(cancellationConflict(abschlag, all), "Abschlag ist in einer Schlussrechnung verrechnet – zuerst diese stornieren");
+
+  const storno = stornoInvoice(schluss, { id: "s1", number: nextNumber(all, "RE", new Date("2026-03-21")), reason: "Fehler", user: "buero", now: Date.parse("2026-03-21T09:00:00Z") });
+  all.push(storno);
+  assert.deepEqual([storno.number, storno.type, storno.cancelsNumber, storno.reason], ["RE-2026-0003", "storno", "RE-2026-0002", "Fehler"]);
+  assert.deepEqual([storno.total, storno.amountDue, storno.items[0].unitPrice, storno.taxes[0].tax], [-1190, -595, -50, -190]);
+  assert.deepEqual(storno.deductions.map((d) => d.gross), [-595]);
+  assert.deepEqual([storno.invoiceDate, storno.dueDate], ["2026-03-21", "2026-03-21"]);
+  assert.equal(storno.checksum, invoiceChecksum(storno));
+
+  assert.equal(withInvoiceState(schluss, all).cancelledBy, "RE-2026-0003");
+  assert.equal(cancellationConflict(schluss, all), "Rechnung ist bereits storniert bzw. selbst ein Storno");
+  assert.equal(cancellationConflict(storno, all), "Rechnung ist bereits storniert bzw. selbst ein Storno");
+  // Nach dem Storno der Schlussrechnung ist der Abschlag wieder stornierbar und eine neue Schlussrechnung möglich
+  assert.equal(cancellationConflict(abschlag, all), null);
+  assert.deepEqual(activeInvoicesForOffer(all, "o1").map((x) => x.number), ["RE-2026-0001"]);
+  assert.equal(bill(all, { type: "schluss" }).number, "RE-2026-0004");
+});
@@ -0,0 +1,104 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { AnnotationSchema, annotationSvg, groupBeforeAfter, normalizeTags, parseExif, PhotoUpdateSchema } from "../media.mjs";
+
+// Minimaler EXIF-Block (little endian) wie aus sharp metadata().exif: Kamera, Aufnahmezeit, GPS
+function exifBlock() {
+  const buf = Buffer.alloc(400);
+  buf.write("Exif\0\0II", 0, "latin1");
+  const t = buf.subarray(6);
+  t.writeUInt16LE(42, 2);
+  t.writeUInt32LE(8, 4);
+  let data = 200;
+  const put = (bytes) => {
+    bytes.copy(t, data);
+    data += bytes.length;
+    return data - bytes.length;
+  };
+  const ifd = (at, entries) => {
+    t.writeUInt16LE(entries.length, at);
+    entries.forEach(([tag, type, count, value], i) => {
+      const e = at + 2 + i * 12;
+      t.writeUInt16LE(tag, e);
+      t.writeUInt16LE(type, e + 2);
+      t.writeUInt32LE(count, e + 4);
+      if (!Buffer.isBuffer(value)) type === 3 ? t.writeUInt16LE(value, e + 8) : t.writeUInt32LE(value, e + 8);
+      else if (value.length <= 4) value.copy(t, e + 8);
+      else t.writeUInt32LE(put(value), e + 8);
+    });
+  };
+  const ascii = (s) => Buffer.from(`${s}\0`, "latin1");
+  const rationals = (...pairs) => {
+    const b = Buffer.alloc(pairs.length * 8);
+    pairs.forEach(([n, d], i) => {
+      b.writeUInt32LE(n, i * 8);
+      b.writeUInt32LE(d, i * 8 + 4);
+    });
+    return b;
+  };
+  ifd(8, [[0x010f, 2, 6, ascii("Apple")], [0x0110, 2, 10, ascii("iPhone 15")], [0x0112, 3, 1, 6], [0x8769, 4, 1, 80], [0x8825, 4, 1, 120]]);
+  ifd(80, [[0x9003, 2, 20, ascii("2026:03:02 14:05:00")]]);
+  ifd(120, [
+    [1, 2, 2, ascii("N")], [2, 5, 3, rationals([52, 1], [31, 1], [1230, 100])],
+    [3, 2, 2, ascii("W")], [4, 5, 3, rationals([13, 1], [24, 1], [3600, 100])],
+  ]);
+  return buf;
+}
+
+test("EXIF: Aufnahmezeit, GPS, Kamera; kaputte Daten ergeben ein leeres Objekt", () => {
+  assert.deepEqual(parseExif(exifBlock()), {
+    takenAt: "2026-03-02T14:05:00",
+    gps: { lat: 52.520083, lng: -13.41 },
+    camera: "Apple iPhone 15",
+    orientation: 6,
+  });
+  assert.deepEqual(parseExif(exifBlock().subarray(6)).takenAt, "2026-03-02T14:05:00");
+  assert.deepEqual(parseExif(undefined), {});
+  assert.deepEqual(parseExif(Buffer.from("kein exif")), {});
+  assert.deepEqual(parseExif(exifBlock().subarray(0, 60)), { orientation: 6 });
+});
+
+test("Markierungen: Prüfung der Formen und SVG in Bildgröße", () => {
+  const bad = AnnotationSchema.safeParse({
+    shapes: [
+      { type: "pfeil", points: [[0.1, 0.1]] },
+      { type: "text", points: [[0.5, 0.5]] },
+      { type: "linie", points: [[1.2, 0], [0, 0]] },
+      { type: "rechteck", points: [[0, 0], [1, 1]], color: "rot" },
+    ],
+  });
+  assert.deepEqual(bad.error.issues.map((i) => i.path.join(".")), ["shapes.0.points", "shapes.1.text", "shapes.2.points.0.0", "shapes.3.color"]);
+
+  const { shapes } = AnnotationSchema.parse({
+    shapes: [
+      { type: "rechteck", points: [[0.5, 0.6], [0.1, 0.2]], color: "#ff0000" },
+      { type: "text", points: [[0.25, 0.5]], text: "<Riss> & Feuchte" },
+    ],
+  });
+  assert.equal(shapes[0].width, 4);
+  const svg = annotationSvg(shapes, 2000, 1000);
+  assert.match(svg, /^<svg xmlns="http:\/\/www.w3.org\/2000\/svg" width="2000" height="1000">/);
+  assert.match(svg, /<rect x="200" y="200" width="800" height="400" stroke="#ff0000" stroke-width="8"/);
+  assert.match(svg, /<text x="500" y="500" fill="#e11d48"[^>]*>&lt;Riss&gt; &amp; Feuchte<\/text>/);
+  assert.match(annotationSvg([{ type: "pfeil", points: [[0, 0], [1, 0]], color: "#000000", width: 4 }], 1000, 500), /<polygon points="1000,0 /);
+});
+
+test("Vorher/Nachher: Gruppen chronologisch je Phase, Schlagworte normalisiert", () => {
+  const photos = [
+    { id: "n1", group: "Bad", phase: "nachher", takenAt: "2026-03-20T10:00:00", createdAt: 3 },
+    { id: "v2", group: "Bad", phase: "vorher", createdAt: Date.parse("2026-03-01T12:00:00Z") },
+    { id: "v1", group: "Bad", phase: "vorher", takenAt: "2026-03-01T08:00:00", createdAt: 5 },
+    { id: "f1", group: "Flur", phase: "waehrend", createdAt: 6 },
+    { id: "x", createdAt: 7 },
+  ];
+  const groups = groupBeforeAfter(photos);
+  assert.deepEqual(groups.map((g) => [g.group, g.complete]), [["Bad", true], ["Flur", false]]);
+  assert.deepEqual(groups[0].vorher.map((p) => p.id), ["v1", "v2"]);
+  assert.deepEqual(groups[0].nachher.map((p) => p.id), ["n1"]);
+  assert.deepEqual(groups[1].waehrend.map((p) => p.id), ["f1"]);
+
+  assert.deepEqual(normalizeTags(" Bad, Fliesen ,bad,,"), ["bad", "fliesen"]);
+  assert.deepEqual(normalizeTags(["Riss", "riss"]), ["riss"]);
+  assert.equal(PhotoUpdateSchema.safeParse({ phase: "danach" }).success, false);
+  assert.equal(PhotoUpdateSchema.safeParse({ phase: null, group: null }).success, true);
+});
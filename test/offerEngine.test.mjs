@@ -0,0 +1,376 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_CATALOG, priceContext } from "../catalog.mjs";
+import {
+  allocateCents,
+  calculateOffer,
+  fromLegacyPayload,
+  inferKind,
+  isLegacyPayload,
+  parseOfferInput,
+  ratesFromSettings,
+  splitByTaxes,
+  splitCostTypes,
+  toCents,
+} from "../offerEngine.mjs";
+import { missingCatalogEntries } from "../trades/index.mjs";
+
+const base = {
+  company: { name: "Maler GmbH" },
+  customer: { name: "Max Muster" },
+  laborRatePerHour: 50,
+};
+
+const painter = () => parseOfferInput({
+  ...base,
+  trade: "maler",
+  project: { title: "Wohnzimmer", rooms: [{ name: "Wohnzimmer", width_m: 4, length_m: 5, height_m: 2.5 }] },
+});
+
+test("Maler: Stunden und Farbe aus dem Startkatalog", () => {
+  const offer = calculateOffer(painter(), { marginRate: 10, taxRate: 19 });
+  assert.equal(offer.items.length, 2);
+  // Wände 45 m² × 3 min + Decke 20 m² × 2,4 min + Vorbereitung 65 m² × 1 min = 248 min
+  assert.equal(offer.items[0].quantity, 4.13);
+  assert.equal(offer.items[0].total, 206.5);
+  // 65 m² / 8 m²/l = 8,125 l → 8,13 l à 6,00 €
+  assert.equal(offer.items[1].total, 48.78);
+  assert.equal(offer.subtotal, 255.28);
+  assert.equal(offer.margin, 25.53);
+  assert.equal(offer.totalBeforeTax, 280.81);
+  assert.equal(offer.tax, 53.35);
+  assert.equal(offer.total, 334.16);
+});
+
+test("Summen sind auf Cent gerundet und in sich stimmig", () => {
+  const offer = calculateOffer(parseOfferInput({
+    ...base,
+    project: { title: "Kleinkram" },
+    items: [
+      { description: "A", quantity: 3, unit: "Stk", unitPrice: 0.1 },
+      { description: "B", quantity: 1.333, unit: "h", unitPrice: 47.11 },
+    ],
+  }), { marginRate: 12.5, taxRate: 7 });
+  assert.equal(offer.items[0].total, 0.3);
+  // Gesamtpreis aus der angezeigten Menge: 1,33 × 47,11
+  assert.equal(offer.items[1].quantity, 1.33);
+  assert.equal(offer.items[1].total, 62.66);
+  assert.equal(offer.subtotal, 62.96);
+  assert.equal(offer.margin, 7.87);
+  assert.equal(offer.totalBeforeTax, 70.83);
+  assert.equal(offer.tax, 4.96);
+  assert.equal(offer.total, 75.79);
+});
+
+test("Sätze: Eingabe vor Einstellungen vor Standardwerten", () => {
+  const input = painter();
+  const defaults = calculateOffer(input);
+  assert.equal(defaults.marginPercentage, 10);
+  assert.equal(defaults.taxRatePercentage, 19);
+
+  const fromSettings = calculateOffer(input, ratesFromSettings({ marginRate: 15, taxRate: 7 }));
+  assert.equal(fromSettings.marginPercentage, 15);
+  assert.equal(fromSettings.taxRatePercentage, 7);
+  assert.equal(fromSettings.margin, 38.29);
+
+  const explicit = calculateOffer({ ...input, marginPercentage: 0, taxRatePercentage: 0 }, { marginRate: 15, taxRate: 7 });
+  assert.equal(explicit.margin, 0);
+  assert.equal(explicit.tax, 0);
+  assert.equal(explicit.total, explicit.subtotal);
+});
+
+test("ratesFromSettings ignoriert leere und ungültige Werte", () => {
+  assert.deepEqual(ratesFromSettings({ marginRate: "", taxRate: "abc" }), { marginRate: 10, taxRate: 19 });
+  assert.deepEqual(ratesFromSettings({ marginRate: "0", taxRate: 7 }), { marginRate: 0, taxRate: 7 });
+});
+
+test("Kundensegment senkt Materialpreise über den Preisfaktor", () => {
+  const input = painter();
+  const ctx = priceContext(DEFAULT_CATALOG, "gewerbe");
+  const offer = calculateOffer(input, { ctx });
+  assert.equal(offer.items[1].unitPrice, 5.7);
+  assert.equal(offer.items[0].unitPrice, 50); // Lohn bleibt unverändert
+});
+
+test("Materialien und freie Positionen werden ergänzt", () => {
+  const offer = calculateOffer(parseOfferInput({
+    ...base,
+    trade: "maler",
+    project: {
+      title: "Flur",
+      rooms: [{ name: "Flur", width_m: 1, length_m: 4 }],
+      materials: [{ name: "Abdeckvlies", unitPrice: 19.9, quantity: 2, unit: "Rolle" }],
+    },
+    items: [{ description: "Anfahrt", quantity: 1, unit: "psch", unitPrice: 35 }],
+  }));
+  assert.deepEqual(offer.items.slice(-2).map((it) => [it.description, it.total]), [
+    ["Material: Abdeckvlies", 39.8],
+    ["Anfahrt", 35],
+  ]);
+});
+
+test("Titel: Räume des Malers, Positionsnummern und Zwischensummen", () => {
+  const offer = calculateOffer(parseOfferInput({
+    ...base,
+    trade: "maler",
+    project: {
+      title: "Wohnung",
+      rooms: [{ name: "Wohnzimmer", width_m: 4, length_m: 5, height_m: 2.5 }, { name: "Flur", width_m: 1, length_m: 4 }],
+    },
+    items: [
+      { description: "Heizkörper lackieren", quantity: 2, unit: "Stk", unitPrice: 40, section: ["Wohnzimmer", "Lackierarbeiten"] },
+      { description: "Anfahrt", quantity: 1, unit: "psch", unitPrice: 35 },
+      { description: "Tür lackieren", quantity: 1, unit: "Stk", unitPrice: 60, section: ["Flur"], longText: "beidseitig, inkl. Zarge" },
+    ],
+  }), { marginRate: 0 });
+  assert.deepEqual(offer.items.map((it) => [it.pos, it.section?.join(" / ")]), [
+    ["1.1", "Wohnzimmer"], ["1.2", "Wohnzimmer"], ["1.3.1", "Wohnzimmer / Lackierarbeiten"],
+    ["2.1", "Flur"], ["2.2", "Flur"], ["2.3", "Flur"],
+    ["3.1", "Weitere Leistungen"],
+  ]);
+  assert.equal(offer.items[5].longText, "beidseitig, inkl. Zarge");
+  assert.deepEqual(offer.sections.map((s) => [s.pos, s.title, s.level]), [
+    ["1", "Wohnzimmer", 1], ["1.3", "Lackierarbeiten", 2], ["2", "Flur", 1], ["3", "Weitere Leistungen", 1],
+  ]);
+  assert.equal(offer.sections[0].subtotal, 206.5 + 48.78 + 80);
+  assert.equal(offer.sections[1].subtotal, 80);
+  assert.equal(offer.sections.filter((s) => s.level === 1).reduce((sum, s) => sum + s.subtotal, 0), offer.subtotal);
+
+  // ohne Titel fortlaufend, OZ bleibt Positionsnummer
+  const flat = calculateOffer(parseOfferInput({
+    ...base,
+    project: { title: "LV" },
+    items: [{ description: "A", quantity: 1, unit: "Stk", unitPrice: 1 }, { oz: "01.0020", description: "B", quantity: 1, unit: "Stk", unitPrice: 1 }],
+  }));
+  assert.deepEqual(flat.items.map((it) => it.pos), ["1", "01.0020"]);
+  assert.deepEqual([flat.sections, flat.extraItems], [[], []]);
+});
+
+test("Bedarfs- und Wahlpositionen stehen in extraItems und zählen nicht zur Summe", () => {
+  const offer = calculateOffer(parseOfferInput({
+    ...base,
+    project: { title: "Bad" },
+    items: [
+      { description: "Fliesen weiß", quantity: 10, unit: "m²", unitPrice: 50, section: ["Bad"], altGroup: "F" },
+      { description: "Fliesen Naturstein", quantity: 10, unit: "m²", unitPrice: 90, section: ["Bad"], altGroup: "F", type: "alternative" },
+      { description: "Silikonfugen erneuern", quantity: 5, unit: "m", unitPrice: 8, section: ["Bad"], type: "optional" },
+    ],
+  }), { marginRate: 0, taxRate: 19 });
+  assert.deepEqual(offer.items.map((it) => [it.pos, it.total]), [["1.1", 500]]);
+  assert.deepEqual(offer.extraItems.map((it) => [it.pos, it.type, it.total, it.alternativeTo, it.ref]), [
+    ["1.2", "alternative", 900, ["1.1"], "items.1"],
+    ["1.3", "optional", 40, undefined, "items.2"],
+  ]);
+  assert.equal(offer.subtotal, 500);
+  assert.equal(offer.sections[0].subtotal, 500);
+  assert.equal(offer.total, 595);
+});
+
+test("Material mit sku nimmt den Katalogpreis statt eines eingetragenen Preises", () => {
+  const catalog = {
+    ...DEFAULT_CATALOG,
+    articles: DEFAULT_CATALOG.articles.map((a) => (a.sku === "BOD-SOCKEL" ? { ...a, salePrice: 7.2 } : a)),
+  };
+  const input = parseOfferInput({
+    ...base,
+    segment: "gewerbe",
+    project: { title: "Flur", materials: [{ sku: "BOD-SOCKEL", quantity: 10 }] },
+  });
+  const offer = calculateOffer(input, { ctx: priceContext(catalog, "gewerbe") });
+  assert.deepEqual(offer.items.map((it) => [it.description, it.unit, it.unitPrice, it.kind]), [
+    ["Material: Sockelleiste", "m", 6.84, "material"],
+  ]);
+  assert.throws(() => parseOfferInput({ ...base, project: { title: "x", materials: [{ name: "Vlies", quantity: 1 }] } }));
+});
+
+test("Altformat wird erkannt und übersetzt", () => {
+  const legacy = {
+    items: [{ desc: "Malerarbeiten", qty: 20, unit: "h", unitPrice: 45 }],
+    company: { name: "Maler GmbH" },
+    customer: { name: "Max" },
+    trade: "maler",
+    laborRatePerHour: "45",
+  };
+  assert.equal(isLegacyPayload(legacy), true);
+  assert.equal(isLegacyPayload(painter()), false);
+
+  const input = fromLegacyPayload(legacy);
+  assert.equal(input.trade, "maler");
+  assert.equal(input.laborRatePerHour, 45);
+  assert.deepEqual(input.items, [{ description: "Malerarbeiten", quantity: 20, unit: "h", unitPrice: 45 }]);
+
+  const offer = calculateOffer(parseOfferInput(legacy));
+  assert.equal(offer.subtotal, 900);
+  assert.equal(offer.total, 1178.1);
+});
+
+test("Altformat ohne Firma/Kunde und mit unbekanntem Gewerk", () => {
+  const input = parseOfferInput({ items: [], trade: "Fliesen" });
+  assert.equal(input.trade, undefined);
+  assert.equal(input.company.name, "");
+  assert.deepEqual(calculateOffer(input).items, []);
+});
+
+test("Gewerk ohne Eingaben erzeugt keine Positionen aus Standardwerten", () => {
+  const input = parseOfferInput({ ...base, trade: "dach", project: { title: "Dach" } });
+  assert.deepEqual(calculateOffer(input).items, []);
+
+  const withInput = parseOfferInput({ ...base, trade: "dach", project: { title: "Dach", dach: {} } });
+  assert.ok(calculateOffer(withInput).items.length > 0);
+});
+
+test("Ungültige Eingaben werden abgelehnt", () => {
+  assert.throws(() => parseOfferInput({ ...base, project: { title: "X" }, laborRatePerHour: "viel" }));
+  assert.throws(() => parseOfferInput({ ...base, trade: "fliesen", project: { title: "X" } }));
+  assert.throws(() => parseOfferInput(null));
+});
+
+const mixed = () => parseOfferInput({
+  ...base,
+  project: { title: "Gemischt" },
+  marginPercentage: 10,
+  discount: { type: "percent", value: 5 },
+  skonto: { percent: 2, days: 10 },
+  items: [
+    { description: "Arbeit", quantity: 10, unit: "h", unitPrice: 55 },
+    { description: "Fachbuch", quantity: 1, unit: "Stk", unitPrice: 19.99, taxRate: 7 },
+    { description: "Gebühr", quantity: 1, unit: "psch", unitPrice: 10, taxRate: 0 },
+    { description: "Material", quantity: 3, unit: "Stk", unitPrice: 33.33, discount: { type: "amount", value: 5 } },
+  ],
+});
+
+test("Positionsrabatt, Gesamtrabatt und MwSt je Satz", () => {
+  const offer = calculateOffer(mixed(), { taxRate: 19 });
+  assert.equal(offer.items[3].discountAmount, 5);
+  assert.equal(offer.items[3].total, 94.99);
+  assert.equal(offer.subtotal, 674.98);
+  assert.equal(offer.margin, 67.5);
+  assert.equal(offer.discountAmount, 37.12);
+  assert.equal(offer.totalBeforeTax, 705.36);
+  assert.deepEqual(offer.taxes, [
+    { rate: 19, reverseCharge: false, net: 674.02, tax: 128.06 },
+    { rate: 7, reverseCharge: false, net: 20.89, tax: 1.46 },
+    { rate: 0, reverseCharge: false, net: 10.45, tax: 0 },
+  ]);
+  assert.equal(offer.tax, 129.52);
+  assert.equal(offer.total, 834.88);
+  assert.deepEqual(offer.skonto, { percent: 2, days: 10, amount: 16.7, total: 818.18 });
+});
+
+test("Positionen, MwSt-Aufstellung und Summe gehen centgenau auf", () => {
+  const offer = calculateOffer(mixed(), { taxRate: 19 });
+  const cents = (xs) => xs.reduce((s, x) => s + toCents(x), 0);
+  assert.equal(cents(offer.items.map((it) => it.total)), toCents(offer.subtotal));
+  assert.equal(toCents(offer.subtotal) + toCents(offer.margin) - toCents(offer.discountAmount), toCents(offer.totalBeforeTax));
+  assert.equal(cents(offer.taxes.map((t) => t.net)), toCents(offer.totalBeforeTax));
+  assert.equal(cents(offer.taxes.map((t) => t.tax)), toCents(offer.tax));
+  assert.equal(toCents(offer.totalBeforeTax) + toCents(offer.tax), toCents(offer.total));
+  for (const it of offer.items) {
+    assert.equal(toCents(it.total), Math.round(it.quantity * toCents(it.unitPrice)) - toCents(it.discountAmount || 0));
+  }
+});
+
+test("Reverse Charge nach § 13b: keine Steuer, eigene Gruppe", () => {
+  const all = calculateOffer({ ...mixed(), reverseCharge: true, skonto: undefined });
+  assert.equal(all.reverseCharge, true);
+  assert.equal(all.tax, 0);
+  assert.equal(all.total, all.totalBeforeTax);
+  assert.deepEqual(all.taxes.map((t) => [t.rate, t.reverseCharge]), [[0, true]]);
+
+  const input = mixed();
+  input.items[0].reverseCharge = true;
+  const partly = calculateOffer(input, { taxRate: 19 });
+  assert.equal(partly.items[0].taxRate, 0);
+  assert.equal(partly.taxes.find((t) => t.reverseCharge).tax, 0);
+  assert.equal(partly.taxes.length, 4);
+});
+
+test("Rabatte werden auf den Positionswert begrenzt", () => {
+  const offer = calculateOffer(parseOfferInput({
+    ...base,
+    project: { title: "X" },
+    discount: { type: "amount", value: 1000 },
+    items: [{ description: "A", quantity: 1, unit: "Stk", unitPrice: 10, discount: { type: "amount", value: 50 } }],
+    marginPercentage: 0,
+  }));
+  assert.equal(offer.items[0].total, 0);
+  assert.equal(offer.total, 0);
+  assert.throws(() => parseOfferInput({ ...base, project: { title: "X" }, discount: { type: "percent", value: 120 } }));
+});
+
+test("allocateCents verteilt ohne Rundungsverlust", () => {
+  assert.deepEqual(allocateCents(100, [1, 1, 1]), [34, 33, 33]);
+  assert.deepEqual(allocateCents(0, [5, 5]), [0, 0]);
+  assert.deepEqual(allocateCents(7, [0, 0]), [7, 0]);
+  const parts = allocateCents(99999, [3, 7, 11, 13]);
+  assert.equal(parts.reduce((s, p) => s + p, 0), 99999);
+});
+
+test("Abschlag wird anteilig auf die Steuersätze verteilt", () => {
+  const offer = calculateOffer(mixed(), { taxRate: 19 });
+  const part = splitByTaxes(300, offer.taxes);
+  assert.equal(part.reduce((s, t) => s + toCents(t.net), 0), 30000);
+  assert.deepEqual(part.map((t) => t.rate), [19, 7, 0]);
+  assert.equal(part[0].tax, Math.round(part[0].net * 19) / 100);
+});
+
+test("Kostenarten: Gewerke-Stunden sind Lohn, sonst aus Einheit/Bezeichnung", () => {
+  const offer = calculateOffer(painter());
+  assert.deepEqual(offer.items.map((it) => it.kind), ["labour", "material"]);
+  assert.equal(inferKind({ description: "Malerarbeiten", unit: "h" }), "labour");
+  assert.equal(inferKind({ description: "Anfahrt", unit: "psch" }), "travel");
+  assert.equal(inferKind({ description: "Gerüststellung", unit: "Tag" }), "machine");
+  assert.equal(inferKind({ description: "Tapete", unit: "Rolle" }), "material");
+});
+
+test("Lohnanteil nach § 35a EStG: netto, Steuer und brutto", () => {
+  const offer = calculateOffer(parseOfferInput({
+    ...base,
+    project: { title: "Bad" },
+    marginPercentage: 10,
+    items: [
+      { description: "Fliesen verlegen", quantity: 10, unit: "h", unitPrice: 50 },
+      { description: "Fliesen", quantity: 20, unit: "m²", unitPrice: 30 },
+      { description: "Anfahrt", quantity: 1, unit: "psch", unitPrice: 40 },
+      { description: "Fachbuch", quantity: 1, unit: "Stk", unitPrice: 20, taxRate: 7, kind: "material" },
+    ],
+  }), { taxRate: 19 });
+  // 500 + 40 von 1160 netto, mit 10 % Aufschlag: 594,00 €
+  assert.deepEqual(offer.labourCosts, { net: 594, tax: 112.86, gross: 706.86 });
+  assert.equal(offer.costTypes.material.net, 682);
+  const sum = (field) => Object.values(offer.costTypes).reduce((s, c) => s + toCents(c[field]), 0);
+  assert.equal(sum("net"), toCents(offer.totalBeforeTax));
+  assert.equal(sum("tax"), toCents(offer.tax));
+  assert.equal(sum("gross"), toCents(offer.total));
+});
+
+test("Lohnanteil eines Abschlags im Verhältnis des Angebots", () => {
+  const offer = calculateOffer(painter(), { marginRate: 0, taxRate: 19 });
+  const part = splitCostTypes(100, 19, offer.costTypes);
+  assert.equal(part.labourCosts.net, 80.89); // 206,50 / 255,28
+  assert.equal(toCents(part.labourCosts.net) + toCents(part.costTypes.material.net), 10000);
+  assert.equal(toCents(part.labourCosts.tax) + toCents(part.costTypes.material.tax), 1900);
+});
+
+test("Katalog: von Gewerken benötigte Artikel und Zeitwerte dürfen nicht fehlen", () => {
+  assert.deepEqual(missingCatalogEntries(DEFAULT_CATALOG), []);
+  const catalog = {
+    ...DEFAULT_CATALOG,
+    articles: DEFAULT_CATALOG.articles.filter((a) => a.sku !== "MAL-FARBE"),
+    norms: DEFAULT_CATALOG.norms.filter((n) => n.key !== "sanitaer.rohr"),
+  };
+  assert.deepEqual(missingCatalogEntries(catalog), [
+    { path: "articles", message: "Artikel MAL-FARBE wird vom Gewerk Maler benötigt" },
+    { path: "norms", message: "Zeitwert sanitaer.rohr wird vom Gewerk Sanitär benötigt" },
+  ]);
+});
+
+test("Katalog: Ergiebigkeit für Farbe und Ziegel ist Pflicht", () => {
+  const articles = DEFAULT_CATALOG.articles.map((a) => (["MAL-FARBE", "DACH-ZIEGEL"].includes(a.sku) ? { ...a, coverage: undefined } : a));
+  const issues = missingCatalogEntries({ ...DEFAULT_CATALOG, articles });
+  const at = (sku) => `articles.${articles.findIndex((a) => a.sku === sku)}.coverage`;
+  assert.deepEqual(issues, [
+    { path: at("MAL-FARBE"), message: "coverage von Artikel MAL-FARBE wird vom Gewerk Maler benötigt" },
+    { path: at("DACH-ZIEGEL"), message: "coverage von Artikel DACH-ZIEGEL wird vom Gewerk Dach benötigt" },
+  ]);
+});
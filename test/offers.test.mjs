@@ -0,0 +1,75 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { canChangeStatus, isExpired, newOffer, nextNumber, offerRevision, reviseOffer, revisionOf, withStatus } from "../offers.mjs";
+
+const draft = (over = {}) => newOffer({
+  id: "o1",
+  number: "AN-2026-0001",
+  meta: { customerId: "c1", title: "Bad" },
+  segment: "privat",
+  catalogVersion: 3,
+  input: { laborRatePerHour: 50 },
+  calc: { items: [{ description: "Streichen", total: 100 }], total: 119 },
+  user: "meister",
+  now: Date.parse("2026-03-01T10:00:00Z"),
+  ...over,
+});
+
+test("Nummernkreis: fortlaufend je Jahr, lückenlos aus dem Bestand", () => {
+  const d2026 = new Date("2026-05-01T12:00:00Z");
+  assert.equal(nextNumber([], "AN", d2026), "AN-2026-0001");
+  const list = [{ number: "AN-2026-0001" }, { number: "AN-2026-0007" }, { number: "AN-2025-0042" }, { number: "RE-2026-0100" }, {}];
+  assert.equal(nextNumber(list, "AN", d2026), "AN-2026-0008");
+  assert.equal(nextNumber(list, "AN", new Date("2027-01-02T12:00:00Z")), "AN-2027-0001");
+  assert.equal(nextNumber(list, "RE", d2026), "RE-2026-0101");
+  // Jeder Mandant zählt in seiner eigenen Ablage
+  assert.equal(nextNumber([{ number: "AN-2026-0003" }], "AN", d2026), "AN-2026-0004");
+});
+
+test("Neues Angebot: Entwurf in Version 1 mit Gültigkeit und Statusverlauf", () => {
+  const o = draft();
+  assert.deepEqual([o.version, o.status, o.customerId, o.projectId, o.templateId], [1, "entwurf", "c1", null, null]);
+  assert.equal(o.validUntil, "2026-03-31");
+  assert.equal(o.total, 119);
+  assert.deepEqual(o.statusHistory, [{ status: "entwurf", ts: o.createdAt, user: "meister" }]);
+  assert.deepEqual(o.revisions, []);
+  assert.equal(draft({ meta: { validUntil: "2026-04-15" } }).validUntil, "2026-04-15");
+});
+
+test("Status: erlaubte Wechsel, Verlauf und Ablauf", () => {
+  assert.ok(canChangeStatus("entwurf", "versendet"));
+  assert.ok(canChangeStatus("versendet", "angenommen"));
+  assert.equal(canChangeStatus("entwurf", "angenommen"), false);
+  assert.equal(canChangeStatus("angenommen", "versendet"), false);
+  assert.equal(canChangeStatus("unbekannt", "versendet"), false);
+
+  const o = draft();
+  const sent = withStatus(o, "versendet", "buero", 1000);
+  assert.equal(o.status, "entwurf");
+  assert.deepEqual([sent.status, sent.updatedAt], ["versendet", 1000]);
+  assert.deepEqual(sent.statusHistory.at(-1), { status: "versendet", ts: 1000, user: "buero" });
+
+  assert.ok(isExpired({ ...sent, validUntil: "2026-03-31" }, "2026-04-01"));
+  assert.equal(isExpired({ ...sent, validUntil: "2026-03-31" }, "2026-03-31"), false);
+  assert.equal(isExpired({ ...o, validUntil: "2026-03-31" }, "2026-04-01"), false);
+});
+
+test("Revision: neue Version als Entwurf, bisherige Fassung bleibt abrufbar", () => {
+  const sent = withStatus(draft(), "versendet", "buero", 1000);
+  const next = reviseOffer(sent, { meta: { title: "Bad und Flur" }, input: { laborRatePerHour: 55 }, calc: { total: 238 }, user: "meister", now: 2000 });
+  assert.deepEqual([next.version, next.status, next.title, next.total, next.number], [2, "entwurf", "Bad und Flur", 238, "AN-2026-0001"]);
+  assert.deepEqual(next.statusHistory.map((h) => h.status), ["entwurf", "versendet", "entwurf"]);
+  assert.equal(next.revisions.length, 1);
+  assert.deepEqual(next.revisions[0], revisionOf(sent, 2000, "meister"));
+  assert.ok(!("revisions" in next.revisions[0]) && !("statusHistory" in next.revisions[0]));
+
+  // Ein Entwurf bleibt beim Bearbeiten Entwurf, ohne neuen Eintrag im Verlauf
+  const third = reviseOffer(next, { meta: {}, input: next.input, calc: {}, user: "meister", now: 3000 });
+  assert.equal(third.statusHistory.length, 3);
+
+  assert.equal(offerRevision(third, 1).title, "Bad");
+  assert.equal(offerRevision(third, 2).total, 238);
+  assert.equal(offerRevision(third, 3).version, 3);
+  assert.ok(!("revisions" in offerRevision(third, 3)));
+  assert.equal(offerRevision(third, 9), null);
+});
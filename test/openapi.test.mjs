@@ -0,0 +1,87 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { z } from "zod";
+import { errorBody, issuesOf, openApiDocument, zodToJsonSchema } from "../openapi.mjs";
+import { OfferSchema } from "../offerEngine.mjs";
+
+test("zod-Typen werden in JSON Schema übersetzt", () => {
+  const schema = z.object({
+    name: z.string().min(1).max(80),
+    land: z.string().length(2).optional(),
+    anzahl: z.number().int().min(0),
+    rabatt: z.number().positive().max(100).optional(),
+    art: z.enum(["a", "b"]).default("a"),
+    aktiv: z.boolean(),
+    notiz: z.string().nullable(),
+    tags: z.array(z.string()).min(1),
+    extra: z.record(z.number()),
+  });
+  assert.deepEqual(zodToJsonSchema(schema), {
+    type: "object",
+    properties: {
+      name: { type: "string", minLength: 1, maxLength: 80 },
+      land: { type: "string", minLength: 2, maxLength: 2 },
+      anzahl: { type: "integer", minimum: 0 },
+      rabatt: { type: "number", exclusiveMinimum: 0, maximum: 100 },
+      art: { type: "string", enum: ["a", "b"], default: "a" },
+      aktiv: { type: "boolean" },
+      notiz: { anyOf: [{ type: "string" }, { type: "null" }] },
+      tags: { type: "array", items: { type: "string" }, minItems: 1 },
+      extra: { type: "object", additionalProperties: { type: "number" } },
+    },
+    required: ["name", "anzahl", "aktiv", "notiz", "tags", "extra"],
+  });
+  // refine ist nur zur Laufzeit prüfbar, das Schema bleibt das innere
+  assert.deepEqual(zodToJsonSchema(z.string().refine((s) => s !== "x")), { type: "string" });
+  assert.equal(zodToJsonSchema(z.object({}).passthrough()).additionalProperties, undefined);
+  assert.equal(zodToJsonSchema(z.object({}).strict()).additionalProperties, false);
+  // die echte Angebotseingabe lässt sich vollständig übersetzen
+  assert.deepEqual(zodToJsonSchema(OfferSchema).required, ["company", "customer", "project", "laborRatePerHour"]);
+});
+
+test("Fehler mit Feldpfaden", () => {
+  const parsed = z.object({ items: z.array(z.object({ quantity: z.number() })) }).safeParse({ items: [{ quantity: "3" }] });
+  const issues = issuesOf(parsed.error, "body");
+  assert.deepEqual(issues.map((i) => i.path), ["body.items.0.quantity"]);
+  assert.deepEqual(errorBody(400, "Ungültige Eingabe", issues).code, "validation_error");
+  assert.deepEqual(errorBody(404, "Not found"), { error: "Not found", code: "not_found", issues: [] });
+  assert.equal(errorBody(503).code, "internal_error");
+});
+
+test("OpenAPI-Dokument aus Routen und benannten Schemas", () => {
+  const Customer = z.object({ id: z.string(), name: z.string() });
+  const doc = openApiDocument({
+    info: { title: "Test", version: "1" },
+    routes: [
+      {
+        method: "get", path: "/customers/:id", operationId: "getCustomer", summary: "Kunde lesen", tags: ["Kunden"],
+        permission: "customers.view", params: z.object({ id: z.string() }), response: Customer,
+      },
+      {
+        method: "get", path: "/customers", operationId: "listCustomers", summary: "Kunden", tags: ["Kunden"],
+        query: z.object({ q: z.string().optional(), page: z.coerce.number().default(1) }),
+        response: z.object({ items: z.array(Customer) }),
+      },
+      {
+        method: "post", path: "/customers/:id/pdf", operationId: "customerPdf", summary: "PDF", tags: ["Kunden"],
+        params: z.object({ id: z.string() }), response: z.object({ ok: z.literal(true) }), accepted: true,
+      },
+    ],
+    schemas: { Customer },
+  });
+  assert.equal(doc.openapi, "3.1.0");
+  const op = doc.paths["/customers/{id}"].get;
+  assert.equal(op.operationId, "getCustomer");
+  assert.equal(op["x-permission"], "customers.view");
+  assert.deepEqual(op.parameters, [{ name: "id", in: "path", required: true, schema: { type: "string" } }]);
+  assert.deepEqual(op.responses[200].content["application/json"].schema, { $ref: "#/components/schemas/Customer" });
+  assert.deepEqual(op.responses[404].content["application/json"].schema, { $ref: "#/components/schemas/Error" });
+  const list = doc.paths["/customers"].get;
+  assert.deepEqual(list.parameters.map((p) => [p.name, p.required]), [["q", false], ["page", false]]);
+  assert.deepEqual(list.responses[200].content["application/json"].schema.properties.items.items, { $ref: "#/components/schemas/Customer" });
+  const pdf = doc.paths["/customers/{id}/pdf"].post;
+  assert.equal(pdf.responses[202].description, "Angenommen");
+  assert.equal(pdf.responses[200], undefined);
+  assert.ok(doc.components.schemas.Error.properties.issues);
+  assert.deepEqual(Object.keys(doc.components.securitySchemes), ["bearer", "session"]);
+});
@@ -0,0 +1,53 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { hasPermission, normalizeRole, PERMISSIONS, permissionsOf, ROLES, stripPrices } from "../permissions.mjs";
+
+test("Rollen: Inhaber darf alles, Rechte nehmen nach unten ab", () => {
+  assert.deepEqual(permissionsOf("inhaber"), Object.keys(PERMISSIONS));
+  for (const role of Object.keys(ROLES)) {
+    for (const p of permissionsOf(role)) assert.ok(PERMISSIONS[p], `${role}: unbekanntes Recht ${p}`);
+  }
+  // jede Rolle ist Teilmenge der darüberliegenden
+  const chain = ["azubi", "geselle", "meister", "buero", "inhaber"];
+  for (let i = 1; i < chain.length; i += 1) {
+    for (const p of permissionsOf(chain[i - 1])) assert.ok(hasPermission(chain[i], p), `${chain[i]} fehlt ${p}`);
+  }
+  assert.equal(hasPermission("geselle", "customers.delete"), false);
+  assert.equal(hasPermission("geselle", "prices.view"), false);
+  assert.equal(hasPermission("azubi", "offers.view"), false);
+  assert.equal(hasPermission("meister", "invoices.create"), false);
+  assert.equal(hasPermission("buero", "users.manage"), false);
+});
+
+test("Alte Rollen werden übernommen, unbekannte haben keine Rechte", () => {
+  assert.equal(normalizeRole("admin"), "inhaber");
+  assert.equal(normalizeRole("user"), "meister");
+  assert.equal(normalizeRole("chef"), null);
+  assert.equal(hasPermission("admin", "users.manage"), true);
+  assert.equal(hasPermission(undefined, "customers.view"), false);
+  assert.deepEqual(permissionsOf("chef"), []);
+});
+
+test("Preise werden aus Angeboten und Katalog entfernt", () => {
+  const offer = {
+    id: "o1",
+    title: "Bad",
+    subtotal: 100,
+    tax: 19,
+    total: 119,
+    input: { hourlyRate: 55 },
+    items: [{ description: "Fliesen", quantity: 10, unit: "m²", unitPrice: 10, total: 100 }],
+    extraItems: [{ description: "Bordüre", quantity: 5, unit: "m", unitPrice: 8, total: 40, type: "optional" }],
+    sections: [{ pos: "1", title: "Bad", level: 1, path: ["Bad"], subtotal: 100 }],
+  };
+  assert.deepEqual(stripPrices(offer), {
+    id: "o1",
+    title: "Bad",
+    items: [{ description: "Fliesen", quantity: 10, unit: "m²" }],
+    extraItems: [{ description: "Bordüre", quantity: 5, unit: "m", type: "optional" }],
+    sections: [{ pos: "1", title: "Bad", level: 1, path: ["Bad"] }],
+  });
+  assert.equal(offer.items[0].unitPrice, 10, "Original bleibt unverändert");
+  const cat = stripPrices({ version: 2, articles: [{ sku: "X", name: "Farbe", unit: "l", purchasePrice: 3, salePrice: 5 }] });
+  assert.deepEqual(cat, { version: 2, articles: [{ sku: "X", name: "Farbe", unit: "l" }] });
+});
@@ -0,0 +1,262 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import Database from "better-sqlite3";
+import { DEFAULT_TENANT, importLegacyJson, MIGRATIONS, openStore } from "../store.mjs";
+
+const tmpDir = () => fs.mkdtempSync(path.join(os.tmpdir(), "meisterki-store-"));
+
+test("Migrationen laufen einmal und werden protokolliert", () => {
+  const file = path.join(tmpDir(), "test.db");
+  const first = openStore(file);
+  assert.deepEqual(first.migrations().map((m) => m.version), MIGRATIONS.map((m) => m.version));
+  first.close();
+
+  const extra = [...MIGRATIONS, { version: 99, name: "Test", sql: "CREATE TABLE extra (id TEXT PRIMARY KEY)" }];
+  const second = openStore(file, { migrations: extra });
+  assert.deepEqual(second.migrations().map((m) => m.name), [...MIGRATIONS.map((m) => m.name), "Test"]);
+  second.close();
+  // erneutes Öffnen wendet nichts doppelt an
+  openStore(file, { migrations: extra }).close();
+});
+
+test("Repository: anlegen, lesen, ersetzen, löschen in Anlagereihenfolge", () => {
+  const store = openStore(":memory:");
+  store.customers.insert({ id: "b", name: "Bau GmbH" });
+  store.customers.insert({ id: "a", name: "Anna" });
+  assert.deepEqual(store.customers.list().map((c) => c.id), ["b", "a"]);
+  store.customers.update({ id: "b", name: "Bau AG", city: "Köln" });
+  assert.deepEqual(store.customers.get("b"), { id: "b", name: "Bau AG", city: "Köln" });
+  assert.deepEqual(store.customers.list().map((c) => c.id), ["b", "a"]);
+  assert.equal(store.customers.remove("a"), true);
+  assert.equal(store.customers.remove("a"), false);
+  assert.equal(store.customers.count(), 1);
+  assert.equal(store.customers.get("zz"), null);
+  assert.throws(() => store.customers.update({ id: "zz", name: "x" }), /nicht gefunden/);
+});
+
+test("Eindeutige Benutzernamen und Belegnummern", () => {
+  const store = openStore(":memory:");
+  store.users.insert({ id: "1", username: "meister" });
+  assert.equal(store.users.findBy("username", "meister").id, "1");
+  assert.equal(store.users.findBy("username", "geselle"), null);
+  assert.throws(() => store.users.insert({ id: "2", username: "meister" }), /UNIQUE/);
+  store.invoices.insert({ id: "r1", number: "RE-2026-0001" });
+  assert.throws(() => store.invoices.insert({ id: "r2", number: "RE-2026-0001" }), /UNIQUE/);
+});
+
+test("Transaktion wird bei Fehler vollständig zurückgerollt", () => {
+  const store = openStore(":memory:");
+  store.offers.insert({ id: "o1", number: "AN-2026-0001", status: "entwurf" });
+  assert.throws(() => store.transaction(() => {
+    store.offers.update({ id: "o1", number: "AN-2026-0001", status: "versendet" });
+    store.offers.insert({ id: "o2", number: "AN-2026-0001" });
+  }));
+  assert.equal(store.offers.get("o1").status, "entwurf");
+  assert.equal(store.offers.count(), 1);
+
+  // Wiederherstellung aus Backup ist ebenfalls atomar
+  assert.throws(() => store.restore({ customers: [{ id: "c1", name: "A" }], invoices: [{ number: "ohne id" }] }), /id fehlt/);
+  assert.equal(store.customers.count(), 0);
+});
+
+test("Einstellungen, Katalogversionen und Audit", () => {
+  const store = openStore(":memory:");
+  assert.deepEqual(store.settings.get({ taxRate: 19 }), { taxRate: 19 });
+  store.settings.set({ companyName: "Maler GmbH" });
+  assert.deepEqual(store.settings.get(), { companyName: "Maler GmbH" });
+
+  store.catalog.append({ version: 1, articles: [] });
+  store.catalog.append({ version: 2, articles: [{ sku: "X" }] });
+  assert.equal(store.catalog.latest().version, 2);
+  assert.equal(store.catalog.get(1).articles.length, 0);
+  assert.equal(store.catalog.get(3), null);
+
+  store.audit.append({ ts: 1, ip: "::1", user: { username: "admin" }, action: "login.ok", meta: {} });
+  store.audit.append({ ts: 2, action: "logout" });
+  assert.deepEqual(store.audit.list().map((e) => [e.action, e.user?.username ?? null]), [["logout", null], ["login.ok", "admin"]]);
+  assert.deepEqual(store.audit.ofActions(["login.ok", "pdf.mail"]).map((e) => e.ts), [1]);
+});
+
+test("JSON-Altbestand wird einmalig übernommen", () => {
+  const dir = tmpDir();
+  const write = (name, data) => fs.writeFileSync(path.join(dir, name), JSON.stringify(data));
+  write("settings.json", { companyName: "Maler GmbH", taxRate: 19 });
+  write("users.json", [{ id: "u1", username: "admin", role: "admin" }]);
+  write("customers.json", [{ id: "c1", name: "Anna" }, { id: "c2", name: "Bernd" }]);
+  write("offers.json", [{ id: "o1", number: "AN-2026-0001" }]);
+  write("catalog.json", [{ version: 1, articles: [] }, { version: 2, articles: [] }]);
+  fs.writeFileSync(path.join(dir, "projects.json"), "\n");
+  fs.writeFileSync(path.join(dir, "audit.log"), `${JSON.stringify({ ts: 5, action: "login.ok", meta: {} })}\n{"ts":6,"act`);
+
+  const store = openStore(path.join(dir, "meisterki.db"));
+  const counts = importLegacyJson(store, dir);
+  assert.deepEqual(counts, { settings: 1, users: 1, customers: 2, offers: 1, catalog: 2, audit: 2 });
+  assert.deepEqual(store.users.findBy("username", "admin").tenants, [{ id: DEFAULT_TENANT, role: "admin" }]);
+  assert.deepEqual(store.customers.list().map((c) => c.name), ["Anna", "Bernd"]);
+  assert.equal(store.catalog.latest().version, 2);
+  assert.equal(store.settings.get().companyName, "Maler GmbH");
+  assert.equal(store.audit.list().length, 1);
+  assert.ok(fs.existsSync(path.join(dir, "users.json")), "Quelldateien bleiben als Sicherung");
+
+  assert.equal(importLegacyJson(store, dir), null);
+  assert.equal(store.customers.count(), 2);
+});
+
+test("Kaputte JSON-Datei bricht den Import ohne Teilbestand ab", () => {
+  const dir = tmpDir();
+  fs.writeFileSync(path.join(dir, "users.json"), JSON.stringify([{ id: "u1", username: "admin" }]));
+  fs.writeFileSync(path.join(dir, "customers.json"), "[{\"id\":");
+  const store = openStore(":memory:");
+  assert.throws(() => importLegacyJson(store, dir), /customers\.json ist kein gültiges JSON/);
+  assert.equal(store.users.count(), 0);
+  assert.equal(store.meta.get("legacy_import"), null);
+});
+
+test("Mandanten: getrennte Sammlungen, Einstellungen, Nummernkreise, Audit und Backup", () => {
+  const store = openStore(":memory:");
+  store.tenants.insert({ id: "boden", name: "Boden GmbH" });
+  const maler = store.tenant(DEFAULT_TENANT);
+  const boden = store.tenant("boden");
+  assert.throws(() => store.tenant("gibtsnicht"), /Mandant gibtsnicht nicht gefunden/);
+
+  maler.customers.insert({ id: "c1", name: "Anna" });
+  boden.customers.insert({ id: "c2", name: "Bernd" });
+  assert.deepEqual(maler.customers.list().map((c) => c.name), ["Anna"]);
+  assert.equal(boden.customers.get("c1"), null);
+  assert.equal(boden.customers.remove("c1"), false);
+  assert.throws(() => boden.customers.update({ id: "c1", name: "fremd" }), /nicht gefunden/);
+
+  // gleiche Belegnummer in zwei Mandanten, aber nicht zweimal im selben
+  maler.offers.insert({ id: "o1", number: "AN-2026-0001" });
+  boden.offers.insert({ id: "o2", number: "AN-2026-0001" });
+  assert.throws(() => boden.offers.insert({ id: "o3", number: "AN-2026-0001" }), /UNIQUE/);
+
+  boden.settings.set({ companyName: "Boden GmbH" });
+  assert.deepEqual(maler.settings.get({}), {});
+
+  store.audit.append({ action: "login.ok", tenant: "boden" });
+  maler.audit.append({ action: "customer.create" });
+  assert.deepEqual(boden.audit.list().map((e) => e.action), ["login.ok"]);
+  assert.equal(store.audit.list().length, 2);
+
+  // Preiskatalog je Mandant
+  maler.catalog.append({ version: 1, articles: [{ sku: "MAL" }] });
+  boden.catalog.append({ version: 1, articles: [{ sku: "BOD" }] });
+  boden.catalog.append({ version: 2, articles: [] });
+  assert.equal(maler.catalog.latest().articles[0].sku, "MAL");
+  assert.equal(maler.catalog.get(2), null);
+
+  const backup = boden.dump();
+  assert.equal(backup.tenant, "boden");
+  assert.deepEqual(backup.customers.map((c) => c.id), ["c2"]);
+  assert.deepEqual(backup.catalog.map((v) => v.version), [1, 2]);
+  boden.restore({ customers: [], catalog: [{ version: 1, articles: [] }] });
+  assert.equal(boden.customers.count(), 0);
+  assert.deepEqual(boden.catalog.versions().map((v) => v.version), [1]);
+  assert.equal(maler.catalog.versions().length, 1);
+  assert.equal(maler.customers.count(), 1);
+  assert.deepEqual(store.stats(), { tenants: 2, users: 0, customers: 1, projects: 0, offers: 2, invoices: 0, bookings: 0, diary: 0, media: 0, templates: 0, documents: 0 });
+});
+
+test("Bestand aus Schema 1 wird dem Standardmandanten zugeordnet", () => {
+  const file = path.join(tmpDir(), "alt.db");
+  const old = new Database(file);
+  old.exec(MIGRATIONS[0].sql);
+  old.exec("CREATE TABLE schema_migrations (version INTEGER PRIMARY KEY, name TEXT NOT NULL, applied_at INTEGER NOT NULL)");
+  old.prepare("INSERT INTO schema_migrations VALUES (1, 'Grundschema', 0)").run();
+  old.prepare("INSERT INTO settings (id, data) VALUES (1, ?)").run(JSON.stringify({ companyName: "Maler GmbH" }));
+  old.prepare("INSERT INTO users (id, data) VALUES ('u1', ?)").run(JSON.stringify({ id: "u1", username: "admin" }));
+  old.prepare("INSERT INTO customers (id, data) VALUES ('c1', ?)").run(JSON.stringify({ id: "c1", name: "Anna" }));
+  old.prepare("INSERT INTO audit (ts, action) VALUES (1, 'login.ok')").run();
+  old.close();
+
+  const store = openStore(file);
+  assert.equal(store.tenants.get(DEFAULT_TENANT).name, "Maler GmbH");
+  assert.equal(store.tenant(DEFAULT_TENANT).settings.get().companyName, "Maler GmbH");
+  assert.deepEqual(store.users.get("u1").tenants, [{ id: DEFAULT_TENANT, role: null }]);
+  assert.deepEqual(store.tenant(DEFAULT_TENANT).customers.list(), [{ id: "c1", name: "Anna" }]);
+  assert.equal(store.tenant(DEFAULT_TENANT).audit.list().length, 1);
+  store.close();
+});
+
+test("Bisher gemeinsamer Preiskatalog wird jedem Mandanten übernommen", () => {
+  const file = path.join(tmpDir(), "katalog.db");
+  const old = new Database(file);
+  old.exec("CREATE TABLE schema_migrations (version INTEGER PRIMARY KEY, name TEXT NOT NULL, applied_at INTEGER NOT NULL)");
+  for (const m of MIGRATIONS.filter((m) => m.version < 11)) {
+    if (m.sql) old.exec(m.sql);
+    if (m.up) m.up(old);
+    old.prepare("INSERT INTO schema_migrations VALUES (?, ?, 0)").run(m.version, m.name);
+  }
+  old.prepare("INSERT INTO tenants (id, data) VALUES ('boden', ?)").run(JSON.stringify({ id: "boden", name: "Boden GmbH" }));
+  for (const version of [1, 2]) {
+    old.prepare("INSERT INTO catalog_versions (version, data) VALUES (?, ?)").run(version, JSON.stringify({ version, articles: [] }));
+  }
+  old.close();
+
+  const store = openStore(file);
+  for (const id of [DEFAULT_TENANT, "boden"]) {
+    assert.deepEqual(store.tenant(id).catalog.versions().map((v) => v.version), [1, 2]);
+  }
+  store.tenant("boden").catalog.append({ version: 3, articles: [] });
+  assert.equal(store.tenant(DEFAULT_TENANT).catalog.latest().version, 2);
+  store.close();
+});
+
+test("Globale Rolle gilt nach der Migration in jedem Mandanten des Benutzers", () => {
+  const file = path.join(tmpDir(), "rollen.db");
+  const old = new Database(file);
+  old.exec("CREATE TABLE schema_migrations (version INTEGER PRIMARY KEY, name TEXT NOT NULL, applied_at INTEGER NOT NULL)");
+  for (const m of MIGRATIONS.filter((m) => m.version < 12)) {
+    if (m.sql) old.exec(m.sql);
+    if (m.up) m.up(old);
+    old.prepare("INSERT INTO schema_migrations VALUES (?, ?, 0)").run(m.version, m.name);
+  }
+  const user = old.prepare("INSERT INTO users (id, data) VALUES (?, ?)");
+  user.run("u1", JSON.stringify({ id: "u1", username: "anna", role: "inhaber", tenants: ["default", "boden"] }));
+  user.run("u2", JSON.stringify({ id: "u2", username: "ben", role: "geselle", tenants: [] }));
+  old.close();
+
+  const store = openStore(file);
+  const anna = store.users.get("u1");
+  assert.deepEqual(anna.tenants, [{ id: "default", role: "inhaber" }, { id: "boden", role: "inhaber" }]);
+  assert.ok(!("role" in anna));
+  assert.deepEqual(store.users.get("u2").tenants, [{ id: DEFAULT_TENANT, role: "geselle" }]);
+  store.close();
+});
+
+test("Anmeldesperren: Zähler, Sperrfrist und Aufräumen", () => {
+  const store = openStore(":memory:");
+  const lock = (count) => 60 * count;
+  assert.equal(store.lockouts.get("ip|anna"), null);
+  assert.deepEqual(store.lockouts.fail("ip|anna", lock, 1000), { count: 1, lockSec: 60 });
+  assert.deepEqual(store.lockouts.fail("ip|anna", lock, 100000), { count: 2, lockSec: 120 });
+  assert.deepEqual(store.lockouts.get("ip|anna"), { count: 2, lockedUntil: 220000, updatedAt: 100000 });
+  store.lockouts.fail("ip|bernd", lock, 1000);
+  // anna ist noch gesperrt und bleibt, bernd ist abgelaufen und alt
+  assert.equal(store.lockouts.purge(60000, 200000), 1);
+  assert.equal(store.lockouts.get("ip|bernd"), null);
+  store.lockouts.clear("ip|anna");
+  assert.equal(store.lockouts.get("ip|anna"), null);
+});
+
+test("API-Tokens werden über den Hash gefunden; Hash ist eindeutig", () => {
+  const store = openStore(":memory:");
+  store.apiTokens.insert({ id: "t1", hash: "abc", userId: "u1", tenant: DEFAULT_TENANT, scopes: ["customers.view"] });
+  assert.equal(store.apiTokens.findBy("hash", "abc").id, "t1");
+  assert.equal(store.apiTokens.findBy("hash", "xyz"), null);
+  assert.throws(() => store.apiTokens.insert({ id: "t2", hash: "abc" }), /UNIQUE/);
+});
+
+test("Buchungen je Projekt über listBy", () => {
+  const store = openStore(":memory:");
+  store.bookings.insert({ id: "b1", projectId: "p1", kind: "zeit", hours: 2 });
+  store.bookings.insert({ id: "b2", projectId: "p2", kind: "zeit", hours: 3 });
+  store.bookings.insert({ id: "b3", projectId: "p1", kind: "material", quantity: 5 });
+  assert.deepEqual(store.bookings.listBy("projectId", "p1").map((b) => b.id), ["b1", "b3"]);
+  assert.deepEqual(store.bookings.listBy("projectId", "p9"), []);
+  assert.equal(store.dump().bookings.length, 3);
+});
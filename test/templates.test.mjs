@@ -0,0 +1,76 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import {
+  DEFAULT_TEMPLATE, fillPlaceholders, footerColumns, inspectFont, letterGeometry, MM, pickTemplate, recipientLines, senderLine,
+  TemplateSchema,
+} from "../templates.mjs";
+
+const company = {
+  name: "Maler Muster GmbH", street: "Hauptstr. 1", zip: "12345", city: "Musterstadt", phone: "01234 5678", email: "info@maler.de",
+  bankName: "Sparkasse Musterstadt", iban: "DE02120300000000202051", bic: "BYLADEM1001",
+  managingDirector: "Max Muster", registerCourt: "Amtsgericht Musterstadt", registerNumber: "HRB 1234", vatId: "DE123456789",
+};
+
+test("Platzhalter: Texte füllen, unbekannte Platzhalter ablehnen", () => {
+  assert.equal(
+    fillPlaceholders("Für {kunde}: {projekt}, gültig bis {gueltigBis} {tippfehler}", { kunde: "Erika", projekt: "Bad", gueltigBis: "31.03.2026" }),
+    "Für Erika: Bad, gültig bis 31.03.2026 {tippfehler}",
+  );
+  assert.equal(fillPlaceholders(undefined, {}), "");
+
+  const bad = TemplateSchema.safeParse({ name: "Hausstil", introText: "Hallo {kundenname}", accentColor: "blau" });
+  assert.deepEqual(bad.error.issues.map((i) => i.path.join(".")), ["accentColor", "introText"]);
+  assert.match(bad.error.issues[1].message, /\{kundenname\}/);
+
+  const ok = TemplateSchema.parse({ name: "Hausstil" });
+  assert.deepEqual([ok.form, ok.isDefault, ok.logo], ["B", false, { show: true, width: 140 }]);
+  assert.match(ok.termsText, /\{gueltigBis\}/);
+});
+
+test("DIN 5008: Anschriftfeld und Falzmarken für Form A und B", () => {
+  const round = (pt) => Math.round((pt / MM) * 10) / 10;
+  const b = letterGeometry("B");
+  assert.deepEqual([round(b.addressField.x), round(b.addressField.y), round(b.addressField.width), round(b.addressField.height)], [20, 45, 85, 45]);
+  assert.deepEqual([round(b.recipient.x), round(b.recipient.y)], [25, 62.7]);
+  assert.deepEqual(b.foldMarks.map(round), [105, 210]);
+  assert.equal(round(b.punchMark), 148.5);
+  assert.ok(b.senderLine.y < b.recipient.y && b.info.x > b.addressField.x + b.addressField.width);
+
+  const a = letterGeometry("A");
+  assert.deepEqual([round(a.addressField.y), ...a.foldMarks.map(round)], [27, 87, 192]);
+  assert.ok(a.bodyTop < b.bodyTop);
+});
+
+test("Firmendaten: Rücksendeangabe, Fußzeile und Empfänger", () => {
+  assert.equal(senderLine(company), "Maler Muster GmbH · Hauptstr. 1 · 12345 Musterstadt");
+  assert.equal(senderLine({ name: "Maler", address: "Weg 2, 12345 Ort" }), "Maler · Weg 2, 12345 Ort");
+
+  assert.deepEqual(footerColumns(company), [
+    ["Maler Muster GmbH", "Hauptstr. 1", "12345 Musterstadt", "Tel. 01234 5678", "info@maler.de"],
+    ["Sparkasse Musterstadt", "IBAN DE02 1203 0000 0000 2020 51", "BIC BYLADEM1001"],
+    ["Geschäftsführung: Max Muster", "Amtsgericht Musterstadt HRB 1234", "USt-IdNr. DE123456789"],
+  ]);
+  // ohne Bank- und Registerangaben nur die Kontaktspalte
+  assert.deepEqual(footerColumns({ name: "Maler", email: "a@b.de" }), [["Maler", "a@b.de"]]);
+
+  assert.deepEqual(recipientLines({ name: "Erika", address: "Musterweg 12\n12345 Musterstadt" }), ["Erika", "Musterweg 12", "12345 Musterstadt"]);
+  assert.deepEqual(recipientLines({ name: "Erika" }, { name: "Erika Mustermann", street: "Ring 3", zip: "54321", city: "Ort" }), [
+    "Erika Mustermann", "Ring 3", "54321 Ort",
+  ]);
+});
+
+test("Vorlagenwahl: eigene, Standardvorlage des Mandanten, sonst eingebaute", () => {
+  const templates = [{ id: "t1", name: "Schlicht" }, { id: "t2", name: "Hausstil", isDefault: true }];
+  assert.equal(pickTemplate(templates, "t1").name, "Schlicht");
+  assert.equal(pickTemplate(templates, "fehlt").name, "Hausstil");
+  assert.equal(pickTemplate([], undefined), DEFAULT_TEMPLATE);
+});
+
+const DEJAVU = "/usr/share/fonts/truetype/dejavu/DejaVuSans.ttf";
+test("Schriften: Umlaute und Sonderzeichen müssen enthalten sein", { skip: !fs.existsSync(DEJAVU) && "DejaVu nicht installiert" }, () => {
+  const font = inspectFont(fs.readFileSync(DEJAVU));
+  assert.equal(font.family, "DejaVu Sans");
+  assert.deepEqual(font.missing, []);
+  assert.throws(() => inspectFont(Buffer.from("keine Schrift")), /lesbare/);
+});
@@ -0,0 +1,49 @@
+// Boden: Belagsfläche je Raum inkl. Verschnitt, Sockelleisten aus dem Umfang
+import { z } from "zod";
+import { inSection, item, round2 } from "./util.mjs";
+
+export const trade = "boden";
+export const key = "boden";
+export const label = "Boden";
+export const usesRooms = true;
+export const requires = { articles: ["BOD-BELAG", "BOD-SOCKEL"], norms: ["boden.verlegen", "boden.vorbereitung", "boden.sockel"] };
+
+export const schema = z.object({
+  wastePercent: z.number().min(0).max(50).default(10).describe("Verschnitt (%)"),
+  flooringPricePerM2: z.number().min(0).optional().describe("Bodenbelag (€/m², leer = Katalog)"),
+  skirtingPricePerM: z.number().min(0).optional().describe("Sockelleiste (€/m, leer = Katalog)"),
+  doorOpenings_m: z.number().min(0).default(0.9).describe("Türöffnungen je Raum (m)"),
+});
+
+export function estimate(input, ext, ctx) {
+  const items = [];
+  const waste = 1 + ext.wastePercent / 100;
+  const flooring = ctx.article("BOD-BELAG");
+  const skirtingArticle = ctx.article("BOD-SOCKEL");
+  for (const room of input.project.rooms || []) {
+    const area = room.width_m * room.length_m;
+    const skirting = Math.max(0, 2 * (room.width_m + room.length_m) - ext.doorOpenings_m);
+    const hours =
+      ctx.hours("boden.verlegen", area) +
+      ctx.hours("boden.vorbereitung", area) +
+      ctx.hours("boden.sockel", skirting);
+
+    const roomItems = [];
+    roomItems.push(item(
+      `Bodenarbeiten ${room.name}: Belag verlegen (${round2(area)} m²), Sockelleisten (${round2(skirting)} m)`,
+      hours, "Std", input.laborRatePerHour
+    ));
+    roomItems.push(item(
+      `Material: ${flooring.name} ${room.name} (${round2(area)} m² + ${ext.wastePercent} % Verschnitt)`,
+      area * waste, flooring.unit, ext.flooringPricePerM2 ?? ctx.price(flooring.sku)
+    ));
+    if (skirting > 0) {
+      roomItems.push(item(
+        `Material: ${skirtingArticle.name} ${room.name}`,
+        skirting * waste, skirtingArticle.unit, ext.skirtingPricePerM ?? ctx.price(skirtingArticle.sku)
+      ));
+    }
+    items.push(...inSection(room.name, roomItems));
+  }
+  return items;
+}
@@ -0,0 +1,49 @@
+// Dach: Dachfläche aus Grundriss und Neigung, daraus Ziegel und Lattung
+import { z } from "zod";
+import { item, round2 } from "./util.mjs";
+
+export const trade = "dach";
+export const key = "dach";
+export const label = "Dach";
+export const usesRooms = false;
+export const requires = { articles: ["DACH-ZIEGEL", "DACH-LATTE"], fields: { "DACH-ZIEGEL": ["coverage"] }, norms: ["dach.eindecken"] };
+
+export const schema = z.object({
+  length_m: z.number().positive().default(10).describe("Grundriss Länge (m)"),
+  width_m: z.number().positive().default(8).describe("Grundriss Breite (m)"),
+  pitchDeg: z.number().min(0).max(75).default(35).describe("Dachneigung (°)"),
+  overhang_m: z.number().min(0).default(0.5).describe("Dachüberstand (m)"),
+  tilesPerM2: z.number().positive().optional().describe("Ziegel je m² (leer = Katalog)"),
+  tilePrice: z.number().min(0).optional().describe("Ziegel (€/Stk, leer = Katalog)"),
+  battenSpacing_m: z.number().positive().default(0.33).describe("Lattabstand (m)"),
+  battenPricePerM: z.number().min(0).optional().describe("Dachlatte (€/m, leer = Katalog)"),
+});
+
+const WASTE = 1.05; // Bruch/Verschnitt
+
+// Gilt für Sattel- und Pultdach mit einheitlicher Neigung:
+// Dachfläche = projizierte Fläche / cos(Neigung)
+export function roofArea(ext) {
+  const projected = (ext.length_m + 2 * ext.overhang_m) * (ext.width_m + 2 * ext.overhang_m);
+  return projected / Math.cos((ext.pitchDeg * Math.PI) / 180);
+}
+
+export function estimate(input, ext, ctx) {
+  const tile = ctx.article("DACH-ZIEGEL");
+  const batten = ctx.article("DACH-LATTE");
+  const area = roofArea(ext);
+  const tilesPerM2 = ext.tilesPerM2 ?? 1 / tile.coverage;
+  const tiles = Math.ceil(area * tilesPerM2 * WASTE);
+  const battens = (area / ext.battenSpacing_m) * WASTE;
+  return [
+    item(
+      `Dacheindeckung inkl. Lattung (${round2(area)} m² Dachfläche, ${ext.pitchDeg}° Neigung)`,
+      ctx.hours("dach.eindecken", area), "Std", input.laborRatePerHour
+    ),
+    item(`Material: ${tile.name}`, tiles, tile.unit, ext.tilePrice ?? ctx.price(tile.sku)),
+    item(
+      `Material: ${batten.name} (Abstand ${ext.battenSpacing_m} m)`,
+      battens, batten.unit, ext.battenPricePerM ?? ctx.price(batten.sku)
+    ),
+  ];
+}
@@ -0,0 +1,55 @@
+// Elektro: Installationspunkte (Steckdosen, Schalter, Licht) und Stromkreise
+import { z } from "zod";
+import { item } from "./util.mjs";
+
+export const trade = "elektro";
+export const key = "elektro";
+export const label = "Elektro";
+export const usesRooms = false;
+export const requires = {
+  articles: ["ELE-STECKDOSE", "ELE-SCHALTER", "ELE-LICHT", "ELE-LS-B16", "ELE-NYM-3X15"],
+  norms: ["elektro.steckdose", "elektro.schalter", "elektro.licht", "elektro.stromkreis", "elektro.leitung"],
+};
+
+export const schema = z.object({
+  outlets: z.number().int().min(0).default(0).describe("Steckdosen"),
+  switches: z.number().int().min(0).default(0).describe("Schalter"),
+  lights: z.number().int().min(0).default(0).describe("Lichtauslässe"),
+  circuits: z.number().int().min(0).optional().describe("Stromkreise (leer = automatisch)"),
+  cablePerPoint_m: z.number().min(0).default(8).describe("Leitung je Installationspunkt (m)"),
+});
+
+export function circuitsFor(ext) {
+  if (ext.circuits != null) return ext.circuits;
+  const points = ext.outlets + ext.lights;
+  return points ? Math.ceil(ext.outlets / 8 + ext.lights / 10) : 0;
+}
+
+export function estimate(input, ext, ctx) {
+  const circuits = circuitsFor(ext);
+  const points = ext.outlets + ext.switches + ext.lights;
+  if (!points && !circuits) return [];
+  const cable = points * ext.cablePerPoint_m;
+  const hours =
+    ctx.hours("elektro.steckdose", ext.outlets) +
+    ctx.hours("elektro.schalter", ext.switches) +
+    ctx.hours("elektro.licht", ext.lights) +
+    ctx.hours("elektro.stromkreis", circuits) +
+    ctx.hours("elektro.leitung", cable);
+
+  const items = [item(
+    `Elektroinstallation: ${ext.outlets} Steckdosen, ${ext.switches} Schalter, ${ext.lights} Lichtauslässe, ${circuits} Stromkreise`,
+    hours, "Std", input.laborRatePerHour
+  )];
+  const material = (sku, qty) => {
+    if (!qty) return;
+    const a = ctx.article(sku);
+    items.push(item(`Material: ${a.name}`, qty, a.unit, ctx.price(sku)));
+  };
+  material("ELE-STECKDOSE", ext.outlets);
+  material("ELE-SCHALTER", ext.switches);
+  material("ELE-LICHT", ext.lights);
+  material("ELE-LS-B16", circuits);
+  material("ELE-NYM-3X15", cable);
+  return items;
+}
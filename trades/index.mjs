@@ -0,0 +1,103 @@
+// Gewerke-Registry: jedes Gewerk ist ein Modul mit
+//   trade     – Wert aus dem Trade-Union ("maler", "sanitär", …)
+//   key       – Schlüssel der Eingabe-Erweiterung unter input.project[key]
+//   label     – Anzeigename
+//   usesRooms – ob project.rooms ausgewertet wird
+//   schema    – zod-Objekt der gewerkespezifischen Eingaben
+//   estimate(input, ext, ctx) – liefert OfferItem[]; ctx = priceContext() aus catalog.mjs
+//   requires  – { articles: [sku], fields: { sku: [feld] }, norms: [key] }, die estimate() im Katalog voraussetzt;
+//               fields nennt optionale Artikelfelder (z. B. coverage), mit denen gerechnet wird
+import { z } from "zod";
+import { DEFAULT_CATALOG, priceContext } from "../catalog.mjs";
+import * as maler from "./maler.mjs";
+import * as elektro from "./elektro.mjs";
+import * as sanitaer from "./sanitaer.mjs";
+import * as boden from "./boden.mjs";
+import * as dach from "./dach.mjs";
+
+const TRADES = new Map();
+
+export function registerTrade(mod) {
+  if (!mod?.trade || !mod.key || !mod.schema || typeof mod.estimate !== "function")
+    throw new Error(`Ungültiges Gewerke-Modul: ${mod?.trade || "?"}`);
+  TRADES.set(mod.trade, mod);
+}
+
+for (const mod of [maler, elektro, sanitaer, boden, dach]) registerTrade(mod);
+
+// Katalogeinträge, ohne die ein Gewerk nicht rechnen kann; leer = Katalog vollständig
+export function missingCatalogEntries(catalog) {
+  const issues = [];
+  for (const mod of TRADES.values()) {
+    for (const sku of mod.requires?.articles || []) {
+      const i = catalog.articles.findIndex((a) => a.sku === sku);
+      if (i < 0) {
+        issues.push({ path: "articles", message: `Artikel ${sku} wird vom Gewerk ${mod.label} benötigt` });
+        continue;
+      }
+      for (const field of mod.requires.fields?.[sku] || []) {
+        if (catalog.articles[i][field] == null)
+          issues.push({ path: `articles.${i}.${field}`, message: `${field} von Artikel ${sku} wird vom Gewerk ${mod.label} benötigt` });
+      }
+    }
+    for (const key of mod.requires?.norms || []) {
+      if (!catalog.norms.some((n) => n.key === key))
+        issues.push({ path: "norms", message: `Zeitwert ${key} wird vom Gewerk ${mod.label} benötigt` });
+    }
+  }
+  return issues;
+}
+
+export function getTrade(trade) {
+  return TRADES.get(trade) || null;
+}
+
+// Erweiterungen für das project-Schema: { boden: schema.optional(), … }
+export function projectExtensions() {
+  const shape = {};
+  for (const mod of TRADES.values()) shape[mod.key] = mod.schema.optional();
+  return shape;
+}
+
+// Positionen des gewählten Gewerks (ohne manuelle Materialien).
+// Ohne Katalog-Kontext wird der Startkatalog verwendet.
+export function estimateTrade(input, ctx = priceContext(DEFAULT_CATALOG, input.segment)) {
+  const mod = getTrade(input.trade);
+  if (!mod) return [];
+  const ext = mod.schema.parse(input.project?.[mod.key] ?? {});
+  return mod.estimate(input, ext, ctx);
+}
+
+// Feldbeschreibung aus dem zod-Schema, damit der Editor die Eingaben rendern kann
+function describeField(name, schema) {
+  let s = schema;
+  let def;
+  let optional = false;
+  while (s._def.innerType) {
+    if (s instanceof z.ZodDefault) def = s._def.defaultValue();
+    if (s instanceof z.ZodOptional) optional = true;
+    s = s._def.innerType;
+  }
+  const type =
+    s instanceof z.ZodNumber ? "number" :
+    s instanceof z.ZodEnum ? "select" :
+    s instanceof z.ZodBoolean ? "boolean" : "text";
+  return {
+    name,
+    label: schema.description || name,
+    type,
+    default: def,
+    optional,
+    ...(type === "select" ? { options: s.options } : {}),
+  };
+}
+
+export function listTrades() {
+  return [...TRADES.values()].map((mod) => ({
+    trade: mod.trade,
+    key: mod.key,
+    label: mod.label,
+    usesRooms: mod.usesRooms,
+    fields: Object.entries(mod.schema.shape).map(([name, s]) => describeField(name, s)),
+  }));
+}
@@ -0,0 +1,35 @@
+// Maler: Wand- und Deckenflächen je Raum, Stunden und Farbe
+import { z } from "zod";
+import { inSection, item, round2 } from "./util.mjs";
+
+export const trade = "maler";
+export const key = "maler";
+export const label = "Maler";
+export const usesRooms = true;
+export const requires = { articles: ["MAL-FARBE"], fields: { "MAL-FARBE": ["coverage"] }, norms: ["maler.wand", "maler.decke", "maler.vorbereitung"] };
+
+export const schema = z.object({});
+
+export function estimate(input, _ext, ctx) {
+  const items = [];
+  const paint = ctx.article("MAL-FARBE");
+  for (const room of input.project.rooms || []) {
+    const h = room.height_m ?? ctx.defaults.roomHeight_m;
+    const wallArea = 2 * (room.width_m + room.length_m) * h;
+    const ceilingArea = room.width_m * room.length_m;
+    const hours =
+      ctx.hours("maler.wand", wallArea) +
+      ctx.hours("maler.decke", ceilingArea) +
+      ctx.hours("maler.vorbereitung", wallArea + ceilingArea);
+
+    const paintLiters = (wallArea + ceilingArea) / paint.coverage;
+    items.push(...inSection(room.name, [
+      item(
+        `Malerarbeiten ${room.name}: Wände & Decke streichen (${round2(wallArea + ceilingArea)} m²)`,
+        hours, "Std", input.laborRatePerHour
+      ),
+      item(`Material: ${paint.name} (${round2(paintLiters)} l)`, paintLiters, paint.unit, ctx.price(paint.sku)),
+    ]));
+  }
+  return items;
+}
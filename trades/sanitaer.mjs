@@ -0,0 +1,52 @@
+// Sanitär: Kalkulation über Anzahl und Art der Sanitärobjekte
+import { z } from "zod";
+import { item } from "./util.mjs";
+
+export const trade = "sanitär";
+export const key = "sanitaer";
+export const label = "Sanitär";
+export const usesRooms = false;
+
+// Objektart → Katalogartikel und Zeitwert
+const FIXTURES = {
+  wc: { sku: "SAN-WC", norm: "sanitaer.wc" },
+  waschtisch: { sku: "SAN-WT", norm: "sanitaer.waschtisch" },
+  dusche: { sku: "SAN-DU", norm: "sanitaer.dusche" },
+  badewanne: { sku: "SAN-BW", norm: "sanitaer.badewanne" },
+  urinal: { sku: "SAN-UR", norm: "sanitaer.urinal" },
+  spuele: { sku: "SAN-SP", norm: "sanitaer.spuele" },
+};
+export const requires = {
+  articles: [...Object.values(FIXTURES).map((f) => f.sku), "SAN-ROHR"],
+  norms: [...Object.values(FIXTURES).map((f) => f.norm), "sanitaer.rohr"],
+};
+
+export const schema = z.object({
+  wc: z.number().int().min(0).default(0).describe("WC"),
+  waschtisch: z.number().int().min(0).default(0).describe("Waschtische"),
+  dusche: z.number().int().min(0).default(0).describe("Duschen"),
+  badewanne: z.number().int().min(0).default(0).describe("Badewannen"),
+  urinal: z.number().int().min(0).default(0).describe("Urinale"),
+  spuele: z.number().int().min(0).default(0).describe("Küchenspülen"),
+  pipePerFixture_m: z.number().min(0).default(6).describe("Rohrleitung je Objekt (m)"),
+});
+
+export function estimate(input, ext, ctx) {
+  const items = [];
+  let count = 0;
+  for (const [type, f] of Object.entries(FIXTURES)) {
+    const n = ext[type];
+    if (!n) continue;
+    count += n;
+    const a = ctx.article(f.sku);
+    items.push(item(`Montage ${a.name}`, ctx.hours(f.norm, n), "Std", input.laborRatePerHour));
+    items.push(item(`Material: ${a.name}`, n, a.unit, ctx.price(f.sku)));
+  }
+  const pipe = count * ext.pipePerFixture_m;
+  if (pipe) {
+    const a = ctx.article("SAN-ROHR");
+    items.push(item(`Rohrinstallation (${pipe} m)`, ctx.hours("sanitaer.rohr", pipe), "Std", input.laborRatePerHour));
+    items.push(item(`Material: ${a.name}`, pipe, a.unit, ctx.price(a.sku)));
+  }
+  return items;
+}
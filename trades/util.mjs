@@ -0,0 +1,25 @@
+// Gemeinsame Helfer für die Gewerke-Module
+
+export function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+// Angebotsposition im Format von OfferItem (types.ts); der Gesamtpreis
+// ergibt sich aus der angezeigten (gerundeten) Menge. Stundenpositionen
+// der Gewerke sind Lohn, alles andere Material.
+export function item(description, quantity, unit, unitPrice, kind = unit === "Std" ? "labour" : "material") {
+  const q = round2(quantity);
+  return {
+    description,
+    quantity: q,
+    unit,
+    unitPrice,
+    kind,
+    total: round2(q * unitPrice),
+  };
+}
+
+// Positionen eines Raums (o. Ä.) unter einen gemeinsamen Titel stellen
+export function inSection(title, items) {
+  return items.map((it) => ({ ...it, section: [title] }));
+}
@@ -1,15 +1,83 @@
 export type Trade = 'maler' | 'elektro' | 'sanitär' | 'boden' | 'dach';
 
+export interface Discount {
+  type: 'percent' | 'amount';
+  value: number; // Prozent bzw. Euro
+}
+
+// Kostenart; labour/machine/travel sind Arbeitskosten nach § 35a EStG
+export type CostKind = 'labour' | 'material' | 'machine' | 'travel';
+
+export interface CostAmounts {
+  net: number;
+  tax: number;
+  gross: number;
+}
+
+// normal zählt zur Summe; Bedarfs- (optional) und Wahlpositionen (alternative) werden nur angeboten
+export type ItemType = 'normal' | 'optional' | 'alternative';
+
 export interface OfferItem {
+  pos: string; // Positionsnummer, z. B. "1.2" (mit Titeln) oder OZ aus dem GAEB-LV
+  oz?: string;
+  section?: string[]; // Titel und Untertitel, z. B. ["Wohnzimmer"]
   description: string;
+  longText?: string;
   quantity: number;
   unit: string;
   unitPrice: number;
-  total: number;
+  taxRate?: number;
+  reverseCharge?: boolean; // § 13b UStG
+  discount?: Discount;
+  discountAmount?: number;
+  kind: CostKind;
+  total: number; // netto nach Positionsrabatt
+}
+
+// Bedarfs- oder Wahlposition (Offer.extraItems); ref = Herkunft in der Eingabe, z. B. "items.3"
+export interface OfferExtraItem extends OfferItem {
+  type: Exclude<ItemType, 'normal'>;
+  altGroup?: string;
+  alternativeTo?: string[]; // Positionsnummern, die eine gewählte Wahlposition ersetzt
+  ref: string;
+}
+
+// Titel mit Zwischensumme (netto, vor Aufschlag und Gesamtrabatt)
+export interface OfferSection {
+  pos: string;
+  title: string;
+  level: number;
+  path: string[];
+  subtotal: number;
+}
+
+// Netto und Steuer je Steuersatz
+export interface TaxLine {
+  rate: number;
+  reverseCharge: boolean;
+  net: number;
+  tax: number;
+}
+
+// Freie Position ohne Gewerke-Berechnung
+export interface FreeItem {
+  description: string;
+  quantity: number;
+  unit: string;
+  unitPrice: number;
+  taxRate?: number;
+  reverseCharge?: boolean;
+  discount?: Discount;
+  kind?: CostKind; // leer = aus Einheit/Bezeichnung abgeleitet
+  oz?: string;
+  longText?: string;
+  type?: ItemType;
+  altGroup?: string; // Wahlgruppe
+  section?: string[];
 }
 
 export interface OfferInput {
-  trade: Trade;
+  trade?: Trade;
   company: { name: string; address?: string; email?: string; phone?: string };
   customer: { name: string; address?: string; email?: string; phone?: string };
   project: {
@@ -18,10 +86,26 @@ export interface OfferInput {
     rooms?: { name: string; width_m: number; length_m: number; height_m?: number }[];
     materials?: { name: string; unitPrice: number; quantity: number; unit: string }[];
     notes?: string;
+    // Gewerkespezifische Eingaben (Schemas in trades/*.mjs)
+    boden?: { wastePercent?: number; flooringPricePerM2?: number; skirtingPricePerM?: number; doorOpenings_m?: number };
+    dach?: {
+      length_m?: number; width_m?: number; pitchDeg?: number; overhang_m?: number;
+      tilesPerM2?: number; tilePrice?: number; battenSpacing_m?: number; battenPricePerM?: number;
+    };
+    elektro?: { outlets?: number; switches?: number; lights?: number; circuits?: number; cablePerPoint_m?: number };
+    sanitaer?: {
+      wc?: number; waschtisch?: number; dusche?: number; badewanne?: number; urinal?: number; spuele?: number;
+      pipePerFixture_m?: number;
+    };
   };
+  items?: FreeItem[];
   laborRatePerHour: number;
+  segment?: string; // Kundensegment aus dem Preiskatalog
   marginPercentage?: number;
-  taxRatePercentage?: number;
+  taxRatePercentage?: number; // Standardsatz für Positionen ohne eigenen Satz
+  discount?: Discount;
+  reverseCharge?: boolean;
+  skonto?: { percent: number; days: number };
 }
 
 export interface Offer {
@@ -29,10 +113,71 @@ export interface Offer {
   createdAt: string;
   input: OfferInput;
   items: OfferItem[];
+  extraItems?: OfferExtraItem[];
+  sections?: OfferSection[];
+  templateId?: string | null; // Dokumentvorlage für das PDF
   subtotal: number;
+  marginPercentage: number;
   margin: number;
+  discount?: Discount;
+  discountAmount?: number;
   totalBeforeTax: number;
+  taxRatePercentage: number;
+  taxes: TaxLine[];
   tax: number;
   total: number;
   currency: string;
+  reverseCharge?: boolean;
+  skonto?: { percent: number; days: number; amount: number; total: number };
+  costTypes: Record<CostKind, CostAmounts>;
+  labourCosts: CostAmounts; // Lohnanteil nach § 35a EStG
+}
+
+// Layout des Angebots-PDF (templates.mjs)
+export interface DocumentTemplate {
+  id: string;
+  name: string;
+  isDefault: boolean;
+  form: 'A' | 'B'; // DIN 5008
+  accentColor: string; // #RRGGBB
+  logo: { show: boolean; width: number };
+  font?: string; // hochgeladene TTF/OTF
+  fontBold?: string;
+  senderLine?: string;
+  introText: string; // Platzhalter {kunde}, {projekt}, {gueltigBis}, {angebotNr}, {datum}, {firma}
+  closingText: string;
+  termsText: string;
+}
+
+// Eintrag der PDF-Ablage (documents.mjs); Datei unter data/documents/<mandant>/<id>.pdf
+export interface StoredDocument {
+  id: string;
+  type: 'angebot' | 'rechnung' | 'bautagebuch' | 'sonstiges';
+  filename: string; // angezeigter Dateiname
+  title?: string;
+  number?: string; // AN-/RE-Nummer
+  version?: number;
+  offerId?: string;
+  invoiceId?: string;
+  customerId?: string;
+  projectId?: string;
+  size: number;
+  checksum: string; // SHA-256
+  xml: boolean; // E-Rechnungs-XML liegt daneben
+  legacyName?: string; // Dateiname aus public/generated
+  createdAt: number;
+  createdBy?: string;
+}
+
+// PDF-Auftrag in der Warteschlange
+export interface PdfJob {
+  id: string;
+  type: string;
+  createdBy: string;
+  status: 'wartend' | 'aktiv' | 'fertig' | 'fehler';
+  createdAt: number;
+  startedAt?: number;
+  finishedAt?: number;
+  error?: string;
+  documentId?: string;
 }